@@ -0,0 +1,55 @@
+-- Migration: Rules administration workflow
+-- Description: Stores proposed rule changes so admins can draft, review and
+-- publish medicaid_rules, benefit_rules and estate_recovery_rules updates.
+-- A change only reaches the live rule tables after a second admin approves it.
+
+-- =============================================
+-- RULE CHANGES (DRAFT -> PENDING APPROVAL -> PUBLISHED)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS rule_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Target rule set
+    rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('medicaid', 'benefit', 'estate_recovery')),
+    state VARCHAR(2) NOT NULL, -- Two-letter state code
+    program VARCHAR(20), -- Required for benefit rules ('ssi', 'snap', 'medicare', 'veterans')
+    effective_date DATE NOT NULL,
+
+    -- Proposed column values for the target table
+    rule_data JSONB NOT NULL,
+
+    -- Where the figures come from (statute, agency bulletin, CMS release, ...)
+    source_citation TEXT NOT NULL CHECK (length(trim(source_citation)) > 0),
+
+    -- Workflow
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'pending_approval', 'published', 'rejected')),
+    author_id UUID NOT NULL REFERENCES users(id),
+    reviewer_id UUID REFERENCES users(id),
+    review_notes TEXT,
+    published_record_id UUID, -- Row written to the target rule table
+
+    -- Metadata
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    published_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- The author can never approve their own change
+    CONSTRAINT rule_changes_second_admin CHECK (status <> 'published' OR (reviewer_id IS NOT NULL AND reviewer_id <> author_id))
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_changes_status ON rule_changes(status);
+CREATE INDEX IF NOT EXISTS idx_rule_changes_state_type ON rule_changes(state, rule_type);
+
+CREATE TRIGGER update_rule_changes_updated_at BEFORE UPDATE ON rule_changes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE rule_changes IS 'Proposed rule changes awaiting second-admin approval, plus the audit trail of published changes';
+COMMENT ON COLUMN rule_changes.rule_data IS 'Column values for the target rule table (snake_case column names)';
+
+-- =============================================
+-- GRANT PERMISSIONS
+-- =============================================
+
+GRANT SELECT, INSERT, UPDATE ON rule_changes TO medicaid_app;
@@ -0,0 +1,54 @@
+-- Migration: Regional Medicaid rule figures
+-- Description: Some states (New York, for example) publish penalty divisors and
+-- average nursing home costs by region rather than one statewide figure. Each
+-- region belongs to a medicaid_rules rule set and is keyed by county or ZIP code
+-- so the client's address can be matched to the right figure.
+
+-- =============================================
+-- REGIONS PER MEDICAID RULE SET
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS medicaid_rule_regions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    medicaid_rule_id UUID NOT NULL REFERENCES medicaid_rules(id) ON DELETE CASCADE,
+
+    region_code VARCHAR(40) NOT NULL, -- e.g. 'nyc', 'long_island'
+    region_name VARCHAR(100) NOT NULL,
+
+    -- Regional figures (monthly, in dollars); NULL falls back to the statewide figure
+    penalty_divisor DECIMAL(10,2),
+    average_nursing_home_cost DECIMAL(10,2),
+
+    -- Where the regional figures come from
+    source_url TEXT NOT NULL,
+    source_retrieved_at DATE NOT NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(medicaid_rule_id, region_code)
+);
+
+-- =============================================
+-- COUNTIES AND ZIP CODES PER REGION
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS medicaid_rule_region_areas (
+    region_id UUID NOT NULL REFERENCES medicaid_rule_regions(id) ON DELETE CASCADE,
+    area_type VARCHAR(10) NOT NULL CHECK (area_type IN ('county', 'zip')),
+    area_value VARCHAR(100) NOT NULL, -- County name without the word "County", or a 5-digit ZIP code
+
+    PRIMARY KEY (region_id, area_type, area_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_medicaid_rule_regions_rule ON medicaid_rule_regions(medicaid_rule_id);
+CREATE INDEX IF NOT EXISTS idx_medicaid_rule_region_areas_value ON medicaid_rule_region_areas(area_type, area_value);
+
+COMMENT ON TABLE medicaid_rule_regions IS 'Regional penalty divisors and nursing home costs for a medicaid_rules rule set';
+COMMENT ON TABLE medicaid_rule_region_areas IS 'Counties and ZIP codes that make up each Medicaid rule region';
+
+-- =============================================
+-- GRANT PERMISSIONS
+-- =============================================
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON medicaid_rule_regions TO medicaid_app;
+GRANT SELECT, INSERT, UPDATE, DELETE ON medicaid_rule_region_areas TO medicaid_app;
@@ -0,0 +1,41 @@
+-- Migration: Bank statement transfer imports
+-- Description: Stores imported bank statements while a planner reviews the
+-- transactions flagged as likely gifts or transfers. Each import belongs to a
+-- client and to the user who uploaded it, and is kept only for the review.
+
+-- =============================================
+-- TRANSFER IMPORTS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS transfer_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'ofx', 'qfx')),
+
+    -- Flag thresholds and family names the transactions were screened with
+    thresholds JSONB NOT NULL,
+    family_names JSONB NOT NULL DEFAULT '[]',
+
+    -- Statement rows that could not be read, and every transaction with its flags and review
+    skipped_rows JSONB NOT NULL DEFAULT '[]',
+    transactions JSONB NOT NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfer_imports_client ON transfer_imports(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transfer_imports_created ON transfer_imports(created_at);
+
+CREATE TRIGGER update_transfer_imports_updated_at BEFORE UPDATE ON transfer_imports FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE transfer_imports IS 'Bank statements imported for the look-back review, with the planner''s decision on each flagged transaction';
+COMMENT ON COLUMN transfer_imports.transactions IS 'Statement transactions with their flags and review ({ status, reviewedAt, ... })';
+
+-- =============================================
+-- GRANT PERMISSIONS
+-- =============================================
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON transfer_imports TO medicaid_app;
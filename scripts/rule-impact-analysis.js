@@ -0,0 +1,100 @@
+const fs = require('fs');
+const pool = require('../config/database');
+const { analyzeRuleChangeImpact, ruleDataToOverrides } = require('../src/services/admin/ruleImpactService');
+const { toCsv } = require('../src/services/utils/csv');
+
+const USAGE = `
+Usage:
+  node scripts/rule-impact-analysis.js --rule-change <rule change id> [--out follow-up.csv]
+  node scripts/rule-impact-analysis.js --state FL --set penalty_divisor=10438 [--set individual_resource_limit=2500] [--out follow-up.csv]
+
+--set takes medicaid_rules column values. Writes the planner follow-up list as CSV when --out is given.
+`;
+
+const FOLLOW_UP_COLUMNS = [
+    'client_name', 'email', 'planner_id', 'eligibility_change',
+    'current_excess_resources', 'proposed_excess_resources', 'excess_resources_change',
+    'current_penalty_months', 'proposed_penalty_months', 'penalty_months_change',
+    'client_id', 'assessment_id'
+];
+
+function parseArgs(argv) {
+    const options = { set: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (name === 'set' && value && value.includes('=')) {
+            const [column, amount] = value.split('=');
+            options.set[column] = Number(amount);
+            i++;
+        } else if (value && !value.startsWith('--')) {
+            options[name] = value;
+            i++;
+        }
+    }
+
+    return options;
+}
+
+function toFollowUpRow(entry) {
+    return {
+        client_name: entry.clientName,
+        email: entry.email,
+        planner_id: entry.plannerId,
+        eligibility_change: entry.eligibilityChange,
+        current_excess_resources: entry.current.excessResources,
+        proposed_excess_resources: entry.proposed.excessResources,
+        excess_resources_change: entry.excessResourcesChange,
+        current_penalty_months: entry.current.penaltyMonths,
+        proposed_penalty_months: entry.proposed.penaltyMonths,
+        penalty_months_change: entry.penaltyMonthsChange,
+        client_id: entry.clientId,
+        assessment_id: entry.assessmentId
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options['rule-change'] && (!options.state || Object.keys(options.set).length === 0)) {
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        console.log('🚀 Running rule change impact analysis...');
+
+        const report = await analyzeRuleChangeImpact({
+            ruleChangeId: options['rule-change'],
+            state: options.state,
+            proposedRules: ruleDataToOverrides(options.set),
+            asOfDate: options['as-of']
+        });
+
+        const { summary } = report;
+        console.log(`📋 ${report.state}: ${summary.affected} of ${summary.assessed} clients affected`);
+        console.log(`   ${summary.becomeEligible} become eligible, ${summary.becomeIneligible} become ineligible`);
+        if (summary.failed > 0) {
+            console.warn(`⚠️  ${summary.failed} assessments could not be re-run`);
+        }
+
+        if (options.out) {
+            fs.writeFileSync(options.out, toCsv(report.followUp.map(toFollowUpRow), FOLLOW_UP_COLUMNS));
+            console.log(`✅ Follow-up list written to ${options.out}`);
+        }
+
+        await pool.end();
+        process.exit(0);
+    } catch (error) {
+        console.error('💥 Impact analysis failed:', error.message);
+        await pool.end();
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs };
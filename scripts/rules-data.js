@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/database');
+const { importRules, exportRules } = require('../src/services/admin/rulesDataService');
+
+const USAGE = `
+Usage:
+  node scripts/rules-data.js import <file.csv|file.json> --table <medicaid_rules|benefit_rules> [--apply]
+  node scripts/rules-data.js export <file.csv|file.json> --table <medicaid_rules|benefit_rules> [--state FL] [--year 2026]
+
+Imports are a dry run that prints the diff unless --apply is given.
+`;
+
+// Parse "--name value" and "--flag" arguments
+function parseArgs(argv) {
+    const [command, file, ...rest] = argv;
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        if (!rest[i].startsWith('--')) continue;
+        const name = rest[i].substring(2);
+        if (rest[i + 1] && !rest[i + 1].startsWith('--')) {
+            options[name] = rest[i + 1];
+            i++;
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { command, file, options };
+}
+
+function formatFromFile(file) {
+    return path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+}
+
+function printDiff(result) {
+    const { summary, changes } = result;
+    console.log(`📋 ${summary.total} rows: ${summary.insert} to insert, ${summary.update} to update, ${summary.unchanged} unchanged`);
+
+    changes.forEach(change => {
+        const key = Object.values(change.key).join(' ');
+        console.log(`\n${change.action === 'insert' ? '➕' : '✏️ '} ${key}`);
+        Object.entries(change.changes).forEach(([column, { from, to }]) => {
+            console.log(`    ${column}: ${from === null ? '(empty)' : JSON.stringify(from)} → ${JSON.stringify(to)}`);
+        });
+    });
+}
+
+async function runImport(file, options) {
+    const content = fs.readFileSync(file, 'utf8');
+    const dryRun = !options.apply;
+
+    console.log(`🚀 Importing ${file} into ${options.table}${dryRun ? ' (dry run)' : ''}...`);
+
+    const result = await importRules({
+        table: options.table,
+        format: formatFromFile(file),
+        content,
+        dryRun
+    });
+
+    if (!result.valid) {
+        console.error(`❌ ${result.errors.length} validation errors - nothing was imported:`);
+        result.errors.forEach(error => {
+            console.error(`   ${error.row ? `row ${error.row}: ` : ''}${error.message}`);
+        });
+        return false;
+    }
+
+    printDiff(result);
+
+    if (dryRun) {
+        console.log('\n💡 Dry run only - re-run with --apply to write these changes');
+    } else {
+        console.log('\n✅ Import committed');
+    }
+    return true;
+}
+
+async function runExport(file, options) {
+    console.log(`🚀 Exporting ${options.table} to ${file}...`);
+
+    const content = await exportRules({
+        table: options.table,
+        format: formatFromFile(file),
+        state: options.state,
+        year: options.year
+    });
+
+    fs.writeFileSync(file, content);
+    console.log(`✅ Export written to ${file}`);
+    return true;
+}
+
+async function main() {
+    const { command, file, options } = parseArgs(process.argv.slice(2));
+
+    if (!['import', 'export'].includes(command) || !file || !options.table) {
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        const ok = command === 'import'
+            ? await runImport(file, options)
+            : await runExport(file, options);
+        await pool.end();
+        process.exit(ok ? 0 : 1);
+    } catch (error) {
+        console.error(`💥 ${command} failed:`, error.message);
+        await pool.end();
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs };
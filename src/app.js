@@ -56,8 +56,22 @@ const planningLimiter = rateLimit({
   }
 });
 
+// One batch screens up to a few hundred records, so submissions are limited separately
+const batchLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit batch submissions to 10 per hour
+  message: {
+    error: 'Batch rate limit exceeded',
+    message: 'Too many eligibility batches. Please try again in 1 hour.',
+    retryAfter: 60 * 60
+  },
+  // Status polling is not limited here
+  skip: (req) => req.method !== 'POST'
+});
+
 app.use('/api/', apiLimiter);
 app.use('/api/planning', planningLimiter);
+app.use('/api/eligibility/batch', batchLimiter);
 
 // CORS Configuration - Allow multiple frontend domains including Lovable
 const corsOptions = {
@@ -127,6 +141,7 @@ app.use('/api/planning', require('./routes/planningRoutes'));
 app.use('/api/reports', require('./routes/reportRoutes'));
 app.use('/api/enhanced-strategies', require('./routes/enhancedStrategies'));
 app.use('/api/webhooks', require('./routes/webhookRoutes'));
+app.use('/api/admin/rules', require('./routes/rulesAdminRoutes'));
 
 // 404 handler
 app.use((req, res) => {
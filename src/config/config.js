@@ -14,5 +14,11 @@ module.exports = {
   port: process.env.PORT || 3001,
   logLevel: process.env.LOG_LEVEL || 'debug',
   corsOrigin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:8080', 'https://d3btqqunljs3nt.cloudfront.net', 'https://eligibilityApp.nationalmedicaidplanning.com'],
-  dataPath: process.env.DATA_PATH || './src/data'
+  dataPath: process.env.DATA_PATH || './src/data',
+  // Annual rates used to project rule figures into future years (estimates only)
+  ruleProjection: {
+    colaRate: parseFloat(process.env.PROJECTION_COLA_RATE || '0.025'),
+    cpiRate: parseFloat(process.env.PROJECTION_CPI_RATE || '0.029'),
+    careCostRate: parseFloat(process.env.PROJECTION_CARE_COST_RATE || '0.04')
+  }
 };
\ No newline at end of file
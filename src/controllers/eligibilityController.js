@@ -1,8 +1,10 @@
 // src/controllers/eligibilityController.js
 const logger = require('../config/logger');
 const { assessMedicaidEligibility } = require('../services/planning/eligibilityAssessment');
-const { getMedicaidRules } = require('../services/utils/medicaidRulesLoader');
+const { getMedicaidRules, diagnoseMedicaidRules, getStateCode } = require('../services/utils/medicaidRulesLoader');
 const { generateEnhancedEligibilityReport } = require('../services/reporting/enhancedEligibilityReport');
+const { createBatchJob, getBatchJob } = require('../services/batch/eligibilityBatchService');
+const { isValidAsOfDate } = require('../services/utils/effectiveDate');
 const { Client, Assessment } = require('../models');
 const crypto = require('crypto');
 
@@ -46,7 +48,7 @@ exports.assessEligibility = async (req, res) => {
     console.log('📥 Full body:', JSON.stringify(req.body, null, 2));
     
     // Use snake_case from the transformed request
-    const { client_info, assets, income, state } = req.body;
+    const { client_info, assets, income, state, as_of_date, program_type, past_transfers } = req.body;
     
     // Collect missing required fields
     const missingFields = [];
@@ -73,6 +75,13 @@ exports.assessEligibility = async (req, res) => {
       });
     }
     
+    if (!isValidAsOfDate(as_of_date)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid as_of_date: ${as_of_date} (expected a date in YYYY-MM-DD format)`
+      });
+    }
+    
     // Create medicalNeeds object - use snake_case
     const medicalNeeds = {
       criticalHealth: client_info.health_status === 'critical'
@@ -94,7 +103,8 @@ exports.assessEligibility = async (req, res) => {
       income, 
       medicalNeeds, 
       state, 
-      clientInfo.isCrisis || false
+      clientInfo.isCrisis || false,
+      { asOfDate: as_of_date, programType: program_type }
     );
     
     if (result.status === 'error') {
@@ -147,9 +157,38 @@ exports.assessEligibility = async (req, res) => {
         logger.info(`Created new client: ${client.id}`);
       }
       
-      // Add client_id to the result for frontend reference  
+      // Add client_id to the result for frontend reference
       result.client_id = client.id;
-      
+
+      // Keep the inputs so the assessment can be re-run when rules change;
+      // past transfers let the re-run show how the penalty shifts too
+      const savedAssessment = await Assessment.create({
+        client_id: client.id,
+        user_id: defaultUserId,
+        assessment_type: 'initial',
+        assessment_data: {
+          client_info,
+          assets,
+          income,
+          state,
+          state_code: getStateCode(state),
+          as_of_date: result.asOfDate,
+          program_type: result.programType,
+          ...(Array.isArray(past_transfers) && past_transfers.length > 0 ? { past_transfers } : {})
+        },
+        eligibility_result: {
+          countable_assets: result.countableAssets,
+          total_income: result.totalIncome,
+          resource_limit: result.resourceLimit,
+          income_limit: result.incomeLimit,
+          is_resource_eligible: result.isResourceEligible,
+          is_income_eligible: result.isIncomeEligible,
+          excess_resources: result.excessResources
+        },
+        recommendations: result.strategies || []
+      });
+      result.assessment_id = savedAssessment.id;
+
     } catch (dbError) {
       logger.error(`Database error while saving assessment: ${dbError.message}`);
       // Don't fail the request if database save fails, but log it
@@ -160,6 +199,13 @@ exports.assessEligibility = async (req, res) => {
     // Ensure consistent response format
     return res.status(200).json(formatResponse(result));
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      logger.warn(`Eligibility assessment rejected: ${error.message}`);
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
     logger.error(`Unexpected error in assessEligibility controller: ${error.message}`);
     return res.status(500).json({
       status: 'error',
@@ -200,6 +246,27 @@ exports.getStateMedicaidRules = async (req, res) => {
   }
 };
 
+/**
+ * Validate the stored Medicaid rule sets for a state against the rule schema
+ */
+exports.validateStateMedicaidRules = async (req, res) => {
+  try {
+    const { state } = req.params;
+    
+    const diagnosis = await diagnoseMedicaidRules(state);
+    
+    logger.info(`Validated ${diagnosis.ruleSets.length} rule sets for ${state}`);
+    
+    return res.status(200).json(formatResponse(diagnosis));
+  } catch (error) {
+    logger.error(`Error in validateStateMedicaidRules controller: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Generate enhanced eligibility report
  */
@@ -207,7 +274,7 @@ exports.generateEnhancedReport = async (req, res) => {
   try {
     logger.info('Received enhanced eligibility report request');
     
-    const { client_info, assets, income, state } = req.body;
+    const { client_info, assets, income, state, as_of_date, program_type } = req.body;
     
     // Validate required fields
     if (!client_info || !assets || !income || !state) {
@@ -217,6 +284,13 @@ exports.generateEnhancedReport = async (req, res) => {
       });
     }
     
+    if (!isValidAsOfDate(as_of_date)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid as_of_date: ${as_of_date} (expected a date in YYYY-MM-DD format)`
+      });
+    }
+    
     // First, get the basic eligibility assessment
     const clientInfo = {
       name: client_info.name,
@@ -236,7 +310,8 @@ exports.generateEnhancedReport = async (req, res) => {
       income, 
       medicalNeeds, 
       state, 
-      clientInfo.isCrisis || false
+      clientInfo.isCrisis || false,
+      { asOfDate: as_of_date, programType: program_type }
     );
     
     if (assessment.status === 'error') {
@@ -274,10 +349,86 @@ exports.generateEnhancedReport = async (req, res) => {
     });
     
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      logger.warn(`Enhanced eligibility report rejected: ${error.message}`);
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
     logger.error(`Error in generateEnhancedReport controller: ${error.message}`);
     return res.status(500).json({
       status: 'error',
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Queue a batch of client records (JSON array or CSV file) for eligibility screening
+ * The body is { records: [...] }, { format: 'csv', content }, or the CSV file
+ * itself sent as text/csv. Rows that fail validation are listed under errors.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createBatchAssessment = async (req, res) => {
+  try {
+    // A text/csv upload arrives as the raw file text
+    const input = typeof req.body === 'string' ? { format: 'csv', content: req.body } : (req.body || {});
+    const { records, format, content } = input;
+    const job = createBatchJob({ records, format, content });
+
+    return res.status(202).json({
+      status: 'success',
+      ...job,
+      statusUrl: `/api/eligibility/batch/${job.jobId}`
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      logger.warn(`Eligibility batch rejected: ${error.message}`);
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+        ...(error.errors ? { errors: error.errors } : {})
+      });
+    }
+    if (error.name === 'BatchQueueFullError') {
+      logger.warn(`Eligibility batch refused: ${error.message}`);
+      return res.status(429).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error(`Error in createBatchAssessment controller: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the status of an eligibility batch, with per-record results and the summary once finished
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBatchAssessment = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: 'success',
+      job: getBatchJob(req.params.jobId)
+    });
+  } catch (error) {
+    if (error.name === 'BatchJobNotFoundError') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error(`Error in getBatchAssessment controller: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
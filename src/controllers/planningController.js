@@ -6,7 +6,12 @@ const { medicaidIncomePlanning } = require('../services/planning/incomePlanning'
 const { medicaidTrustPlanning } = require('../services/planning/trustPlanning');
 const { medicaidAnnuityPlanning } = require('../services/planning/annuityPlanning');
 const { medicaidDivestmentPlanning } = require('../services/planning/divestmentPlanning');
+const { medicaidHalfALoafPlanning } = require('../services/planning/halfALoafPlanning');
 const { medicaidCarePlanning } = require('../services/planning/carePlanning');
+const { isValidAsOfDate } = require('../services/utils/effectiveDate');
+const {
+  createTransferImport, getTransferImport, reviewTransferImport, getConfirmedTransfers
+} = require('../services/import/transferImportService');
 const { User, Client, Assessment, Plan } = require('../models');
 const integrationController = require('./integrationController');
 
@@ -38,6 +43,58 @@ function formatResponse(data, status = 'success') {
   };
 }
 
+/**
+ * Rejects a request whose as_of_date is not a YYYY-MM-DD date
+ * @param {*} asOfDate - as_of_date from the request body
+ * @param {Object} res - Express response
+ * @returns {boolean} True when a 400 response was sent
+ */
+function rejectInvalidAsOfDate(asOfDate, res) {
+  if (isValidAsOfDate(asOfDate)) {
+    return false;
+  }
+  
+  logger.error(`Invalid as_of_date in planning request: ${asOfDate}`);
+  res.status(400).json({
+    status: 'error',
+    message: `Invalid as_of_date: ${asOfDate} (expected a date in YYYY-MM-DD format)`
+  });
+  return true;
+}
+
+/**
+ * Lists what is wrong with the planned_returns of a divestment request
+ * @param {*} plannedReturns - planned_returns from the request body
+ * @returns {Array<string>} Problems found (empty when valid or not given)
+ */
+function getPlannedReturnProblems(plannedReturns) {
+  if (plannedReturns === undefined || plannedReturns === null) {
+    return [];
+  }
+  if (!Array.isArray(plannedReturns)) {
+    return ['planned_returns must be an array of { transfer_id, amount, date }'];
+  }
+  
+  const problems = [];
+  plannedReturns.forEach((planned, index) => {
+    if (!planned || typeof planned !== 'object') {
+      problems.push(`planned_returns[${index}] must be an object with transfer_id, amount and date`);
+      return;
+    }
+    if (planned.transfer_id === undefined || planned.transfer_id === null || planned.transfer_id === '') {
+      problems.push(`planned_returns[${index}].transfer_id is required`);
+    }
+    const amount = typeof planned.amount === 'string' ? Number(planned.amount) : planned.amount;
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      problems.push(`planned_returns[${index}].amount must be a positive number: ${planned.amount}`);
+    }
+    if (!planned.date || !isValidAsOfDate(planned.date)) {
+      problems.push(`planned_returns[${index}].date must be a date in YYYY-MM-DD format: ${planned.date}`);
+    }
+  });
+  return problems;
+}
+
 exports.comprehensivePlanning = async (req, res) => {
   try {
     // SECURITY: Log request without sensitive data
@@ -45,7 +102,7 @@ exports.comprehensivePlanning = async (req, res) => {
     logger.info('📥 Request contains fields:', Object.keys(req.body));
     // REMOVED: Full request body logging to prevent PII exposure
     
-    const { client_info, assets, income, expenses, medical_info, living_info, state } = req.body;
+    const { client_info, assets, income, expenses, medical_info, living_info, state, as_of_date, projection_assumptions, prior_months, program_type } = req.body;
     
     // Log what we extracted
     logger.info('📊 Extracted fields:', {
@@ -88,6 +145,10 @@ exports.comprehensivePlanning = async (req, res) => {
       });
     }
     
+    if (rejectInvalidAsOfDate(as_of_date, res)) {
+      return;
+    }
+    
     // SECURITY: Log planning start without client name
     logger.info(`Starting comprehensive planning for client in ${state}`);
     
@@ -99,7 +160,18 @@ exports.comprehensivePlanning = async (req, res) => {
       expenses || {}, 
       medical_info || {}, 
       living_info || {}, 
-      state
+      state,
+      {
+        asOfDate: as_of_date,
+        explain: req.query.explain === 'true',
+        projectionAssumptions: projection_assumptions && {
+          colaRate: projection_assumptions.cola_rate,
+          cpiRate: projection_assumptions.cpi_rate,
+          careCostRate: projection_assumptions.care_cost_rate
+        },
+        priorMonths: prior_months,
+        programType: program_type
+      }
     );
     
     if (planningResult.status === 'error') {
@@ -159,6 +231,7 @@ exports.comprehensivePlanning = async (req, res) => {
           date_of_birth: client_info.date_of_birth || null, // Allow null - don't fake birth dates
           age: client_info.age || null, // Store age separately if provided
           marital_status: client_info.marital_status, // Required field - no defaults
+          address: client_info.address || null, // County/ZIP select regional rule figures
           gohighlevel_contact_id: null
         };
         
@@ -387,7 +460,7 @@ exports.trustPlanning = async (req, res) => {
 
 exports.annuityPlanning = async (req, res) => {
   try {
-    const { client_info, assets, income, eligibility_status, state } = req.body;
+    const { client_info, assets, income, eligibility_status, state, as_of_date } = req.body;
     
     const missingFields = [];
     if (!client_info) missingFields.push('client_info');
@@ -403,9 +476,13 @@ exports.annuityPlanning = async (req, res) => {
       });
     }
     
+    if (rejectInvalidAsOfDate(as_of_date, res)) {
+      return;
+    }
+    
     logger.info(`Starting annuity planning for ${client_info.name} in ${state}`);
     
-    const planningResult = await medicaidAnnuityPlanning(client_info, assets, income || {}, eligibility_status || {}, state);
+    const planningResult = await medicaidAnnuityPlanning(client_info, assets, income || {}, eligibility_status || {}, state, { asOfDate: as_of_date });
     
     if (planningResult.status === 'error') {
       logger.error(`Annuity planning failed: ${planningResult.error}`);
@@ -425,7 +502,10 @@ exports.annuityPlanning = async (req, res) => {
 
 exports.divestmentPlanning = async (req, res) => {
   try {
-    const { client_info, assets, past_transfers, state } = req.body;
+    const {
+      client_info, assets, past_transfers, transfer_import_id, state, as_of_date, otherwise_eligible_date,
+      planned_returns, monthly_care_cost, monthly_income
+    } = req.body;
     
     const missingFields = [];
     if (!client_info) missingFields.push('client_info');
@@ -441,9 +521,32 @@ exports.divestmentPlanning = async (req, res) => {
       });
     }
     
+    if (rejectInvalidAsOfDate(as_of_date, res)) {
+      return;
+    }
+    
+    const plannedReturnProblems = getPlannedReturnProblems(planned_returns);
+    if (plannedReturnProblems.length > 0) {
+      logger.error(`Invalid planned_returns in divestment planning request: ${plannedReturnProblems.join('; ')}`);
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid planned_returns: ${plannedReturnProblems.join('; ')}`,
+        errors: plannedReturnProblems
+      });
+    }
+    
     logger.info(`Starting divestment planning for ${client_info.name} in ${state}`);
     
-    const planningResult = await medicaidDivestmentPlanning(client_info, assets, past_transfers || [], state);
+    // Transactions confirmed in a bank statement import are added to the transfers given
+    const importedTransfers = transfer_import_id ? await getConfirmedTransfers(transfer_import_id, req.user) : [];
+    
+    const planningResult = await medicaidDivestmentPlanning(client_info, assets, [...(past_transfers || []), ...importedTransfers], state, {
+      asOfDate: as_of_date,
+      otherwiseEligibleDate: otherwise_eligible_date,
+      plannedReturns: planned_returns,
+      monthlyCareCost: monthly_care_cost,
+      monthlyIncome: monthly_income
+    });
     
     if (planningResult.status === 'error') {
       logger.error(`Divestment planning failed: ${planningResult.error}`);
@@ -453,6 +556,12 @@ exports.divestmentPlanning = async (req, res) => {
     // Ensure consistent response format
     return res.status(200).json(formatResponse(planningResult));
   } catch (error) {
+    if (error.name === 'TransferImportNotFoundError') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
     logger.error(`Divestment Planning Error: ${error.message}`);
     return res.status(500).json({
       status: 'error',
@@ -461,6 +570,57 @@ exports.divestmentPlanning = async (req, res) => {
   }
 };
 
+exports.halfALoafPlanning = async (req, res) => {
+  try {
+    const {
+      client_info, assets, income, state, as_of_date,
+      monthly_care_cost, other_monthly_expenses, vehicle, annual_rate, life_expectancy_months
+    } = req.body;
+    
+    const missingFields = [];
+    if (!client_info) missingFields.push('client_info');
+    if (!assets || Object.keys(assets).length === 0) missingFields.push('assets');
+    if (!state) missingFields.push('state');
+    
+    if (missingFields.length > 0) {
+      logger.error(`Missing required fields in half-a-loaf planning request: ${missingFields.join(', ')}`);
+      return res.status(400).json({
+        status: 'error',
+        message: `Missing required fields: ${missingFields.join(', ')}`,
+        missingFields
+      });
+    }
+    
+    if (rejectInvalidAsOfDate(as_of_date, res)) {
+      return;
+    }
+    
+    logger.info(`Starting half-a-loaf planning for ${client_info.name} in ${state}`);
+    
+    const planningResult = await medicaidHalfALoafPlanning(client_info, assets, income || {}, state, {
+      asOfDate: as_of_date,
+      monthlyCareCost: monthly_care_cost,
+      otherMonthlyExpenses: other_monthly_expenses,
+      vehicle,
+      annualRate: annual_rate,
+      lifeExpectancyMonths: life_expectancy_months
+    });
+    
+    if (planningResult.status === 'error') {
+      logger.error(`Half-a-loaf planning failed: ${planningResult.error}`);
+      return res.status(400).json(planningResult);
+    }
+    
+    return res.status(200).json(formatResponse(planningResult));
+  } catch (error) {
+    logger.error(`Half-a-loaf Planning Error: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 exports.carePlanning = async (req, res) => {
   try {
     const { client_info, medical_info, living_info, state } = req.body;
@@ -498,4 +658,94 @@ exports.carePlanning = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Import a bank statement (CSV or OFX) and flag likely gifts and transfers for review
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createTransferImport = async (req, res) => {
+  try {
+    const { client_id, format, content, family_names, thresholds } = req.body || {};
+    const result = await createTransferImport({ client_id, format, content, family_names, thresholds }, req.user);
+
+    return res.status(201).json({
+      status: 'success',
+      ...result
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      logger.warn(`Transfer import rejected: ${error.message}`);
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error(`Error in createTransferImport controller: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a transfer import with its flagged transactions and confirmed transfers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getTransferImport = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: 'success',
+      ...(await getTransferImport(req.params.importId, req.user))
+    });
+  } catch (error) {
+    if (error.name === 'TransferImportNotFoundError') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error(`Error in getTransferImport controller: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Confirm or dismiss transactions of a transfer import
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reviewTransferImport = async (req, res) => {
+  try {
+    const { decisions } = req.body || {};
+
+    return res.status(200).json({
+      status: 'success',
+      ...(await reviewTransferImport(req.params.importId, decisions, req.user))
+    });
+  } catch (error) {
+    if (error.name === 'TransferImportNotFoundError') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error(`Error in reviewTransferImport controller: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
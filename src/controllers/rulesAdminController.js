@@ -0,0 +1,307 @@
+// src/controllers/rulesAdminController.js
+const logger = require('../config/logger');
+const {
+  createRuleChange,
+  updateRuleChange,
+  listRuleChanges,
+  getRuleChange,
+  submitRuleChange,
+  approveRuleChange,
+  rejectRuleChange
+} = require('../services/admin/rulesAdminService');
+const { importRules, exportRules } = require('../services/admin/rulesDataService');
+const { analyzeRuleChangeImpact, ruleDataToOverrides } = require('../services/admin/ruleImpactService');
+
+// HTTP status for each error raised by the rules admin service
+const ERROR_STATUS_CODES = {
+  ValidationError: 400,
+  RuleApprovalError: 403,
+  RuleChangeNotFoundError: 404,
+  RuleWorkflowError: 409
+};
+
+/**
+ * Sends a rules admin error with the matching HTTP status
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error raised by the service
+ * @param {string} action - Controller action (for logging)
+ */
+function handleError(res, error, action) {
+  const statusCode = ERROR_STATUS_CODES[error.name] || 500;
+
+  if (statusCode === 500) {
+    logger.error(`Error in ${action} controller: ${error.message}`);
+  } else {
+    logger.warn(`${action} rejected: ${error.message}`);
+  }
+
+  return res.status(statusCode).json({
+    status: 'error',
+    message: error.message
+  });
+}
+
+/**
+ * List rule changes, optionally filtered by status, state and rule type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listRuleChanges = async (req, res) => {
+  try {
+    const ruleChanges = await listRuleChanges({
+      status: req.query.status,
+      state: req.query.state,
+      rule_type: req.query.ruleType || req.query.rule_type
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      count: ruleChanges.length,
+      data: ruleChanges
+    });
+  } catch (error) {
+    return handleError(res, error, 'listRuleChanges');
+  }
+};
+
+/**
+ * Get a single rule change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRuleChange = async (req, res) => {
+  try {
+    const ruleChange = await getRuleChange(req.params.id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: ruleChange
+    });
+  } catch (error) {
+    return handleError(res, error, 'getRuleChange');
+  }
+};
+
+/**
+ * Create a draft rule change authored by the current admin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createRuleChange = async (req, res) => {
+  try {
+    const ruleChange = await createRuleChange(req.body, req.user);
+
+    logger.info(`Rule change ${ruleChange.id} drafted by ${req.user.email}`);
+
+    return res.status(201).json({
+      status: 'success',
+      data: ruleChange
+    });
+  } catch (error) {
+    return handleError(res, error, 'createRuleChange');
+  }
+};
+
+/**
+ * Update a draft rule change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateRuleChange = async (req, res) => {
+  try {
+    const ruleChange = await updateRuleChange(req.params.id, req.body, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      data: ruleChange
+    });
+  } catch (error) {
+    return handleError(res, error, 'updateRuleChange');
+  }
+};
+
+/**
+ * Submit a draft rule change for second-admin approval
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.submitRuleChange = async (req, res) => {
+  try {
+    const ruleChange = await submitRuleChange(req.params.id, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      data: ruleChange
+    });
+  } catch (error) {
+    return handleError(res, error, 'submitRuleChange');
+  }
+};
+
+/**
+ * Approve and publish a pending rule change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.approveRuleChange = async (req, res) => {
+  try {
+    const reviewNotes = req.body ? req.body.review_notes : null;
+    const ruleChange = await approveRuleChange(req.params.id, req.user, reviewNotes);
+
+    logger.info(`Rule change ${ruleChange.id} approved by ${req.user.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      data: ruleChange
+    });
+  } catch (error) {
+    return handleError(res, error, 'approveRuleChange');
+  }
+};
+
+/**
+ * Reject a pending rule change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.rejectRuleChange = async (req, res) => {
+  try {
+    const reviewNotes = req.body ? req.body.review_notes : null;
+    const ruleChange = await rejectRuleChange(req.params.id, req.user, reviewNotes);
+
+    return res.status(200).json({
+      status: 'success',
+      data: ruleChange
+    });
+  } catch (error) {
+    return handleError(res, error, 'rejectRuleChange');
+  }
+};
+
+/**
+ * Bulk import a CSV or JSON rules file (dry run unless dryRun is false).
+ * Changed rows are submitted as rule changes for a second admin to approve.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.importRules = async (req, res) => {
+  try {
+    const { table, format, content, dry_run, source_citation } = req.body || {};
+
+    const missingFields = [];
+    if (!table) missingFields.push('table');
+    if (!format) missingFields.push('format');
+    if (!content) missingFields.push('content');
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Missing required fields: ${missingFields.join(', ')}`
+      });
+    }
+
+    const result = await importRules({
+      table,
+      format,
+      content,
+      dryRun: dry_run !== false,
+      sourceCitation: source_citation,
+      author: req.user
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Import file has ${result.errors.length} validation errors`,
+        errors: result.errors
+      });
+    }
+
+    logger.info(`${req.user.email} imported ${table}${result.dryRun ? ' (dry run)' : ''}`);
+
+    return res.status(200).json({
+      status: 'success',
+      ...result
+    });
+  } catch (error) {
+    return handleError(res, error, 'importRules');
+  }
+};
+
+/**
+ * Export a rule table in the import file layout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.exportRules = async (req, res) => {
+  try {
+    const table = req.query.table;
+    const format = req.query.format || 'csv';
+
+    const content = await exportRules({
+      table,
+      format,
+      state: req.query.state,
+      year: req.query.year
+    });
+
+    // Sent as a file so the column names stay exactly as the import expects
+    return res
+      .status(200)
+      .type(format === 'csv' ? 'text/csv' : 'application/json')
+      .attachment(`${table}.${format}`)
+      .send(content);
+  } catch (error) {
+    return handleError(res, error, 'exportRules');
+  }
+};
+
+/**
+ * Re-run stored assessments in a state under proposed medicaid_rules values
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.analyzeImpact = async (req, res) => {
+  try {
+    const { state, rule_data, as_of_date } = req.body || {};
+
+    const missingFields = [];
+    if (!state) missingFields.push('state');
+    if (!rule_data) missingFields.push('rule_data');
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Missing required fields: ${missingFields.join(', ')}`
+      });
+    }
+
+    const report = await analyzeRuleChangeImpact({
+      state,
+      proposedRules: ruleDataToOverrides(rule_data),
+      asOfDate: as_of_date
+    });
+
+    return res.status(200).json(report);
+  } catch (error) {
+    return handleError(res, error, 'analyzeImpact');
+  }
+};
+
+/**
+ * Re-run stored assessments under a drafted medicaid rule change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.analyzeRuleChangeImpact = async (req, res) => {
+  try {
+    const report = await analyzeRuleChangeImpact({
+      ruleChangeId: req.params.id,
+      asOfDate: req.query.asOfDate
+    });
+
+    return res.status(200).json(report);
+  } catch (error) {
+    return handleError(res, error, 'analyzeRuleChangeImpact');
+  }
+};
@@ -0,0 +1,410 @@
+// src/data/stateMedicaidRules.js
+
+/**
+ * Versioned long-term care Medicaid rules for all 50 states and DC.
+ *
+ * Every field is stored as { value, citation: { url, title, retrievedAt } } so
+ * each figure can be traced back to the publication it came from. Federal
+ * standards (spousal impoverishment, home equity, the 300% special income
+ * limit, SSI benefit rates, DRA annuity and look-back rules) cite the CMS,
+ * SSA or statute document that sets them; state-set figures cite the state
+ * Medicaid agency. retrievedAt is the date someone actually checked the figure
+ * against that document. A citation that has not been checked yet carries
+ * retrievedAt: null and pendingVerification: true, so it is reported as
+ * unverified instead of implying a check that never happened. Figures must be
+ * re-checked at each annual update, which is published as a new version (or
+ * as reviewed medicaid_rules rows through the rules admin API).
+ */
+
+/**
+ * Fields every state record must carry, each with a citation
+ */
+const RULE_FIELDS = [
+  'resourceLimitSingle',
+  'resourceLimitCouple',
+  'communitySpouseResourceAllowanceMin',
+  'communitySpouseResourceAllowanceMax',
+  'monthlyMaintenanceNeedsAllowanceMin',
+  'monthlyMaintenanceNeedsAllowanceMax',
+  'monthlyPersonalNeedsAllowance',
+  'penaltyDivisor',
+  'lookbackPeriodMonths',
+  'homeEquityLimit',
+  'incomeLimitSingle',
+  'incomeCapState',
+  'medicallyNeedyProgram',
+  'medicallyNeedyIncomeLimit',
+  'medicallyNeedyBudgetPeriodMonths',
+  'annuityRules',
+  'retirementAccountTreatment',
+  'retroactiveCoverageMonths',
+  'communityIncomeLimitSingle',
+  'communityIncomeLimitCouple',
+  'hcbsMaintenanceAllowance',
+  'incomeDisregards',
+  'transferPenaltyRules'
+];
+
+/**
+ * Fields where null is a real value: the state has no resource test, or no
+ * medically needy program
+ */
+const NULLABLE_FIELDS = [
+  'resourceLimitSingle',
+  'resourceLimitCouple',
+  'medicallyNeedyIncomeLimit',
+  'medicallyNeedyBudgetPeriodMonths'
+];
+
+/**
+ * Source documents. retrievedAt stays null (pending verification) until the
+ * figures citing the document have been checked against it.
+ */
+const FEDERAL_SOURCES = {
+  cmsStandards: {
+    url: 'https://www.medicaid.gov/medicaid/eligibility/downloads/ssi-and-spousal-impoverishment-standards.pdf',
+    title: 'CMS 2025 SSI and Spousal Impoverishment Standards'
+  },
+  ssiPaymentAmounts: {
+    url: 'https://www.ssa.gov/oact/cola/SSIamts.html',
+    title: 'SSA SSI Federal Payment Amounts'
+  },
+  ssiIncomeRules: {
+    url: 'https://www.ecfr.gov/current/title-20/chapter-III/part-416/subpart-K',
+    title: '20 CFR 416 Subpart K - Income, including exclusions from income'
+  },
+  socialSecurityAct1902: {
+    url: 'https://www.ssa.gov/OP_Home/ssact/title19/1902.htm',
+    title: 'Social Security Act §1902(a)(34) - Retroactive eligibility for the three months before application'
+  },
+  socialSecurityAct1917: {
+    url: 'https://www.ssa.gov/OP_Home/ssact/title19/1917.htm',
+    title: 'Social Security Act §1917 - Liens, adjustments and recoveries, and transfers of assets'
+  }
+};
+
+// 2025 federal standards (CSRA/home equity/SIL for calendar 2025, MMNA from July 1, 2024)
+const FEDERAL_2025 = {
+  csraMin: 32532,
+  csraMax: 162660,
+  mmnaMin: 2555,
+  mmnaMax: 3948,
+  homeEquityMin: 730000,
+  homeEquityMax: 1097000,
+  specialIncomeLimit: 2901,
+  // SSI federal benefit rate and 100% of the HHS poverty guideline, monthly
+  ssiSingle: 967,
+  ssiCouple: 1450,
+  povertySingle: 1304.17,
+  povertyCouple: 1762.5
+};
+
+// SSI-related income disregards (20 CFR 416.1112, 416.1124) and federally
+// excluded income. medicarePremiums says whether Medicare premiums withheld
+// from a benefit still count as income ('gross') or are deducted ('net').
+const FEDERAL_INCOME_DISREGARDS = {
+  generalExclusion: 20,
+  earnedExclusion: 65,
+  earnedFraction: 0.5,
+  excludeVaAidAndAttendance: true,
+  excludeReparations: true,
+  excludeRetroactiveLumpSums: true,
+  medicarePremiums: 'gross'
+};
+
+// How a transfer penalty is imposed under §1917(c). aggregation: 'aggregated'
+// treats every penalized transfer as one transfer; 'sequential' runs each
+// transfer's penalty after the one before. periodUnit: 'partial_month' keeps
+// the fraction of the last month as days of that month; 'daily' divides by a
+// daily rate. Since the DRA a penalty starts on the date the applicant is
+// otherwise eligible and receiving institutional care. returnRule: 'partial'
+// credits any return of a transferred asset against the penalty; 'full_only'
+// cures a transfer only when all of it comes back.
+const FEDERAL_TRANSFER_PENALTY_RULES = {
+  aggregation: 'aggregated',
+  periodUnit: 'partial_month',
+  startRule: 'otherwise_eligible',
+  returnRule: 'partial'
+};
+
+// Deficit Reduction Act of 2005 requirements for an annuity to avoid being a transfer
+const DRA_ANNUITY_RULES = {
+  irrevocable: true,
+  nonAssignable: true,
+  actuariallySound: true,
+  equalPayments: true,
+  noBalloonOrDeferral: true,
+  stateRemainderBeneficiary: 'first_or_after_spouse_or_minor_disabled_child',
+  disclosureRequired: true
+};
+
+/**
+ * State-set figures. csra / mmna / homeEquity use the federal standards unless
+ * the state publishes its own; 'max' means the state allows the federal maximum
+ * to every community spouse. retirementInPayout: 'exempt' marks states that
+ * exempt an IRA or 401(k) whose owner takes required periodic distributions
+ * (the payments count as income); elsewhere the full balance is countable.
+ * retroMonths overrides the federal three months of retroactive coverage
+ * where a section 1115 waiver has shortened or eliminated it. communityFpl
+ * marks states whose community aged, blind and disabled coverage uses a
+ * percentage of the poverty guideline instead of the SSI benefit rate.
+ * incomeDisregards overrides individual federal income disregards where the
+ * state publishes its own. transferPenalty overrides how the state imposes a
+ * transfer penalty (see FEDERAL_TRANSFER_PENALTY_RULES).
+ */
+const STATES = {
+  AL: { name: 'Alabama', agency: 'https://medicaid.alabama.gov', resources: [2000, 4000], pna: 30, penaltyDivisor: 7290, incomeCap: true, medicallyNeedy: false },
+  AK: { name: 'Alaska', agency: 'https://health.alaska.gov/dpa', resources: [2000, 3000], csra: 'max', mmnaMin: 3193.75, pna: 200, penaltyDivisor: 27510, incomeCap: true, medicallyNeedy: false },
+  AZ: { name: 'Arizona', programName: 'AHCCCS', agency: 'https://www.azahcccs.gov', resources: [2000, 3000], pna: 145.05, penaltyDivisor: 9214, incomeCap: true, medicallyNeedy: false, retroMonths: 0 },
+  AR: { name: 'Arkansas', agency: 'https://humanservices.arkansas.gov', resources: [2000, 3000], pna: 40, penaltyDivisor: 7328, incomeCap: true, medicallyNeedy: true },
+  CA: { name: 'California', programName: 'Medi-Cal', agency: 'https://www.dhcs.ca.gov', resources: [null, null], csra: 'max', mmna: 'max', pna: 35, penaltyDivisor: 12568, lookback: 0, homeEquity: 'max', incomeCap: false, medicallyNeedy: true, communityFpl: 1.38, incomeDisregards: { generalExclusion: 230 } },
+  CO: { name: 'Colorado', programName: 'Health First Colorado', agency: 'https://hcpf.colorado.gov', resources: [2000, 3000], csra: 'max', pna: 106.44, penaltyDivisor: 10042, incomeCap: true, medicallyNeedy: false },
+  CT: { name: 'Connecticut', programName: 'HUSKY Health', agency: 'https://portal.ct.gov/dss', resources: [1600, 3200], pna: 75.36, penaltyDivisor: 15086, homeEquity: 'max', incomeCap: false, medicallyNeedy: true },
+  DE: { name: 'Delaware', agency: 'https://dhss.delaware.gov/dhss/dmma', resources: [2000, 3000], pna: 50, penaltyDivisor: 11316, incomeCap: true, medicallyNeedy: false },
+  DC: { name: 'District of Columbia', agency: 'https://dhcf.dc.gov', resources: [4000, 6000], csra: 'max', pna: 100, penaltyDivisor: 12390, homeEquity: 'max', incomeCap: false, medicallyNeedy: true, communityFpl: 1 },
+  FL: { name: 'Florida', agency: 'https://www.myflfamilies.com', resources: [2000, 3000], csra: 'max', pna: 160, penaltyDivisor: 10438, incomeCap: true, medicallyNeedy: true, retirementInPayout: 'exempt', retroMonths: 0, communityFpl: 0.88 },
+  GA: { name: 'Georgia', agency: 'https://medicaid.georgia.gov', resources: [2000, 4000], csra: 'max', pna: 70, penaltyDivisor: 8273, incomeCap: true, medicallyNeedy: true, retirementInPayout: 'exempt' },
+  HI: { name: 'Hawaii', programName: 'Med-QUEST', agency: 'https://medquest.hawaii.gov', resources: [2000, 3000], csra: 'max', mmnaMin: 2938.75, pna: 50, penaltyDivisor: 13930, incomeCap: false, medicallyNeedy: true },
+  ID: { name: 'Idaho', agency: 'https://healthandwelfare.idaho.gov', resources: [2000, 3000], pna: 40, penaltyDivisor: 10218, incomeCap: true, medicallyNeedy: false },
+  IL: { name: 'Illinois', agency: 'https://hfs.illinois.gov', resources: [17500, 35000], csra: [109560, 109560], pna: 60, penaltyDivisor: 7200, incomeCap: false, medicallyNeedy: true, communityFpl: 1, transferPenalty: { periodUnit: 'daily' } },
+  IN: { name: 'Indiana', agency: 'https://www.in.gov/medicaid', resources: [2000, 3000], pna: 52, penaltyDivisor: 7844, incomeCap: true, medicallyNeedy: false, retirementInPayout: 'exempt' },
+  IA: { name: 'Iowa', agency: 'https://hhs.iowa.gov', resources: [2000, 3000], pna: 50, penaltyDivisor: 7910, incomeCap: true, medicallyNeedy: true },
+  KS: { name: 'Kansas', programName: 'KanCare', agency: 'https://www.kancare.ks.gov', resources: [2000, 3000], pna: 62, penaltyDivisor: 7080, incomeCap: false, medicallyNeedy: true },
+  KY: { name: 'Kentucky', agency: 'https://www.chfs.ky.gov/agencies/dms', resources: [2000, 4000], pna: 40, penaltyDivisor: 9055, incomeCap: false, medicallyNeedy: true, retirementInPayout: 'exempt' },
+  LA: { name: 'Louisiana', agency: 'https://ldh.la.gov/medicaid', resources: [2000, 3000], csra: 'max', pna: 38, penaltyDivisor: 5780, incomeCap: true, medicallyNeedy: true },
+  ME: { name: 'Maine', programName: 'MaineCare', agency: 'https://www.maine.gov/dhhs/ofi', resources: [10000, 15000], csra: 'max', pna: 40, penaltyDivisor: 12062, homeEquity: 'max', incomeCap: false, medicallyNeedy: true },
+  MD: { name: 'Maryland', agency: 'https://health.maryland.gov/mmcp', resources: [2500, 3000], pna: 85, penaltyDivisor: 11520, incomeCap: false, medicallyNeedy: true },
+  MA: { name: 'Massachusetts', programName: 'MassHealth', agency: 'https://www.mass.gov/masshealth', resources: [2000, 3000], pna: 72.80, penaltyDivisor: 14430, homeEquity: 'max', incomeCap: false, medicallyNeedy: true, communityFpl: 1, transferPenalty: { periodUnit: 'daily' } },
+  MI: { name: 'Michigan', agency: 'https://www.michigan.gov/mdhhs', resources: [9660, 14470], pna: 60, penaltyDivisor: 10393, incomeCap: false, medicallyNeedy: true },
+  MN: { name: 'Minnesota', programName: 'Medical Assistance', agency: 'https://mn.gov/dhs', resources: [3000, 6000], pna: 117, penaltyDivisor: 9346, incomeCap: false, medicallyNeedy: true },
+  MS: { name: 'Mississippi', agency: 'https://medicaid.ms.gov', resources: [4000, 6000], csra: 'max', pna: 44, penaltyDivisor: 8350, incomeCap: true, medicallyNeedy: false },
+  MO: { name: 'Missouri', programName: 'MO HealthNet', agency: 'https://mydss.mo.gov', resources: [6035, 11996], pna: 50, penaltyDivisor: 7011, incomeCap: false, medicallyNeedy: false },
+  MT: { name: 'Montana', agency: 'https://dphhs.mt.gov', resources: [2000, 3000], pna: 50, penaltyDivisor: 9068, incomeCap: false, medicallyNeedy: true },
+  NE: { name: 'Nebraska', agency: 'https://dhhs.ne.gov', resources: [4000, 6000], pna: 60, penaltyDivisor: 8184, incomeCap: false, medicallyNeedy: true },
+  NV: { name: 'Nevada', agency: 'https://dwss.nv.gov', resources: [2000, 3000], pna: 35, penaltyDivisor: 9002, incomeCap: true, medicallyNeedy: false },
+  NH: { name: 'New Hampshire', agency: 'https://www.dhhs.nh.gov', resources: [2500, 4000], pna: 70, penaltyDivisor: 13700, incomeCap: false, medicallyNeedy: true },
+  NJ: { name: 'New Jersey', programName: 'NJ FamilyCare', agency: 'https://www.nj.gov/humanservices/dmahs', resources: [2000, 3000], pna: 50, penaltyDivisor: 13107, homeEquity: 'max', incomeCap: true, medicallyNeedy: true, communityFpl: 1, transferPenalty: { periodUnit: 'daily' } },
+  NM: { name: 'New Mexico', programName: 'Turquoise Care', agency: 'https://www.hca.nm.gov', resources: [2000, 3000], pna: 75, penaltyDivisor: 9000, incomeCap: true, medicallyNeedy: false },
+  NY: { name: 'New York', agency: 'https://www.health.ny.gov/health_care/medicaid', resources: [32396, 43781], csra: [74820, 162660], mmna: 'max', pna: 50, penaltyDivisor: 15260, homeEquity: 'max', incomeCap: false, medicallyNeedy: true },
+  NC: { name: 'North Carolina', agency: 'https://medicaid.ncdhhs.gov', resources: [2000, 3000], pna: 30, penaltyDivisor: 8018, incomeCap: false, medicallyNeedy: true, retirementInPayout: 'exempt', communityFpl: 1 },
+  ND: { name: 'North Dakota', agency: 'https://www.hhs.nd.gov', resources: [3000, 6000], csra: 'max', pna: 100, penaltyDivisor: 13870, incomeCap: false, medicallyNeedy: true },
+  OH: { name: 'Ohio', agency: 'https://medicaid.ohio.gov', resources: [2000, 3000], pna: 50, penaltyDivisor: 8030, incomeCap: true, medicallyNeedy: false },
+  OK: { name: 'Oklahoma', programName: 'SoonerCare', agency: 'https://oklahoma.gov/ohca', resources: [2000, 4000], csra: 'max', pna: 75, penaltyDivisor: 6302, incomeCap: true, medicallyNeedy: false },
+  OR: { name: 'Oregon', programName: 'Oregon Health Plan', agency: 'https://www.oregon.gov/odhs', resources: [2000, 3000], pna: 71, penaltyDivisor: 11913, incomeCap: true, medicallyNeedy: false },
+  PA: { name: 'Pennsylvania', programName: 'Medical Assistance', agency: 'https://www.pa.gov/agencies/dhs', resources: [2400, 3000], pna: 45, penaltyDivisor: 13530, incomeCap: false, medicallyNeedy: true, communityFpl: 1 },
+  RI: { name: 'Rhode Island', agency: 'https://eohhs.ri.gov', resources: [4000, 6000], pna: 50, penaltyDivisor: 11069, incomeCap: false, medicallyNeedy: true },
+  SC: { name: 'South Carolina', programName: 'Healthy Connections', agency: 'https://www.scdhhs.gov', resources: [2000, 3000], pna: 30, penaltyDivisor: 8078, incomeCap: true, medicallyNeedy: false, retirementInPayout: 'exempt' },
+  SD: { name: 'South Dakota', agency: 'https://dss.sd.gov', resources: [2000, 3000], pna: 60, penaltyDivisor: 8100, incomeCap: true, medicallyNeedy: false },
+  TN: { name: 'Tennessee', programName: 'TennCare', agency: 'https://www.tn.gov/tenncare', resources: [2000, 3000], pna: 50, penaltyDivisor: 8025, incomeCap: true, medicallyNeedy: false },
+  TX: { name: 'Texas', agency: 'https://www.hhs.texas.gov', resources: [2000, 3000], pna: 60, penaltyDivisor: 7908, incomeCap: true, medicallyNeedy: false },
+  UT: { name: 'Utah', agency: 'https://medicaid.utah.gov', resources: [2000, 3000], pna: 45, penaltyDivisor: 7726, incomeCap: false, medicallyNeedy: true },
+  VT: { name: 'Vermont', agency: 'https://dvha.vermont.gov', resources: [2000, 3000], csra: 'max', pna: 52.61, penaltyDivisor: 13356, incomeCap: false, medicallyNeedy: true },
+  VA: { name: 'Virginia', agency: 'https://www.dmas.virginia.gov', resources: [2000, 3000], pna: 40, penaltyDivisor: 8919, incomeCap: false, medicallyNeedy: true, communityFpl: 0.8 },
+  WA: { name: 'Washington', programName: 'Apple Health', agency: 'https://www.hca.wa.gov', resources: [2000, 3000], pna: 75.36, penaltyDivisor: 11523, homeEquity: 'max', incomeCap: false, medicallyNeedy: true },
+  WV: { name: 'West Virginia', agency: 'https://bms.wv.gov', resources: [2000, 3000], pna: 50, penaltyDivisor: 11475, incomeCap: false, medicallyNeedy: true },
+  WI: { name: 'Wisconsin', agency: 'https://www.dhs.wisconsin.gov', resources: [2000, 3000], pna: 45, penaltyDivisor: 10198, homeEquity: 'max', incomeCap: false, medicallyNeedy: true },
+  WY: { name: 'Wyoming', agency: 'https://health.wyo.gov', resources: [2000, 3000], csra: 'max', pna: 50, penaltyDivisor: 8836, incomeCap: true, medicallyNeedy: false }
+};
+
+/**
+ * Medically needy income limits (MNIL, monthly, one person) and the length of
+ * the budget period over which excess income is offset by incurred medical
+ * expenses, for every state with a medically needy program
+ */
+const MEDICALLY_NEEDY = {
+  AR: { incomeLimit: 108, budgetPeriodMonths: 6 },
+  CA: { incomeLimit: 600, budgetPeriodMonths: 1 },
+  CT: { incomeLimit: 1130, budgetPeriodMonths: 6 },
+  DC: { incomeLimit: 1304, budgetPeriodMonths: 6 },
+  FL: { incomeLimit: 180, budgetPeriodMonths: 1 },
+  GA: { incomeLimit: 317, budgetPeriodMonths: 1 },
+  HI: { incomeLimit: 469, budgetPeriodMonths: 1 },
+  IL: { incomeLimit: 1305, budgetPeriodMonths: 1 },
+  IA: { incomeLimit: 483, budgetPeriodMonths: 2 },
+  KS: { incomeLimit: 495, budgetPeriodMonths: 6 },
+  KY: { incomeLimit: 217, budgetPeriodMonths: 3 },
+  LA: { incomeLimit: 100, budgetPeriodMonths: 3 },
+  ME: { incomeLimit: 315, budgetPeriodMonths: 6 },
+  MD: { incomeLimit: 350, budgetPeriodMonths: 6 },
+  MA: { incomeLimit: 522, budgetPeriodMonths: 6 },
+  MI: { incomeLimit: 375, budgetPeriodMonths: 1 },
+  MN: { incomeLimit: 1043, budgetPeriodMonths: 1 },
+  MT: { incomeLimit: 525, budgetPeriodMonths: 1 },
+  NE: { incomeLimit: 392, budgetPeriodMonths: 1 },
+  NH: { incomeLimit: 591, budgetPeriodMonths: 6 },
+  NJ: { incomeLimit: 367, budgetPeriodMonths: 6 },
+  NY: { incomeLimit: 1836, budgetPeriodMonths: 1 },
+  NC: { incomeLimit: 242, budgetPeriodMonths: 6 },
+  ND: { incomeLimit: 1083, budgetPeriodMonths: 1 },
+  PA: { incomeLimit: 425, budgetPeriodMonths: 6 },
+  RI: { incomeLimit: 1018, budgetPeriodMonths: 6 },
+  UT: { incomeLimit: 1305, budgetPeriodMonths: 1 },
+  VT: { incomeLimit: 1225, budgetPeriodMonths: 6 },
+  VA: { incomeLimit: 431, budgetPeriodMonths: 6 },
+  WA: { incomeLimit: 1067, budgetPeriodMonths: 6 },
+  WV: { incomeLimit: 200, budgetPeriodMonths: 6 },
+  WI: { incomeLimit: 591.67, budgetPeriodMonths: 6 }
+};
+
+/**
+ * Regional penalty divisors and average nursing home costs, for states that
+ * publish them by region instead of one statewide figure. Regions are keyed by
+ * county name (without "County") and optionally by 5-digit ZIP code; the
+ * statewide figure above still applies to addresses outside every region.
+ */
+const REGIONS = {
+  NY: {
+    source: {
+      url: 'https://www.health.ny.gov/health_care/medicaid/reference/mrg/',
+      title: 'New York Medicaid Reference Guide - Regional rates for transfer of assets penalty'
+    },
+    regions: [
+      { code: 'nyc', name: 'New York City', penaltyDivisor: 15260, counties: ['Bronx', 'Kings', 'New York', 'Queens', 'Richmond'] },
+      { code: 'long_island', name: 'Long Island', penaltyDivisor: 15646, counties: ['Nassau', 'Suffolk'] },
+      { code: 'northern_metropolitan', name: 'Northern Metropolitan', penaltyDivisor: 14497, counties: ['Dutchess', 'Orange', 'Putnam', 'Rockland', 'Sullivan', 'Ulster', 'Westchester'] },
+      { code: 'western', name: 'Western', penaltyDivisor: 12699, counties: ['Allegany', 'Cattaraugus', 'Chautauqua', 'Erie', 'Genesee', 'Niagara', 'Orleans', 'Wyoming'] },
+      { code: 'rochester', name: 'Rochester', penaltyDivisor: 14129, counties: ['Chemung', 'Livingston', 'Monroe', 'Ontario', 'Schuyler', 'Seneca', 'Steuben', 'Wayne', 'Yates'] },
+      { code: 'northeastern', name: 'Northeastern', penaltyDivisor: 13396, counties: ['Albany', 'Clinton', 'Columbia', 'Delaware', 'Essex', 'Franklin', 'Fulton', 'Greene', 'Hamilton', 'Montgomery', 'Otsego', 'Rensselaer', 'Saratoga', 'Schenectady', 'Schoharie', 'Warren', 'Washington'] },
+      { code: 'central', name: 'Central', penaltyDivisor: 12858, counties: ['Broome', 'Cayuga', 'Chenango', 'Cortland', 'Herkimer', 'Jefferson', 'Lewis', 'Madison', 'Oneida', 'Onondaga', 'Oswego', 'St. Lawrence', 'Tioga', 'Tompkins'] }
+    ]
+  }
+};
+
+/**
+ * Wraps a value with its citation
+ *
+ * @param {*} value - Field value
+ * @param {Object} source - { url, title }
+ * @returns {Object} Cited field
+ */
+function cite(value, source) {
+  return {
+    value,
+    citation: toCitation(source)
+  };
+}
+
+/**
+ * Builds the citation for a source document, flagging it as pending
+ * verification until it records a real retrieval date
+ *
+ * @param {Object} source - { url, title, retrievedAt }
+ * @returns {Object} Citation
+ */
+function toCitation(source) {
+  return source.retrievedAt ?
+    { url: source.url, title: source.title, retrievedAt: source.retrievedAt } :
+    { url: source.url, title: source.title, retrievedAt: null, pendingVerification: true };
+}
+
+/**
+ * Builds the fully cited record for one state
+ *
+ * @param {string} stateCode - Two-letter state code
+ * @param {Object} state - State-set figures from STATES
+ * @param {Object} federal - Federal standards in force
+ * @returns {Object} State record with a citation on every field
+ */
+function buildStateRecord(stateCode, state, federal) {
+  const agency = {
+    url: state.agency,
+    title: `${state.name} Medicaid agency (state-set long-term care standards)`
+  };
+  const { cmsStandards, ssiPaymentAmounts, ssiIncomeRules, socialSecurityAct1902, socialSecurityAct1917 } = FEDERAL_SOURCES;
+
+  const csra = Array.isArray(state.csra) ? state.csra :
+    [state.csra === 'max' ? federal.csraMax : federal.csraMin, federal.csraMax];
+  const mmnaMin = state.mmna === 'max' ? federal.mmnaMax : (state.mmnaMin || federal.mmnaMin);
+  const homeEquity = state.homeEquity === 'max' ? federal.homeEquityMax : federal.homeEquityMin;
+  const medicallyNeedy = state.medicallyNeedy ? MEDICALLY_NEEDY[stateCode] : null;
+  const communityIncome = state.communityFpl ?
+    [federal.povertySingle, federal.povertyCouple].map(limit => Math.round(limit * state.communityFpl * 100) / 100) :
+    [federal.ssiSingle, federal.ssiCouple];
+
+  return {
+    stateCode,
+    name: state.name,
+    programName: state.programName || `${state.name} Medicaid`,
+    fields: {
+      resourceLimitSingle: cite(state.resources[0], agency),
+      resourceLimitCouple: cite(state.resources[1], agency),
+      communitySpouseResourceAllowanceMin: cite(csra[0], Array.isArray(state.csra) ? agency : cmsStandards),
+      communitySpouseResourceAllowanceMax: cite(csra[1], Array.isArray(state.csra) ? agency : cmsStandards),
+      monthlyMaintenanceNeedsAllowanceMin: cite(mmnaMin, state.mmna ? agency : cmsStandards),
+      monthlyMaintenanceNeedsAllowanceMax: cite(federal.mmnaMax, cmsStandards),
+      monthlyPersonalNeedsAllowance: cite(state.pna, agency),
+      penaltyDivisor: cite(state.penaltyDivisor, agency),
+      lookbackPeriodMonths: state.lookback !== undefined ?
+        cite(state.lookback, agency) : cite(60, socialSecurityAct1917),
+      homeEquityLimit: cite(homeEquity, cmsStandards),
+      incomeLimitSingle: cite(federal.specialIncomeLimit, cmsStandards),
+      incomeCapState: cite(state.incomeCap, agency),
+      medicallyNeedyProgram: cite(state.medicallyNeedy, agency),
+      medicallyNeedyIncomeLimit: cite(medicallyNeedy ? medicallyNeedy.incomeLimit : null, agency),
+      medicallyNeedyBudgetPeriodMonths: cite(medicallyNeedy ? medicallyNeedy.budgetPeriodMonths : null, agency),
+      annuityRules: cite({ ...DRA_ANNUITY_RULES }, socialSecurityAct1917),
+      retirementAccountTreatment: cite(state.retirementInPayout === 'exempt' ? 'exempt_in_payout' : 'countable', agency),
+      retroactiveCoverageMonths: state.retroMonths !== undefined ?
+        cite(state.retroMonths, agency) : cite(3, socialSecurityAct1902),
+      communityIncomeLimitSingle: cite(communityIncome[0], state.communityFpl ? agency : ssiPaymentAmounts),
+      communityIncomeLimitCouple: cite(communityIncome[1], state.communityFpl ? agency : ssiPaymentAmounts),
+      // Waiver participants keep up to the special income limit for living at home
+      hcbsMaintenanceAllowance: cite(federal.specialIncomeLimit, cmsStandards),
+      incomeDisregards: state.incomeDisregards ?
+        cite({ ...FEDERAL_INCOME_DISREGARDS, ...state.incomeDisregards }, agency) :
+        cite({ ...FEDERAL_INCOME_DISREGARDS }, ssiIncomeRules),
+      transferPenaltyRules: state.transferPenalty ?
+        cite({ ...FEDERAL_TRANSFER_PENALTY_RULES, ...state.transferPenalty }, agency) :
+        cite({ ...FEDERAL_TRANSFER_PENALTY_RULES }, socialSecurityAct1917)
+    },
+    regions: buildRegions(REGIONS[stateCode])
+  };
+}
+
+/**
+ * Builds the cited region list for a state
+ *
+ * @param {Object} [stateRegions] - Entry from REGIONS
+ * @returns {Array} Regions as { code, name, counties, zipCodes, penaltyDivisor, averageNursingHomeCost, citation }
+ */
+function buildRegions(stateRegions) {
+  if (!stateRegions) {
+    return [];
+  }
+
+  return stateRegions.regions.map(region => ({
+    code: region.code,
+    name: region.name,
+    counties: region.counties || [],
+    zipCodes: region.zipCodes || [],
+    penaltyDivisor: region.penaltyDivisor,
+    // The regional divisor is the region's average monthly private-pay nursing home rate
+    averageNursingHomeCost: region.averageNursingHomeCost || region.penaltyDivisor,
+    citation: toCitation(stateRegions.source)
+  }));
+}
+
+/**
+ * Dataset versions, newest first. A version is in force from its effective
+ * date through its expiration date. After the newest version expires the
+ * loader keeps serving it marked stale, so a new year needs a new version (or
+ * medicaid_rules rows) to replace last year's figures.
+ */
+const DATASET_VERSIONS = [
+  {
+    version: '2025.1',
+    effectiveDate: '2025-01-01',
+    expirationDate: '2025-12-31',
+    states: Object.fromEntries(
+      Object.entries(STATES).map(([stateCode, state]) => [stateCode, buildStateRecord(stateCode, state, FEDERAL_2025)])
+    )
+  }
+];
+
+module.exports = {
+  FEDERAL_INCOME_DISREGARDS,
+  FEDERAL_TRANSFER_PENALTY_RULES,
+  RULE_FIELDS,
+  NULLABLE_FIELDS,
+  DATASET_VERSIONS
+};
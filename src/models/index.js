@@ -1,4 +1,5 @@
 const pool = require('../../config/database');
+const { getRuleYear } = require('../services/utils/effectiveDate');
 
 class BaseModel {
   static async query(text, params) {
@@ -46,21 +47,23 @@ class Client extends BaseModel {
       date_of_birth,
       age,
       marital_status,
-      gohighlevel_contact_id
+      gohighlevel_contact_id,
+      address
     } = clientData;
 
     const query = `
       INSERT INTO clients (
         assigned_planner_id, first_name, last_name, email, phone, 
-        date_of_birth, age, marital_status, gohighlevel_contact_id
+        date_of_birth, age, marital_status, gohighlevel_contact_id, address
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING *
     `;
     
     const result = await super.query(query, [
       assigned_planner_id, first_name, last_name, email, phone, 
-      date_of_birth, age, marital_status, gohighlevel_contact_id
+      date_of_birth, age, marital_status, gohighlevel_contact_id,
+      address ? JSON.stringify(address) : null
     ]);
     
     return result.rows[0];
@@ -244,8 +247,15 @@ class Report extends BaseModel {
 }
 
 class BenefitRules extends BaseModel {
-  static async findByStateAndProgram(state, program, year = 2025) {
-    const query = 'SELECT * FROM benefit_rules WHERE state = $1 AND program = $2 AND year = $3';
+  // Each lookup returns the newest rule year not after the requested year,
+  // so a year without published figures falls back to the prior year's rules
+  static async findByStateAndProgram(state, program, year = getRuleYear()) {
+    const query = `
+      SELECT * FROM benefit_rules
+      WHERE state = $1 AND program = $2 AND year <= $3
+      ORDER BY year DESC
+      LIMIT 1
+    `;
     const result = await super.query(query, [state.toUpperCase(), program.toLowerCase(), year]);
     const rule = result.rows[0];
     
@@ -256,8 +266,12 @@ class BenefitRules extends BaseModel {
     return rule;
   }
 
-  static async findByState(state, year = 2025) {
-    const query = 'SELECT * FROM benefit_rules WHERE state = $1 AND year = $2 ORDER BY program';
+  static async findByState(state, year = getRuleYear()) {
+    const query = `
+      SELECT DISTINCT ON (program) * FROM benefit_rules
+      WHERE state = $1 AND year <= $2
+      ORDER BY program, year DESC
+    `;
     const result = await super.query(query, [state.toUpperCase(), year]);
     
     return result.rows.map(rule => {
@@ -268,8 +282,12 @@ class BenefitRules extends BaseModel {
     });
   }
 
-  static async findAllByProgram(program, year = 2025) {
-    const query = 'SELECT * FROM benefit_rules WHERE program = $1 AND year = $2 ORDER BY state';
+  static async findAllByProgram(program, year = getRuleYear()) {
+    const query = `
+      SELECT DISTINCT ON (state) * FROM benefit_rules
+      WHERE program = $1 AND year <= $2
+      ORDER BY state, year DESC
+    `;
     const result = await super.query(query, [program.toLowerCase(), year]);
     
     return result.rows.map(rule => {
@@ -6,12 +6,20 @@ const eligibilityController = require('../controllers/eligibilityController');
 // POST route for eligibility assessment
 router.post('/assess', eligibilityController.assessEligibility);
 
+// Batch screening: queue a JSON or CSV batch, then poll the job for results
+// (a CSV file can also be uploaded as the body with Content-Type: text/csv)
+router.post('/batch', express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }), eligibilityController.createBatchAssessment);
+router.get('/batch/:jobId', eligibilityController.getBatchAssessment);
+
 // POST route for enhanced eligibility report
 router.post('/enhanced-report', eligibilityController.generateEnhancedReport);
 
 // GET route for state-specific rules
 router.get('/rules/:state', eligibilityController.getStateMedicaidRules);
 
+// GET route reporting schema problems in a state's stored rule sets
+router.get('/rules/:state/validate', eligibilityController.validateStateMedicaidRules);
+
 module.exports = router;
 
 // src/routes/planningRoutes.js
@@ -7,6 +7,12 @@ const postEligibilityPlanning = require('../services/planning/postEligibilityPla
 const eligibilityAssessment = require('../services/planning/eligibilityAssessment');
 const reportGenerator = require('../services/reporting/reportGenerator');
 const integrationController = require('../controllers/integrationController');
+const { authenticateToken } = require('../middleware/auth');
+const { isValidAsOfDate } = require('../services/utils/effectiveDate');
+
+// Imported bank statements belong to the user who uploaded them, so reading one needs a signed-in user
+const authenticateForTransferImport = (req, res, next) =>
+  req.body && req.body.transfer_import_id ? authenticateToken(req, res, next) : next();
 
 // POST route for comprehensive planning
 router.post('/comprehensive', planningController.comprehensivePlanning);
@@ -16,13 +22,19 @@ router.post('/asset', planningController.assetPlanning);
 router.post('/income', planningController.incomePlanning);
 router.post('/trust', planningController.trustPlanning);
 router.post('/annuity', planningController.annuityPlanning);
-router.post('/divestment', planningController.divestmentPlanning);
+router.post('/divestment', authenticateForTransferImport, planningController.divestmentPlanning);
+router.post('/half-a-loaf', planningController.halfALoafPlanning);
 router.post('/care', planningController.carePlanning);
 
+// Bank statement import: flag likely transfers, then confirm or dismiss them for divestment planning
+router.post('/transfer-imports', authenticateToken, planningController.createTransferImport);
+router.get('/transfer-imports/:importId', authenticateToken, planningController.getTransferImport);
+router.post('/transfer-imports/:importId/review', authenticateToken, planningController.reviewTransferImport);
+
 // POST route for eligibility assessment
 router.post('/eligibility', async (req, res) => {
   try {
-    const { clientInfo, assets, income, state, maritalStatus } = req.body;
+    const { clientInfo, assets, income, state, as_of_date, program_type } = req.body;
     
     if (!assets || !income || !state) {
       return res.status(400).json({
@@ -30,13 +42,25 @@ router.post('/eligibility', async (req, res) => {
         status: 'error'
       });
     }
+    if (!isValidAsOfDate(as_of_date)) {
+      return res.status(400).json({
+        error: `Invalid as_of_date: ${as_of_date} (expected a date in YYYY-MM-DD format)`,
+        status: 'error'
+      });
+    }
     
     const result = await eligibilityAssessment.medicaidEligibilityAssessment(
-      clientInfo || {}, assets, income, state, maritalStatus || (clientInfo ? clientInfo.maritalStatus : 'single')
+      clientInfo || {}, assets, income, state, { asOfDate: as_of_date, programType: program_type }
     );
     
     return res.json(result);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: error.message,
+        status: 'error'
+      });
+    }
     console.error(`Eligibility Assessment Error: ${error.message}`);
     return res.status(500).json({
       error: `Server error: ${error.message}`,
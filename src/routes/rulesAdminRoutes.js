@@ -0,0 +1,37 @@
+// src/routes/rulesAdminRoutes.js
+const express = require('express');
+const router = express.Router();
+const rulesAdminController = require('../controllers/rulesAdminController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+// Every rules administration endpoint requires an authenticated admin
+router.use(authenticateToken, requireRole(['admin']));
+
+// GET route for listing rule changes (?status=&state=&ruleType=)
+router.get('/', rulesAdminController.listRuleChanges);
+
+// POST route for drafting a rule change
+router.post('/', rulesAdminController.createRuleChange);
+
+// Bulk import (dry run by default) and export in the migrations/002 column layout
+router.post('/import', rulesAdminController.importRules);
+router.get('/export', rulesAdminController.exportRules);
+
+// POST route for the impact of proposed rule values on stored assessments
+router.post('/impact', rulesAdminController.analyzeImpact);
+
+// GET route for a single rule change
+router.get('/:id', rulesAdminController.getRuleChange);
+
+// PUT route for editing a draft
+router.put('/:id', rulesAdminController.updateRuleChange);
+
+// POST routes for the review workflow
+router.post('/:id/submit', rulesAdminController.submitRuleChange);
+router.post('/:id/approve', rulesAdminController.approveRuleChange);
+router.post('/:id/reject', rulesAdminController.rejectRuleChange);
+
+// GET route for the impact of a drafted rule change on stored assessments
+router.get('/:id/impact', rulesAdminController.analyzeRuleChangeImpact);
+
+module.exports = router;
@@ -12,6 +12,7 @@ const app = require('./app');
 const logger = require('./config/logger');
 const config = require('./config/config');
 const { initializeDatabase } = require('./utils/databaseInit');
+const { refreshRulesRegistry, scheduleRulesRegistryRefresh } = require('./services/utils/medicaidRulesLoader');
 
 // Environment variable validation
 function validateEnvironment() {
@@ -107,6 +108,14 @@ async function startServer() {
     // Initialize database tables if needed
     await initializeDatabase();
     
+    // Warm the in-process rules registry so synchronous rule lookups see database rules
+    try {
+      await refreshRulesRegistry();
+    } catch (error) {
+      logger.warn(`Medicaid rules registry not warmed, using the rules dataset until next refresh: ${error.message}`);
+    }
+    scheduleRulesRegistryRefresh();
+    
     // Start server
     const server = app.listen(config.port, () => {
       serverStarted = true;
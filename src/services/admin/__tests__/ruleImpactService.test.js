@@ -0,0 +1,124 @@
+// src/services/admin/__tests__/ruleImpactService.test.js
+const { ruleDataToOverrides, analyzeRuleChangeImpact } = require('../ruleImpactService');
+const db = require('../../../../config/database');
+const { getMedicaidRulesFromDb } = require('../../utils/medicaidRulesLoader');
+
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Keep the real state helpers but serve a fixed current rule set
+jest.mock('../../utils/medicaidRulesLoader', () => ({
+  ...jest.requireActual('../../utils/medicaidRulesLoader'),
+  getMedicaidRulesFromDb: jest.fn()
+}));
+
+jest.mock('../../enhanced-strategies/enhancedStrategyService', () => ({
+  getStrategiesForAssessment: jest.fn().mockResolvedValue([])
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Rule Change Impact Analysis', () => {
+  const currentRules = {
+    programName: 'Florida Medicaid',
+    resourceLimitSingle: 2000,
+    resourceLimitMarried: 157920,
+    incomeLimitSingle: 2901,
+    incomeLimitMarried: 5802,
+    lookbackPeriodMonths: 60,
+    penaltyDivisor: 9703
+  };
+
+  const storedAssessment = (id, clientInfo, assets, extra = {}) => ({
+    id,
+    client_id: `client-${id}`,
+    first_name: clientInfo.name.split(' ')[0],
+    last_name: clientInfo.name.split(' ')[1],
+    email: `${id}@example.com`,
+    assigned_planner_id: 'planner-1',
+    assessment_data: {
+      client_info: clientInfo,
+      assets,
+      income: { social_security: 1500 },
+      state: 'florida',
+      ...extra
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getMedicaidRulesFromDb.mockResolvedValue(currentRules);
+    db.query.mockResolvedValue({
+      rows: [
+        storedAssessment('a1', { name: 'Ann Lee', age: 80, marital_status: 'single' }, { countable: 2400 }),
+        storedAssessment('a2', { name: 'Bob Roe', age: 84, marital_status: 'single' }, { countable: 50000 }, {
+          past_transfers: [{ date: '2025-06-01', amount: 48515, purpose: 'gift', recipient: 'son' }]
+        }),
+        storedAssessment('a3', { name: 'Cy Poe', age: 77, marital_status: 'single' }, { countable: 1000 })
+      ]
+    });
+  });
+
+  test('should map medicaid_rules columns onto planning rules', () => {
+    expect(ruleDataToOverrides({
+      individual_resource_limit: '2500',
+      community_spouse_resource_allowance_max: 162660,
+      penalty_divisor: 10438
+    })).toEqual({
+      resourceLimitSingle: 2500,
+      resourceLimitMarried: 162660,
+      communitySpouseResourceAllowanceMax: 162660,
+      penaltyDivisor: 10438
+    });
+  });
+
+  test('should report eligibility flips, excess resources and penalty shifts', async () => {
+    const report = await analyzeRuleChangeImpact({
+      state: 'FL',
+      proposedRules: { resourceLimitSingle: 2500, penaltyDivisor: 10438 },
+      asOfDate: '2026-01-15'
+    });
+
+    expect(getMedicaidRulesFromDb).toHaveBeenCalledWith('FL', '2026-01-15');
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining("assessment_data->>'state_code'"), [['FL', 'FLORIDA']]);
+    expect(report.summary).toEqual({ assessed: 3, affected: 2, becomeEligible: 1, becomeIneligible: 0, failed: 0 });
+
+    const [flip, shift] = report.followUp;
+    expect(flip).toMatchObject({ clientName: 'Ann Lee', eligibilityChange: 'becomes_eligible', excessResourcesChange: -400 });
+    expect(shift).toMatchObject({ clientName: 'Bob Roe', eligibilityChange: null, excessResourcesChange: -500 });
+    expect(shift.current.penaltyMonths).toBeGreaterThan(shift.proposed.penaltyMonths);
+    expect(shift.penaltyMonthsChange).toBeLessThan(0);
+  });
+
+  test('should analyze a drafted rule change from the rules admin workflow', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{
+        id: 'change-1',
+        rule_type: 'medicaid',
+        state: 'FL',
+        effective_date: '2026-01-01',
+        rule_data: { individual_resource_limit: 1000, individual_income_limit: 2901 }
+      }]
+    });
+
+    const report = await analyzeRuleChangeImpact({ ruleChangeId: 'change-1', asOfDate: '2026-01-15' });
+
+    // The baseline is the rule set in force when the change takes effect
+    expect(getMedicaidRulesFromDb).toHaveBeenCalledWith('FL', '2026-01-01');
+    expect(report).toMatchObject({ ruleChangeId: 'change-1', asOfDate: '2026-01-01' });
+    expect(report.summary).toMatchObject({ assessed: 3, affected: 2, becomeIneligible: 0 });
+    expect(report.followUp.map(entry => entry.excessResourcesChange)).toEqual([1000, 1000]);
+  });
+
+  test('should require a proposed rule set', async () => {
+    await expect(analyzeRuleChangeImpact({ state: 'FL', proposedRules: {} }))
+      .rejects.toThrow('proposedRules or ruleChangeId is required');
+  });
+});
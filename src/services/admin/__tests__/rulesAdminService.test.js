@@ -0,0 +1,254 @@
+// src/services/admin/__tests__/rulesAdminService.test.js
+const {
+  validateRuleChange,
+  buildPublishQuery,
+  createRuleChange,
+  submitRuleChange,
+  approveRuleChange,
+  rejectRuleChange
+} = require('../rulesAdminService');
+const db = require('../../../../config/database');
+const { invalidateMedicaidRules } = require('../../utils/medicaidRulesLoader');
+
+// Mock the database pool and the transaction client
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+
+// Keep the real state helpers but stub the registry refresh
+jest.mock('../../utils/medicaidRulesLoader', () => ({
+  ...jest.requireActual('../../utils/medicaidRulesLoader'),
+  invalidateMedicaidRules: jest.fn().mockResolvedValue(1)
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Rules Admin Service', () => {
+  const author = { id: 'admin-1', email: 'author@example.com', role: 'admin' };
+  const reviewer = { id: 'admin-2', email: 'reviewer@example.com', role: 'admin' };
+
+  const medicaidChange = {
+    rule_type: 'medicaid',
+    state: 'florida',
+    effective_date: '2026-01-01',
+    source_citation: 'Florida DCF SSI-Related Programs Standards, January 2026 https://www.myflfamilies.com/',
+    source_retrieved_at: '2025-12-15',
+    rule_data: {
+      individual_resource_limit: 2000,
+      individual_income_limit: 2982,
+      penalty_divisor: 10438
+    }
+  };
+
+  const pendingChange = {
+    id: 'change-1',
+    ...medicaidChange,
+    state: 'FL',
+    program: null,
+    status: 'pending_approval',
+    author_id: author.id
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.connect.mockResolvedValue(mockClient);
+  });
+
+  describe('validateRuleChange', () => {
+    test('should normalize a valid change', () => {
+      const change = validateRuleChange(medicaidChange);
+
+      expect(change.state).toBe('FL');
+      expect(change.effective_date).toBe('2026-01-01');
+      expect(change.program).toBeNull();
+    });
+
+    test('should require a source citation', () => {
+      expect(() => validateRuleChange({ ...medicaidChange, source_citation: '  ' }))
+        .toThrow('source_citation is required for every rule change');
+      expect(() => validateRuleChange({ ...medicaidChange, source_citation: 'DCF bulletin' }))
+        .toThrow('source_citation for medicaid rules must include the source URL');
+    });
+
+    test('should require the date the cited source was retrieved', () => {
+      const { source_retrieved_at: omitted, ...undated } = medicaidChange;
+
+      expect(() => validateRuleChange(undated)).toThrow('source_retrieved_at is required for medicaid rules');
+      expect(() => validateRuleChange({ ...medicaidChange, source_retrieved_at: '2099-01-01' }))
+        .toThrow('source_retrieved_at cannot be in the future');
+      expect(validateRuleChange(medicaidChange).rule_data.state_specific_rules.source)
+        .toEqual({ url: 'https://www.myflfamilies.com/', retrievedAt: '2025-12-15' });
+    });
+
+    test('should reject fields that are not rule table columns', () => {
+      expect(() => validateRuleChange({
+        ...medicaidChange,
+        rule_data: { ...medicaidChange.rule_data, 'id; DROP TABLE users': 1 }
+      })).toThrow('Unknown medicaid rule fields');
+    });
+
+    test('should require a program for benefit rules', () => {
+      expect(() => validateRuleChange({
+        rule_type: 'benefit',
+        state: 'FL',
+        effective_date: '2026-01-01',
+        source_citation: 'SSA COLA notice',
+        rule_data: { individual_amount: 994 }
+      })).toThrow('program is required for benefit rules');
+    });
+  });
+
+  describe('buildPublishQuery', () => {
+    test('should upsert medicaid rules on state and effective date', () => {
+      const { text, values } = buildPublishQuery(pendingChange);
+
+      expect(text).toContain('INSERT INTO medicaid_rules');
+      expect(text).toContain('ON CONFLICT (state_code, effective_date)');
+      expect(values.slice(0, 2)).toEqual(['FL', '2026-01-01']);
+    });
+
+    test('should publish medicaid rules with their citation', () => {
+      const { values } = buildPublishQuery({ ...pendingChange, ...validateRuleChange(medicaidChange), created_at: '2025-12-18T15:00:00Z' });
+
+      expect(JSON.parse(values[values.length - 1])).toEqual({
+        source: {
+          url: 'https://www.myflfamilies.com/',
+          title: medicaidChange.source_citation,
+          retrievedAt: '2025-12-15'
+        }
+      });
+    });
+
+    test('should not take the retrieval date from when the change was drafted', () => {
+      const { values } = buildPublishQuery({ ...pendingChange, created_at: '2025-12-18T15:00:00Z' });
+
+      expect(JSON.parse(values[values.length - 1]).source.retrievedAt).toBeNull();
+    });
+
+    test('should derive the benefit rule year from the effective date', () => {
+      const { text, values } = buildPublishQuery({
+        rule_type: 'benefit',
+        state: 'FL',
+        program: 'ssi',
+        effective_date: '2026-01-01',
+        rule_data: { individual_amount: 994, program_details: { cola: 0.028 } }
+      });
+
+      expect(text).toContain('ON CONFLICT (state, program, year)');
+      expect(values).toEqual(['FL', 'ssi', 2026, '2026-01-01', 994, '{"cola":0.028}']);
+    });
+  });
+
+  describe('workflow', () => {
+    test('should record the author on new drafts', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 'change-1', status: 'draft' }] });
+
+      await createRuleChange(medicaidChange, author);
+
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO rule_changes'),
+        expect.arrayContaining(['medicaid', 'FL', '2026-01-01', author.id])
+      );
+    });
+
+    test('should only submit drafts', async () => {
+      db.query.mockResolvedValue({ rows: [pendingChange] });
+
+      await expect(submitRuleChange('change-1', author))
+        .rejects.toThrow("Cannot submit a rule change with status 'pending_approval'");
+    });
+
+    test('should not let the author approve their own change', async () => {
+      mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [pendingChange] });
+
+      await expect(approveRuleChange('change-1', author)).rejects.toMatchObject({ name: 'RuleApprovalError' });
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(invalidateMedicaidRules).not.toHaveBeenCalled();
+    });
+
+    test('should publish in one transaction and refresh the rules registry', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [pendingChange] })
+        .mockResolvedValueOnce({ rows: [{ id: 'rule-1' }] })
+        .mockResolvedValueOnce({ rows: [{ ...pendingChange, status: 'published', reviewer_id: reviewer.id }] })
+        .mockResolvedValueOnce({});
+
+      const result = await approveRuleChange('change-1', reviewer, 'Matches DCF bulletin');
+
+      expect(result.status).toBe('published');
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO medicaid_rules'), expect.any(Array));
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining("status = 'published'"),
+        ['change-1', reviewer.id, 'Matches DCF bulletin', 'rule-1']
+      );
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(invalidateMedicaidRules).toHaveBeenCalledWith('FL');
+    });
+
+    test('should re-validate a change before publishing it', async () => {
+      const invalidChange = {
+        ...pendingChange,
+        rule_data: { ...pendingChange.rule_data, state_specific_rules: { incomeLimitSingle: 99999 } }
+      };
+      mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [invalidChange] });
+
+      await expect(approveRuleChange('change-1', reviewer)).rejects.toMatchObject({ name: 'ValidationError' });
+      expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO medicaid_rules'), expect.any(Array));
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    test('should reject pending changes with review notes', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [pendingChange] })
+        .mockResolvedValueOnce({ rows: [{ ...pendingChange, status: 'rejected' }] });
+
+      const result = await rejectRuleChange('change-1', reviewer, 'Citation is out of date');
+
+      expect(result.status).toBe('rejected');
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining("status = 'rejected'"),
+        ['change-1', reviewer.id, 'Citation is out of date']
+      );
+    });
+
+    test('should not reject a change that was approved in the meantime', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [pendingChange] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(rejectRuleChange('change-1', reviewer)).rejects.toMatchObject({ name: 'RuleWorkflowError' });
+      expect(db.query).toHaveBeenLastCalledWith(expect.stringContaining("AND status = 'pending_approval'"), expect.any(Array));
+    });
+
+    test('should not submit a draft that changed status in the meantime', async () => {
+      const draft = { ...pendingChange, ...validateRuleChange(medicaidChange), status: 'draft' };
+      db.query
+        .mockResolvedValueOnce({ rows: [draft] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(submitRuleChange('change-1', author)).rejects.toMatchObject({ name: 'RuleWorkflowError' });
+      expect(db.query).toHaveBeenLastCalledWith(expect.stringContaining("AND status = 'draft'"), ['change-1']);
+    });
+
+    test('should not let the author reject their own change', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingChange] });
+
+      await expect(rejectRuleChange('change-1', author)).rejects.toMatchObject({ name: 'RuleApprovalError' });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
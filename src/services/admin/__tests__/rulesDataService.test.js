@@ -0,0 +1,321 @@
+// src/services/admin/__tests__/rulesDataService.test.js
+const {
+  validateRuleRows,
+  diffRuleRows,
+  medicaidRecordToRow,
+  importRules,
+  exportRules
+} = require('../rulesDataService');
+const { parseCsv, toCsv } = require('../../utils/csv');
+const db = require('../../../../config/database');
+const { invalidateMedicaidRules } = require('../../utils/medicaidRulesLoader');
+const { DATASET_VERSIONS } = require('../../../data/stateMedicaidRules');
+
+// Mock the database pool and the transaction client
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+
+// Keep the real rule checks but stub the registry refresh
+jest.mock('../../utils/medicaidRulesLoader', () => ({
+  ...jest.requireActual('../../utils/medicaidRulesLoader'),
+  invalidateMedicaidRules: jest.fn().mockResolvedValue(51)
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Rules Data Import/Export', () => {
+  const author = { id: 'admin-1', email: 'author@example.com', role: 'admin' };
+  const floridaRecord = {
+    state_code: 'FL',
+    effective_date: '2025-01-01',
+    individual_resource_limit: '2000',
+    individual_income_limit: '2901',
+    community_spouse_resource_allowance_min: null,
+    community_spouse_resource_allowance_max: '157920',
+    lookback_period_months: 60,
+    penalty_divisor: '9703.00',
+    state_specific_rules: {
+      homeEquityLimit: 713000,
+      source: { url: 'https://www.myflfamilies.com/', retrievedAt: '2025-01-06' }
+    }
+  };
+
+  const medicaidCsv = [
+    'state,year,income_limit_single,resource_limit_single,home_equity_limit,community_spouse_resource_allowance_max,penalty_divisor,notes,source_url,source_retrieved_at',
+    'FL,2025,2901,2000,713000,157920,9703,,https://www.myflfamilies.com/,2025-01-06',
+    'FL,2026,2982,2000,730000,162660,10438,"Per DCF bulletin, January 2026",https://www.myflfamilies.com/,2026-01-05'
+  ].join('\n');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.connect.mockResolvedValue(mockClient);
+    db.query.mockResolvedValue({ rows: [floridaRecord] });
+    mockClient.query.mockImplementation((text, values) => Promise.resolve(
+      typeof text === 'string' && text.includes('INSERT INTO rule_changes')
+        ? { rows: [{ id: `change-${values[1]}-${values[3]}`, state: values[1], program: values[2], effective_date: values[3], status: values[7] }] }
+        : { rows: [] }
+    ));
+  });
+
+  describe('csv', () => {
+    test('should parse quoted fields with commas, quotes and newlines', () => {
+      const rows = parseCsv('state,notes\r\nFL,"Line one, ""quoted""\nline two"\r\n');
+
+      expect(rows).toEqual([{ state: 'FL', notes: 'Line one, "quoted"\nline two' }]);
+    });
+
+    test('should round-trip through toCsv', () => {
+      const rows = [{ state: 'NY', notes: 'a, "b"', program_details: { cola: 0.028 } }];
+      const columns = ['state', 'notes', 'program_details'];
+
+      expect(parseCsv(toCsv(rows, columns))).toEqual([
+        { state: 'NY', notes: 'a, "b"', program_details: '{"cola":0.028}' }
+      ]);
+    });
+  });
+
+  describe('validateRuleRows', () => {
+    test('should report every invalid cell with its row number', () => {
+      const { errors } = validateRuleRows('medicaid_rules', [
+        { state: 'ZZ', year: '2026', income_limit_single: '2982', resource_limit_single: '2000', source_url: 'https://example.gov/', source_retrieved_at: '2026-01-05' },
+        { state: 'FL', year: '2026', income_limit_single: '', resource_limit_single: '-5' }
+      ]);
+
+      expect(errors).toEqual([
+        { row: 1, column: 'state', message: 'state is not a valid state code: ZZ' },
+        { row: 2, column: 'income_limit_single', message: 'income_limit_single is required' },
+        { row: 2, column: 'resource_limit_single', message: 'resource_limit_single must be a non-negative number: -5' },
+        { row: 2, column: 'source_url', message: 'source_url is required' },
+        { row: 2, column: 'source_retrieved_at', message: 'source_retrieved_at is required' }
+      ]);
+    });
+
+    test('should default the effective date to January 1 and reject duplicates', () => {
+      const { rows, errors } = validateRuleRows('benefit_rules', [
+        { state: 'fl', program: 'SSI', year: '2026', individual_amount: '994' },
+        { state: 'FL', program: 'ssi', year: '2026', individual_amount: '1000' }
+      ]);
+
+      expect(rows[0]).toMatchObject({ state: 'FL', program: 'ssi', year: 2026, effective_date: '2026-01-01', individual_amount: 994 });
+      expect(errors).toEqual([{ row: 2, column: null, message: 'Duplicate of row 1 (FL|ssi|2026)' }]);
+    });
+
+    test('should reject columns outside the file layout', () => {
+      const { errors } = validateRuleRows('benefit_rules', [
+        { state: 'FL', program: 'ssi', year: '2026', individual_fbr: '994' }
+      ]);
+
+      expect(errors[0].message).toBe('Unknown column: individual_fbr');
+    });
+  });
+
+  describe('diffRuleRows', () => {
+    test('should classify rows as unchanged, update or insert', () => {
+      const { rows } = validateRuleRows('medicaid_rules', parseCsv(medicaidCsv).concat([
+        { state: 'FL', year: '2025', income_limit_single: '2901', resource_limit_single: '2000', penalty_divisor: '9800', effective_date: '2025-07-01', source_url: 'https://www.myflfamilies.com/', source_retrieved_at: '2025-06-20' }
+      ]));
+      const current = new Map([['FL|2025-01-01', medicaidRecordToRow(floridaRecord)]]);
+
+      const diff = diffRuleRows('medicaid_rules', rows, current);
+
+      expect(diff.map(entry => entry.action)).toEqual(['unchanged', 'insert', 'insert']);
+      expect(diff[1].changes.penalty_divisor).toEqual({ from: null, to: 10438 });
+    });
+  });
+
+  describe('importRules', () => {
+    const insertedChanges = () => mockClient.query.mock.calls.filter(([text]) => text.includes('INSERT INTO rule_changes'));
+
+    test('should show the diff without writing on a dry run', async () => {
+      const result = await importRules({ table: 'medicaid_rules', format: 'csv', content: medicaidCsv });
+
+      expect(result.valid).toBe(true);
+      expect(result.summary).toEqual({ total: 2, insert: 1, update: 0, unchanged: 1 });
+      expect(result.ruleChanges).toEqual([]);
+      expect(db.connect).not.toHaveBeenCalled();
+      expect(invalidateMedicaidRules).not.toHaveBeenCalled();
+    });
+
+    test('should submit changed rows for approval instead of writing the live tables', async () => {
+      const result = await importRules({ table: 'medicaid_rules', format: 'csv', content: medicaidCsv, dryRun: false, author });
+
+      expect(result.summary.insert).toBe(1);
+      expect(result.ruleChanges).toEqual([
+        { id: 'change-FL-2026-01-01', state: 'FL', program: null, effective_date: '2026-01-01', status: 'pending_approval' }
+      ]);
+
+      const inserts = insertedChanges();
+      expect(inserts).toHaveLength(1);
+      const [ruleType, state, program, effectiveDate, ruleData, sourceCitation, authorId, status] = inserts[0][1];
+      expect([ruleType, state, program, effectiveDate, authorId, status]).toEqual(['medicaid', 'FL', null, '2026-01-01', author.id, 'pending_approval']);
+      expect(sourceCitation).toBe('FL Medicaid rules effective 2026-01-01: https://www.myflfamilies.com/');
+      expect(JSON.parse(ruleData)).toEqual({
+        individual_income_limit: 2982,
+        individual_resource_limit: 2000,
+        community_spouse_resource_allowance_max: 162660,
+        penalty_divisor: 10438,
+        state_specific_rules: {
+          homeEquityLimit: 730000,
+          notes: 'Per DCF bulletin, January 2026',
+          source: { url: 'https://www.myflfamilies.com/', retrievedAt: '2026-01-05' }
+        }
+      });
+      expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO medicaid_rules'), expect.anything());
+      expect(mockClient.query).toHaveBeenNthCalledWith(1, 'BEGIN');
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(invalidateMedicaidRules).not.toHaveBeenCalled();
+    });
+
+    test('should keep stored values for empty cells and accept cents in allowances', async () => {
+      const content = [{
+        state: 'FL', year: 2025, income_limit_single: 2901, resource_limit_single: 2000,
+        monthly_personal_needs_allowance: '160.50', source_url: 'https://www.myflfamilies.com/', source_retrieved_at: '2025-01-06'
+      }];
+
+      const result = await importRules({ table: 'medicaid_rules', format: 'json', content, dryRun: false, author });
+
+      expect(result.summary.update).toBe(1);
+      const ruleData = JSON.parse(insertedChanges()[0][1][4]);
+      expect(ruleData.state_specific_rules).toEqual({
+        homeEquityLimit: 713000,
+        monthlyPersonalNeedsAllowance: 160.5,
+        source: { url: 'https://www.myflfamilies.com/', retrievedAt: '2025-01-06' }
+      });
+    });
+
+    test('should reject rows that fail the rule schema', async () => {
+      const content = [{
+        state: 'FL', year: 2026, income_limit_single: 2982, resource_limit_single: 2000,
+        community_spouse_resource_allowance_min: 200000, community_spouse_resource_allowance_max: 162660,
+        source_url: 'https://www.myflfamilies.com/', source_retrieved_at: '2026-01-05'
+      }];
+
+      const result = await importRules({ table: 'medicaid_rules', format: 'json', content, dryRun: false, author });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        { row: 1, column: null, message: expect.stringMatching(/^Invalid medicaid rule_data: .*communitySpouseResourceAllowanceMax/) }
+      ]);
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+
+    test('should require a citation for benefit rules files', async () => {
+      const content = [{ state: 'FL', program: 'ssi', year: 2026, individual_amount: 994 }];
+      db.query.mockResolvedValue({ rows: [] });
+
+      const uncited = await importRules({ table: 'benefit_rules', format: 'json', content });
+      expect(uncited.errors).toEqual([{ row: 1, column: null, message: 'source_citation is required for every rule change' }]);
+
+      const cited = await importRules({
+        table: 'benefit_rules', format: 'json', content, dryRun: false, author,
+        sourceCitation: 'SSA COLA fact sheet 2026 https://www.ssa.gov/cola/'
+      });
+      expect(cited.ruleChanges).toEqual([expect.objectContaining({ state: 'FL', program: 'ssi', status: 'pending_approval' })]);
+    });
+
+    test('should reject the whole file when any row is invalid', async () => {
+      const result = await importRules({
+        table: 'benefit_rules',
+        format: 'json',
+        content: JSON.stringify([{ state: 'FL', program: 'ssi', year: 2026, program_details: '{bad' }]),
+        dryRun: false,
+        author
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toBe('program_details must be valid JSON');
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+
+    test('should submit nothing when one rule change cannot be saved', async () => {
+      mockClient.query.mockImplementation(text => {
+        if (text.includes('INSERT INTO')) {
+          return Promise.reject(new Error('deadlock detected'));
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      await expect(importRules({ table: 'medicaid_rules', format: 'csv', content: medicaidCsv, dryRun: false, author }))
+        .rejects.toThrow('deadlock detected');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('exportRules', () => {
+    test('should export in the same layout the import reads', async () => {
+      db.query.mockResolvedValue({ rows: [floridaRecord] });
+
+      const csv = await exportRules({ table: 'medicaid_rules', format: 'csv' });
+      const { rows, errors } = validateRuleRows('medicaid_rules', parseCsv(csv));
+
+      expect(csv.split('\n')[0]).toMatch(/^state,year,income_limit_single,income_limit_married,/);
+      expect(errors).toEqual([]);
+      expect(rows[0]).toMatchObject({ state: 'FL', year: 2025, home_equity_limit: 713000, penalty_divisor: 9703 });
+    });
+
+    describe('rows seeded from the dataset', () => {
+      // Stored the way databaseInit seeds a dataset state: a citation per field, no row source
+      const seedRecord = retrievedAt => {
+        const { fields } = DATASET_VERSIONS[0].states.FL;
+        const columns = {
+          resourceLimitSingle: 'individual_resource_limit',
+          communitySpouseResourceAllowanceMin: 'community_spouse_resource_allowance_min',
+          communitySpouseResourceAllowanceMax: 'community_spouse_resource_allowance_max',
+          incomeLimitSingle: 'individual_income_limit',
+          lookbackPeriodMonths: 'lookback_period_months',
+          penaltyDivisor: 'penalty_divisor'
+        };
+        const record = { state_code: 'FL', effective_date: '2025-01-01', state_specific_rules: { citations: {}, seededFromDataset: '2025.1' } };
+
+        Object.entries(fields).forEach(([field, { value, citation }]) => {
+          record.state_specific_rules.citations[field] = retrievedAt ? { url: citation.url, title: citation.title, retrievedAt } : citation;
+          if (columns[field]) {
+            record[columns[field]] = value;
+          } else {
+            record.state_specific_rules[field] = value;
+          }
+        });
+        return record;
+      };
+
+      test('should export the source from the field citations and import back unchanged', async () => {
+        db.query.mockResolvedValue({ rows: [seedRecord('2025-01-06')] });
+
+        const csv = await exportRules({ table: 'medicaid_rules', format: 'csv', state: 'FL' });
+        const { rows, errors } = validateRuleRows('medicaid_rules', parseCsv(csv));
+
+        expect(errors).toEqual([]);
+        expect(rows[0]).toMatchObject({ source_url: DATASET_VERSIONS[0].states.FL.fields.resourceLimitSingle.citation.url, source_retrieved_at: '2025-01-06' });
+
+        const result = await importRules({ table: 'medicaid_rules', format: 'csv', content: csv, dryRun: false, author });
+
+        expect(result.valid).toBe(true);
+        expect(result.summary).toEqual({ total: 1, insert: 0, update: 0, unchanged: 1 });
+        expect(db.connect).not.toHaveBeenCalled();
+      });
+
+      test('should leave the retrieval date blank while a citation is pending verification', async () => {
+        db.query.mockResolvedValue({ rows: [seedRecord(null)] });
+
+        const [row] = JSON.parse(await exportRules({ table: 'medicaid_rules', format: 'json', state: 'FL' }));
+
+        expect(row.source_url).toBe(DATASET_VERSIONS[0].states.FL.fields.resourceLimitSingle.citation.url);
+        expect(row.source_retrieved_at).toBeNull();
+      });
+    });
+  });
+});
@@ -0,0 +1,247 @@
+// src/services/admin/ruleImpactService.js
+// Re-runs stored eligibility assessments under a proposed Medicaid rule set so
+// planners can follow up with the clients a rule change affects.
+
+const db = require('../../../config/database');
+const logger = require('../../config/logger');
+const { assessMedicaidEligibility } = require('../planning/eligibilityAssessment');
+const { analyzePastTransfers, calculatePenaltyPeriod } = require('../planning/divestmentPlanning');
+const { getMedicaidRulesFromDb, getStateCode, getStateNames } = require('../utils/medicaidRulesLoader');
+const { resolveAsOfDate } = require('../utils/effectiveDate');
+const { ValidationError, RuleChangeNotFoundError } = require('../validation/validationErrors');
+
+// medicaid_rules columns (as drafted through the rules admin API) and the
+// planning rule each one feeds, mirroring how stored rows are loaded
+const RULE_COLUMN_KEYS = {
+  individual_resource_limit: ['resourceLimitSingle'],
+  community_spouse_resource_allowance_min: ['communitySpouseResourceAllowanceMin'],
+  community_spouse_resource_allowance_max: ['resourceLimitMarried', 'communitySpouseResourceAllowanceMax'],
+  individual_income_limit: ['incomeLimitSingle'],
+  community_spouse_income_allowance: ['incomeLimitMarried'],
+  lookback_period_months: ['lookbackPeriodMonths'],
+  penalty_divisor: ['penaltyDivisor']
+};
+
+/**
+ * Converts medicaid_rules column values into planning rule overrides
+ *
+ * @param {Object} ruleData - Column values from a rule change
+ * @returns {Object} Planning rule overrides
+ */
+function ruleDataToOverrides(ruleData = {}) {
+  const overrides = { ...(ruleData.state_specific_rules || {}) };
+
+  Object.entries(RULE_COLUMN_KEYS).forEach(([column, keys]) => {
+    if (ruleData[column] !== undefined && ruleData[column] !== null) {
+      keys.forEach(key => {
+        overrides[key] = Number(ruleData[column]);
+      });
+    }
+  });
+
+  return overrides;
+}
+
+/**
+ * Loads the proposed rule overrides for a medicaid rule change from the rules admin workflow
+ *
+ * @param {string} ruleChangeId - rule_changes id
+ * @returns {Promise<Object>} State code, effective date and planning rule overrides
+ */
+async function loadRuleChangeOverrides(ruleChangeId) {
+  const result = await db.query('SELECT * FROM rule_changes WHERE id = $1', [ruleChangeId]);
+  const change = result.rows[0];
+
+  if (!change) {
+    throw new RuleChangeNotFoundError(`Rule change not found: ${ruleChangeId}`);
+  }
+  if (change.rule_type !== 'medicaid') {
+    throw new ValidationError(`Impact analysis only supports medicaid rule changes, not ${change.rule_type}`);
+  }
+
+  return {
+    state: change.state,
+    effectiveDate: resolveAsOfDate(change.effective_date),
+    overrides: ruleDataToOverrides(change.rule_data)
+  };
+}
+
+/**
+ * Loads the latest stored assessment of every client assessed in the state.
+ * Newer assessments store state_code; older ones only the state as entered
+ * (a code or a name, with spaces or underscores).
+ *
+ * @param {string} stateCode - Two-letter state code
+ * @returns {Promise<Array>} Assessments joined with client details
+ */
+async function loadStoredAssessments(stateCode) {
+  const result = await db.query(`
+    SELECT DISTINCT ON (a.client_id)
+      a.id, a.client_id, a.assessment_data, a.created_at,
+      c.first_name, c.last_name, c.email, c.assigned_planner_id
+    FROM assessments a
+    JOIN clients c ON a.client_id = c.id
+    WHERE a.assessment_data IS NOT NULL
+      AND COALESCE(
+        a.assessment_data->>'state_code',
+        upper(replace(trim(a.assessment_data->>'state'), '_', ' '))
+      ) = ANY($1)
+    ORDER BY a.client_id, a.created_at DESC
+  `, [getStateNames(stateCode)]);
+
+  return result.rows.map(row => ({
+    ...row,
+    assessment_data: typeof row.assessment_data === 'string' ? JSON.parse(row.assessment_data) : row.assessment_data
+  }));
+}
+
+/**
+ * Evaluates one stored assessment under a rule set
+ *
+ * @param {Object} data - Stored assessment inputs (snake_case, as saved by the eligibility API)
+ * @param {string} stateCode - Two-letter state code
+ * @param {Object} rules - Rule set to evaluate against
+ * @param {string} asOfDate - Evaluation date
+ * @returns {Promise<Object>} Eligibility, excess resources and penalty months
+ */
+async function evaluateAssessment(data, stateCode, rules, asOfDate) {
+  const clientInfoInput = data.client_info || {};
+  const clientInfo = {
+    name: clientInfoInput.name,
+    age: clientInfoInput.age,
+    maritalStatus: clientInfoInput.marital_status,
+    healthStatus: clientInfoInput.health_status
+  };
+  const medicalNeeds = { criticalHealth: clientInfoInput.health_status === 'critical' };
+
+  const result = await assessMedicaidEligibility(
+    clientInfo,
+    data.assets || {},
+    data.income || {},
+    medicalNeeds,
+    stateCode,
+    false,
+    { asOfDate, rules, programType: data.program_type }
+  );
+
+  if (result.status === 'error') {
+    throw new Error(result.error);
+  }
+
+  let penaltyMonths = 0;
+  if (Array.isArray(data.past_transfers) && data.past_transfers.length > 0) {
+    const analysis = analyzePastTransfers(data.past_transfers, stateCode, { asOfDate, rules });
+    penaltyMonths = calculatePenaltyPeriod(analysis, stateCode, { asOfDate, rules }).penaltyMonths;
+  }
+
+  return {
+    isResourceEligible: result.isResourceEligible,
+    isIncomeEligible: result.isIncomeEligible,
+    isEligible: result.isResourceEligible && result.isIncomeEligible,
+    excessResources: result.excessResources,
+    penaltyMonths: Math.round(penaltyMonths * 100) / 100
+  };
+}
+
+/**
+ * Runs the impact analysis of a proposed rule set over every stored assessment in a state
+ *
+ * @param {Object} options - Analysis options
+ * @param {string} [options.state] - State to analyze (taken from the rule change if omitted)
+ * @param {Object} [options.proposedRules] - Planning rule overrides (e.g. { resourceLimitSingle, penaltyDivisor })
+ * @param {string} [options.ruleChangeId] - Analyze a drafted medicaid rule change instead of explicit overrides
+ * @param {string|Date} [options.asOfDate] - Date whose current rule set is the baseline (defaults to today;
+ *   a rule change is always analyzed as of its effective date)
+ * @returns {Promise<Object>} Impact report with a planner follow-up list
+ */
+async function analyzeRuleChangeImpact(options = {}) {
+  let { state, proposedRules, asOfDate } = options;
+  let ruleChangeId = null;
+
+  if (options.ruleChangeId) {
+    const change = await loadRuleChangeOverrides(options.ruleChangeId);
+    state = change.state;
+    proposedRules = change.overrides;
+    asOfDate = change.effectiveDate;
+    ruleChangeId = options.ruleChangeId;
+  }
+
+  const stateCode = getStateCode(state || '');
+  if (!/^[A-Z]{2}$/.test(stateCode)) {
+    throw new ValidationError(`Invalid state: ${state}`);
+  }
+  if (!proposedRules || typeof proposedRules !== 'object' || Object.keys(proposedRules).length === 0) {
+    throw new ValidationError('proposedRules or ruleChangeId is required');
+  }
+
+  asOfDate = resolveAsOfDate(asOfDate);
+  const currentRules = await getMedicaidRulesFromDb(stateCode, asOfDate);
+  const rules = { ...currentRules, ...proposedRules };
+
+  logger.info(`Running rule change impact analysis for ${stateCode} as of ${asOfDate}`);
+
+  const assessments = await loadStoredAssessments(stateCode);
+  const results = [];
+  const errors = [];
+
+  for (const assessment of assessments) {
+    try {
+      const current = await evaluateAssessment(assessment.assessment_data, stateCode, currentRules, asOfDate);
+      const proposed = await evaluateAssessment(assessment.assessment_data, stateCode, rules, asOfDate);
+
+      let eligibilityChange = null;
+      if (current.isEligible !== proposed.isEligible) {
+        eligibilityChange = proposed.isEligible ? 'becomes_eligible' : 'becomes_ineligible';
+      }
+
+      results.push({
+        assessmentId: assessment.id,
+        clientId: assessment.client_id,
+        clientName: `${assessment.first_name || ''} ${assessment.last_name || ''}`.trim(),
+        email: assessment.email,
+        plannerId: assessment.assigned_planner_id,
+        current,
+        proposed,
+        eligibilityChange,
+        excessResourcesChange: proposed.excessResources - current.excessResources,
+        penaltyMonthsChange: Math.round((proposed.penaltyMonths - current.penaltyMonths) * 100) / 100
+      });
+    } catch (error) {
+      logger.warn(`Could not re-run assessment ${assessment.id}: ${error.message}`);
+      errors.push({ assessmentId: assessment.id, clientId: assessment.client_id, error: error.message });
+    }
+  }
+
+  // Eligibility flips first, then the largest change in excess resources or penalty
+  const followUp = results
+    .filter(entry => entry.eligibilityChange || entry.excessResourcesChange !== 0 || entry.penaltyMonthsChange !== 0)
+    .sort((a, b) => (Number(Boolean(b.eligibilityChange)) - Number(Boolean(a.eligibilityChange))) ||
+      (Math.abs(b.excessResourcesChange) - Math.abs(a.excessResourcesChange)) ||
+      (Math.abs(b.penaltyMonthsChange) - Math.abs(a.penaltyMonthsChange)));
+
+  const summary = {
+    assessed: results.length,
+    affected: followUp.length,
+    becomeEligible: results.filter(entry => entry.eligibilityChange === 'becomes_eligible').length,
+    becomeIneligible: results.filter(entry => entry.eligibilityChange === 'becomes_ineligible').length,
+    failed: errors.length
+  };
+
+  logger.info(`Impact analysis for ${stateCode}: ${summary.affected} of ${summary.assessed} clients affected`);
+
+  return {
+    state: stateCode,
+    asOfDate,
+    ruleChangeId,
+    proposedRules,
+    summary,
+    followUp,
+    errors,
+    status: 'success'
+  };
+}
+
+module.exports = {
+  ruleDataToOverrides,
+  analyzeRuleChangeImpact
+};
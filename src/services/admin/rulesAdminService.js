@@ -0,0 +1,657 @@
+// src/services/admin/rulesAdminService.js
+// Draft / review / publish workflow for the rule tables. Admins propose a
+// change as a draft, submit it for approval, and a second admin publishes it
+// into medicaid_rules, benefit_rules or estate_recovery_rules.
+
+const db = require('../../../config/database');
+const logger = require('../../config/logger');
+const { resolveAsOfDate, getRuleYear } = require('../utils/effectiveDate');
+const { getStateCode, invalidateMedicaidRules, checkMedicaidRuleRow } = require('../utils/medicaidRulesLoader');
+const {
+  ValidationError,
+  RuleChangeNotFoundError,
+  RuleWorkflowError,
+  RuleApprovalError
+} = require('../validation/validationErrors');
+
+const RULE_CHANGE_STATUSES = ['draft', 'pending_approval', 'published', 'rejected'];
+
+/**
+ * Target tables for each rule type. Only the listed columns can be written
+ * through the admin API; key columns are filled in from the change itself.
+ */
+const RULE_TABLES = {
+  medicaid: {
+    table: 'medicaid_rules',
+    conflictColumns: ['state_code', 'effective_date'],
+    keyValues: change => ({
+      state_code: change.state,
+      effective_date: resolveAsOfDate(change.effective_date)
+    }),
+    columns: [
+      'individual_resource_limit',
+      'community_spouse_resource_allowance_min',
+      'community_spouse_resource_allowance_max',
+      'individual_income_limit',
+      'community_spouse_income_allowance',
+      'has_estate_recovery',
+      'estate_recovery_exemptions',
+      'lookback_period_months',
+      'penalty_divisor',
+      'state_specific_rules'
+    ],
+    requiredColumns: ['individual_resource_limit', 'individual_income_limit'],
+    jsonColumns: ['estate_recovery_exemptions', 'state_specific_rules'],
+    // The rules loader rejects medicaid rows without a citation URL
+    sourceColumn: 'state_specific_rules'
+  },
+  benefit: {
+    table: 'benefit_rules',
+    conflictColumns: ['state', 'program', 'year'],
+    keyValues: change => ({
+      state: change.state,
+      program: change.program,
+      year: getRuleYear(change.effective_date),
+      effective_date: resolveAsOfDate(change.effective_date)
+    }),
+    columns: [
+      'individual_amount',
+      'couple_amount',
+      'income_limit',
+      'resource_limit',
+      'program_details',
+      'notes'
+    ],
+    requiredColumns: [],
+    jsonColumns: ['program_details'],
+    touchColumn: 'last_updated'
+  },
+  estate_recovery: {
+    table: 'estate_recovery_rules',
+    conflictColumns: ['state'],
+    keyValues: change => ({
+      state: change.state
+    }),
+    columns: [
+      'home_protection_strength',
+      'primary_residence_protected',
+      'homestead_exemption',
+      'recovery_aggressiveness',
+      'optional_recovery',
+      'tefra_liens',
+      'expanded_estate_definition',
+      'non_probate_transfers_pursued',
+      'lookback_years',
+      'claim_deadline_months',
+      'statute_of_limitations_years',
+      'recovery_threshold_dollars',
+      'home_equity_limit',
+      'protected_assets',
+      'recovery_conditions',
+      'exceptions',
+      'planning_strategies',
+      'data_source',
+      'notes'
+    ],
+    requiredColumns: [],
+    jsonColumns: [],
+    touchColumn: 'last_updated'
+  }
+};
+
+/**
+ * Validates and normalizes a proposed rule change
+ *
+ * @param {Object} changeData - Proposed change (rule_type, state, program, effective_date, source_citation,
+ *   source_retrieved_at, rule_data); medicaid changes need the date their cited source was retrieved
+ * @returns {Object} Normalized change (a medicaid change records its source under rule_data.state_specific_rules)
+ * @throws {ValidationError} When the change is incomplete or targets unknown columns
+ */
+function validateRuleChange(changeData) {
+  if (!changeData || typeof changeData !== 'object') {
+    throw new ValidationError('Rule change data is required');
+  }
+
+  const { rule_type, state, program, effective_date, source_citation, rule_data } = changeData;
+  const definition = RULE_TABLES[rule_type];
+
+  if (!definition) {
+    throw new ValidationError(`Invalid rule_type: ${rule_type}. Expected one of: ${Object.keys(RULE_TABLES).join(', ')}`);
+  }
+
+  const stateCode = typeof state === 'string' ? getStateCode(state) : '';
+  if (!/^[A-Z]{2}$/.test(stateCode)) {
+    throw new ValidationError(`Invalid state: ${state}`);
+  }
+
+  if (rule_type === 'benefit' && (typeof program !== 'string' || !program.trim())) {
+    throw new ValidationError('program is required for benefit rules');
+  }
+
+  if (!effective_date) {
+    throw new ValidationError('effective_date is required');
+  }
+
+  let effectiveDate;
+  try {
+    effectiveDate = resolveAsOfDate(effective_date);
+  } catch (error) {
+    throw new ValidationError(`Invalid effective_date: ${effective_date}`);
+  }
+
+  if (typeof source_citation !== 'string' || !source_citation.trim()) {
+    throw new ValidationError('source_citation is required for every rule change');
+  }
+
+  if (definition.sourceColumn && !getCitationUrl(source_citation)) {
+    throw new ValidationError(`source_citation for ${rule_type} rules must include the source URL`);
+  }
+
+  if (!rule_data || typeof rule_data !== 'object' || Array.isArray(rule_data) || Object.keys(rule_data).length === 0) {
+    throw new ValidationError('rule_data must be an object with at least one rule value');
+  }
+
+  const unknownColumns = Object.keys(rule_data).filter(column => !definition.columns.includes(column));
+  if (unknownColumns.length > 0) {
+    throw new ValidationError(`Unknown ${rule_type} rule fields: ${unknownColumns.join(', ')}`);
+  }
+
+  const missingColumns = definition.requiredColumns.filter(column => rule_data[column] === undefined || rule_data[column] === null);
+  if (missingColumns.length > 0) {
+    throw new ValidationError(`Missing required ${rule_type} rule fields: ${missingColumns.join(', ')}`);
+  }
+
+  let ruleData = rule_data;
+  if (definition.sourceColumn) {
+    const url = getCitationUrl(source_citation);
+    ruleData = {
+      ...rule_data,
+      [definition.sourceColumn]: {
+        ...rule_data[definition.sourceColumn],
+        source: { url, retrievedAt: resolveSourceRetrievedAt(changeData, url) }
+      }
+    };
+  }
+
+  if (rule_type === 'medicaid') {
+    validateMedicaidRuleData(stateCode, effectiveDate, source_citation, ruleData);
+  }
+
+  return {
+    rule_type,
+    state: stateCode,
+    program: rule_type === 'benefit' ? program.trim().toLowerCase() : null,
+    effective_date: effectiveDate,
+    source_citation: source_citation.trim(),
+    rule_data: ruleData
+  };
+}
+
+/**
+ * Resolves the date a medicaid change's cited source was retrieved: the
+ * change's source_retrieved_at, or the retrieval date a rules file row
+ * recorded for the same URL. Publishing never supplies a date of its own.
+ *
+ * @param {Object} changeData - Proposed change
+ * @param {string} url - Source URL from the citation
+ * @returns {string} ISO retrieval date
+ * @throws {ValidationError} When the date is missing, invalid or in the future
+ */
+function resolveSourceRetrievedAt(changeData, url) {
+  const proposed = ((changeData.rule_data || {}).state_specific_rules || {}).source || {};
+  const given = changeData.source_retrieved_at || (proposed.url === url ? proposed.retrievedAt : null);
+
+  if (!given) {
+    throw new ValidationError('source_retrieved_at is required for medicaid rules: the date the cited source was retrieved');
+  }
+
+  let retrievedAt;
+  try {
+    retrievedAt = resolveAsOfDate(given);
+  } catch (error) {
+    throw new ValidationError(`Invalid source_retrieved_at: ${given}`);
+  }
+  if (retrievedAt > resolveAsOfDate()) {
+    throw new ValidationError(`source_retrieved_at cannot be in the future: ${retrievedAt}`);
+  }
+
+  return retrievedAt;
+}
+
+/**
+ * Checks proposed medicaid rule data against the rule schema the loader
+ * applies, so a change that would be rejected at load is refused as a draft
+ *
+ * @param {string} stateCode - Two-letter state code
+ * @param {string} effectiveDate - ISO effective date
+ * @param {string} sourceCitation - Citation recorded with the change
+ * @param {Object} ruleData - Proposed medicaid_rules column values
+ * @throws {ValidationError} Listing every schema problem
+ */
+function validateMedicaidRuleData(stateCode, effectiveDate, sourceCitation, ruleData) {
+  const { valid, problems } = checkMedicaidRuleRow({
+    ...ruleData,
+    state_code: stateCode,
+    effective_date: effectiveDate,
+    // Publishing records the reviewed citation as the row's source
+    state_specific_rules: {
+      ...ruleData.state_specific_rules,
+      source: getPublishedSource(sourceCitation, ruleData)
+    }
+  });
+
+  if (!valid) {
+    logger.warn('Rejected medicaid rule change that fails the rule schema', { stateCode, effectiveDate, problems });
+    throw new ValidationError(`Invalid medicaid rule_data: ${problems.map(problem => problem.message).join('; ')}`);
+  }
+}
+
+/**
+ * Extracts the first URL from a source citation
+ *
+ * @param {string} sourceCitation - Free-text citation
+ * @returns {string|null} URL or null when the citation has none
+ */
+function getCitationUrl(sourceCitation) {
+  const match = String(sourceCitation || '').match(/https?:\/\/[^\s,;)]+/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Builds the source recorded with published medicaid values. The retrieval
+ * date is the one recorded with the change for the cited URL, or null when
+ * there is none; it is never filled in from when the change was drafted.
+ *
+ * @param {string} sourceCitation - Citation recorded with the change
+ * @param {Object} ruleData - Proposed medicaid_rules column values
+ * @returns {Object} { url, title, retrievedAt }
+ */
+function getPublishedSource(sourceCitation, ruleData) {
+  const url = getCitationUrl(sourceCitation);
+  const proposed = (ruleData.state_specific_rules || {}).source || {};
+
+  return {
+    url,
+    title: sourceCitation.trim(),
+    retrievedAt: proposed.url === url && proposed.retrievedAt ? proposed.retrievedAt : null
+  };
+}
+
+/**
+ * Builds the upsert that writes a change into its target rule table
+ *
+ * @param {Object} change - Rule change record
+ * @returns {Object} Query text and values
+ */
+function buildPublishQuery(change) {
+  const definition = RULE_TABLES[change.rule_type];
+  const keyValues = definition.keyValues(change);
+  const ruleData = { ...change.rule_data };
+
+  // Record the reviewed citation with the published values
+  if (definition.sourceColumn) {
+    ruleData[definition.sourceColumn] = {
+      ...ruleData[definition.sourceColumn],
+      source: getPublishedSource(change.source_citation, ruleData)
+    };
+  }
+
+  const dataColumns = definition.columns.filter(column => ruleData[column] !== undefined);
+
+  const columns = [...Object.keys(keyValues), ...dataColumns];
+  const values = [
+    ...Object.values(keyValues),
+    ...dataColumns.map(column => definition.jsonColumns.includes(column)
+      ? JSON.stringify(ruleData[column])
+      : ruleData[column])
+  ];
+
+  const updates = columns
+    .filter(column => !definition.conflictColumns.includes(column))
+    .map(column => `${column} = EXCLUDED.${column}`);
+  if (definition.touchColumn) {
+    updates.push(`${definition.touchColumn} = CURRENT_TIMESTAMP`);
+  }
+
+  const text = `
+    INSERT INTO ${definition.table} (${columns.join(', ')})
+    VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+    ON CONFLICT (${definition.conflictColumns.join(', ')})
+    DO UPDATE SET ${updates.join(', ')}
+    RETURNING id
+  `;
+
+  return { text, values };
+}
+
+/**
+ * Loads a rule change or throws when it does not exist
+ *
+ * @param {Object} client - Database pool or transaction client
+ * @param {string} id - Rule change id
+ * @param {boolean} [forUpdate=false] - Lock the row for the rest of the transaction
+ * @returns {Promise<Object>} Rule change record
+ */
+async function findRuleChange(client, id, forUpdate = false) {
+  const result = await client.query(
+    `SELECT * FROM rule_changes WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new RuleChangeNotFoundError(`Rule change not found: ${id}`);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Throws when a rule change is not in the expected workflow state
+ *
+ * @param {Object} change - Rule change record
+ * @param {string} expectedStatus - Status required for the action
+ * @param {string} action - Action being attempted (for the error message)
+ */
+function assertStatus(change, expectedStatus, action) {
+  if (change.status !== expectedStatus) {
+    throw new RuleWorkflowError(`Cannot ${action} a rule change with status '${change.status}'`);
+  }
+}
+
+/**
+ * Creates a draft rule change
+ *
+ * @param {Object} changeData - Proposed change
+ * @param {Object} author - Authenticated admin creating the draft
+ * @returns {Promise<Object>} Created rule change
+ */
+async function createRuleChange(changeData, author) {
+  const change = validateRuleChange(changeData);
+
+  logger.info(`Creating ${change.rule_type} rule change draft for ${change.state} effective ${change.effective_date}`);
+
+  return insertRuleChange(db, change, author, false);
+}
+
+/**
+ * Inserts a validated rule change as a draft, or straight into the approval queue
+ *
+ * @param {Object} client - Database pool or transaction client
+ * @param {Object} change - Normalized change from validateRuleChange
+ * @param {Object} author - Authenticated admin proposing the change
+ * @param {boolean} submit - Queue the change for approval instead of leaving it a draft
+ * @returns {Promise<Object>} Created rule change
+ */
+async function insertRuleChange(client, change, author, submit) {
+  const result = await client.query(`
+    INSERT INTO rule_changes (
+      rule_type, state, program, effective_date, rule_data, source_citation, author_id,
+      status, submitted_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, ${submit ? 'CURRENT_TIMESTAMP' : 'NULL'})
+    RETURNING *
+  `, [
+    change.rule_type, change.state, change.program, change.effective_date,
+    JSON.stringify(change.rule_data), change.source_citation, author.id,
+    submit ? 'pending_approval' : 'draft'
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Proposes a batch of rule changes (a bulk rules import) for approval.
+ * Every change goes through the same validation as a draft and is queued
+ * for a second admin; nothing reaches the live rule tables until approved.
+ * The batch is all-or-nothing.
+ *
+ * @param {Array<Object>} changesData - Proposed changes
+ * @param {Object} author - Authenticated admin proposing the changes
+ * @returns {Promise<Array>} Created rule changes, all pending approval
+ * @throws {ValidationError} When any change fails validation
+ */
+async function proposeRuleChanges(changesData, author) {
+  const changes = changesData.map(validateRuleChange);
+  const client = await db.connect();
+  const created = [];
+
+  try {
+    await client.query('BEGIN');
+
+    for (const change of changes) {
+      created.push(await insertRuleChange(client, change, author, true));
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(`${created.length} rule changes submitted for approval`);
+
+  return created;
+}
+
+/**
+ * Updates a draft rule change; only the author may edit their draft
+ *
+ * @param {string} id - Rule change id
+ * @param {Object} updates - Fields to change
+ * @param {Object} user - Authenticated admin
+ * @returns {Promise<Object>} Updated rule change
+ */
+async function updateRuleChange(id, updates, user) {
+  const existing = await findRuleChange(db, id);
+  assertStatus(existing, 'draft', 'edit');
+
+  if (existing.author_id !== user.id) {
+    throw new RuleApprovalError('Only the author can edit a draft rule change');
+  }
+
+  const change = validateRuleChange({ ...existing, ...updates });
+
+  logger.info(`Updating rule change draft ${id}`);
+
+  const result = await db.query(`
+    UPDATE rule_changes
+    SET rule_type = $2, state = $3, program = $4, effective_date = $5,
+        rule_data = $6, source_citation = $7
+    WHERE id = $1
+    RETURNING *
+  `, [
+    id, change.rule_type, change.state, change.program, change.effective_date,
+    JSON.stringify(change.rule_data), change.source_citation
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Lists rule changes with optional filters
+ *
+ * @param {Object} filters - Optional filters (status, state, rule_type)
+ * @returns {Promise<Array>} Matching rule changes, newest first
+ */
+async function listRuleChanges(filters = {}) {
+  let query = 'SELECT * FROM rule_changes WHERE 1 = 1';
+  const queryParams = [];
+
+  if (filters.status) {
+    if (!RULE_CHANGE_STATUSES.includes(filters.status)) {
+      throw new ValidationError(`Invalid status: ${filters.status}`);
+    }
+    queryParams.push(filters.status);
+    query += ` AND status = $${queryParams.length}`;
+  }
+
+  if (filters.state) {
+    queryParams.push(getStateCode(filters.state));
+    query += ` AND state = $${queryParams.length}`;
+  }
+
+  if (filters.rule_type) {
+    queryParams.push(filters.rule_type);
+    query += ` AND rule_type = $${queryParams.length}`;
+  }
+
+  query += ' ORDER BY created_at DESC';
+
+  const result = await db.query(query, queryParams);
+  return result.rows;
+}
+
+/**
+ * Gets a single rule change
+ *
+ * @param {string} id - Rule change id
+ * @returns {Promise<Object>} Rule change
+ */
+async function getRuleChange(id) {
+  return findRuleChange(db, id);
+}
+
+/**
+ * Submits a draft for approval by a second admin
+ *
+ * @param {string} id - Rule change id
+ * @param {Object} user - Authenticated admin
+ * @returns {Promise<Object>} Updated rule change
+ */
+async function submitRuleChange(id, user) {
+  const existing = await findRuleChange(db, id);
+  assertStatus(existing, 'draft', 'submit');
+
+  if (existing.author_id !== user.id) {
+    throw new RuleApprovalError('Only the author can submit a draft rule change');
+  }
+
+  // Drafts saved before a requirement was added (e.g. the source retrieval date) are checked again
+  validateRuleChange(existing);
+
+  // The status guard keeps a concurrent submit or edit from being overwritten
+  const result = await db.query(`
+    UPDATE rule_changes
+    SET status = 'pending_approval', submitted_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'draft'
+    RETURNING *
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new RuleWorkflowError(`Rule change ${id} is no longer a draft`);
+  }
+
+  logger.info(`Rule change ${id} submitted for approval`);
+
+  return result.rows[0];
+}
+
+/**
+ * Approves a pending rule change and publishes it to its rule table.
+ * The approval and the rule write happen in one transaction.
+ *
+ * @param {string} id - Rule change id
+ * @param {Object} reviewer - Authenticated admin approving the change
+ * @param {string} [reviewNotes] - Optional review notes
+ * @returns {Promise<Object>} Published rule change
+ */
+async function approveRuleChange(id, reviewer, reviewNotes = null) {
+  const client = await db.connect();
+  let published;
+
+  try {
+    await client.query('BEGIN');
+
+    const change = await findRuleChange(client, id, true);
+    assertStatus(change, 'pending_approval', 'approve');
+
+    if (change.author_id === reviewer.id) {
+      throw new RuleApprovalError('A rule change must be approved by a different admin than its author');
+    }
+
+    // Re-check at publish: the schema may have changed since the draft was validated
+    validateRuleChange(change);
+
+    const publishQuery = buildPublishQuery(change);
+    const publishResult = await client.query(publishQuery.text, publishQuery.values);
+
+    const result = await client.query(`
+      UPDATE rule_changes
+      SET status = 'published', reviewer_id = $2, review_notes = $3,
+          published_record_id = $4, reviewed_at = CURRENT_TIMESTAMP, published_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, reviewer.id, reviewNotes, publishResult.rows[0].id]);
+
+    await client.query('COMMIT');
+    published = result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(`Published ${published.rule_type} rule change ${id} for ${published.state}`);
+
+  if (published.rule_type === 'medicaid') {
+    try {
+      await invalidateMedicaidRules(published.state);
+    } catch (error) {
+      // The change is committed; the scheduled registry refresh will pick it up
+      logger.warn(`Rule change ${id} published but rules registry refresh failed: ${error.message}`);
+    }
+  }
+
+  return published;
+}
+
+/**
+ * Rejects a pending rule change; like approval, this takes a different admin than the author
+ *
+ * @param {string} id - Rule change id
+ * @param {Object} reviewer - Authenticated admin rejecting the change
+ * @param {string} [reviewNotes] - Reason for rejection
+ * @returns {Promise<Object>} Rejected rule change
+ */
+async function rejectRuleChange(id, reviewer, reviewNotes = null) {
+  const existing = await findRuleChange(db, id);
+  assertStatus(existing, 'pending_approval', 'reject');
+
+  if (existing.author_id === reviewer.id) {
+    throw new RuleApprovalError('A rule change must be rejected by a different admin than its author');
+  }
+
+  // The status guard keeps a rejection from overwriting a concurrent approval
+  const result = await db.query(`
+    UPDATE rule_changes
+    SET status = 'rejected', reviewer_id = $2, review_notes = $3, reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'pending_approval'
+    RETURNING *
+  `, [id, reviewer.id, reviewNotes]);
+
+  if (result.rows.length === 0) {
+    throw new RuleWorkflowError(`Rule change ${id} is no longer pending approval`);
+  }
+
+  logger.info(`Rule change ${id} rejected`);
+
+  return result.rows[0];
+}
+
+module.exports = {
+  RULE_TABLES,
+  RULE_CHANGE_STATUSES,
+  validateRuleChange,
+  buildPublishQuery,
+  createRuleChange,
+  proposeRuleChanges,
+  updateRuleChange,
+  listRuleChanges,
+  getRuleChange,
+  submitRuleChange,
+  approveRuleChange,
+  rejectRuleChange
+};
@@ -0,0 +1,641 @@
+// src/services/admin/rulesDataService.js
+// Bulk import / export of the state rule tables. Files use the column layout of
+// medicaid_rules and benefit_rules in migrations/002_rules_migration.sql so the
+// yearly update can be prepared and reviewed in a spreadsheet. An import never
+// writes the live tables: each changed row becomes a rule change awaiting a
+// second admin's approval, exactly like a hand-drafted one.
+
+const db = require('../../../config/database');
+const logger = require('../../config/logger');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { resolveAsOfDate } = require('../utils/effectiveDate');
+const { validateRuleChange, proposeRuleChanges } = require('./rulesAdminService');
+const { ValidationError } = require('../validation/validationErrors');
+
+const STATE_CODES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+  'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+  'WV', 'WI', 'WY'
+];
+
+const BENEFIT_PROGRAMS = ['ssi', 'snap', 'medicare', 'veterans'];
+
+// medicaid_rules file columns that map onto live medicaid_rules columns;
+// every other amount is stored in state_specific_rules under its camelCase name
+const MEDICAID_COLUMN_MAP = {
+  resource_limit_single: 'individual_resource_limit',
+  income_limit_single: 'individual_income_limit',
+  community_spouse_resource_allowance_min: 'community_spouse_resource_allowance_min',
+  community_spouse_resource_allowance_max: 'community_spouse_resource_allowance_max',
+  lookback_period_months: 'lookback_period_months',
+  penalty_divisor: 'penalty_divisor'
+};
+
+// File columns holding the citation for the row; stored as
+// state_specific_rules.source, which the rules loader requires
+const MEDICAID_SOURCE_COLUMNS = {
+  source_url: 'url',
+  source_retrieved_at: 'retrievedAt'
+};
+
+/**
+ * File layouts. Field types drive validation and coercion; `keyFields`
+ * identify a rule set, both within a file and against the database.
+ */
+const RULE_FILE_FORMATS = {
+  medicaid_rules: {
+    fields: {
+      state: { type: 'state', required: true },
+      year: { type: 'year', required: true },
+      income_limit_single: { type: 'integer', required: true },
+      income_limit_married: { type: 'integer' },
+      nursing_home_income_limit_single: { type: 'integer' },
+      nursing_home_income_limit_married: { type: 'integer' },
+      resource_limit_single: { type: 'integer', required: true },
+      resource_limit_married: { type: 'integer' },
+      home_equity_limit: { type: 'integer' },
+      community_spouse_resource_allowance_min: { type: 'integer' },
+      community_spouse_resource_allowance_max: { type: 'integer' },
+      monthly_maintenance_needs_allowance_min: { type: 'decimal' },
+      monthly_maintenance_needs_allowance_max: { type: 'decimal' },
+      monthly_personal_needs_allowance: { type: 'decimal' },
+      average_nursing_home_cost: { type: 'integer' },
+      effective_date: { type: 'date' },
+      notes: { type: 'text' },
+      // Live-table fields that migrations/002 has no column for
+      penalty_divisor: { type: 'decimal' },
+      lookback_period_months: { type: 'integer' },
+      source_url: { type: 'text', required: true },
+      source_retrieved_at: { type: 'date', required: true }
+    },
+    keyFields: ['state', 'effective_date']
+  },
+  benefit_rules: {
+    fields: {
+      state: { type: 'state', required: true },
+      program: { type: 'program', required: true },
+      year: { type: 'year', required: true },
+      individual_amount: { type: 'integer' },
+      couple_amount: { type: 'integer' },
+      income_limit: { type: 'integer' },
+      resource_limit: { type: 'integer' },
+      program_details: { type: 'json' },
+      effective_date: { type: 'date' },
+      notes: { type: 'text' }
+    },
+    keyFields: ['state', 'program', 'year']
+  }
+};
+
+/**
+ * Gets the file layout for a rule table
+ *
+ * @param {string} table - medicaid_rules or benefit_rules
+ * @returns {Object} File layout
+ * @throws {ValidationError} For any other table
+ */
+function getFileFormat(table) {
+  const format = RULE_FILE_FORMATS[table];
+  if (!format) {
+    throw new ValidationError(`Invalid table: ${table}. Expected one of: ${Object.keys(RULE_FILE_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Converts snake_case to camelCase (state_specific_rules keys match the planning rule names)
+ *
+ * @param {string} str - snake_case string
+ * @returns {string} camelCase string
+ */
+function snakeToCamel(str) {
+  return str.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parses an import file into raw rows
+ *
+ * @param {string|Array} content - CSV text, JSON text, or an already-parsed array of rows
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} Raw rows
+ * @throws {ValidationError} When the content cannot be parsed
+ */
+function parseRulesFile(content, format) {
+  if (Array.isArray(content)) {
+    return content;
+  }
+
+  try {
+    if (format === 'csv') {
+      return parseCsv(content);
+    }
+
+    if (format === 'json') {
+      const rows = JSON.parse(content);
+      if (!Array.isArray(rows)) {
+        throw new Error('expected an array of rows');
+      }
+      return rows;
+    }
+  } catch (error) {
+    throw new ValidationError(`Could not parse ${format} file: ${error.message}`);
+  }
+
+  throw new ValidationError(`Invalid format: ${format}. Expected csv or json`);
+}
+
+/**
+ * Coerces and validates a single field value
+ *
+ * @param {*} value - Raw value (strings from CSV, any JSON type from JSON)
+ * @param {Object} field - Field definition
+ * @returns {*} Coerced value (null when empty)
+ * @throws {Error} When the value is invalid
+ */
+function coerceField(value, field) {
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+    if (field.required) {
+      throw new Error('is required');
+    }
+    return null;
+  }
+
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  switch (field.type) {
+    case 'state': {
+      const code = String(text).toUpperCase();
+      if (!STATE_CODES.includes(code)) {
+        throw new Error(`is not a valid state code: ${text}`);
+      }
+      return code;
+    }
+    case 'program': {
+      const program = String(text).toLowerCase();
+      if (!BENEFIT_PROGRAMS.includes(program)) {
+        throw new Error(`must be one of ${BENEFIT_PROGRAMS.join(', ')}`);
+      }
+      return program;
+    }
+    case 'year': {
+      const year = Number(text);
+      if (!Number.isInteger(year) || year < 1990 || year > 2100) {
+        throw new Error(`is not a valid year: ${text}`);
+      }
+      return year;
+    }
+    case 'integer':
+    case 'decimal': {
+      const number = Number(typeof text === 'string' ? text.replace(/[$,]/g, '') : text);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`must be a non-negative number: ${text}`);
+      }
+      if (field.type === 'integer' && !Number.isInteger(number)) {
+        throw new Error(`must be a whole number: ${text}`);
+      }
+      return number;
+    }
+    case 'date':
+      try {
+        return resolveAsOfDate(text);
+      } catch (error) {
+        throw new Error(`is not a valid date: ${text}`);
+      }
+    case 'json': {
+      if (typeof text === 'object') {
+        return text;
+      }
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error('must be valid JSON');
+      }
+    }
+    default:
+      return String(text);
+  }
+}
+
+/**
+ * Validates every row of an import file. All rows are checked so the whole
+ * file can be fixed in one pass.
+ *
+ * @param {string} table - medicaid_rules or benefit_rules
+ * @param {Array<Object>} rawRows - Parsed rows
+ * @returns {Object} Normalized rows and a list of { row, column, message } errors
+ */
+function validateRuleRows(table, rawRows) {
+  const format = getFileFormat(table);
+  const rows = [];
+  const errors = [];
+  const seenKeys = new Map();
+
+  if (rawRows.length === 0) {
+    errors.push({ row: null, column: null, message: 'File contains no rows' });
+  }
+
+  rawRows.forEach((rawRow, index) => {
+    const rowNumber = index + 1;
+    const row = {};
+    let rowValid = true;
+
+    const unknownColumns = Object.keys(rawRow || {}).filter(column => !format.fields[column]);
+    unknownColumns.forEach(column => {
+      errors.push({ row: rowNumber, column, message: `Unknown column: ${column}` });
+      rowValid = false;
+    });
+
+    Object.entries(format.fields).forEach(([column, field]) => {
+      try {
+        row[column] = coerceField(rawRow ? rawRow[column] : undefined, field);
+      } catch (error) {
+        errors.push({ row: rowNumber, column, message: `${column} ${error.message}` });
+        rowValid = false;
+      }
+    });
+
+    if (!rowValid) {
+      return;
+    }
+
+    // Rule sets take effect on January 1 unless the file says otherwise
+    if (!row.effective_date) {
+      row.effective_date = `${row.year}-01-01`;
+    } else if (Number(row.effective_date.substring(0, 4)) !== row.year) {
+      errors.push({ row: rowNumber, column: 'effective_date', message: `effective_date ${row.effective_date} is not in year ${row.year}` });
+      return;
+    }
+
+    const key = format.keyFields.map(column => row[column]).join('|');
+    if (seenKeys.has(key)) {
+      errors.push({ row: rowNumber, column: null, message: `Duplicate of row ${seenKeys.get(key)} (${key})` });
+      return;
+    }
+    seenKeys.set(key, rowNumber);
+
+    rows.push(row);
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Gets the row-level source of a medicaid_rules record. Rows seeded from the
+ * dataset cite each field instead of the whole row, so their source is the
+ * first cited document, retrieved on the oldest of the fields' retrieval dates
+ * (none while any citation is still pending verification).
+ *
+ * @param {Object} stateSpecific - state_specific_rules of the record
+ * @returns {Object} { url, retrievedAt }
+ */
+function getRecordSource(stateSpecific) {
+  if (stateSpecific.source) {
+    return stateSpecific.source;
+  }
+
+  const citations = Object.values(stateSpecific.citations || {}).filter(citation => citation && citation.url);
+  if (citations.length === 0) {
+    return {};
+  }
+
+  const retrievalDates = citations.map(citation => citation.retrievedAt || null);
+  return {
+    url: citations[0].url,
+    retrievedAt: retrievalDates.includes(null) ? null : retrievalDates.map(date => resolveAsOfDate(date)).sort()[0]
+  };
+}
+
+/**
+ * Converts a live medicaid_rules row to the file layout
+ *
+ * @param {Object} record - medicaid_rules row
+ * @returns {Object} Row in file layout
+ */
+function medicaidRecordToRow(record) {
+  const stateSpecific = record.state_specific_rules || {};
+  const source = getRecordSource(stateSpecific);
+  const effectiveDate = resolveAsOfDate(record.effective_date);
+  const fields = RULE_FILE_FORMATS.medicaid_rules.fields;
+
+  return Object.keys(fields).reduce((row, column) => {
+    if (column === 'state') {
+      row.state = record.state_code;
+    } else if (column === 'year') {
+      row.year = Number(effectiveDate.substring(0, 4));
+    } else if (column === 'effective_date') {
+      row.effective_date = effectiveDate;
+    } else if (MEDICAID_COLUMN_MAP[column]) {
+      const value = record[MEDICAID_COLUMN_MAP[column]];
+      row[column] = value === null || value === undefined ? null : Number(value);
+    } else if (MEDICAID_SOURCE_COLUMNS[column]) {
+      const value = source[MEDICAID_SOURCE_COLUMNS[column]];
+      row[column] = value === undefined ? null : value;
+    } else {
+      const value = stateSpecific[snakeToCamel(column)];
+      row[column] = value === undefined ? null : value;
+    }
+    return row;
+  }, {});
+}
+
+/**
+ * Converts a live benefit_rules row to the file layout
+ *
+ * @param {Object} record - benefit_rules row
+ * @returns {Object} Row in file layout
+ */
+function benefitRecordToRow(record) {
+  const fields = RULE_FILE_FORMATS.benefit_rules.fields;
+
+  return Object.keys(fields).reduce((row, column) => {
+    let value = record[column];
+    if (column === 'effective_date' && value) {
+      value = resolveAsOfDate(value);
+    } else if (column === 'program_details' && typeof value === 'string') {
+      value = JSON.parse(value);
+    }
+    row[column] = value === undefined ? null : value;
+    return row;
+  }, {});
+}
+
+/**
+ * Loads the stored records for the given states, keyed like the file
+ *
+ * @param {string} table - medicaid_rules or benefit_rules
+ * @param {Array<string>} states - State codes to load
+ * @returns {Promise<Map>} Current { record, row } by key, row in file layout
+ */
+async function loadCurrentRows(table, states) {
+  const format = getFileFormat(table);
+  const query = table === 'medicaid_rules'
+    ? 'SELECT * FROM medicaid_rules WHERE state_code = ANY($1)'
+    : 'SELECT * FROM benefit_rules WHERE state = ANY($1)';
+
+  const result = await db.query(query, [states]);
+  const toRow = table === 'medicaid_rules' ? medicaidRecordToRow : benefitRecordToRow;
+
+  return new Map(result.rows.map(record => {
+    const row = toRow(record);
+    return [format.keyFields.map(column => row[column]).join('|'), { record, row }];
+  }));
+}
+
+/**
+ * Compares two field values the way they are stored
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True when equal
+ */
+function valuesEqual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) === Number(b);
+  }
+  return String(a) === String(b);
+}
+
+/**
+ * Builds the dry-run diff of import rows against the current data.
+ * Empty cells leave the stored value untouched, so only filled-in cells are compared.
+ *
+ * @param {string} table - medicaid_rules or benefit_rules
+ * @param {Array<Object>} rows - Validated rows
+ * @param {Map} currentRows - Current rows by key
+ * @returns {Array<Object>} One entry per row with its action and field changes
+ */
+function diffRuleRows(table, rows, currentRows) {
+  const format = getFileFormat(table);
+
+  return rows.map(row => {
+    const key = format.keyFields.reduce((keyValues, column) => {
+      keyValues[column] = row[column];
+      return keyValues;
+    }, {});
+    const current = currentRows.get(format.keyFields.map(column => row[column]).join('|'));
+
+    const changes = {};
+    Object.keys(format.fields)
+      .filter(column => !format.keyFields.includes(column) && column !== 'year' && row[column] !== null)
+      .forEach(column => {
+        const from = current ? current[column] : null;
+        if (!current || !valuesEqual(from, row[column])) {
+          changes[column] = { from: from === undefined ? null : from, to: row[column] };
+        }
+      });
+
+    let action = 'insert';
+    if (current) {
+      action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+    }
+
+    return { key, action, changes };
+  });
+}
+
+/**
+ * Builds the rule change proposed by one medicaid_rules row. Empty cells
+ * leave the stored value untouched, so state_specific_rules starts from the
+ * stored JSON (the publish replaces it whole).
+ *
+ * @param {Object} row - Validated row in file layout
+ * @param {Object} [current] - Stored medicaid_rules record for the same key
+ * @returns {Object} Rule change data for validateRuleChange
+ */
+function medicaidRowToRuleChange(row, current) {
+  const ruleData = {};
+  // A reviewed change is no longer a copy of the dataset
+  const { seededFromDataset, ...stateSpecific } = (current && current.state_specific_rules) || {};
+
+  Object.keys(RULE_FILE_FORMATS.medicaid_rules.fields)
+    .filter(column => !['state', 'year', 'effective_date'].includes(column) && row[column] !== null)
+    .forEach(column => {
+      if (MEDICAID_COLUMN_MAP[column]) {
+        ruleData[MEDICAID_COLUMN_MAP[column]] = row[column];
+      } else if (MEDICAID_SOURCE_COLUMNS[column]) {
+        stateSpecific.source = { ...stateSpecific.source, [MEDICAID_SOURCE_COLUMNS[column]]: row[column] };
+      } else {
+        stateSpecific[snakeToCamel(column)] = row[column];
+      }
+    });
+
+  ruleData.state_specific_rules = stateSpecific;
+
+  return {
+    rule_type: 'medicaid',
+    state: row.state,
+    effective_date: row.effective_date,
+    source_citation: `${row.state} Medicaid rules effective ${row.effective_date}: ${row.source_url}`,
+    rule_data: ruleData
+  };
+}
+
+/**
+ * Builds the rule change proposed by one benefit_rules row
+ *
+ * @param {Object} row - Validated row in file layout
+ * @param {string} [sourceCitation] - Citation for the whole file (benefit files have no source column)
+ * @returns {Object} Rule change data for validateRuleChange
+ */
+function benefitRowToRuleChange(row, sourceCitation) {
+  const ruleData = {};
+
+  Object.keys(RULE_FILE_FORMATS.benefit_rules.fields)
+    .filter(column => !['state', 'program', 'year', 'effective_date'].includes(column) && row[column] !== null)
+    .forEach(column => {
+      ruleData[column] = row[column];
+    });
+
+  return {
+    rule_type: 'benefit',
+    state: row.state,
+    program: row.program,
+    effective_date: row.effective_date,
+    source_citation: sourceCitation,
+    rule_data: ruleData
+  };
+}
+
+/**
+ * Imports a rules file: validates every row, diffs against the current data
+ * and checks each changed row the way a drafted rule change is checked.
+ * Unless this is a dry run, the changed rows are then submitted for approval
+ * as rule changes; the live tables only change when a second admin approves.
+ *
+ * @param {Object} options - Import options
+ * @param {string} options.table - medicaid_rules or benefit_rules
+ * @param {string} options.format - 'csv' or 'json'
+ * @param {string|Array} options.content - File content
+ * @param {boolean} [options.dryRun=true] - Only report the diff
+ * @param {string} [options.sourceCitation] - Citation for a benefit_rules file (required for benefit rules)
+ * @param {Object} [options.author] - Authenticated admin proposing the changes (required unless a dry run)
+ * @returns {Promise<Object>} Import result with validation errors, summary, per-row changes and the rule changes created
+ */
+async function importRules({ table, format, content, dryRun = true, sourceCitation, author }) {
+  getFileFormat(table);
+
+  const rawRows = parseRulesFile(content, format);
+  const { rows, errors } = validateRuleRows(table, rawRows);
+
+  if (errors.length > 0) {
+    logger.warn(`Rules import for ${table} rejected with ${errors.length} validation errors`);
+    return { valid: false, table, dryRun, errors };
+  }
+
+  const states = Array.from(new Set(rows.map(row => row.state)));
+  const currentRows = await loadCurrentRows(table, states);
+  const diff = diffRuleRows(table, rows, new Map(Array.from(currentRows, ([key, current]) => [key, current.row])));
+
+  // Each changed row must pass the checks a hand-drafted change would
+  const proposed = [];
+  rows.forEach((row, index) => {
+    if (diff[index].action === 'unchanged') {
+      return;
+    }
+
+    const key = RULE_FILE_FORMATS[table].keyFields.map(column => row[column]).join('|');
+    const current = currentRows.get(key);
+    const changeData = table === 'medicaid_rules'
+      ? medicaidRowToRuleChange(row, current && current.record)
+      : benefitRowToRuleChange(row, sourceCitation);
+
+    try {
+      validateRuleChange(changeData);
+      proposed.push(changeData);
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+      errors.push({ row: index + 1, column: null, message: error.message });
+    }
+  });
+
+  if (errors.length > 0) {
+    logger.warn(`Rules import for ${table} rejected with ${errors.length} rule validation errors`);
+    return { valid: false, table, dryRun, errors };
+  }
+
+  const summary = {
+    total: diff.length,
+    insert: diff.filter(entry => entry.action === 'insert').length,
+    update: diff.filter(entry => entry.action === 'update').length,
+    unchanged: diff.filter(entry => entry.action === 'unchanged').length
+  };
+
+  let ruleChanges = [];
+  if (!dryRun && proposed.length > 0) {
+    if (!author || !author.id) {
+      throw new ValidationError('An authenticated admin is required to submit imported rules');
+    }
+    ruleChanges = await proposeRuleChanges(proposed, author);
+  }
+
+  logger.info(`Rules import for ${table}${dryRun ? ' (dry run)' : ''}: ${summary.insert} new, ${summary.update} updated, ${summary.unchanged} unchanged; ${ruleChanges.length} rule changes submitted for approval`);
+
+  return {
+    valid: true,
+    table,
+    dryRun,
+    summary,
+    changes: diff.filter(entry => entry.action !== 'unchanged'),
+    ruleChanges: ruleChanges.map(change => ({
+      id: change.id,
+      state: change.state,
+      program: change.program,
+      effective_date: change.effective_date,
+      status: change.status
+    }))
+  };
+}
+
+/**
+ * Exports a rule table in the import file layout
+ *
+ * @param {Object} options - Export options
+ * @param {string} options.table - medicaid_rules or benefit_rules
+ * @param {string} [options.format='csv'] - 'csv' or 'json'
+ * @param {string} [options.state] - Only export this state
+ * @param {number} [options.year] - Only export rule sets for this year
+ * @returns {Promise<string>} File content
+ */
+async function exportRules({ table, format = 'csv', state, year }) {
+  const fileFormat = getFileFormat(table);
+
+  if (!['csv', 'json'].includes(format)) {
+    throw new ValidationError(`Invalid format: ${format}. Expected csv or json`);
+  }
+
+  const query = table === 'medicaid_rules'
+    ? 'SELECT * FROM medicaid_rules ORDER BY state_code, effective_date'
+    : 'SELECT * FROM benefit_rules ORDER BY state, program, year';
+  const result = await db.query(query);
+
+  const toRow = table === 'medicaid_rules' ? medicaidRecordToRow : benefitRecordToRow;
+  const rows = result.rows
+    .map(toRow)
+    .filter(row => !state || row.state === String(state).toUpperCase())
+    .filter(row => !year || row.year === Number(year));
+
+  logger.info(`Exported ${rows.length} ${table} rows as ${format}`);
+
+  return format === 'csv'
+    ? toCsv(rows, Object.keys(fileFormat.fields))
+    : `${JSON.stringify(rows, null, 2)}\n`;
+}
+
+module.exports = {
+  RULE_FILE_FORMATS,
+  parseRulesFile,
+  validateRuleRows,
+  diffRuleRows,
+  medicaidRecordToRow,
+  importRules,
+  exportRules
+};
@@ -0,0 +1,134 @@
+// src/services/batch/__tests__/eligibilityBatchService.test.js
+const {
+  MAX_BATCH_RECORDS,
+  MAX_ACTIVE_JOBS,
+  parseBatchRecords,
+  createBatchJob,
+  getBatchJob,
+  waitForBatchJob
+} = require('../eligibilityBatchService');
+
+// Mock the database pool so rules come from the cited dataset
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn().mockRejectedValue(new Error('no database'))
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Eligibility Batch Service', () => {
+  const lead = (id, overrides = {}) => ({
+    id,
+    client_info: { name: `Lead ${id}`, age: 81, marital_status: 'single' },
+    assets: { savings: 1500 },
+    income: { social_security: 1400 },
+    state: 'FL',
+    as_of_date: '2025-06-01',
+    ...overrides
+  });
+
+  test('should map CSV columns to client info, assets and income', () => {
+    const records = parseBatchRecords({
+      format: 'csv',
+      content: 'id,name,age,marital_status,state,asset_savings,asset_checking,income_social_security\n' +
+        'L-1,Ann Smith,84,single,FL,"$12,000",,1600\n'
+    });
+
+    expect(records).toEqual([expect.objectContaining({
+      id: 'L-1',
+      client_info: expect.objectContaining({ name: 'Ann Smith', age: 84, marital_status: 'single' }),
+      assets: { savings: 12000 },
+      income: { social_security: 1600 },
+      state: 'FL'
+    })]);
+  });
+
+  test('should reject empty, oversized and unreadable batches', () => {
+    expect(() => parseBatchRecords({ records: [] })).toThrow('The batch has no records');
+    expect(() => parseBatchRecords({ records: new Array(MAX_BATCH_RECORDS + 1).fill(lead('x')) }))
+      .toThrow(`the limit is ${MAX_BATCH_RECORDS}`);
+    expect(() => parseBatchRecords({ format: 'csv', content: 'id,name\n"L-1,Ann' })).toThrow('Could not parse csv file');
+    expect(() => parseBatchRecords({ format: 'xml', content: '<leads/>' })).toThrow(/JSON array or a CSV file/);
+  });
+
+  test('should assess each record in the background and summarize the batch', async () => {
+    const { jobId, status, total, accepted, errors } = createBatchJob({
+      records: [
+        lead('A'),
+        lead('B', { assets: { savings: 40000 } }),
+        lead('C', { state: undefined }),
+        lead('D', { state: 'ZZ' })
+      ]
+    });
+
+    expect({ status, total, accepted }).toEqual({ status: 'queued', total: 4, accepted: 3 });
+    expect(errors).toEqual([expect.objectContaining({ index: 2, id: 'C', missingFields: ['state'] })]);
+    expect(getBatchJob(jobId)).toMatchObject({ status: 'queued', processed: 1, results: [] });
+
+    const job = await waitForBatchJob(jobId);
+
+    expect(job).toMatchObject({ status: 'completed', processed: 4 });
+    expect(job.results.map(result => [result.id, result.eligible])).toEqual([['A', true], ['B', false]]);
+    expect(job.results[1]).toMatchObject({ excessResources: 38000, resourceLimit: 2000 });
+    expect(job.errors).toEqual([
+      expect.objectContaining({ index: 2, id: 'C', message: 'Missing required fields: state' }),
+      expect.objectContaining({ index: 3, id: 'D' })
+    ]);
+    expect(job.summary).toEqual({
+      total: 4,
+      succeeded: 2,
+      failed: 2,
+      eligible: 1,
+      resourceIneligible: 1,
+      incomeIneligible: 0,
+      totalExcessResources: 38000,
+      byState: { FL: { total: 2, eligible: 1 } }
+    });
+  });
+
+  test('should validate each row before queueing and return the rejected rows', async () => {
+    const records = parseBatchRecords({
+      format: 'csv',
+      content: 'id,name,age,marital_status,state,as_of_date,asset_savings,income_social_security\n' +
+        'L-1,Ann Smith,84,single,FL,2025-06-01,1500,1600\n' +
+        'L-2,Bob Jones,n/a,Single,FL,2025-06-01,unknown,1600\n' +
+        'L-3,Cy Park,79,engaged,FL,2025-06-01,1500,\n'
+    });
+    const { jobId, accepted, rejected, errors } = createBatchJob({ records });
+
+    expect({ accepted, rejected }).toEqual({ accepted: 1, rejected: 2 });
+    expect(errors[0]).toMatchObject({ index: 1, id: 'L-2' });
+    expect(errors[0].message).toMatch(/^Age must be a positive number; Invalid assets: /);
+    expect(errors[1]).toEqual({
+      index: 2, id: 'L-3', message: 'Missing required fields: income', missingFields: ['income']
+    });
+
+    const job = await waitForBatchJob(jobId);
+    expect(job.results.map(result => result.id)).toEqual(['L-1']);
+    expect(job.errors.map(error => error.index)).toEqual([1, 2]);
+
+    expect(() => createBatchJob({ records: [records[1]] })).toThrow(expect.objectContaining({
+      name: 'ValidationError',
+      message: 'No record in the batch is valid',
+      errors: [expect.objectContaining({ index: 0, id: 'L-2' })]
+    }));
+  });
+
+  test('should refuse new batches while too many are in progress', async () => {
+    const queued = Array.from({ length: MAX_ACTIVE_JOBS }, (_, index) => createBatchJob({ records: [lead(`Q${index}`)] }));
+
+    expect(() => createBatchJob({ records: [lead('overflow')] })).toThrow(expect.objectContaining({ name: 'BatchQueueFullError' }));
+
+    await Promise.all(queued.map(({ jobId }) => waitForBatchJob(jobId)));
+    expect(createBatchJob({ records: [lead('after')] }).status).toBe('queued');
+  });
+
+  test('should report unknown jobs', () => {
+    expect(() => getBatchJob('missing')).toThrow('Batch job not found: missing');
+  });
+});
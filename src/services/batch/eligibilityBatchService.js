@@ -0,0 +1,461 @@
+// src/services/batch/eligibilityBatchService.js
+// Screens a book of business (a JSON array or CSV export of leads) for
+// Medicaid eligibility as a background job the caller polls for status.
+// POST /api/eligibility/batch takes either a JSON body { records: [...] },
+// a JSON body { format: 'csv', content: '<file text>' }, or the CSV file
+// itself uploaded with Content-Type: text/csv.
+
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const { assessMedicaidEligibility } = require('../planning/eligibilityAssessment');
+const { parseCsv } = require('../utils/csv');
+const { validateAssets, validateIncome } = require('../validation/inputValidation');
+const { ValidationError, BatchJobNotFoundError, BatchQueueFullError } = require('../validation/validationErrors');
+
+// Largest batch accepted in one request
+const MAX_BATCH_RECORDS = 500;
+
+// Finished jobs are kept this long for status polling
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Batches queued or running at once; more are refused until one finishes
+const MAX_ACTIVE_JOBS = 5;
+
+// Jobs held in memory; the oldest finished jobs are dropped first
+const MAX_STORED_JOBS = 100;
+
+const MARITAL_STATUSES = ['single', 'married', 'divorced', 'widowed', 'separated'];
+
+// CSV columns with these prefixes become asset and income entries (asset_savings, income_pension)
+const ASSET_COLUMN_PREFIX = 'asset_';
+const INCOME_COLUMN_PREFIX = 'income_';
+
+// In-memory job store; jobs do not survive a restart
+const jobs = new Map();
+
+/**
+ * Converts a CSV cell to a number, leaving blanks out
+ *
+ * @param {string} value - Cell value
+ * @returns {number|undefined} Parsed amount
+ */
+function toAmount(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+  const amount = parseFloat(String(value).replace(/[$,]/g, ''));
+  return Number.isNaN(amount) ? value : amount;
+}
+
+/**
+ * Converts one CSV row into a batch record
+ * Client columns: id, name, age, marital_status, health_status, is_crisis,
+ * state and as_of_date; asset_* and income_* columns are amounts.
+ *
+ * @param {Object} row - Row keyed by column name
+ * @returns {Object} Batch record
+ */
+function csvRowToRecord(row) {
+  const assets = {};
+  const income = {};
+
+  Object.entries(row).forEach(([column, value]) => {
+    const amount = toAmount(value);
+    if (amount === undefined) {
+      return;
+    }
+    if (column.startsWith(ASSET_COLUMN_PREFIX)) {
+      assets[column.slice(ASSET_COLUMN_PREFIX.length)] = amount;
+    } else if (column.startsWith(INCOME_COLUMN_PREFIX)) {
+      income[column.slice(INCOME_COLUMN_PREFIX.length)] = amount;
+    }
+  });
+
+  return {
+    id: row.id || undefined,
+    client_info: {
+      name: row.name || undefined,
+      age: toAmount(row.age),
+      marital_status: row.marital_status || undefined,
+      health_status: row.health_status || undefined,
+      is_crisis: String(row.is_crisis).toLowerCase() === 'true'
+    },
+    assets,
+    income,
+    state: row.state || undefined,
+    as_of_date: row.as_of_date || undefined
+  };
+}
+
+/**
+ * Parses the submitted batch into records
+ *
+ * @param {Object} input - { records } (JSON array) or { format: 'csv', content }
+ * @returns {Array<Object>} Batch records
+ * @throws {ValidationError} When the batch is empty, too large or cannot be parsed
+ */
+function parseBatchRecords(input = {}) {
+  let records;
+
+  if (Array.isArray(input.records)) {
+    records = input.records;
+  } else if (input.format === 'csv') {
+    if (!input.content) {
+      throw new ValidationError('CSV batches need the file content');
+    }
+    try {
+      records = parseCsv(input.content).map(csvRowToRecord);
+    } catch (error) {
+      throw new ValidationError(`Could not parse csv file: ${error.message}`);
+    }
+  } else {
+    throw new ValidationError('Provide records as a JSON array or a CSV file (format: csv, content)');
+  }
+
+  if (records.length === 0) {
+    throw new ValidationError('The batch has no records');
+  }
+  if (records.length > MAX_BATCH_RECORDS) {
+    throw new ValidationError(`The batch has ${records.length} records; the limit is ${MAX_BATCH_RECORDS}`);
+  }
+
+  return records;
+}
+
+/**
+ * Lists the required fields a record is missing, as the single assessment endpoint does
+ *
+ * @param {Object} record - Batch record
+ * @returns {Array<string>} Missing field names
+ */
+function getMissingFields(record) {
+  const missingFields = [];
+  const clientInfo = record.client_info || {};
+
+  if (!clientInfo.name) missingFields.push('client_info.name');
+  if (clientInfo.age === undefined) missingFields.push('client_info.age');
+  if (!clientInfo.marital_status) missingFields.push('client_info.marital_status');
+  if (!record.state) missingFields.push('state');
+  if (!record.assets || Object.keys(record.assets).length === 0) missingFields.push('assets');
+  if (!record.income || Object.keys(record.income).length === 0) missingFields.push('income');
+
+  return missingFields;
+}
+
+/**
+ * Validates one record before it is queued
+ * Amounts go through the same checks as the planning inputs, so a CSV cell
+ * such as "n/a" is reported against its row instead of failing mid-batch.
+ *
+ * @param {Object} record - Batch record
+ * @param {number} index - Position in the batch
+ * @returns {Object} { record } with normalized assets and income, or { error }
+ */
+function validateRecord(record, index) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: { index, id: null, message: 'Record must be an object' } };
+  }
+
+  const recordId = record.id || null;
+  const missingFields = getMissingFields(record);
+  if (missingFields.length > 0) {
+    return { error: { index, id: recordId, message: `Missing required fields: ${missingFields.join(', ')}`, missingFields } };
+  }
+
+  const clientInfo = record.client_info;
+  const problems = [];
+  if (typeof clientInfo.age !== 'number' || Number.isNaN(clientInfo.age) || clientInfo.age < 0) {
+    problems.push('Age must be a positive number');
+  }
+  if (!MARITAL_STATUSES.includes(String(clientInfo.marital_status).toLowerCase().trim())) {
+    problems.push(`Marital status must be one of: ${MARITAL_STATUSES.join(', ')}`);
+  }
+  if (record.as_of_date !== undefined && Number.isNaN(Date.parse(record.as_of_date))) {
+    problems.push('as_of_date must be a date (YYYY-MM-DD)');
+  }
+
+  const assetsResult = validateAssets(record.assets);
+  const incomeResult = validateIncome(record.income);
+  [assetsResult, incomeResult].forEach(result => {
+    if (!result.valid) {
+      problems.push(result.message);
+    }
+  });
+
+  if (problems.length > 0) {
+    return { error: { index, id: recordId, message: problems.join('; ') } };
+  }
+
+  return {
+    record: {
+      ...record,
+      client_info: { ...clientInfo, marital_status: clientInfo.marital_status.toLowerCase().trim() },
+      assets: assetsResult.normalizedData,
+      income: incomeResult.normalizedData
+    }
+  };
+}
+
+/**
+ * Assesses one validated record
+ *
+ * @param {Object} record - Batch record
+ * @param {number} index - Position in the batch
+ * @returns {Promise<Object>} { result } on success or { error } on failure
+ */
+async function assessRecord(record, index) {
+  const recordId = record.id || null;
+  const clientInfo = record.client_info;
+  const assessment = await assessMedicaidEligibility(
+    {
+      name: clientInfo.name,
+      age: clientInfo.age,
+      maritalStatus: clientInfo.marital_status,
+      healthStatus: clientInfo.health_status
+    },
+    record.assets,
+    record.income,
+    { criticalHealth: clientInfo.health_status === 'critical' },
+    record.state,
+    Boolean(clientInfo.is_crisis),
+    { asOfDate: record.as_of_date }
+  );
+
+  if (assessment.status === 'error') {
+    return { error: { index, id: recordId, message: assessment.error } };
+  }
+
+  return {
+    result: {
+      index,
+      id: recordId,
+      state: record.state,
+      eligible: assessment.isResourceEligible && assessment.isIncomeEligible,
+      countableAssets: assessment.countableAssets,
+      totalIncome: assessment.totalIncome,
+      resourceLimit: assessment.resourceLimit,
+      incomeLimit: assessment.incomeLimit,
+      isResourceEligible: assessment.isResourceEligible,
+      isIncomeEligible: assessment.isIncomeEligible,
+      excessResources: assessment.excessResources,
+      urgency: assessment.urgency,
+      asOfDate: assessment.asOfDate,
+      conclusion: assessment.explanation ? assessment.explanation.conclusion : null
+    }
+  };
+}
+
+/**
+ * Totals the per-record results of a batch
+ *
+ * @param {Array} results - Successful record results
+ * @param {Array} errors - Failed records
+ * @returns {Object} Aggregate summary
+ */
+function summarizeResults(results, errors) {
+  const byState = {};
+  results.forEach(result => {
+    const state = String(result.state).toUpperCase();
+    byState[state] = byState[state] || { total: 0, eligible: 0 };
+    byState[state].total++;
+    if (result.eligible) {
+      byState[state].eligible++;
+    }
+  });
+
+  return {
+    total: results.length + errors.length,
+    succeeded: results.length,
+    failed: errors.length,
+    eligible: results.filter(result => result.eligible).length,
+    resourceIneligible: results.filter(result => !result.isResourceEligible).length,
+    incomeIneligible: results.filter(result => !result.isIncomeEligible).length,
+    totalExcessResources: results.reduce((sum, result) => sum + (result.excessResources || 0), 0),
+    byState
+  };
+}
+
+/**
+ * Runs a job's valid records one at a time, yielding between records so
+ * status requests are served while the batch is running
+ *
+ * @param {Object} job - Job record, with the rejected rows already under errors
+ * @param {Array} entries - Valid records as { record, index }
+ * @returns {Promise<void>}
+ */
+async function runBatchJob(job, entries) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    for (const { record, index } of entries) {
+      try {
+        const outcome = await assessRecord(record, index);
+        if (outcome.error) {
+          job.errors.push(outcome.error);
+        } else {
+          job.results.push(outcome.result);
+        }
+      } catch (error) {
+        job.errors.push({ index, id: record.id || null, message: error.message });
+      }
+      job.processed++;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    job.errors.sort((a, b) => a.index - b.index);
+    job.summary = summarizeResults(job.results, job.errors);
+    job.status = 'completed';
+    logger.info(`Batch ${job.id} completed: ${job.results.length} assessed, ${job.errors.length} failed`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    logger.error(`Batch ${job.id} failed: ${error.message}`);
+  } finally {
+    job.completedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Drops finished jobs older than the retention period, then the oldest
+ * finished jobs until the store is back under its cap
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  jobs.forEach((job, id) => {
+    if (job.completedAt && Date.parse(job.completedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  });
+
+  // Map iteration follows insertion order, so the oldest jobs come first
+  for (const [id, job] of jobs) {
+    if (jobs.size < MAX_STORED_JOBS) {
+      break;
+    }
+    if (job.completedAt) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Queues an eligibility batch and starts it in the background
+ * Every record is validated first; rejected rows are returned straight away
+ * and kept in the job's errors, and only the valid rows are assessed.
+ *
+ * @param {Object} input - { records } (JSON array) or { format: 'csv', content }
+ * @returns {Object} { jobId, status, total, accepted, rejected, errors }
+ * @throws {ValidationError} When the batch cannot be parsed, is too large or has no valid records
+ * @throws {BatchQueueFullError} When too many batches are already queued or running
+ */
+function createBatchJob(input) {
+  const records = parseBatchRecords(input);
+  pruneJobs();
+
+  const activeJobs = [...jobs.values()].filter(job => !job.completedAt).length;
+  if (activeJobs >= MAX_ACTIVE_JOBS || jobs.size >= MAX_STORED_JOBS) {
+    throw new BatchQueueFullError('Too many eligibility batches are in progress; try again once one has finished');
+  }
+
+  const entries = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const outcome = validateRecord(record, index);
+    if (outcome.error) {
+      errors.push(outcome.error);
+    } else {
+      entries.push({ record: outcome.record, index });
+    }
+  });
+
+  if (entries.length === 0) {
+    const error = new ValidationError('No record in the batch is valid');
+    error.errors = errors;
+    throw error;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    total: records.length,
+    processed: errors.length,
+    results: [],
+    errors: [...errors],
+    summary: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null
+  };
+  jobs.set(job.id, job);
+
+  // Kept off the job record so it is not serialized with the status
+  const done = new Promise(resolve => setImmediate(() => runBatchJob(job, entries).then(resolve)));
+  Object.defineProperty(job, 'done', { value: done, enumerable: false });
+
+  logger.info(`Queued eligibility batch ${job.id} with ${entries.length} of ${records.length} records valid`);
+  return {
+    jobId: job.id,
+    status: job.status,
+    total: job.total,
+    accepted: entries.length,
+    rejected: errors.length,
+    errors
+  };
+}
+
+/**
+ * Gets a batch job's status, and its results once it has finished
+ *
+ * @param {string} jobId - Job id
+ * @returns {Object} Job status with results, errors and summary
+ * @throws {BatchJobNotFoundError} When the job does not exist or has expired
+ */
+function getBatchJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    throw new BatchJobNotFoundError(`Batch job not found: ${jobId}`);
+  }
+
+  const finished = job.status === 'completed' || job.status === 'failed';
+  return {
+    jobId: job.id,
+    status: job.status,
+    total: job.total,
+    // Rejected rows count as processed from the start
+    processed: job.processed,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    ...(job.error ? { error: job.error } : {}),
+    // Partial results are held back until the batch is finished
+    results: finished ? job.results : [],
+    errors: finished ? job.errors : [],
+    summary: job.summary
+  };
+}
+
+/**
+ * Waits for a batch job to finish
+ *
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object>} Final job status
+ */
+async function waitForBatchJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    throw new BatchJobNotFoundError(`Batch job not found: ${jobId}`);
+  }
+  await job.done;
+  return getBatchJob(jobId);
+}
+
+module.exports = {
+  MAX_BATCH_RECORDS,
+  MAX_ACTIVE_JOBS,
+  parseBatchRecords,
+  validateRecord,
+  createBatchJob,
+  getBatchJob,
+  waitForBatchJob
+};
@@ -0,0 +1,200 @@
+// src/services/import/__tests__/transferImportService.test.js
+const {
+  MAX_IMPORTS_PER_CLIENT,
+  parseStatement,
+  createTransferImport,
+  getTransferImport,
+  reviewTransferImport,
+  getConfirmedTransfers
+} = require('../transferImportService');
+const { analyzePastTransfers } = require('../../planning/divestmentPlanning');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+const db = require('../../../../config/database');
+
+// Mock the database pool; transfer_imports rows are kept in a map
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Transfer Import Service', () => {
+  const planner = { id: '6f1c2a34-0b1d-4c55-9e21-3a7d5b8c9e10', role: 'planner' };
+  const otherPlanner = { id: '0d9e8f7a-6b5c-4d3e-8f2a-1b0c9d8e7f6a', role: 'planner' };
+  const clientId = '2b7d4e6f-8a9c-4b1d-9e3f-5a7c9e1b3d5f';
+  let rows;
+  let nextId;
+
+  // Just enough of transfer_imports for the service's queries
+  const query = jest.fn(async (text, values = []) => {
+    if (text.includes('INSERT INTO transfer_imports')) {
+      const [client_id, user_id, format, thresholds, family_names, skipped_rows, transactions] = values;
+      const id = `00000000-0000-4000-8000-${String(++nextId).padStart(12, '0')}`;
+      rows.set(id, {
+        id, client_id, user_id, format, created_at: new Date(Date.UTC(2025, 0, 1, 0, nextId)),
+        thresholds: JSON.parse(thresholds), family_names: JSON.parse(family_names),
+        skipped_rows: JSON.parse(skipped_rows), transactions: JSON.parse(transactions)
+      });
+      return { rows: [rows.get(id)] };
+    }
+    if (text.includes('SELECT * FROM transfer_imports')) {
+      return { rows: rows.has(values[0]) ? [JSON.parse(JSON.stringify(rows.get(values[0])))] : [] };
+    }
+    if (text.includes('UPDATE transfer_imports')) {
+      rows.get(values[0]).transactions = JSON.parse(values[1]);
+      return { rowCount: 1 };
+    }
+    if (text.includes('WHERE client_id = $1 AND id NOT IN')) {
+      const kept = [...rows.values()]
+        .filter(row => row.client_id === values[0])
+        .sort((a, b) => b.created_at - a.created_at)
+        .slice(0, values[1])
+        .map(row => row.id);
+      [...rows.values()].filter(row => row.client_id === values[0] && !kept.includes(row.id)).forEach(row => rows.delete(row.id));
+    }
+    return { rows: [], rowCount: 0 };
+  });
+
+  const create = (input, user = planner) => createTransferImport({ client_id: clientId, ...input }, user);
+
+  beforeEach(() => {
+    rows = new Map();
+    nextId = 0;
+    db.query.mockImplementation(query);
+    db.connect.mockResolvedValue({ query, release: jest.fn() });
+  });
+
+  const csv = [
+    'Posted Date,Description,Check Number,Debit,Credit',
+    '01/05/2024,SOCIAL SECURITY DEPOSIT,,,"1,850.00"',
+    '01/09/2024,CHECK 1043 JANE SMITH,1043,"2,500.00",',
+    '02/14/2024,ATM WITHDRAWAL MAIN ST,,1200.00,',
+    '03/01/2024,ZELLE TO SMITH JANE,,640.25,',
+    '03/20/2024,WIRE TRANSFER OUT,,"12,000.00",',
+    '04/02/2024,ELECTRIC COMPANY,,143.17,',
+    'bad date,GROCERY,,50.00,'
+  ].join('\n');
+
+  const ofx = `OFXHEADER:100
+DATA:OFXSGML
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<BANKACCTFROM><BANKID>011000015<ACCTID>12345678<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST><DTSTART>20240101<DTEND>20240331
+<STMTTRN><TRNTYPE>CHECK<DTPOSTED>20240109120000<TRNAMT>-3000.00<FITID>A1<CHECKNUM>1044<NAME>ROBERT JONES</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240210<TRNAMT>-89.99<FITID>A2<NAME>PHARMACY &amp; CO<MEMO>PRESCRIPTIONS</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240301<TRNAMT>1850.00<FITID>A3<NAME>SSA TREAS</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+  test('should read CSV exports with debit and credit columns and US dates', () => {
+    const { transactions, skippedRows } = parseStatement({ format: 'csv', content: csv });
+
+    expect(transactions).toHaveLength(6);
+    expect(transactions[0]).toMatchObject({ date: '2024-01-05', amount: 1850, description: 'SOCIAL SECURITY DEPOSIT' });
+    expect(transactions[1]).toMatchObject({ date: '2024-01-09', amount: -2500, checkNumber: '1043' });
+    expect(skippedRows).toEqual([{ row: 8, reason: 'Missing or unreadable date' }]);
+  });
+
+  test('should read OFX statements with their transaction ids', () => {
+    const { transactions } = parseStatement({ format: 'ofx', content: ofx });
+
+    expect(transactions.map(tx => [tx.id, tx.date, tx.amount, tx.description])).toEqual([
+      ['A1', '2024-01-09', -3000, 'ROBERT JONES'],
+      ['A2', '2024-02-10', -89.99, 'PHARMACY & CO'],
+      ['A3', '2024-03-01', 1850, 'SSA TREAS']
+    ]);
+    expect(transactions[0]).toMatchObject({ checkNumber: '1044', type: 'CHECK', account: '12345678' });
+  });
+
+  test('should flag large, family, cash and round-dollar debits', async () => {
+    const result = await create({ format: 'csv', content: csv, family_names: ['Jane Smith'] });
+    const flagsFor = description => result.candidates.find(tx => tx.description === description).flags.map(flag => flag.code);
+
+    expect(result.summary).toMatchObject({ transactions: 6, debits: 5, credits: 1, flagged: 4, pending: 4, periodStart: '2024-01-05' });
+    expect(flagsFor('CHECK 1043 JANE SMITH')).toEqual(['check_to_family', 'round_amount']);
+    expect(flagsFor('ATM WITHDRAWAL MAIN ST')).toEqual(['cash_withdrawal']);
+    expect(flagsFor('ZELLE TO SMITH JANE')).toEqual(['payment_to_family']);
+    expect(flagsFor('WIRE TRANSFER OUT')).toEqual(['large_withdrawal', 'round_amount']);
+    expect(result.candidates.some(tx => tx.description === 'ELECTRIC COMPANY')).toBe(false);
+
+    // Thresholds can be tightened per import
+    const strict = await create({ format: 'csv', content: csv, thresholds: { cash_withdrawal: 2000 } });
+    expect(strict.candidates.some(tx => tx.description === 'ATM WITHDRAWAL MAIN ST')).toBe(false);
+  });
+
+  test('should feed confirmed transactions to divestment planning as past transfers', async () => {
+    const created = await create({ format: 'csv', content: csv, family_names: ['Jane Smith'] });
+    const idOf = description => created.candidates.find(tx => tx.description === description).id;
+
+    const reviewed = await reviewTransferImport(created.importId, [
+      { transaction_id: idOf('CHECK 1043 JANE SMITH'), decision: 'confirm', purpose: 'gift' },
+      { transaction_id: idOf('ZELLE TO SMITH JANE'), decision: 'confirm' },
+      { transaction_id: idOf('WIRE TRANSFER OUT'), decision: 'confirm', recipient: 'Pine Ridge Care Home', consideration_received: 12000 },
+      { transaction_id: idOf('ATM WITHDRAWAL MAIN ST'), decision: 'dismiss', note: 'Spent on groceries' }
+    ], planner);
+
+    expect(reviewed.status).toBe('reviewed');
+    expect(reviewed.summary).toMatchObject({ confirmed: 3, dismissed: 1, pending: 0, confirmedTotal: 15140.25 });
+    // The decisions are stored with the import
+    const pastTransfers = await getConfirmedTransfers(created.importId, planner);
+    expect((await getTransferImport(created.importId, planner)).pastTransfers).toEqual(pastTransfers);
+
+    expect(pastTransfers[0]).toMatchObject({
+      date: '2024-01-09', amount: 2500, recipient: 'Jane Smith', purpose: 'gift', check_number: '1043',
+      documentation: 'Bank statement 2024-01-09: CHECK 1043 JANE SMITH'
+    });
+
+    const analysis = analyzePastTransfers(pastTransfers, 'florida', { asOfDate: '2025-06-01', rules: getDatasetRules('FL', '2025-06-01') });
+    expect(analysis.nonExemptTotal).toBe(3140.25);
+    expect(analysis.documentationIssues).toEqual([]);
+  });
+
+  test('should reject unreadable statements and invalid decisions', async () => {
+    expect(() => parseStatement({ format: 'pdf', content: 'x' })).toThrow(/format csv or ofx/);
+    expect(() => parseStatement({ format: 'ofx', content: 'not ofx' })).toThrow(/Could not parse ofx file/);
+    expect(() => parseStatement({ format: 'csv', content: 'Date,Amount\n' })).toThrow(/no transactions/);
+
+    const created = await create({ format: 'ofx', content: ofx });
+    const review = decisions => reviewTransferImport(created.importId, decisions, planner);
+    await expect(review([{ transaction_id: 'A3', decision: 'confirm' }])).rejects.toThrow(/only money leaving/);
+    await expect(review([{ transaction_id: 'A1', decision: 'maybe' }])).rejects.toThrow(/confirm, dismiss/);
+    await expect(review([{ transaction_id: 'nope', decision: 'confirm' }])).rejects.toThrow(/unknown transaction/);
+    await expect(review([null])).rejects.toThrow('Decision 1: must be an object of { transaction_id, decision }');
+    await expect(review([{ transaction_id: 'A1', decision: 'confirm', evidence: 'care_log' }])).rejects.toThrow(/evidence must be an array/);
+    await expect(review([{ transaction_id: 'A1', decision: 'confirm', evidence: ['care_log', 'receipt'] }])).rejects.toThrow(/unknown evidence receipt/);
+    await expect(getTransferImport('missing', planner)).rejects.toMatchObject({ name: 'TransferImportNotFoundError' });
+  });
+
+  test('should validate the client and thresholds of an import', async () => {
+    await expect(createTransferImport({ format: 'ofx', content: ofx }, planner)).rejects.toThrow(/client_id is required/);
+    await expect(create({ format: 'ofx', content: ofx, thresholds: { round_amount_multiple: 0 } }))
+      .rejects.toThrow('Threshold round_amount_multiple must be greater than 0');
+    await expect(create({ format: 'ofx', content: ofx, thresholds: { cash_withdrawal: '2000' } }))
+      .rejects.toThrow('Threshold cash_withdrawal must be a number of at least 0');
+    await expect(create({ format: 'ofx', content: ofx, thresholds: { gift_limit: 100 } })).rejects.toThrow(/Unknown threshold gift_limit/);
+    expect(rows.size).toBe(0);
+  });
+
+  test('should only show an import to the user who uploaded it and keep a few per client', async () => {
+    const created = await create({ format: 'ofx', content: ofx });
+
+    await expect(getTransferImport(created.importId, otherPlanner)).rejects.toMatchObject({ name: 'TransferImportNotFoundError' });
+    await expect(reviewTransferImport(created.importId, [{ transaction_id: 'A1', decision: 'dismiss' }], otherPlanner))
+      .rejects.toMatchObject({ name: 'TransferImportNotFoundError' });
+    expect((await getTransferImport(created.importId, { ...otherPlanner, role: 'admin' })).clientId).toBe(clientId);
+
+    for (let count = 0; count < MAX_IMPORTS_PER_CLIENT; count++) {
+      await create({ format: 'ofx', content: ofx });
+    }
+    expect(rows.size).toBe(MAX_IMPORTS_PER_CLIENT);
+    await expect(getTransferImport(created.importId, planner)).rejects.toMatchObject({ name: 'TransferImportNotFoundError' });
+  });
+});
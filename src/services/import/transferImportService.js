@@ -0,0 +1,648 @@
+// src/services/import/transferImportService.js
+// Imports bank statement exports (CSV or OFX) for the look-back review,
+// flags the transactions that look like gifts or transfers, and lets the
+// planner confirm or dismiss each flag. Confirmed transactions become the
+// pastTransfers input of divestment planning. Imports are stored in
+// transfer_imports (migrations/006), tied to the client and the user who
+// uploaded them; only that user or an admin can read or review one.
+
+const db = require('../../../config/database');
+const logger = require('../../config/logger');
+const { parseCsv } = require('../utils/csv');
+const { parseOfx } = require('../utils/ofx');
+const { EVIDENCE, EXEMPT_TRANSFER_CATEGORIES } = require('../planning/transferExemptions');
+const { ValidationError, TransferImportNotFoundError } = require('../validation/validationErrors');
+
+// Five years of statements for a few accounts fits comfortably under this
+const MAX_STATEMENT_TRANSACTIONS = 25000;
+
+// Imports are kept this long for review
+const IMPORT_RETENTION_DAYS = 7;
+
+// Imports kept per client; older ones are deleted when a new one is stored
+const MAX_IMPORTS_PER_CLIENT = 5;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// PostgreSQL foreign key violation
+const FOREIGN_KEY_VIOLATION = '23503';
+
+// Amounts that flag a debit; each can be overridden per import
+const DEFAULT_THRESHOLDS = {
+  large_withdrawal: 5000,
+  cash_withdrawal: 1000,
+  // Debits of at least round_amount_minimum that are a multiple of round_amount_multiple
+  round_amount_multiple: 500,
+  round_amount_minimum: 1000
+};
+
+const FLAG_REASONS = {
+  large_withdrawal: 'Large withdrawal',
+  check_to_family: 'Check written to a family member',
+  payment_to_family: 'Payment to a family member',
+  cash_withdrawal: 'Cash withdrawal above the threshold',
+  round_amount: 'Round-dollar amount typical of a gift'
+};
+
+const DECISIONS = ['confirm', 'dismiss'];
+
+// CSV header names banks use for each field, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  date: ['date', 'transactiondate', 'posteddate', 'postingdate', 'postdate'],
+  description: ['description', 'payee', 'name', 'transactiondescription', 'details'],
+  memo: ['memo', 'notes'],
+  amount: ['amount', 'transactionamount'],
+  debit: ['debit', 'debitamount', 'withdrawal', 'withdrawals'],
+  credit: ['credit', 'creditamount', 'deposit', 'deposits'],
+  check_number: ['checknumber', 'check', 'checkno', 'chknum', 'num'],
+  type: ['type', 'transactiontype'],
+  account: ['account', 'accountnumber', 'accountid']
+};
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Parses a statement amount ("$1,250.00", "-40", "(1,250.00)")
+ *
+ * @param {string} value - Cell value
+ * @returns {number|null} Signed amount, or null if blank or not a number
+ */
+function parseStatementAmount(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (text === '') {
+    return null;
+  }
+  const negative = /^\(.*\)$/.test(text);
+  const amount = parseFloat(text.replace(/[$,()\s]/g, ''));
+  if (Number.isNaN(amount)) {
+    return null;
+  }
+  return negative ? -amount : amount;
+}
+
+/**
+ * Parses a statement date (YYYY-MM-DD or the US MM/DD/YYYY and MM/DD/YY)
+ *
+ * @param {string} value - Cell value
+ * @returns {string|null} ISO calendar date, or null if not a date
+ */
+function parseStatementDate(value) {
+  const text = String(value || '').trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  }
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+    return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+/**
+ * Finds the value of a field in a CSV row by any of the names banks use for it
+ *
+ * @param {Object} row - Row keyed by column name
+ * @param {string} field - Field in COLUMN_ALIASES
+ * @returns {string|undefined} Cell value
+ */
+function readColumn(row, field) {
+  const column = Object.keys(row).find(name => COLUMN_ALIASES[field].includes(name.toLowerCase().replace(/[^a-z]/g, '')));
+  return column ? row[column] : undefined;
+}
+
+/**
+ * Converts CSV rows to statement transactions
+ * A signed amount column, or separate debit and credit columns, is accepted.
+ *
+ * @param {Array<Object>} rows - Parsed CSV rows
+ * @returns {Object} { transactions, skippedRows }
+ */
+function csvRowsToTransactions(rows) {
+  const transactions = [];
+  const skippedRows = [];
+
+  rows.forEach((row, index) => {
+    const date = parseStatementDate(readColumn(row, 'date'));
+    const debit = parseStatementAmount(readColumn(row, 'debit'));
+    const credit = parseStatementAmount(readColumn(row, 'credit'));
+    let amount = parseStatementAmount(readColumn(row, 'amount'));
+    if (amount === null && (debit || credit)) {
+      amount = (credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0);
+    }
+
+    if (!date || amount === null) {
+      skippedRows.push({ row: index + 2, reason: !date ? 'Missing or unreadable date' : 'Missing or unreadable amount' });
+      return;
+    }
+
+    transactions.push({
+      date,
+      amount,
+      description: readColumn(row, 'description') || '',
+      memo: readColumn(row, 'memo') || '',
+      checkNumber: readColumn(row, 'check_number') || null,
+      type: readColumn(row, 'type') || null,
+      account: readColumn(row, 'account') || null
+    });
+  });
+
+  return { transactions, skippedRows };
+}
+
+/**
+ * Converts OFX transactions to statement transactions
+ *
+ * @param {Array<Object>} ofxTransactions - Result of parseOfx
+ * @returns {Object} { transactions, skippedRows }
+ */
+function ofxToTransactions(ofxTransactions) {
+  const transactions = [];
+  const skippedRows = [];
+
+  ofxTransactions.forEach((tx, index) => {
+    if (!tx.date || Number.isNaN(tx.amount)) {
+      skippedRows.push({ row: index + 1, reason: !tx.date ? 'Missing or unreadable date' : 'Missing or unreadable amount' });
+      return;
+    }
+    transactions.push({
+      id: tx.fitId,
+      date: tx.date,
+      amount: tx.amount,
+      description: tx.name || '',
+      memo: tx.memo || '',
+      checkNumber: tx.checkNumber || null,
+      type: tx.type || null,
+      account: tx.accountId || null
+    });
+  });
+
+  return { transactions, skippedRows };
+}
+
+/**
+ * Parses a statement file into transactions
+ *
+ * @param {Object} input - { format: 'csv' | 'ofx', content }
+ * @returns {Object} { transactions, skippedRows }
+ * @throws {ValidationError} When the format is unsupported, the file cannot be parsed or has no transactions
+ */
+function parseStatement(input = {}) {
+  const format = String(input.format || '').toLowerCase();
+  if (!['csv', 'ofx', 'qfx'].includes(format)) {
+    throw new ValidationError('Provide a bank statement as format csv or ofx with its content');
+  }
+  if (!input.content) {
+    throw new ValidationError(`${format.toUpperCase()} statements need the file content`);
+  }
+
+  let parsed;
+  try {
+    parsed = format === 'csv' ? csvRowsToTransactions(parseCsv(input.content)) : ofxToTransactions(parseOfx(input.content));
+  } catch (error) {
+    throw new ValidationError(`Could not parse ${format} file: ${error.message}`);
+  }
+
+  if (parsed.transactions.length === 0) {
+    throw new ValidationError('The statement has no transactions');
+  }
+  if (parsed.transactions.length > MAX_STATEMENT_TRANSACTIONS) {
+    throw new ValidationError(`The statement has ${parsed.transactions.length} transactions; the limit is ${MAX_STATEMENT_TRANSACTIONS}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Finds the family member a transaction description names
+ * A name matches when each of its words appears in the text, in any order
+ * ("JANE SMITH", "SMITH, JANE" and "ZELLE TO SMITH JANE" all name Jane Smith).
+ *
+ * @param {string} text - Description and memo
+ * @param {Array<string>} familyNames - Names of family members
+ * @returns {string|null} Matching name
+ */
+function matchFamilyName(text, familyNames) {
+  const words = String(text).toUpperCase().split(/[^A-Z0-9']+/);
+  return familyNames.find(name => {
+    const parts = String(name).toUpperCase().split(/\s+/).filter(part => part.length > 1);
+    return parts.length > 0 && parts.every(part => words.includes(part));
+  }) || null;
+}
+
+/**
+ * Flags a debit that looks like a gift or transfer
+ *
+ * @param {Object} transaction - Statement transaction (amount is positive for debits)
+ * @param {Object} thresholds - Flag thresholds
+ * @param {Array<string>} familyNames - Names of family members
+ * @returns {Object} { flags: [{ code, reason }], familyMember }
+ */
+function flagTransaction(transaction, thresholds, familyNames) {
+  const flags = [];
+  const text = `${transaction.description} ${transaction.memo}`;
+  const type = String(transaction.type || '').toUpperCase();
+  const isCheck = Boolean(transaction.checkNumber) || type === 'CHECK' || /\b(check|chk)\b/i.test(text);
+  const isCash = type === 'ATM' || type === 'CASH' || /\b(atm|cash)\b/i.test(text);
+  const familyMember = matchFamilyName(text, familyNames);
+  const add = code => flags.push({ code, reason: FLAG_REASONS[code] });
+
+  if (transaction.amount >= thresholds.large_withdrawal) {
+    add('large_withdrawal');
+  }
+  if (familyMember) {
+    add(isCheck ? 'check_to_family' : 'payment_to_family');
+  }
+  if (isCash && transaction.amount >= thresholds.cash_withdrawal) {
+    add('cash_withdrawal');
+  }
+  if (transaction.amount >= thresholds.round_amount_minimum && transaction.amount % thresholds.round_amount_multiple === 0) {
+    add('round_amount');
+  }
+
+  return { flags, familyMember };
+}
+
+/**
+ * Validates per-import flag thresholds
+ *
+ * @param {Object} [thresholds] - Overrides of DEFAULT_THRESHOLDS
+ * @returns {Object} Thresholds to flag with
+ * @throws {ValidationError} When a threshold is unknown, not a number or out of range
+ */
+function resolveThresholds(thresholds) {
+  if (thresholds === undefined || thresholds === null) {
+    return { ...DEFAULT_THRESHOLDS };
+  }
+  if (typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new ValidationError('thresholds must be an object of amounts');
+  }
+
+  Object.entries(thresholds).forEach(([key, value]) => {
+    if (!(key in DEFAULT_THRESHOLDS)) {
+      throw new ValidationError(`Unknown threshold ${key}; thresholds are ${Object.keys(DEFAULT_THRESHOLDS).join(', ')}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new ValidationError(`Threshold ${key} must be a number of at least 0`);
+    }
+  });
+  if (thresholds.round_amount_multiple !== undefined && thresholds.round_amount_multiple <= 0) {
+    throw new ValidationError('Threshold round_amount_multiple must be greater than 0');
+  }
+
+  return { ...DEFAULT_THRESHOLDS, ...thresholds };
+}
+
+/**
+ * Converts a transfer_imports row to an import record
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Import record
+ */
+function rowToRecord(row) {
+  return {
+    id: row.id,
+    clientId: row.client_id,
+    userId: row.user_id,
+    format: row.format,
+    createdAt: new Date(row.created_at).toISOString(),
+    thresholds: row.thresholds,
+    familyNames: row.family_names,
+    skippedRows: row.skipped_rows,
+    transactions: row.transactions
+  };
+}
+
+/**
+ * Looks up an import the user may see
+ * Another user's import is reported as not found, so ids cannot be probed.
+ *
+ * @param {string} importId - Import id
+ * @param {Object} user - Authenticated user ({ id, role })
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Transaction client, whose transaction locks the row until it ends
+ * @returns {Promise<Object>} Import record
+ * @throws {TransferImportNotFoundError} When the import does not exist, has expired or belongs to another user
+ */
+async function findImport(importId, user, options = {}) {
+  const client = options.client || db;
+  const notFound = new TransferImportNotFoundError(`Transfer import not found: ${importId}`);
+  if (!UUID_PATTERN.test(String(importId)) || !user) {
+    throw notFound;
+  }
+
+  const result = await client.query(`
+    SELECT * FROM transfer_imports
+    WHERE id = $1 AND created_at > NOW() - make_interval(days => $2)
+    ${options.client ? 'FOR UPDATE' : ''}
+  `, [importId, IMPORT_RETENTION_DAYS]);
+  const row = result.rows[0];
+
+  if (!row || (row.user_id !== user.id && user.role !== 'admin')) {
+    throw notFound;
+  }
+  return rowToRecord(row);
+}
+
+/**
+ * Deletes expired imports and the client's imports beyond the retention cap
+ *
+ * @param {string} clientId - Client the new import belongs to
+ * @returns {Promise<void>}
+ */
+async function pruneImports(clientId) {
+  await db.query('DELETE FROM transfer_imports WHERE created_at <= NOW() - make_interval(days => $1)', [IMPORT_RETENTION_DAYS]);
+  await db.query(`
+    DELETE FROM transfer_imports
+    WHERE client_id = $1 AND id NOT IN (
+      SELECT id FROM transfer_imports WHERE client_id = $1 ORDER BY created_at DESC LIMIT $2
+    )
+  `, [clientId, MAX_IMPORTS_PER_CLIENT]);
+}
+
+/**
+ * Validates a review decision
+ *
+ * @param {Object} decision - Planner decision
+ * @param {number} index - Position in the decisions array
+ * @throws {ValidationError} When the decision is malformed
+ */
+function validateDecision(decision, index) {
+  const label = `Decision ${index + 1}`;
+  if (!decision || typeof decision !== 'object' || Array.isArray(decision)) {
+    throw new ValidationError(`${label}: must be an object of { transaction_id, decision }`);
+  }
+  if (!DECISIONS.includes(decision.decision)) {
+    throw new ValidationError(`${label}: decision must be one of ${DECISIONS.join(', ')}`);
+  }
+  if (decision.evidence !== undefined && decision.evidence !== null) {
+    if (!Array.isArray(decision.evidence)) {
+      throw new ValidationError(`${label}: evidence must be an array of document keys`);
+    }
+    const unknown = decision.evidence.filter(key => !(key in EVIDENCE));
+    if (unknown.length > 0) {
+      throw new ValidationError(`${label}: unknown evidence ${unknown.join(', ')}; documents are ${Object.keys(EVIDENCE).join(', ')}`);
+    }
+  }
+  if (decision.exemption_category && !(decision.exemption_category in EXEMPT_TRANSFER_CATEGORIES)) {
+    throw new ValidationError(`${label}: unknown exemption category ${decision.exemption_category}`);
+  }
+  if (decision.consideration_received !== undefined && decision.consideration_received !== null &&
+      !(parseFloat(decision.consideration_received) >= 0)) {
+    throw new ValidationError(`${label}: consideration_received must be an amount of at least 0`);
+  }
+}
+
+/**
+ * Builds the past transfer a confirmed transaction feeds to divestment planning
+ * The statement line is the record of the transfer.
+ *
+ * @param {Object} record - Import record
+ * @param {Object} transaction - Confirmed transaction
+ * @returns {Object} Past transfer
+ */
+function toPastTransfer(record, transaction) {
+  const review = transaction.review;
+  return {
+    id: transaction.id,
+    date: transaction.date,
+    amount: transaction.amount,
+    recipient: review.recipient || transaction.familyMember || transaction.description || 'unknown',
+    purpose: review.purpose || null,
+    documentation: `Bank statement ${transaction.date}: ${transaction.description}`.trim(),
+    ...(transaction.checkNumber ? { check_number: transaction.checkNumber } : {}),
+    ...(review.considerationReceived ? { consideration_received: review.considerationReceived } : {}),
+    ...(review.exemptionCategory ? { exemption_category: review.exemptionCategory } : {}),
+    ...(review.evidence ? { evidence: review.evidence } : {}),
+    source: { importId: record.id, transactionId: transaction.id }
+  };
+}
+
+/**
+ * Summarizes an import for the planner
+ * Candidates are the flagged transactions and any the planner has reviewed.
+ *
+ * @param {Object} record - Import record
+ * @returns {Object} Import status with candidates and the confirmed pastTransfers
+ */
+function describeImport(record) {
+  const debits = record.transactions.filter(tx => tx.direction === 'debit');
+  const candidates = record.transactions.filter(tx => tx.flags.length > 0 || tx.review.status !== 'pending');
+  const count = status => candidates.filter(tx => tx.review.status === status).length;
+  const dates = record.transactions.map(tx => tx.date).sort();
+
+  return {
+    importId: record.id,
+    clientId: record.clientId,
+    format: record.format,
+    status: count('pending') > 0 ? 'in_review' : 'reviewed',
+    createdAt: record.createdAt,
+    thresholds: record.thresholds,
+    familyNames: record.familyNames,
+    summary: {
+      transactions: record.transactions.length,
+      debits: debits.length,
+      credits: record.transactions.length - debits.length,
+      debitTotal: roundCents(debits.reduce((sum, tx) => sum + tx.amount, 0)),
+      periodStart: dates[0],
+      periodEnd: dates[dates.length - 1],
+      flagged: record.transactions.filter(tx => tx.flags.length > 0).length,
+      pending: count('pending'),
+      confirmed: count('confirmed'),
+      dismissed: count('dismissed'),
+      confirmedTotal: roundCents(candidates.filter(tx => tx.review.status === 'confirmed').reduce((sum, tx) => sum + tx.amount, 0))
+    },
+    skippedRows: record.skippedRows,
+    candidates,
+    pastTransfers: confirmedTransfers(record)
+  };
+}
+
+/**
+ * Lists an import record's confirmed transactions as past transfers
+ *
+ * @param {Object} record - Import record
+ * @returns {Array<Object>} Past transfers
+ */
+function confirmedTransfers(record) {
+  return record.transactions
+    .filter(tx => tx.review.status === 'confirmed')
+    .map(tx => toPastTransfer(record, tx));
+}
+
+/**
+ * Imports a bank statement and flags likely gifts and transfers for review
+ *
+ * @param {Object} input - { client_id, format: 'csv' | 'ofx', content, family_names, thresholds }
+ * @param {Object} user - Authenticated user the import belongs to
+ * @returns {Promise<Object>} Import status (see describeImport)
+ * @throws {ValidationError} When the client is missing or unknown, or the statement or thresholds are invalid
+ */
+async function createTransferImport(input = {}, user) {
+  if (!input.client_id || !UUID_PATTERN.test(String(input.client_id))) {
+    throw new ValidationError('client_id is required and must be a client id');
+  }
+  const thresholds = resolveThresholds(input.thresholds);
+  if (input.family_names !== undefined && !Array.isArray(input.family_names)) {
+    throw new ValidationError('family_names must be an array of names');
+  }
+  const { transactions, skippedRows } = parseStatement(input);
+  const familyNames = (input.family_names || []).filter(Boolean);
+
+  const record = {
+    format: String(input.format).toLowerCase(),
+    thresholds,
+    familyNames,
+    skippedRows,
+    transactions: transactions
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((tx, index) => {
+        const direction = tx.amount < 0 ? 'debit' : 'credit';
+        const transaction = { ...tx, id: tx.id || `txn_${index + 1}`, amount: roundCents(Math.abs(tx.amount)), direction };
+        const { flags, familyMember } = direction === 'debit' ?
+          flagTransaction(transaction, thresholds, familyNames) :
+          { flags: [], familyMember: null };
+        return { ...transaction, flags, familyMember, review: { status: 'pending' } };
+      })
+  };
+
+  let result;
+  try {
+    result = await db.query(`
+      INSERT INTO transfer_imports (client_id, user_id, format, thresholds, family_names, skipped_rows, transactions)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, client_id, user_id, created_at
+    `, [
+      input.client_id, user.id, record.format, JSON.stringify(thresholds), JSON.stringify(familyNames),
+      JSON.stringify(skippedRows), JSON.stringify(record.transactions)
+    ]);
+  } catch (error) {
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      throw new ValidationError(`Unknown client: ${input.client_id}`);
+    }
+    throw error;
+  }
+  const stored = result.rows[0];
+  Object.assign(record, {
+    id: stored.id,
+    clientId: stored.client_id,
+    userId: stored.user_id,
+    createdAt: new Date(stored.created_at).toISOString()
+  });
+  await pruneImports(record.clientId);
+
+  const flagged = record.transactions.filter(tx => tx.flags.length > 0).length;
+  logger.info(`Imported ${record.transactions.length} statement transactions (${flagged} flagged) as ${record.id}`);
+  return describeImport(record);
+}
+
+/**
+ * Gets an import's status and candidates
+ *
+ * @param {string} importId - Import id
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Import status (see describeImport)
+ * @throws {TransferImportNotFoundError} When the import does not exist, has expired or belongs to another user
+ */
+async function getTransferImport(importId, user) {
+  return describeImport(await findImport(importId, user));
+}
+
+/**
+ * Records the planner's decisions on flagged (or any other) transactions
+ * A decision can be changed by reviewing the transaction again.
+ *
+ * @param {string} importId - Import id
+ * @param {Array<Object>} decisions - [{ transaction_id, decision: 'confirm' | 'dismiss', recipient, purpose,
+ *   consideration_received, exemption_category, evidence (EVIDENCE keys), note }]
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Import status (see describeImport)
+ * @throws {TransferImportNotFoundError} When the import does not exist, has expired or belongs to another user
+ * @throws {ValidationError} When a decision is invalid or names an unknown transaction
+ */
+async function reviewTransferImport(importId, decisions, user) {
+  if (!Array.isArray(decisions) || decisions.length === 0) {
+    throw new ValidationError('Provide decisions as an array of { transaction_id, decision }');
+  }
+  decisions.forEach(validateDecision);
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const record = await findImport(importId, user, { client });
+    const described = applyDecisions(record, decisions);
+
+    await client.query('UPDATE transfer_imports SET transactions = $2 WHERE id = $1', [record.id, JSON.stringify(record.transactions)]);
+    await client.query('COMMIT');
+    return described;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Applies validated decisions to an import record
+ *
+ * @param {Object} record - Import record (transactions are updated in place)
+ * @param {Array<Object>} decisions - Planner decisions
+ * @returns {Object} Import status (see describeImport)
+ * @throws {ValidationError} When a decision names an unknown transaction or confirms a credit
+ */
+function applyDecisions(record, decisions) {
+  // Check every decision against the statement before applying any of them
+  const updates = decisions.map((decision, index) => {
+    const transaction = record.transactions.find(tx => tx.id === decision.transaction_id);
+    if (!transaction) {
+      throw new ValidationError(`Decision ${index + 1}: unknown transaction ${decision.transaction_id}`);
+    }
+    if (decision.decision === 'confirm' && transaction.direction !== 'debit') {
+      throw new ValidationError(`Decision ${index + 1}: only money leaving the account can be a transfer`);
+    }
+    return { transaction, decision };
+  });
+
+  const reviewedAt = new Date().toISOString();
+  updates.forEach(({ transaction, decision }) => {
+    transaction.review = {
+      status: decision.decision === 'confirm' ? 'confirmed' : 'dismissed',
+      reviewedAt,
+      ...(decision.recipient ? { recipient: decision.recipient } : {}),
+      ...(decision.purpose ? { purpose: decision.purpose } : {}),
+      ...(decision.consideration_received ? { considerationReceived: parseFloat(decision.consideration_received) || 0 } : {}),
+      ...(decision.exemption_category ? { exemptionCategory: decision.exemption_category } : {}),
+      ...(decision.evidence ? { evidence: decision.evidence } : {}),
+      ...(decision.note ? { note: decision.note } : {})
+    };
+  });
+
+  logger.info(`Reviewed ${updates.length} transaction(s) in transfer import ${record.id}`);
+  return describeImport(record);
+}
+
+/**
+ * Lists the confirmed transactions of an import as divestment planning pastTransfers
+ *
+ * @param {string} importId - Import id
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array<Object>>} Past transfers
+ * @throws {TransferImportNotFoundError} When the import does not exist, has expired or belongs to another user
+ */
+async function getConfirmedTransfers(importId, user) {
+  return confirmedTransfers(await findImport(importId, user));
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  MAX_STATEMENT_TRANSACTIONS,
+  MAX_IMPORTS_PER_CLIENT,
+  parseStatement,
+  flagTransaction,
+  createTransferImport,
+  getTransferImport,
+  reviewTransferImport,
+  getConfirmedTransfers
+};
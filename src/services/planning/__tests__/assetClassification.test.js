@@ -0,0 +1,169 @@
+// src/services/planning/__tests__/assetClassification.test.js
+const { classifyAssets } = require('../../utils/eligibilityUtils');
+const { flatAssetsToItems, itemsToFlatAssets, classifyAssetItems, withRetirementIncome } = require('../../utils/assetClassification');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+const { validateAssets } = require('../../validation/inputValidation');
+const { assessMedicaidEligibility } = require('../eligibilityAssessment');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Asset Classification', () => {
+  const verdictOf = (result, id) => result.items.find(item => item.id === id);
+
+  test('should keep the flat format totals through the adapter', () => {
+    const result = classifyAssets({ savings: 20000, checking: 5000, home: 250000, burial_funds: 8000, countable: 1000 });
+
+    expect(result).toMatchObject({ countableAssets: 26000, nonCountableAssets: 258000 });
+    expect(verdictOf(result, 'burial_funds')).toMatchObject({
+      type: 'burial_fund',
+      verdict: 'exempt',
+      reason: 'Reported as burial_funds in the flat asset format'
+    });
+    expect(flatAssetsToItems({ non_countable: 300 })[0]).toMatchObject({ type: 'other', classified_as: 'exempt' });
+  });
+
+  test('should count each bank account separately', () => {
+    const result = classifyAssets([
+      { id: 'checking-1', type: 'checking', value: 4000 },
+      { id: 'savings-1', type: 'savings', value: 15000, owners: ['spouse'] }
+    ]);
+
+    expect(result.countableAssets).toBe(19000);
+    expect(result.items.map(item => item.verdict)).toEqual(['countable', 'countable']);
+  });
+
+  test('should exempt one vehicle used for transportation and count the rest at equity', () => {
+    const result = classifyAssetItems([
+      { id: 'sedan', type: 'vehicle', value: 18000, encumbrance: 6000 },
+      { id: 'truck', type: 'vehicle', value: 30000, encumbrance: 5000 },
+      { id: 'boat-trailer', type: 'vehicle', value: 4000, used_for_transportation: false }
+    ]);
+
+    expect(verdictOf(result, 'truck')).toMatchObject({ verdict: 'exempt', exemptValue: 25000 });
+    expect(verdictOf(result, 'sedan')).toMatchObject({
+      verdict: 'countable',
+      equity: 12000,
+      countableValue: 12000,
+      reason: 'Only one vehicle is exempt; additional vehicles count at their equity value'
+    });
+    expect(verdictOf(result, 'boat-trailer').reason).toBe('Vehicle not used for transportation counts at its equity value');
+    expect(result.countableAssets).toBe(16000);
+  });
+
+  test('should only give the vehicle exemption to a car the applicant or spouse holds outside a trust', () => {
+    const result = classifyAssetItems([
+      { id: 'own-car', type: 'vehicle', value: 12000 },
+      { id: 'sons-car', type: 'vehicle', value: 40000, owners: ['son'] },
+      { id: 'trust-car', type: 'vehicle', value: 35000, title_form: 'irrevocable_trust' }
+    ]);
+
+    expect(verdictOf(result, 'own-car')).toMatchObject({ verdict: 'exempt', exemptValue: 12000 });
+    expect(verdictOf(result, 'sons-car').verdict).toBe('excluded');
+    expect(verdictOf(result, 'trust-car').verdict).toBe('excluded');
+    expect(result.countableAssets).toBe(0);
+  });
+
+  test('should exempt burial plots but only the first $1,500 of burial funds', () => {
+    const result = classifyAssetItems([
+      { id: 'plot', type: 'burial_plot', value: 9000 },
+      { id: 'fund', type: 'burial_fund', value: 5000 },
+      { id: 'contract', type: 'prepaid_funeral', value: 7000, irrevocable: true }
+    ]);
+
+    expect(verdictOf(result, 'plot')).toMatchObject({ verdict: 'exempt', exemptValue: 9000 });
+    expect(verdictOf(result, 'fund')).toMatchObject({ verdict: 'countable', countableValue: 3500, exemptValue: 1500 });
+    expect(verdictOf(result, 'contract').verdict).toBe('exempt');
+  });
+
+  test('should count life insurance cash value once the face value exceeds the exclusion', () => {
+    const small = classifyAssetItems([{ id: 'policy', type: 'life_insurance', value: 900, face_value: 1500 }]);
+    const large = classifyAssetItems([{ id: 'policy', type: 'life_insurance', value: 6000, face_value: 25000 }]);
+
+    expect(small.items[0].verdict).toBe('exempt');
+    expect(large.items[0]).toMatchObject({ verdict: 'countable', countableValue: 6000 });
+  });
+
+  test('should exclude assets the applicant and spouse do not own', () => {
+    const result = classifyAssetItems([
+      { id: 'daughter-account', type: 'savings', value: 12000, owners: ['daughter'] },
+      { id: 'trust-account', type: 'brokerage', value: 80000, title_form: 'irrevocable_trust' },
+      { id: 'living-trust', type: 'brokerage', value: 40000, title_form: 'revocable_trust' }
+    ]);
+
+    expect(verdictOf(result, 'daughter-account')).toMatchObject({ verdict: 'excluded', excludedValue: 12000 });
+    expect(verdictOf(result, 'trust-account').verdict).toBe('excluded');
+    expect(verdictOf(result, 'living-trust').verdict).toBe('countable');
+    expect(result).toMatchObject({ countableAssets: 40000, excludedAssets: 92000, exemptAssets: 0 });
+  });
+
+  test('should validate itemized assets and summarize them in the flat format', () => {
+    const result = validateAssets({
+      items: [
+        { type: 'home', value: 300000, encumbrance: 100000 },
+        { type: 'savings', value: 25000 },
+        { type: 'retirement_account', value: 60000, payout_status: 'in_payout' },
+        { type: 'burial_plot', value: 5000 }
+      ]
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.normalizedData).toEqual({ countable: 85000, non_countable: 5000, home: 200000 });
+    expect(result.classification.items[2]).toMatchObject({ id: 'asset_3', payoutStatus: 'in_payout', verdict: 'countable' });
+    expect(itemsToFlatAssets(result.classification)).toEqual(result.normalizedData);
+
+    expect(validateAssets([{ type: 'yacht', value: 1 }]).message).toMatch(/^Invalid assets: 0.type: Asset type must be one of/);
+  });
+
+  describe('Retirement accounts in payout status', () => {
+    const ira = { id: 'ira', type: 'retirement_account', value: 90000, payout_status: 'in_payout', monthly_distribution: 650 };
+
+    test('should follow the state rules for an account in payout status', () => {
+      const florida = getDatasetRules('FL', '2025-06-01');
+      const newYork = getDatasetRules('NY', '2025-06-01');
+
+      expect(florida.retirementAccountTreatment).toBe('exempt_in_payout');
+      expect(newYork.retirementAccountTreatment).toBe('countable');
+
+      const exempt = classifyAssetItems([ira], { rules: florida });
+      const countable = classifyAssetItems([ira], { rules: newYork });
+
+      expect(exempt.items[0]).toMatchObject({ verdict: 'exempt', exemptValue: 90000, distributionIncome: 650 });
+      expect(exempt).toMatchObject({ countableAssets: 0, retirementIncome: 650 });
+      expect(countable.items[0]).toMatchObject({ verdict: 'countable', countableValue: 90000, distributionIncome: 0 });
+      expect(countable.retirementIncome).toBe(0);
+    });
+
+    test('should count an account not yet in payout even where payout status is exempt', () => {
+      const result = classifyAssetItems([{ ...ira, payout_status: 'not_in_payout' }], { rules: getDatasetRules('FL', '2025-06-01') });
+
+      expect(result.items[0]).toMatchObject({ verdict: 'countable', reason: 'Retirement account counts at its cash value' });
+      expect(withRetirementIncome({ social_security: 1400 }, result)).toEqual({ social_security: 1400 });
+    });
+
+    test('should move an exempt account into income in the eligibility assessment', async () => {
+      const rules = getDatasetRules('FL', '2025-06-01');
+      const assessment = await assessMedicaidEligibility(
+        { maritalStatus: 'single', age: 80 },
+        [ira, { id: 'savings', type: 'savings', value: 1500 }],
+        { social_security: 1400 },
+        {},
+        'FL',
+        false,
+        { rules, asOfDate: '2025-06-01' }
+      );
+
+      expect(assessment).toMatchObject({ countableAssets: 1500, totalIncome: 2050, isResourceEligible: true });
+    });
+  });
+});
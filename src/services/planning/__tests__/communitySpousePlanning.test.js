@@ -7,6 +7,7 @@ const {
   developSpouseStrategies,
   communitySpousePlanning
 } = require('../communitySpousePlanning');
+const { getMedicaidRules } = require('../../utils/medicaidRulesLoader');
 
 describe('Community Spouse Planning Module', () => {
   // Basic client setup for tests
@@ -49,29 +50,12 @@ describe('Community Spouse Planning Module', () => {
   };
 
   const baseState = 'florida';
+  const asOfDate = '2025-06-01';
 
-  // Mock rules
-  const mockRules = {
-    florida: {
-      csraMinimum: 27480,
-      csraMaximum: 137400,
-      mmnaMinimum: 2288.75,
-      mmnaMaximum: 3435,
-      housingAllowance: 687,
-      excessShelterStandard: 687,
-      applicantAllowance: 130,
-      homeEquityLimit: 636000
-    },
-    newyork: {
-      csraMinimum: 74820,
-      csraMaximum: 137400,
-      mmnaMinimum: 3435,
-      mmnaMaximum: 3435,
-      housingAllowance: 1039.50,
-      excessShelterStandard: 1039.50,
-      applicantAllowance: 50,
-      homeEquityLimit: 955000
-    }
+  // Rules served from the cited state dataset
+  const stateRules = {
+    florida: getMedicaidRules('florida', null, asOfDate),
+    newyork: getMedicaidRules('new york', null, asOfDate)
   };
 
   // Mock eligibility assessment results
@@ -82,19 +66,6 @@ describe('Community Spouse Planning Module', () => {
     resourceLimit: 2000
   };
 
-  // Mock the rules loader
-  jest.mock('../../utils/medicaidRulesLoader', () => ({
-    getMedicaidRules: jest.fn((state) => {
-      if (state === 'florida') {
-        return mockRules.florida;
-      } else if (state === 'newyork') {
-        return mockRules.newyork;
-      } else {
-        throw new Error(`Rules not found for state: ${state}`);
-      }
-    })
-  }));
-
   // Unit tests for assessCommunitySpouseNeeds
   describe('assessCommunitySpouseNeeds', () => {
     test('should correctly assess community spouse needs', () => {
@@ -103,7 +74,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         baseExpenses,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result).toBeDefined();
@@ -131,7 +103,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         income,
         baseExpenses,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result.incomeGap).toBeGreaterThan(0);
@@ -150,11 +123,12 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         expenses,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result.housingCosts).toBeDefined();
-      expect(result.housingCosts).toBeGreaterThan(mockRules.florida.excessShelterStandard);
+      expect(result.housingCosts).toBeGreaterThan(stateRules.florida.excessShelterStandard);
       expect(result.excessShelterAmount).toBeDefined();
       expect(result.excessShelterAmount).toBeGreaterThan(0);
     });
@@ -174,7 +148,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         baseExpenses,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result.specialConsiderations).toBeDefined();
@@ -193,7 +168,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         expenses,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result.medicalNeeds).toBeDefined();
@@ -209,14 +185,15 @@ describe('Community Spouse Planning Module', () => {
       const result = calculateCSRA(
         totalAssets,
         baseClientInfo,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result).toBeDefined();
       expect(result.totalCountableAssets).toBe(350000);
       expect(result.halfOfAssets).toBe(175000);
       // Should be capped at maximum
-      expect(result.csraAmount).toBe(mockRules.florida.csraMaximum);
+      expect(result.csraAmount).toBe(stateRules.florida.communitySpouseResourceAllowanceMax);
       expect(result.remainingAssets).toBe(totalAssets - result.csraAmount);
     });
 
@@ -226,12 +203,13 @@ describe('Community Spouse Planning Module', () => {
       const result = calculateCSRA(
         totalAssets,
         baseClientInfo,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result.halfOfAssets).toBe(20000);
       // Should be bumped up to minimum
-      expect(result.csraAmount).toBe(mockRules.florida.csraMinimum);
+      expect(result.csraAmount).toBe(stateRules.florida.communitySpouseResourceAllowanceMin);
     });
 
     test('should handle special circumstances for expanded resource allowance', () => {
@@ -250,7 +228,8 @@ describe('Community Spouse Planning Module', () => {
       const result = calculateCSRA(
         totalAssets,
         clientInfo,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result.specialCircumstances).toBeDefined();
@@ -265,14 +244,16 @@ describe('Community Spouse Planning Module', () => {
       const resultFL = calculateCSRA(
         totalAssets,
         baseClientInfo,
-        'florida'
+        'florida',
+        asOfDate
       );
       
       // New York calculation
       const resultNY = calculateCSRA(
         totalAssets,
         baseClientInfo,
-        'newyork'
+        'new york',
+        asOfDate
       );
       
       // Should have different amounts
@@ -285,10 +266,11 @@ describe('Community Spouse Planning Module', () => {
       const result = calculateCSRA(
         totalAssets,
         baseClientInfo,
-        baseState
+        baseState,
+        asOfDate
       );
       
-      expect(result.csraAmount).toBe(mockRules.florida.csraMinimum);
+      expect(result.csraAmount).toBe(stateRules.florida.communitySpouseResourceAllowanceMin);
       expect(result.remainingAssets).toBe(0);
       expect(result.allAssetsProtected).toBe(true);
     });
@@ -308,11 +290,12 @@ describe('Community Spouse Planning Module', () => {
       const result = calculateMMNA(
         spouseNeeds,
         baseClientInfo,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result).toBeDefined();
-      expect(result.baseAllowance).toBe(mockRules.florida.mmnaMinimum);
+      expect(result.baseAllowance).toBe(stateRules.florida.monthlyMaintenanceNeedsAllowanceMin);
       expect(result.excessShelterAllowance).toBeDefined();
       expect(result.totalAllowance).toBeDefined();
     });
@@ -329,11 +312,12 @@ describe('Community Spouse Planning Module', () => {
       const result = calculateMMNA(
         spouseNeeds,
         baseClientInfo,
-        baseState
+        baseState,
+        asOfDate
       );
       
       // Should be capped at maximum
-      expect(result.totalAllowance).toBe(mockRules.florida.mmnaMaximum);
+      expect(result.totalAllowance).toBe(stateRules.florida.monthlyMaintenanceNeedsAllowanceMax);
       expect(result.isCapped).toBe(true);
     });
 
@@ -349,11 +333,12 @@ describe('Community Spouse Planning Module', () => {
       const result = calculateMMNA(
         spouseNeeds,
         baseClientInfo,
-        baseState
+        baseState,
+        asOfDate
       );
       
       // Excess shelter = housing costs - standard
-      const expectedExcess = 2100 - mockRules.florida.excessShelterStandard;
+      const expectedExcess = 2100 - stateRules.florida.excessShelterStandard;
       expect(result.excessShelterAllowance).toBeCloseTo(expectedExcess, 0);
     });
 
@@ -370,14 +355,16 @@ describe('Community Spouse Planning Module', () => {
       const resultFL = calculateMMNA(
         spouseNeeds,
         baseClientInfo,
-        'florida'
+        'florida',
+        asOfDate
       );
       
       // New York calculation
       const resultNY = calculateMMNA(
         spouseNeeds,
         baseClientInfo,
-        'newyork'
+        'new york',
+        asOfDate
       );
       
       // Different base allowances
@@ -397,7 +384,8 @@ describe('Community Spouse Planning Module', () => {
       const result = calculateMMNA(
         spouseNeeds,
         baseClientInfo,
-        baseState
+        baseState,
+        asOfDate
       );
       
       expect(result.courtOrderedAmount).toBe(2000);
@@ -618,7 +606,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         baseExpenses,
-        baseState
+        baseState,
+        { asOfDate }
       );
       
       expect(result).toBeDefined();
@@ -641,7 +630,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         baseExpenses,
-        baseState
+        baseState,
+        { asOfDate }
       );
       
       expect(result.status).toBe('not applicable');
@@ -655,7 +645,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         baseExpenses,
-        'invalid'
+        'invalid',
+        { asOfDate }
       );
       
       expect(result.status).toBe('error');
@@ -668,7 +659,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         baseExpenses,
-        baseState
+        baseState,
+        { asOfDate }
       );
       
       expect(result.planningReport).toBeDefined();
@@ -682,7 +674,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         baseExpenses,
-        'florida'
+        'florida',
+        { asOfDate }
       );
       
       const resultNY = await communitySpousePlanning(
@@ -690,7 +683,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         baseExpenses,
-        'newyork'
+        'new york',
+        { asOfDate }
       );
       
       // Ensure both results are successful
@@ -716,7 +710,8 @@ describe('Community Spouse Planning Module', () => {
         baseAssets,
         baseIncome,
         baseExpenses,
-        baseState
+        baseState,
+        { asOfDate }
       );
       
       expect(result.status).toBe('modified');
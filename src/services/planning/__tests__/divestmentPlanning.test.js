@@ -122,7 +122,7 @@ describe('Divestment Planning Module', () => {
       expect(result.transfersOutsideLookback[0].amount).toBe(50000);
     });
 
-    test('should apply annual gift exclusions correctly', () => {
+    test('should not apply the gift tax annual exclusion', () => {
       const pastTransfers = [
         {
           date: oneYearAgo.toISOString().split('T')[0],
@@ -135,8 +135,9 @@ describe('Divestment Planning Module', () => {
       
       const result = analyzePastTransfers(pastTransfers, baseState);
       
-      expect(result.giftExclusionsApplied).toBeDefined();
-      expect(result.nonExemptTotal).toBe(0); // Under annual gift exclusion
+      // Medicaid penalizes every uncompensated transfer, however small
+      expect(result.nonExemptTotal).toBe(15000);
+      expect(result.ledger[0]).toMatchObject({ amount: 15000, uncompensatedValue: 15000, penalized: true });
     });
 
     test('should handle multiple transfers to the same recipient within a year', () => {
@@ -162,8 +163,8 @@ describe('Divestment Planning Module', () => {
       
       const result = analyzePastTransfers(pastTransfers, baseState);
       
-      // Two gifts totaling $20,000 to same person in same year, over $18,000 annual exclusion
-      expect(result.nonExemptTotal).toBe(2000);
+      // Both gifts are penalized in full
+      expect(result.nonExemptTotal).toBe(20000);
     });
 
     test('should identify documentation issues with transfers', () => {
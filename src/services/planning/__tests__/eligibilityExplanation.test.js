@@ -0,0 +1,101 @@
+// src/services/planning/__tests__/eligibilityExplanation.test.js
+const { assessMedicaidEligibility, medicaidEligibilityAssessment } = require('../eligibilityAssessment');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+const MedicaidPlanningReportGenerator = require('../../reporting/reportGenerator');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Eligibility Explanation', () => {
+  const florida = getDatasetRules('FL', '2025-06-01');
+  const assets = [
+    { id: 'home', type: 'home', description: 'Primary residence', value: 240000 },
+    { id: 'car', type: 'vehicle', description: 'Sedan', value: 9000, used_for_transportation: true },
+    { id: 'savings', type: 'savings', description: 'Savings account', value: 14000 }
+  ];
+  const assess = (income, options = {}) => assessMedicaidEligibility(
+    { maritalStatus: 'single', age: 82 }, assets, income, {}, 'FL', false,
+    { rules: florida, asOfDate: '2025-06-01', ...options }
+  );
+
+  test('should trace assets, income, limits and comparisons in order', async () => {
+    const { explanation } = await assess({ social_security: 1600, pension: 400 });
+
+    expect(explanation.steps.map(step => step.category)).toEqual([
+      'asset', 'asset', 'asset', 'income', 'income', 'limit', 'comparison', 'limit', 'comparison'
+    ]);
+    expect(explanation.steps.map(step => step.step)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(explanation.steps[0]).toMatchObject({
+      outcome: 'exempt',
+      ruleReference: { field: 'homeEquityLimit', value: 730000, authority: '20 CFR 416.1212 - Exclusion of the home' }
+    });
+    expect(explanation.steps[2].text).toBe('Savings account counts $14,000 toward the resource limit: Available resource counted at its equity value');
+    expect(explanation.steps[6]).toMatchObject({
+      text: 'Countable assets of $14,000 are $12,000 over the $2,000 limit',
+      outcome: 'fail',
+      ruleReference: { field: 'resourceLimitSingle', value: 2000 }
+    });
+    expect(explanation.steps[6].ruleReference.citation.url).toBe('https://www.myflfamilies.com');
+    expect(explanation.failedTests).toEqual(['Countable assets of $14,000 are $12,000 over the $2,000 limit']);
+  });
+
+  test('should show excluded income and the income cap', async () => {
+    const { explanation, totalIncome } = await assess({ social_security: 2500, pension: 600, gift_from_son: 300, va_aid_and_attendance: 400 });
+    const gift = explanation.steps.find(step => step.text.startsWith('gift_from_son'));
+    const aidAndAttendance = explanation.steps.find(step => step.text.startsWith('va_aid_and_attendance'));
+    const incomeTest = explanation.steps[explanation.steps.length - 1];
+
+    expect(totalIncome).toBe(3400);
+    expect(gift).toMatchObject({ outcome: 'counted', amount: 300 });
+    expect(aidAndAttendance).toMatchObject({ outcome: 'disregarded', amount: 400, ruleReference: { field: 'incomeDisregards' } });
+    expect(aidAndAttendance.ruleReference.authority).toMatch(/^20 CFR 416.1103\(b\)/);
+    expect(incomeTest.text).toBe('Countable income of $3,400 a month is $499 over the $2,901 limit; ' +
+      'this is an income cap state, so a qualified income trust is needed');
+    expect(incomeTest.ruleReference.field).toBe('incomeCapState');
+    expect(explanation.conclusion).toMatch(/^The client does not yet qualify: /);
+  });
+
+  test('should render the trace in the detailed report', async () => {
+    const assessment = await assess({ social_security: 1600 });
+    const report = new MedicaidPlanningReportGenerator(assessment, { name: 'Test Client', maritalStatus: 'single' }, 'FL')
+      .generateDetailedReport('markdown');
+
+    expect(report).toContain('### How Eligibility Was Determined');
+    expect(report).toContain('3. Savings account counts $14,000 toward the resource limit: Available resource counted at its equity value ' +
+      '(20 CFR 416.1201 - Resources; general)');
+    expect(report).toContain('(state rule resourceLimitSingle, Florida Medicaid agency (state-set long-term care standards))');
+    expect(report).toContain('**Result:** The client does not yet qualify');
+  });
+
+  test('should explain the shared assessment used by the comprehensive plan', async () => {
+    const result = await medicaidEligibilityAssessment(
+      { maritalStatus: 'single', age: 82 }, { countable: 1500 }, { social_security: 3400 }, 'FL', { asOfDate: '2025-06-01' }
+    );
+
+    expect(result.explanation).toBe(result.eligibilityResult.explanation);
+    expect(result.explanation.steps.map(step => step.category)).toContain('comparison');
+    expect(result.explanation.conclusion).toMatch(/^The client does not yet qualify: /);
+
+    const report = new MedicaidPlanningReportGenerator({ eligibility: result.eligibilityResult }, { name: 'Test Client' }, 'FL')
+      .generateDetailedReport('markdown');
+    expect(report).toContain('### How Eligibility Was Determined');
+  });
+
+  test('should cite the community limits for a community program', async () => {
+    const { explanation } = await assess({ social_security: 1600 }, { programType: 'community_aged_blind_disabled' });
+    const limits = explanation.steps.filter(step => step.category === 'limit');
+
+    expect(limits.map(step => step.ruleReference.field)).toEqual(['resourceLimitSingle', 'communityIncomeLimitSingle']);
+    expect(explanation.steps[explanation.steps.length - 1].text).not.toMatch(/qualified income trust/);
+  });
+});
@@ -0,0 +1,107 @@
+// src/services/planning/__tests__/eligibilityProjection.test.js
+const { getProjectionSituation, buildCandidatePlans, projectEligibility } = require('../eligibilityProjection');
+const { generateEnhancedEligibilityReport } = require('../../reporting/enhancedEligibilityReport');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Eligibility Projection', () => {
+  const situation = {
+    countableAssets: 32000,
+    resourceLimit: 2000,
+    monthlyIncome: 2000,
+    careCost: 12000,
+    personalNeedsAllowance: 160,
+    penaltyDivisor: 10000,
+    penaltyMonths: 0
+  };
+  const noIndexing = { careCostRate: 0 };
+
+  test('should spend down by private pay and report the first eligible month', () => {
+    const projection = projectEligibility(situation, { startDate: '2025-06-15', assumptions: noIndexing });
+    const privatePay = projection.plans.find(plan => plan.id === 'private_pay');
+
+    expect(projection.months).toBe(60);
+    expect(privatePay.series).toHaveLength(60);
+    expect(privatePay.series.slice(0, 4).map(entry => entry.endingBalance)).toEqual([22000, 12000, 2000, 2000]);
+    expect(privatePay).toMatchObject({ eligibleMonth: 3, eligibilityDate: '2025-09-01', totalPrivatePay: 36000 });
+    expect(privatePay.series[3]).toMatchObject({ eligible: true, privatePay: 0, patientLiability: 1840 });
+  });
+
+  test('should pick the candidate plan that reaches eligibility first', () => {
+    const projection = projectEligibility(situation, { startDate: '2025-06-01', assumptions: noIndexing });
+    const spendDown = projection.plans.find(plan => plan.id === 'spend_down');
+
+    expect(buildCandidatePlans(situation).map(plan => plan.id)).toEqual(['private_pay', 'spend_down']);
+    expect(spendDown.series[0]).toMatchObject({ spendDown: 30000, endingBalance: 2000, eligible: true });
+    expect(projection.earliest).toEqual({ planId: 'spend_down', eligibleMonth: 0, eligibilityDate: '2025-06-01' });
+  });
+
+  test('should run a transfer penalty once the client is otherwise eligible', () => {
+    const projection = projectEligibility(situation, {
+      startDate: '2025-06-01',
+      assumptions: noIndexing,
+      plans: [{
+        id: 'gift',
+        label: 'Gift the excess to the children',
+        transfers: [{ month: 0, amount: 25000 }],
+        spendDown: [{ month: 0, amount: 5000 }]
+      }]
+    });
+    const gift = projection.plans[0];
+
+    expect(gift.totalPenaltyMonths).toBe(2.5);
+    expect(gift.series.slice(0, 4).map(entry => entry.inPenalty)).toEqual([true, true, true, false]);
+    expect(gift.series[2]).toMatchObject({ privatePay: 6000, patientLiability: 920 });
+    expect(gift.eligibleMonth).toBe(3);
+  });
+
+  test('should raise the care cost each year and stop at the projection window', () => {
+    const projection = projectEligibility({ ...situation, countableAssets: 2000000 }, {
+      startDate: '2025-01-01',
+      assumptions: { careCostRate: 0.05 }
+    });
+    const privatePay = projection.plans[0];
+
+    expect(privatePay.series[12].careCost).toBe(12600);
+    expect(privatePay.eligibleMonth).toBeNull();
+    expect(projection.earliest).toEqual(expect.objectContaining({ planId: 'spend_down' }));
+  });
+
+  test('should report the projected date and state care cost', async () => {
+    const assessment = {
+      countableAssets: 32000,
+      resourceLimit: 2000,
+      totalIncome: 2000,
+      incomeLimit: 2901,
+      isIncomeEligible: true,
+      isResourceEligible: false,
+      asOfDate: '2025-06-01'
+    };
+    const situationFromRules = getProjectionSituation(assessment, { averageNursingHomeCost: 12000, monthlyPersonalNeedsAllowance: 160 });
+
+    expect(situationFromRules).toMatchObject({ monthlyIncome: 2000, careCost: 12000, penaltyMonths: 0 });
+
+    const projection = projectEligibility(situationFromRules, { startDate: '2025-06-01', assumptions: noIndexing });
+    const report = await generateEnhancedEligibilityReport(assessment, { maritalStatus: 'single' }, {}, {}, 'FL', { projection });
+
+    expect(report.reportData.timeline).toMatchObject({
+      careCost: 12000,
+      monthsUntilBroke: 3,
+      eligibilityDate: '2025-09-01',
+      breakDate: 'September 2025'
+    });
+    expect(report.reportData.comparison.current.monthlyOutOfPocket).toBe(12000);
+    expect(report.htmlReport).toContain('Projected Medicaid eligibility:</strong> September 2025');
+  });
+});
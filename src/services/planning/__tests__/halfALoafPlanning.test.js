@@ -0,0 +1,82 @@
+// src/services/planning/__tests__/halfALoafPlanning.test.js
+const { solveHalfALoaf, planHalfALoaf, medicaidHalfALoafPlanning } = require('../halfALoafPlanning');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn().mockRejectedValue(new Error('no database'))
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Half-a-Loaf Planning', () => {
+  const pennsylvania = getDatasetRules('PA', '2025-06-01');
+  const inputs = { excessAssets: 100000, monthlyIncome: 2000, monthlyCareCost: 10000, penaltyDivisor: 10000 };
+
+  test('should find the largest gift whose penalty the retained assets fund', () => {
+    expect(solveHalfALoaf(inputs)).toEqual({
+      giftAmount: 52000,
+      retainedAmount: 48000,
+      monthlyShortfall: 8000,
+      termMonths: 6,
+      monthlyPayment: 8000
+    });
+
+    // Income that covers care leaves the whole excess to give
+    expect(solveHalfALoaf({ ...inputs, monthlyIncome: 10000 })).toMatchObject({ giftAmount: 100000, retainedAmount: 0 });
+  });
+
+  test('should output the annuity terms, penalty dates and monthly cash flow', () => {
+    const plan = planHalfALoaf(inputs, pennsylvania, { giftDate: '2025-06-01' });
+
+    expect(plan.fundingVehicle).toMatchObject({ vehicle: 'annuity', principal: 48000, termMonths: 6, monthlyPayment: 8000, firstPaymentDate: '2025-06-01' });
+    expect(plan.penalty).toMatchObject({ penaltyMonths: 5.2, start: '2025-06-01', end: '2025-11-07', periodUnit: 'partial_month' });
+    expect(plan.cashFlow.map(month => month.month)).toEqual(['2025-06', '2025-07', '2025-08', '2025-09', '2025-10', '2025-11']);
+    expect(plan.cashFlow[0]).toEqual({ month: '2025-06', penaltyDays: 30, income: 2000, planPayment: 8000, privatePayCost: 10000, net: 0, balance: 0 });
+    expect(plan.cashFlow[5]).toMatchObject({ penaltyDays: 6, privatePayCost: 2000, balance: 8000 });
+    expect(plan.fullyFunded).toBe(true);
+    expect(plan.considerations).toContain('The state is named remainder beneficiary for the Medicaid it pays');
+  });
+
+  test('should let interest on a note raise the gift but not on returned funds', () => {
+    const note = planHalfALoaf({ ...inputs, annualRate: 4 }, pennsylvania, { giftDate: '2025-06-01', vehicle: 'promissory_note' });
+    const reverse = planHalfALoaf({ ...inputs, annualRate: 4 }, pennsylvania, { giftDate: '2025-06-01', vehicle: 'reverse' });
+
+    expect(note.giftAmount).toBeGreaterThan(52000);
+    expect(note.fundingVehicle.monthlyPayment).toBeGreaterThanOrEqual(8000);
+    expect(note.fullyFunded).toBe(true);
+    expect(reverse).toMatchObject({ giftAmount: 52000, retainedAmount: 48000 });
+    expect(reverse.considerations).toContain('Give $100,000 and have $48,000 returned');
+  });
+
+  test('should flag the income cap and reject married applicants', async () => {
+    const texas = getDatasetRules('TX', '2025-06-01');
+    const plan = planHalfALoaf(inputs, texas, { giftDate: '2025-06-01' });
+    expect(plan.considerations.some(text => /qualified income trust is needed/.test(text))).toBe(true);
+
+    const married = await medicaidHalfALoafPlanning({ maritalStatus: 'married' }, { countable: 150000 }, {}, 'PA');
+    expect(married.status).toBe('error');
+    expect(married.error).toMatch(/single applicants/);
+  });
+
+  test('should plan from the client assets, income and state rules', async () => {
+    const result = await medicaidHalfALoafPlanning(
+      { maritalStatus: 'single', age: 84 },
+      { countable: 82400 },
+      { social_security: 1800 },
+      'pennsylvania',
+      { asOfDate: '2025-06-01', monthlyCareCost: 12000 }
+    );
+
+    expect(result).toMatchObject({ status: 'success', excessAssets: 80000, monthlyIncome: 1800 });
+    expect(result.giftAmount + result.retainedAmount).toBe(80000);
+    expect(result.penalty.penaltyDivisor).toBe(pennsylvania.penaltyDivisor);
+    expect(result.fullyFunded).toBe(true);
+  });
+});
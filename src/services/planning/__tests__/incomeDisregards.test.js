@@ -0,0 +1,77 @@
+// src/services/planning/__tests__/incomeDisregards.test.js
+const { calculateTotalIncome } = require('../../utils/eligibilityUtils');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+const { assessEligibility } = require('../eligibilityAssessment');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Income Disregards', () => {
+  const pennsylvania = getDatasetRules('PA', '2025-06-01');
+
+  test('should take the general exclusion from unearned income before the earned income exclusion', () => {
+    const result = calculateTotalIncome({ social_security: 1000, wages: 500 }, { rules: pennsylvania });
+
+    expect(result.grossIncome).toBe(1500);
+    expect(result.countableIncome).toBe(1197.5);
+    expect(result.deductions.map(({ type, source, amount }) => ({ type, source, amount }))).toEqual([
+      { type: 'general_exclusion', source: 'unearned', amount: 20 },
+      { type: 'earned_exclusion', source: 'earned', amount: 282.5 }
+    ]);
+    expect(result.deductions[1].reference).toMatch(/^20 CFR 416.1112/);
+  });
+
+  test('should apply an unused general exclusion to earnings and use state figures', () => {
+    expect(calculateTotalIncome({ wages: 300 }, { rules: pennsylvania }).countableIncome).toBe(107.5);
+
+    const california = getDatasetRules('CA', '2025-06-01');
+    const result = calculateTotalIncome({ social_security: 1500 }, { rules: california });
+
+    expect(california.incomeDisregards.generalExclusion).toBe(230);
+    expect(result.countableIncome).toBe(1270);
+  });
+
+  test('should exclude VA aid and attendance, reparations and retroactive lump sums', () => {
+    const result = calculateTotalIncome(
+      { pension: 900, va_aid_and_attendance: 600, reparations: 100, ssa_retroactive_lump_sum: 3000 },
+      { rules: pennsylvania, budgeting: 'gross' }
+    );
+
+    expect(result.grossIncome).toBe(4600);
+    expect(result.countableIncome).toBe(900);
+    expect(result.deductions.map(deduction => deduction.type)).toEqual(['va_aid_and_attendance', 'reparations', 'retroactive_lump_sum']);
+    expect(result.items.filter(item => item.excluded).map(item => item.source)).toEqual(['va_aid_and_attendance', 'reparations', 'ssa_retroactive_lump_sum']);
+  });
+
+  test('should count Medicare premiums gross or deduct them net', () => {
+    const grossed = calculateTotalIncome({ social_security_net: 1815, medicare_premium: 185 }, { rules: pennsylvania, budgeting: 'gross' });
+    expect(grossed.countableIncome).toBe(2000);
+    expect(grossed.items[0].note).toBe('Grossed up by the $185 Medicare premium withheld from the benefit');
+
+    const netRules = { incomeDisregards: { ...pennsylvania.incomeDisregards, medicarePremiums: 'net' } };
+    const net = calculateTotalIncome({ social_security: 2000, medicare_premium: 185 }, { rules: netRules, budgeting: 'gross' });
+    expect(net.countableIncome).toBe(1815);
+    expect(net.deductions).toMatchObject([{ type: 'medicare_premium', amount: 185 }]);
+  });
+
+  test('should test community income after disregards while long-term care stays gross', () => {
+    const result = assessEligibility(
+      { maritalStatus: 'single', age: 80 }, { countable: 1500 }, { social_security: 1310 }, 'PA', pennsylvania,
+      { programType: 'community_aged_blind_disabled' }
+    );
+
+    expect(result.totalIncome).toBe(1310);
+    expect(result.isIncomeEligible).toBe(true);
+    expect(result.programComparison.programs.find(program => program.programType === 'institutional').testedIncome).toBe(1310);
+  });
+});
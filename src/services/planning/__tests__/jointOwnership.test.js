@@ -0,0 +1,116 @@
+// src/services/planning/__tests__/jointOwnership.test.js
+const { classifyAssetItems, getRecoverableEstate } = require('../../utils/assetClassification');
+const { analyzePastTransfers } = require('../divestmentPlanning');
+const { assessEstateRecoveryRisk } = require('../estateRecovery');
+const { validateAssets } = require('../../validation/inputValidation');
+const { EstateRecoveryRules } = require('../../../models');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../../models', () => ({
+  Client: { findById: jest.fn() },
+  EstateRecoveryRules: { findByState: jest.fn() }
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Joint and Fractional Ownership', () => {
+  const jointAccount = {
+    id: 'joint-savings',
+    type: 'savings',
+    value: 40000,
+    owners: ['client'],
+    title_form: 'joint_with_other',
+    co_owners: [{ name: 'Dana', relationship: 'child' }]
+  };
+
+  const ticCabin = {
+    id: 'cabin',
+    type: 'real_estate',
+    value: 150000,
+    encumbrance: 30000,
+    owners: ['client'],
+    title_form: 'tenancy_in_common',
+    co_owners: [{ name: 'Sam', relationship: 'sibling', share: 75 }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should presume a joint bank account fully available unless rebutted', () => {
+    const presumed = classifyAssetItems([jointAccount]).items[0];
+    const rebutted = classifyAssetItems([{ ...jointAccount, presumption_rebutted: true }]).items[0];
+
+    expect(presumed).toMatchObject({ ownershipShare: 50, countableValue: 40000, coOwnerValue: 0 });
+    expect(presumed.reason).toMatch(/Joint account presumed fully available/);
+    expect(rebutted).toMatchObject({ countableValue: 20000, coOwnerValue: 20000 });
+  });
+
+  test('should count a tenancy-in-common interest pro-rata and exclude it when unsaleable', () => {
+    const saleable = classifyAssetItems([ticCabin]).items[0];
+    const unsaleable = classifyAssetItems([{ ...ticCabin, saleable: false }]).items[0];
+
+    expect(saleable).toMatchObject({ verdict: 'countable', ownershipShare: 25, countableValue: 30000, coOwnerValue: 90000 });
+    expect(saleable.reason).toBe("Available resource counted at its equity value. Counted at the applicant's 25% interest");
+    expect(unsaleable).toMatchObject({ verdict: 'excluded', excludedValue: 30000 });
+    expect(unsaleable.reason).toMatch(/cannot be sold/);
+  });
+
+  test('should value a retitling transfer at the share conveyed', () => {
+    const analysis = analyzePastTransfers([
+      { date: '2024-03-01', recipient: 'child', purpose: 'deed', documentation: true, retitled_asset: ticCabin, share_transferred: 50 },
+      { date: '2024-03-01', recipient: 'child', purpose: 'added joint owner', documentation: true, retitled_asset: jointAccount, share_transferred: 50 }
+    ], 'florida', { asOfDate: '2025-06-01', rules: { lookbackPeriod: 60 } });
+
+    expect(analysis.transfersWithinLookback.map(tx => tx.amount)).toEqual([60000, 0]);
+    expect(analysis.transfersWithinLookback[1].valuation).toMatch(/not a transfer until the co-owner withdraws/);
+    expect(analysis.nonExemptTotal).toBe(60000);
+  });
+
+  test('should only reach non-probate property in expanded-estate states', () => {
+    const items = [
+      jointAccount,
+      ticCabin,
+      { id: 'home', type: 'home', value: 250000, owners: ['client'] }
+    ];
+
+    const probate = getRecoverableEstate(items, { expandedEstate: false });
+    const expanded = getRecoverableEstate(items, { expandedEstate: true });
+
+    expect(probate.items.map(item => item.recoverableValue)).toEqual([0, 30000, 250000]);
+    expect(probate).toMatchObject({ total: 280000, homeValue: 250000 });
+    expect(expanded.items[0]).toMatchObject({ recoverableValue: 20000 });
+  });
+
+  test('should score estate recovery risk on the recoverable estate', async () => {
+    EstateRecoveryRules.findByState.mockResolvedValue({
+      recovery_aggressiveness: 'moderate',
+      primary_residence_protected: false,
+      expanded_estate_definition: false,
+      exceptions: []
+    });
+
+    const risk = await assessEstateRecoveryRisk([jointAccount, ticCabin], 'florida', { age: 80 }, { asOfDate: '2025-06-01' });
+
+    expect(risk.totalAssets).toBe(30000);
+    expect(risk.hasHome).toBe(false);
+    expect(risk.recoverableEstate.items[0].reason).toBe('Passes outside probate by survivorship or beneficiary designation');
+  });
+
+  test('should validate co-owner details on asset items', () => {
+    expect(validateAssets([ticCabin]).valid).toBe(true);
+    expect(validateAssets([{ ...ticCabin, co_owners: [{ relationship: 'neighbour' }] }]).message)
+      .toMatch(/Co-owner relationship must be one of/);
+    expect(validateAssets([{ ...ticCabin, ownership_share: 150 }]).valid).toBe(false);
+  });
+});
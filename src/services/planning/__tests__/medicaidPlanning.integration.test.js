@@ -225,7 +225,7 @@ describe('Medicaid Planning Integration Tests', () => {
         expect.anything(),
         expect.anything(),
         state,
-        clientInfo.maritalStatus
+        { asOfDate: expect.any(String) }
       );
     });
     
@@ -264,7 +264,8 @@ describe('Medicaid Planning Integration Tests', () => {
         mockNormalizedData.clientInfo,
         mockNormalizedData.income,
         mockNormalizedData.expenses,
-        mockNormalizedData.state
+        mockNormalizedData.state,
+        { asOfDate: expect.any(String) }
       );
     });
     
@@ -247,7 +247,7 @@ describe('Medicaid Planning Integration Module', () => {
         baseAssets,
         baseIncome,
         baseState,
-        'single'
+        { asOfDate: expect.any(String) }
       );
       
       expect(medicaidAssetPlanning).toHaveBeenCalledWith(
@@ -22,6 +22,7 @@ jest.mock('../../../data/medicaid_rules_2025.json', () => ({
     resourceLimitMarried: 3000,
     incomeLimitSingle: 2500,
     incomeLimitMarried: 5000,
+    nursingHomeIncomeLimitSingle: 2349,
     homeEquityLimit: 700000
   },
   california: {
@@ -0,0 +1,77 @@
+// src/services/planning/__tests__/medicallyNeedy.test.js
+const { evaluateMedicallyNeedy } = require('../medicallyNeedy');
+const { assessEligibility } = require('../eligibilityAssessment');
+const { medicaidIncomePlanning } = require('../incomePlanning');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+const { validateMedicaidRules } = require('../../validation/ruleSchemas');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Medically Needy Spend-Down', () => {
+  const northCarolina = getDatasetRules('NC', '2025-06-01');
+  const newYork = getDatasetRules('NY', '2025-06-01');
+
+  test('should compute the spend-down over the state budget period', () => {
+    expect(northCarolina).toMatchObject({ medicallyNeedyIncomeLimit: 242, medicallyNeedyBudgetPeriodMonths: 6 });
+
+    const result = evaluateMedicallyNeedy(3242, northCarolina, { projectedMedicalExpenses: 4000 });
+
+    expect(result).toMatchObject({
+      available: true,
+      monthlyExcessIncome: 3000,
+      spendDown: 18000,
+      projectedMedicalExpenses: 24000,
+      spendDownMet: true,
+      metInMonth: 5,
+      coveredMonths: 2,
+      shortfall: 0
+    });
+  });
+
+  test('should use a monthly budget period and per-month bills', () => {
+    const result = evaluateMedicallyNeedy(3000, newYork, { projectedMedicalExpenses: [1000] });
+
+    expect(result).toMatchObject({ budgetPeriodMonths: 1, spendDown: 1164, spendDownMet: false, shortfall: 164, coveredMonths: 0 });
+  });
+
+  test('should report no pathway where the state has no medically needy program', () => {
+    const texas = getDatasetRules('TX', '2025-06-01');
+
+    expect(texas.medicallyNeedyIncomeLimit).toBeNull();
+    expect(evaluateMedicallyNeedy(4000, texas)).toEqual({ available: false, reason: 'State has no medically needy program' });
+    expect(validateMedicaidRules({ ...northCarolina, medicallyNeedyIncomeLimit: null }).problems)
+      .toEqual([expect.objectContaining({ path: 'medicallyNeedyIncomeLimit' })]);
+  });
+
+  test('should attach the spend-down to an over-income eligibility assessment', () => {
+    const assessment = assessEligibility({ maritalStatus: 'single' }, { countable: 1000 }, { pension: 3500 }, 'north_carolina', northCarolina);
+
+    expect(assessment.isIncomeEligible).toBe(false);
+    expect(assessment.medicallyNeedy).toMatchObject({ monthlyExcessIncome: 3258, spendDown: 19548 });
+  });
+
+  test('should surface the spend-down as an income planning strategy', async () => {
+    const result = await medicaidIncomePlanning(
+      { maritalStatus: 'single' },
+      { social_security: 1800, pension: 1500 },
+      { medical: 9000 },
+      'north_carolina',
+      { projectedMedicalExpenses: [12000, 12000], asOfDate: '2025-06-01' }
+    );
+    const strategy = result.incomeStrategies.find(entry => entry.type === 'medically-needy');
+
+    expect(result.medicallyNeedy).toMatchObject({ spendDown: 18348, metInMonth: 2, coveredMonths: 5 });
+    expect(strategy.estimatedCost).toBe('$18348 in medical expenses per 6-month budget period');
+  });
+});
@@ -0,0 +1,102 @@
+// src/services/planning/__tests__/programEligibility.test.js
+const { evaluateProgram, comparePrograms, getProgramFacts } = require('../programEligibility');
+const { assessEligibility, medicaidEligibilityAssessment, assessMedicaidEligibility } = require('../eligibilityAssessment');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn().mockRejectedValue(new Error('no database'))
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Program Eligibility', () => {
+  const pennsylvania = getDatasetRules('PA', '2025-06-01');
+  const texas = getDatasetRules('TX', '2025-06-01');
+  const single = getProgramFacts({ maritalStatus: 'single', age: 80 });
+
+  test('should apply community limits instead of the institutional income cap', () => {
+    const financials = { countableAssets: 1500, totalIncome: 1800 };
+
+    const institutional = evaluateProgram('institutional', single, financials, pennsylvania);
+    const community = evaluateProgram('community_aged_blind_disabled', single, financials, pennsylvania);
+
+    expect(institutional).toMatchObject({ incomeLimit: 2901, incomePathway: 'within_limit', eligible: true });
+    expect(institutional.budgeting).toMatchObject({ allowance: 45, monthlyCostShare: 1755 });
+    expect(community).toMatchObject({ incomeLimit: 1304.17, isIncomeEligible: false, incomePathway: 'medically_needy' });
+    expect(community.budgeting.monthlyCostShare).toBe(1375);
+  });
+
+  test('should budget waiver and PACE income against the maintenance allowance', () => {
+    const financials = { countableAssets: 1500, totalIncome: 3200 };
+
+    const waiver = evaluateProgram('hcbs_waiver', single, financials, texas);
+    const pace = evaluateProgram('pace', getProgramFacts({ age: 52 }), financials, texas);
+
+    expect(waiver).toMatchObject({ incomePathway: 'qualified_income_trust', eligible: true });
+    expect(waiver.budgeting).toMatchObject({ allowance: 2901, monthlyCostShare: 299 });
+    expect(pace).toMatchObject({ applicable: false, eligible: false, reasons: ['Client is under the minimum age of 55'] });
+  });
+
+  test('should apply spousal impoverishment to long-term care and couple limits to community coverage', () => {
+    const married = getProgramFacts({ marital_status: 'married', age: 78 });
+    const { programs, eligiblePrograms } = comparePrograms(married, { countableAssets: 60000, totalIncome: 1600 }, texas);
+    const byType = Object.fromEntries(programs.map(program => [program.programType, program]));
+
+    expect(byType.institutional.spousalRules).toMatchObject({ method: 'spousal_impoverishment', communitySpouseResourceAllowance: 162660 });
+    expect(byType.community_aged_blind_disabled).toMatchObject({ resourceLimit: 3000, incomeLimit: 1450, isResourceEligible: false });
+    expect(byType.community_aged_blind_disabled.spousalRules.method).toBe('couple_budgeting');
+    expect(eligiblePrograms).toEqual(['institutional', 'hcbs_waiver', 'pace']);
+  });
+
+  test('should assess the requested program and compare the others', () => {
+    const assessment = assessEligibility(
+      { maritalStatus: 'single', age: 70 }, { countable: 1800 }, { social_security: 1500 }, 'pennsylvania', pennsylvania,
+      { programType: 'community_aged_blind_disabled' }
+    );
+
+    expect(assessment).toMatchObject({ programType: 'community_aged_blind_disabled', incomeLimit: 1304.17, isIncomeEligible: false });
+    expect(assessment.programComparison.eligiblePrograms).toEqual(['institutional', 'hcbs_waiver', 'community_aged_blind_disabled', 'pace']);
+    expect(() => assessEligibility({}, { countable: 0 }, {}, 'pennsylvania', pennsylvania, { programType: 'assisted_living' }))
+      .toThrow(expect.objectContaining({ name: 'ValidationError', message: expect.stringMatching(/^Unknown program type: assisted_living/) }));
+  });
+
+  test('should return the program comparison from the eligibility workflow', async () => {
+    const result = await medicaidEligibilityAssessment(
+      { maritalStatus: 'single', nursingFacilityLevelOfCare: false }, { countable: 1800 }, { social_security: 900 }, 'TX',
+      { asOfDate: '2025-06-01', programType: 'community_aged_blind_disabled' }
+    );
+
+    expect(result.status).toBe('success');
+    expect(result.programComparison.eligiblePrograms).toEqual(['community_aged_blind_disabled']);
+    expect(result.eligibilityPlan).toContain('- Home and community-based services (HCBS) waiver: Not applicable (Client does not need a nursing facility level of care)');
+  });
+
+  test('should reject an unknown program type from both eligibility entry points', async () => {
+    const options = { asOfDate: '2025-06-01', programType: 'assisted_living' };
+
+    await expect(medicaidEligibilityAssessment({ maritalStatus: 'single' }, { countable: 1800 }, { social_security: 900 }, 'TX', options))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+    await expect(assessMedicaidEligibility({ maritalStatus: 'single' }, { countable: 1800 }, { social_security: 900 }, {}, 'TX', false, options))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+  });
+
+  test('should apply the requested program limits in the comprehensive assessment', async () => {
+    const assess = programType => assessMedicaidEligibility(
+      { maritalStatus: 'single' }, { countable: 1800 }, { social_security: 1500 }, {}, 'pennsylvania', false,
+      { asOfDate: '2025-06-01', programType }
+    );
+
+    const institutional = await assess();
+    const community = await assess('community_aged_blind_disabled');
+
+    expect(institutional).toMatchObject({ programType: 'institutional', incomeLimit: 2901, isIncomeEligible: true });
+    expect(community).toMatchObject({ programType: 'community_aged_blind_disabled', incomeLimit: 1304.17, isIncomeEligible: false });
+  });
+});
@@ -0,0 +1,123 @@
+// src/services/planning/__tests__/regionalRules.test.js
+const { getMedicaidRules, getMedicaidRulesFromDb } = require('../../utils/medicaidRulesLoader');
+const { findRegion, resolveClientLocation } = require('../../utils/regionalRules');
+const { calculatePenaltyPeriod } = require('../divestmentPlanning');
+const { calculateEstateRecoveryThresholds } = require('../estateRecovery');
+const pool = require('../../../../config/database');
+const { Client } = require('../../../models');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../../models', () => ({
+  Client: { findById: jest.fn() },
+  EstateRecoveryRules: { findByState: jest.fn() }
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Regional Medicaid Rules', () => {
+  const newYork = getMedicaidRules('NY', null, '2025-06-01');
+  const analysis = { nonExemptTotal: 146290 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should match a region by county, ignoring case and the County suffix', () => {
+    expect(findRegion(newYork, { county: 'erie county' })).toMatchObject({ code: 'western', matchedBy: 'county' });
+    expect(findRegion(newYork, { county: 'Kings' })).toMatchObject({ code: 'nyc' });
+    expect(findRegion(newYork, { county: 'Nowhere' })).toBeNull();
+  });
+
+  test('should use the regional penalty divisor for the client county', () => {
+    const statewide = calculatePenaltyPeriod(analysis, 'new york', { rules: newYork, asOfDate: '2025-06-01' });
+    const western = calculatePenaltyPeriod(analysis, 'new york', {
+      rules: newYork,
+      asOfDate: '2025-06-01',
+      location: { county: 'Erie' }
+    });
+
+    expect(statewide.penaltyDivisor).toBe(15260);
+    expect(statewide.region).toBeNull();
+    expect(western.penaltyDivisor).toBe(12699);
+    expect(western.penaltyMonths).toBeCloseTo(146290 / 12699, 5);
+    expect(western.region).toMatchObject({ code: 'western', name: 'Western' });
+    expect(western.region.citation.url).toMatch(/^https:\/\/www\.health\.ny\.gov/);
+  });
+
+  test('should scale estate recovery thresholds with the regional nursing home cost', () => {
+    const thresholds = calculateEstateRecoveryThresholds(newYork, { county: 'Nassau' });
+
+    expect(thresholds.averageNursingHomeCost).toBe(15646);
+    expect(thresholds.highRiskAssetThreshold).toBe(15646 * 18);
+    expect(thresholds.region.code).toBe('long_island');
+  });
+
+  test('should keep statewide figures in states without regions', () => {
+    const florida = getMedicaidRules('FL', null, '2025-06-01');
+    const result = calculatePenaltyPeriod(analysis, 'florida', { rules: florida, location: { county: 'Miami-Dade' } });
+
+    expect(result.penaltyDivisor).toBe(florida.penaltyDivisor);
+    expect(result.region).toBeNull();
+  });
+
+  test('should look up the county from the stored client address', async () => {
+    Client.findById.mockResolvedValue({ id: 'client-1', address: { city: 'Rochester', state: 'NY', zip: '14604', county: 'Monroe' } });
+
+    const location = await resolveClientLocation({ client_id: 'client-1', name: 'Ann Lee' });
+
+    expect(Client.findById).toHaveBeenCalledWith('client-1');
+    expect(findRegion(newYork, location).code).toBe('rochester');
+    expect(await resolveClientLocation({ address: { county: 'Albany' } })).toEqual({ county: 'Albany', zip: null });
+    expect(Client.findById).toHaveBeenCalledTimes(1);
+  });
+
+  test('should load region tables stored with a medicaid_rules row, preferring a ZIP match', async () => {
+    pool.query.mockResolvedValue({
+      rows: [{
+        state_code: 'NY',
+        effective_date: '2025-01-01',
+        penalty_divisor: '15500',
+        state_specific_rules: { source: { url: 'https://www.health.ny.gov/gis', retrievedAt: '2025-01-02' } },
+        regions: [
+          {
+            region_code: 'nyc',
+            region_name: 'New York City',
+            penalty_divisor: '15600',
+            average_nursing_home_cost: null,
+            source_url: 'https://www.health.ny.gov/gis',
+            source_retrieved_at: '2025-01-02',
+            counties: ['Bronx', 'Kings', 'New York', 'Queens', 'Richmond'],
+            zip_codes: null
+          },
+          {
+            region_code: 'long_island',
+            region_name: 'Long Island',
+            penalty_divisor: '16000',
+            average_nursing_home_cost: '16250',
+            source_url: 'https://www.health.ny.gov/gis',
+            source_retrieved_at: '2025-01-02',
+            counties: ['Nassau', 'Suffolk'],
+            zip_codes: ['11004']
+          }
+        ]
+      }]
+    });
+
+    const rules = await getMedicaidRulesFromDb('NY', '2025-06-01');
+
+    expect(rules.penaltyDivisor).toBe(15500);
+    expect(rules.regions).toHaveLength(2);
+    expect(findRegion(rules, { county: 'Queens', zip: '11004-1234' })).toMatchObject({ code: 'long_island', matchedBy: 'zip' });
+    expect(calculateEstateRecoveryThresholds(rules, { county: 'Suffolk' }).averageNursingHomeCost).toBe(16250);
+  });
+});
@@ -0,0 +1,80 @@
+// src/services/planning/__tests__/retroactiveEligibility.test.js
+const { analyzeRetroactiveEligibility } = require('../retroactiveEligibility');
+const { medicaidApplicationPlanning } = require('../applicationPlanning');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Retroactive Eligibility', () => {
+  const pennsylvania = getDatasetRules('PA', '2025-06-01');
+
+  // Entered the facility in March; spent down below the limit during April
+  const priorMonths = [
+    { month: '2025-03', countable_assets: 9000, income: 2100, medical_expenses: 13500 },
+    { month: '2025-04', countable_assets: 2200, income: { social_security: 1500, pension: 600 }, medical_expenses: 13500 },
+    { month: '2025-05', countable_assets: 2000, income: 2100, medical_expenses: 13500 }
+  ];
+
+  test('should cover each prior month that passed the asset and income tests', () => {
+    const result = analyzeRetroactiveEligibility(priorMonths, pennsylvania, { applicationDate: '2025-06-10' });
+
+    expect(result.retroactiveCoverageMonths).toBe(3);
+    expect(result.months.map(month => month.coverable)).toEqual([false, true, true]);
+    expect(result.months[0].reasons[0]).toBe('Countable assets of $9000 exceeded the $2400 limit');
+    expect(result.months[1]).toMatchObject({ patientLiability: 2055, estimatedRecovery: 11445 });
+    expect(result.estimatedRecovery).toBe(22890);
+    expect(result.recommendation).toMatchObject({ requestCoverageFrom: '2025-04-01', applyBy: '2025-07-31' });
+  });
+
+  test('should cover nothing before the application month where the state waived retroactive coverage', () => {
+    const florida = getDatasetRules('FL', '2025-06-01');
+    const result = analyzeRetroactiveEligibility(priorMonths, florida, { applicationDate: '2025-06-10' });
+
+    expect(florida.retroactiveCoverageMonths).toBe(0);
+    expect(result).toMatchObject({ stateWaived: true, coverableMonths: [], estimatedRecovery: 0 });
+    expect(result.months[2].reasons).toEqual(['State has waived retroactive coverage']);
+    expect(result.recommendation.applyBy).toBe('2025-06-30');
+  });
+
+  test('should require a met spend-down or a funded income trust for over-income months', () => {
+    const overIncome = [{ month: '2025-05', countable_assets: 1500, income: 3400, medical_expenses: 13500 }];
+
+    const medicallyNeedy = analyzeRetroactiveEligibility(overIncome, pennsylvania, { applicationDate: '2025-06-01' });
+    expect(medicallyNeedy.months[2]).toMatchObject({ coverable: true, spendDown: 2975, estimatedRecovery: 7170 });
+
+    const incomeCap = getDatasetRules('TX', '2025-06-01');
+    const withoutTrust = analyzeRetroactiveEligibility(overIncome, incomeCap, { applicationDate: '2025-06-01' });
+    const withTrust = analyzeRetroactiveEligibility([{ ...overIncome[0], qit_funded: true }], incomeCap, { applicationDate: '2025-06-01' });
+
+    expect(withoutTrust.months[2].reasons[0]).toMatch(/no qualified income trust was funded/);
+    expect(withTrust.months[2].coverable).toBe(true);
+    expect(withTrust.months[0].reasons).toEqual(['No asset and income snapshot for this month']);
+  });
+
+  test('should recommend the request and application dates in application planning', async () => {
+    const result = await medicaidApplicationPlanning(
+      { maritalStatus: 'single' },
+      { countable: 2000 },
+      { social_security: 2100 },
+      {},
+      'pennsylvania',
+      { priorMonths, applicationDate: '2025-06-10', rules: pennsylvania }
+    );
+
+    expect(result.recommendedDates).toEqual({ requestCoverageFrom: '2025-04-01', applyBy: '2025-07-31' });
+    expect(result.timeline.applicationSubmission).toBe('Submit application by 2025-07-31');
+    expect(result.submissionRecommendations).toContain('Request retroactive coverage from 2025-04-01 on the application');
+    expect(result.applicationStrategies).toContain('Request retroactive coverage for 2025-04, 2025-05 (about $22,890 in care costs)');
+  });
+});
@@ -0,0 +1,139 @@
+// src/services/planning/__tests__/ruleEffectiveDates.test.js
+const { resolveAsOfDate, isValidAsOfDate, asOfDateToDate, getRuleYear } = require('../../utils/effectiveDate');
+const { getMedicaidRulesFromDb } = require('../../utils/medicaidRulesLoader');
+const { validateState } = require('../../validation/inputValidation');
+const pool = require('../../../../config/database');
+const logger = require('../../../config/logger');
+
+// Mock the database pool so rule lookups never hit PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Rule Effective Dates', () => {
+  describe('resolveAsOfDate', () => {
+    test('should keep ISO calendar dates unchanged', () => {
+      expect(resolveAsOfDate('2026-01-01')).toBe('2026-01-01');
+    });
+
+    test('should default to today when no date is given', () => {
+      const today = new Date();
+      const expected = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+      expect(resolveAsOfDate()).toBe(expected);
+    });
+
+    test('should reject invalid dates', () => {
+      expect(() => resolveAsOfDate('2025-02-30')).toThrow('Invalid asOfDate: 2025-02-30');
+      expect(() => resolveAsOfDate('not-a-date')).toThrow('Invalid asOfDate: not-a-date');
+    });
+
+    test('should accept only omitted or YYYY-MM-DD request dates', () => {
+      expect(isValidAsOfDate(undefined)).toBe(true);
+      expect(isValidAsOfDate('2025-06-01')).toBe(true);
+      expect(isValidAsOfDate('2025-02-30')).toBe(false);
+      expect(isValidAsOfDate('June 1, 2025')).toBe(false);
+      expect(isValidAsOfDate(20250601)).toBe(false);
+    });
+
+    test('should derive the rule year and a UTC date', () => {
+      expect(getRuleYear('2024-12-31')).toBe(2024);
+      expect(asOfDateToDate('2024-12-31').toISOString()).toBe('2024-12-31T00:00:00.000Z');
+    });
+  });
+
+  describe('getMedicaidRulesFromDb', () => {
+    beforeEach(() => {
+      pool.query.mockReset();
+    });
+
+    const source = { url: 'https://www.health.ny.gov/health_care/medicaid/', retrievedAt: '2025-03-20' };
+
+    test('should select the rule set in force on the as-of date', async () => {
+      pool.query.mockResolvedValue({
+        rows: [{
+          state_code: 'NY',
+          effective_date: '2025-04-01',
+          individual_resource_limit: 32396,
+          individual_income_limit: 2901,
+          penalty_divisor: 15260,
+          lookback_period_months: 60,
+          state_specific_rules: { source }
+        }]
+      });
+
+      const rules = await getMedicaidRulesFromDb('NY', '2025-06-15');
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('effective_date <= $2'), ['NY', '2025-06-15']);
+      expect(rules.resourceLimitSingle).toBe(32396);
+      expect(rules.effectiveDate).toBe('2025-04-01');
+      expect(rules.citations.resourceLimitSingle).toEqual(source);
+    });
+
+    test('should cache rule sets separately per as-of date', async () => {
+      pool.query.mockResolvedValue({
+        rows: [{ state_code: 'TX', effective_date: '2025-01-01', individual_resource_limit: 2000, individual_income_limit: 2901, state_specific_rules: { source } }]
+      });
+
+      await getMedicaidRulesFromDb('TX', '2025-03-01');
+      await getMedicaidRulesFromDb('TX', '2025-03-01');
+      await getMedicaidRulesFromDb('TX', '2026-01-15');
+
+      expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('should serve the cited dataset when no database rule set is in force', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const rules = await getMedicaidRulesFromDb('CA', '2025-03-01');
+
+      expect(rules.programName).toBe('Medi-Cal');
+      expect(rules.effectiveDate).toBe('2025-01-01');
+      expect(rules.datasetVersion).toBe('2025.1');
+    });
+
+    test('should warn when a rules migration has not been applied', async () => {
+      pool.query.mockRejectedValue(Object.assign(new Error('relation "medicaid_rule_regions" does not exist'), { code: '42P01' }));
+
+      const rules = await getMedicaidRulesFromDb('AZ', '2025-03-01');
+
+      expect(rules.datasetVersion).toBe('2025.1');
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Medicaid rules tables are missing'));
+    });
+
+    test('should reject a database row without citations instead of padding it', async () => {
+      pool.query.mockResolvedValue({
+        rows: [{ state_code: 'NY', effective_date: '2025-02-01', individual_resource_limit: 31175, individual_income_limit: 1732 }]
+      });
+
+      const rules = await getMedicaidRulesFromDb('NY', '2025-02-15');
+
+      expect(rules.resourceLimitSingle).toBe(32396);
+      expect(rules.effectiveDate).toBe('2025-01-01');
+      expect(rules.fallbackReason).toMatch(/^Incomplete Medicaid rules for NY/);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Rejected medicaid_rules row for NY as of 2025-02-15'));
+    });
+
+    test('should throw when no rules were in force yet', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await expect(getMedicaidRulesFromDb('CA', '1990-01-01')).rejects.toThrow('No Medicaid rules in force for state: CA as of 1990-01-01');
+    });
+
+    test('should validate the state against the rules in force on the as-of date', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await expect(validateState('CA', '2025-06-01')).resolves.toMatchObject({ valid: true, normalizedData: 'california' });
+      expect(pool.query).toHaveBeenCalledWith(expect.any(String), ['CA', '2025-06-01']);
+      await expect(validateState('CA', '1990-01-01')).resolves.toMatchObject({ valid: false });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+// src/services/planning/__tests__/ruleProjection.test.js
+const { getMedicaidRules } = require('../../utils/medicaidRulesLoader');
+const { projectRules, projectRulesByYear, getProjectionAssumptions } = require('../ruleProjection');
+const { determineTrustFunding } = require('../trustPlanning');
+const MedicaidPlanningReportGenerator = require('../../reporting/reportGenerator');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Rule Projection', () => {
+  const florida = getMedicaidRules('FL', null, '2025-06-01');
+  const assumptions = { colaRate: 0.025, cpiRate: 0.03, careCostRate: 0.04 };
+
+  test('should index each figure with its own rate and mark it estimated', () => {
+    const projection = projectRules(florida, 2027, assumptions);
+
+    expect(projection).toMatchObject({ year: 2027, baseYear: 2025, yearsAhead: 2, estimated: true });
+    expect(projection.figures.communitySpouseResourceAllowanceMax).toEqual({
+      value: Math.round(162660 * 1.03 * 1.03 * 100) / 100,
+      baseValue: 162660,
+      indexedBy: 'cpi',
+      rate: 0.03,
+      estimated: true
+    });
+    expect(projection.figures.incomeLimitSingle.value).toBeCloseTo(2901 * 1.025 * 1.025, 2);
+    expect(projection.figures.penaltyDivisor.indexedBy).toBe('careCost');
+    // State-set resource limits are not indexed
+    expect(projection.figures.resourceLimitSingle).toMatchObject({ value: 2000, indexedBy: 'none', estimated: true });
+    expect(projection.rules.projection).toEqual({ year: 2027, baseYear: 2025, yearsAhead: 2, estimated: true });
+  });
+
+  test('should not mark the published rule year as estimated', () => {
+    const projection = projectRules(florida, '2025-09-30', assumptions);
+
+    expect(projection.estimated).toBe(false);
+    expect(projection.figures.monthlyMaintenanceNeedsAllowanceMin).toMatchObject({ value: 2555, estimated: false });
+  });
+
+  test('should skip resource limits for states without a resource test', () => {
+    const projection = projectRules(getMedicaidRules('CA', null, '2025-06-01'), 2028, assumptions);
+
+    expect(projection.figures.resourceLimitSingle).toBeUndefined();
+    expect(projection.rules.hasResourceTest).toBe(false);
+  });
+
+  test('should project each of the next several years', () => {
+    const projections = projectRulesByYear(florida, 3, assumptions);
+
+    expect(projections.map(projection => projection.year)).toEqual([2026, 2027, 2028]);
+    expect(projections[2].figures.homeEquityLimit.value).toBeGreaterThan(projections[0].figures.homeEquityLimit.value);
+  });
+
+  test('should reject unreasonable rate overrides', () => {
+    expect(getProjectionAssumptions({ cpiRate: '0.02' }).cpiRate).toBe(0.02);
+    expect(() => getProjectionAssumptions({ colaRate: 'fast' })).toThrow('Invalid projection rate for colaRate: fast');
+  });
+
+  test('should project trust planning limits to when the lookback completes', () => {
+    const funding = determineTrustFunding(
+      { recommendedTrustTypes: ['irrevocable medicaid asset protection trust'] },
+      { age: 70 },
+      { countable: 200000 },
+      { social_security: 1800 },
+      'florida',
+      { projectionAssumptions: assumptions, asOfDate: '2025-06-01' }
+    );
+
+    expect(funding.projectedLimits.estimated).toBe(true);
+    expect(funding.projectedLimits.year).toBeGreaterThan(2025);
+    expect(funding.projectedLimits.figures.incomeCap.estimated).toBe(true);
+    expect(funding.projectedLimits.basis).toMatch(/^Estimated from 2025 figures using 2.5% COLA and 3% CPI/);
+  });
+
+  test('should label projected limits as estimates in the detailed report', () => {
+    const projectedLimits = projectRules(florida, 2030, assumptions);
+    const generator = new MedicaidPlanningReportGenerator({
+      countableAssets: 50000,
+      resourceLimit: 2000,
+      projectedLimits: {
+        year: 2030,
+        basis: 'Estimated from 2025 figures',
+        figures: { communitySpouseResourceAllowanceMax: projectedLimits.figures.communitySpouseResourceAllowanceMax }
+      }
+    }, { name: 'Ann Lee', age: 70 }, 'florida');
+
+    const report = generator.generateDetailedReport('markdown');
+
+    expect(report).toContain('## Projected 2030 Limits (Estimated)');
+    expect(report).toMatch(/\*\*CSRA Maximum:\*\* \$[\d,.]+ \(estimated\)/);
+  });
+});
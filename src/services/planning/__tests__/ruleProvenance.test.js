@@ -0,0 +1,110 @@
+// src/services/planning/__tests__/ruleProvenance.test.js
+const { getMedicaidRules, getMedicaidRulesFromDb } = require('../../utils/medicaidRulesLoader');
+const { applyRegionalRules } = require('../../utils/regionalRules');
+const { buildPlanningProvenance, buildProvenanceTree, traceRuleField } = require('../../utils/ruleProvenance');
+const pool = require('../../../../config/database');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Rule Provenance', () => {
+  const rowSource = { url: 'https://www.myflfamilies.com/2025-ssi-related-standards', retrievedAt: '2025-01-03' };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  test('should mark dataset figures as defaults with their citations', () => {
+    const provenance = buildPlanningProvenance(getMedicaidRules('FL', null, '2025-06-01'), { maritalStatus: 'single' });
+
+    expect(Object.keys(provenance)).toEqual([
+      'resourceLimit',
+      'communitySpouseResourceAllowanceMin',
+      'communitySpouseResourceAllowanceMax',
+      'monthlyMaintenanceNeedsAllowanceMin',
+      'monthlyMaintenanceNeedsAllowanceMax',
+      'penaltyDivisor',
+      'personalNeedsAllowance'
+    ]);
+    expect(provenance.personalNeedsAllowance).toMatchObject({
+      field: 'monthlyPersonalNeedsAllowance',
+      value: 160,
+      ruleId: null,
+      effectiveDate: '2025-01-01',
+      datasetVersion: '2025.1',
+      origin: 'dataset',
+      defaultUsed: true
+    });
+    expect(provenance.personalNeedsAllowance.citation.url).toBe('https://www.myflfamilies.com');
+  });
+
+  test('should name the medicaid_rules row for figures it sets', async () => {
+    pool.query.mockResolvedValue({
+      rows: [{
+        id: 'rule-fl-2025',
+        state_code: 'FL',
+        effective_date: '2025-01-01',
+        individual_resource_limit: '2000',
+        penalty_divisor: '10438',
+        state_specific_rules: { source: rowSource }
+      }]
+    });
+
+    const rules = await getMedicaidRulesFromDb('FL', '2025-06-01');
+    const provenance = buildPlanningProvenance(rules, { maritalStatus: 'married' });
+
+    expect(provenance.penaltyDivisor).toMatchObject({
+      value: 10438,
+      ruleId: 'rule-fl-2025',
+      origin: 'medicaid_rules',
+      defaultUsed: false,
+      citation: rowSource
+    });
+    // The married limit is derived from the CSRA maximum, which the row did not set
+    expect(provenance.resourceLimit).toMatchObject({
+      field: 'resourceLimitMarried',
+      derivedFrom: 'communitySpouseResourceAllowanceMax',
+      ruleId: 'rule-fl-2025',
+      origin: 'dataset',
+      defaultUsed: true
+    });
+  });
+
+  test('should trace a regional divisor to its region', () => {
+    const rules = applyRegionalRules(getMedicaidRules('NY', null, '2025-06-01'), { county: 'Monroe' });
+    const divisor = traceRuleField(rules, 'penaltyDivisor');
+
+    expect(divisor).toMatchObject({ value: 14129, origin: 'region', defaultUsed: true });
+    expect(divisor.region).toMatchObject({ code: 'rochester', matchedBy: 'county' });
+    expect(divisor.citation.url).toMatch(/health\.ny\.gov/);
+  });
+
+  test('should report figures outside the rule set as fallbacks', () => {
+    expect(traceRuleField({ programName: 'Test Medicaid' }, 'penaltyDivisor')).toMatchObject({
+      value: null,
+      origin: 'fallback',
+      defaultUsed: true,
+      citation: null
+    });
+  });
+
+  test('should build the full explain tree', () => {
+    const tree = buildProvenanceTree(getMedicaidRules('NY', null, '2025-06-01'), { maritalStatus: 'single', asOfDate: '2025-06-01' });
+
+    expect(tree.ruleSet).toMatchObject({ programName: 'New York Medicaid', ruleSource: 'dataset', asOfDate: '2025-06-01' });
+    expect(tree.fields.lookbackPeriodMonths.value).toBe(60);
+    expect(tree.fields.averageNursingHomeCost.derivedFrom).toBe('penaltyDivisor');
+    expect(tree.modules.divestment.penaltyDivisor.value).toBe(15260);
+    expect(tree.figures.resourceLimit.value).toBe(32396);
+  });
+});
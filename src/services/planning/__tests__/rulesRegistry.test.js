@@ -0,0 +1,160 @@
+// src/services/planning/__tests__/rulesRegistry.test.js
+const {
+  getMedicaidRules,
+  refreshRulesRegistry,
+  invalidateMedicaidRules,
+  getRulesRegistryStatus,
+  getIncomeTrustRequirements
+} = require('../../utils/medicaidRulesLoader');
+const pool = require('../../../../config/database');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Medicaid Rules Registry', () => {
+  const source = { url: 'https://www.myflfamilies.com/', retrievedAt: '2026-01-05' };
+
+  const floridaRows = [
+    {
+      state_code: 'FL',
+      effective_date: '2026-01-01',
+      individual_resource_limit: 2000,
+      community_spouse_resource_allowance_max: 162660,
+      individual_income_limit: 2982,
+      penalty_divisor: 10438,
+      lookback_period_months: 60,
+      state_specific_rules: { source }
+    },
+    {
+      state_code: 'FL',
+      effective_date: '2025-01-01',
+      individual_resource_limit: 2000,
+      community_spouse_resource_allowance_max: 157920,
+      individual_income_limit: 2901,
+      penalty_divisor: 9703,
+      lookback_period_months: 60,
+      state_specific_rules: { source }
+    }
+  ];
+
+  beforeEach(async () => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: floridaRows });
+    await refreshRulesRegistry();
+  });
+
+  test('should serve database rules from the synchronous getMedicaidRules', () => {
+    const rules = getMedicaidRules('florida', null, '2026-03-01');
+
+    expect(rules.programName).toBe('Florida Medicaid');
+    expect(rules.incomeLimitSingle).toBe(2982);
+    expect(rules.penaltyDivisor).toBe(10438);
+    expect(rules.disregards.income.unearned).toBe(20);
+  });
+
+  test('should resolve the rule set in force on the as-of date', () => {
+    const rules = getMedicaidRules('FL', null, '2025-07-01');
+
+    expect(rules.incomeLimitSingle).toBe(2901);
+    expect(rules.effectiveDate).toBe('2025-01-01');
+  });
+
+  test('should fall back to the cited dataset for states without registered rules', () => {
+    const rules = getMedicaidRules('texas', null, '2025-06-01');
+
+    expect(rules.programName).toBe('Texas Medicaid');
+    expect(rules.penaltyDivisor).toBe(7908);
+    expect(rules.citations.penaltyDivisor.url).toBe('https://www.hhs.texas.gov');
+    expect(rules.effectiveDate).toBe('2025-01-01');
+  });
+
+  test('should take the income trust threshold from the rules for every state', () => {
+    expect(getIncomeTrustRequirements('FL')).toEqual({ required: true, threshold: 2982 });
+    expect(getIncomeTrustRequirements('texas')).toEqual({
+      required: true,
+      threshold: getMedicaidRules('texas').incomeLimitSingle
+    });
+  });
+
+  test('should serve the newest dataset version marked stale after it expires', () => {
+    const rules = getMedicaidRules('texas', null, '2026-03-01');
+
+    expect(rules).toMatchObject({ datasetVersion: '2025.1', effectiveDate: '2025-01-01', penaltyDivisor: 7908, stale: true });
+    expect(rules.staleReason).toBe('Rules dataset 2025.1 expired on 2025-12-31; its figures are served for 2026-03-01 until rules for the date are published');
+    expect(getMedicaidRules('texas', null, '2025-06-01').stale).toBeUndefined();
+  });
+
+  test('should not serve the dataset before the dates it covers', () => {
+    expect(() => getMedicaidRules('texas', null, '2024-12-31'))
+      .toThrow('No Medicaid rules in force for state: texas as of 2024-12-31 (the rules dataset covers 2025-01-01 to 2025-12-31)');
+  });
+
+  test('should layer database rows over the dataset with their own citations', () => {
+    const rules = getMedicaidRules('florida', null, '2026-03-01');
+
+    expect(rules.citations.penaltyDivisor).toEqual(source);
+    expect(rules.citations.monthlyPersonalNeedsAllowance.url).toBe('https://www.myflfamilies.com');
+    expect(rules.monthlyPersonalNeedsAllowance).toBe(160);
+  });
+
+  test('should reject rows missing a citation', async () => {
+    pool.query.mockResolvedValue({
+      rows: [floridaRows[0], { ...floridaRows[1], state_specific_rules: null }]
+    });
+
+    await expect(refreshRulesRegistry()).resolves.toBe(1);
+    expect(getMedicaidRules('FL', null, '2025-07-01').penaltyDivisor).toBe(10438);
+    expect(getMedicaidRules('FL', null, '2025-07-01').effectiveDate).toBe('2025-01-01');
+  });
+
+  test('should throw for states without rules instead of using defaults', () => {
+    expect(() => getMedicaidRules('atlantis')).toThrow('No Medicaid rules in force for state: atlantis');
+  });
+
+  test('should not let callers mutate the registry', () => {
+    const rules = getMedicaidRules('florida', null, '2026-03-01');
+    rules.incomeLimitSingle = 0;
+
+    expect(getMedicaidRules('florida', null, '2026-03-01').incomeLimitSingle).toBe(2982);
+  });
+
+  test('should still apply rule updates on top of registered rules', () => {
+    const rules = getMedicaidRules('florida', { florida: { resourceLimitSingle: 5000 } }, '2026-03-01');
+
+    expect(rules.resourceLimitSingle).toBe(5000);
+    expect(rules.incomeLimitSingle).toBe(2982);
+  });
+
+  test('should reload a single state when its rules are invalidated', async () => {
+    pool.query.mockResolvedValue({
+      rows: [{ ...floridaRows[0], individual_income_limit: 3000 }]
+    });
+
+    await invalidateMedicaidRules('FL');
+
+    expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining('AND state_code = $1'), ['FL']);
+    expect(getMedicaidRules('florida', null, '2026-03-01').incomeLimitSingle).toBe(3000);
+  });
+
+  test('should leave rows seeded from the dataset out of the registry', () => {
+    expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining("state_specific_rules->>'seededFromDataset' IS NULL"), []);
+  });
+
+  test('should keep the last good registry when a refresh fails', async () => {
+    pool.query.mockRejectedValue(new Error('connection refused'));
+
+    await expect(refreshRulesRegistry()).rejects.toThrow('connection refused');
+    expect(getMedicaidRules('florida', null, '2026-03-01').incomeLimitSingle).toBe(2982);
+    expect(getRulesRegistryStatus().states).toEqual(['FL']);
+  });
+});
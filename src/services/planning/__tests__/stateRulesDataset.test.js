@@ -0,0 +1,83 @@
+// src/services/planning/__tests__/stateRulesDataset.test.js
+const { RULE_FIELDS, DATASET_VERSIONS } = require('../../../data/stateMedicaidRules');
+const { getMedicaidRules, validateRuleRecord } = require('../../utils/medicaidRulesLoader');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('State Medicaid Rules Dataset', () => {
+  const [latest] = DATASET_VERSIONS;
+  const records = Object.values(latest.states);
+
+  test('should cover all 50 states and DC', () => {
+    expect(records).toHaveLength(51);
+    expect(latest.states.DC.name).toBe('District of Columbia');
+  });
+
+  test('should cite a URL and a retrieval date or pending verification for every field', () => {
+    records.forEach(record => {
+      RULE_FIELDS.forEach(field => {
+        const { citation } = record.fields[field];
+        expect(citation.url).toMatch(/^https:\/\//);
+        if (citation.pendingVerification) {
+          expect(citation.retrievedAt).toBeNull();
+        } else {
+          expect(citation.retrievedAt).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        }
+      });
+    });
+  });
+
+  test('should only accept a citation without a retrieval date while it is pending verification', () => {
+    const { fields } = latest.states.FL;
+    const { retrievedAt, pendingVerification, ...unverified } = fields.penaltyDivisor.citation;
+
+    expect(() => validateRuleRecord(fields, 'FL')).not.toThrow();
+    expect(() => validateRuleRecord({ ...fields, penaltyDivisor: { ...fields.penaltyDivisor, citation: unverified } }, 'FL'))
+      .toThrow(/penaltyDivisor/);
+  });
+
+  test('should keep allowance minimums at or below their maximums', () => {
+    records.forEach(record => {
+      const { fields } = record;
+      expect(fields.communitySpouseResourceAllowanceMin.value).toBeLessThanOrEqual(fields.communitySpouseResourceAllowanceMax.value);
+      expect(fields.monthlyMaintenanceNeedsAllowanceMin.value).toBeLessThanOrEqual(fields.monthlyMaintenanceNeedsAllowanceMax.value);
+    });
+  });
+
+  test('should reject a partial record', () => {
+    const { penaltyDivisor, ...fields } = latest.states.FL.fields;
+
+    expect(() => validateRuleRecord(fields, 'FL')).toThrow('Incomplete Medicaid rules for FL: penaltyDivisor is missing');
+    expect(() => validateRuleRecord({ ...fields, penaltyDivisor: { value: penaltyDivisor.value } }, 'FL'))
+      .toThrow('penaltyDivisor has no source citation');
+  });
+
+  test('should serve state-specific figures instead of one default for every state', () => {
+    const florida = getMedicaidRules('FL', null, '2025-06-01');
+    const newYork = getMedicaidRules('NY', null, '2025-06-01');
+
+    expect(florida.communitySpouseResourceAllowanceMin).toBe(162660);
+    expect(newYork.communitySpouseResourceAllowanceMin).toBe(74820);
+    expect(florida.incomeCapState).toBe(true);
+    expect(newYork.incomeCapState).toBe(false);
+    expect(newYork.excessShelterStandard).toBe(1184.4);
+  });
+
+  test('should treat a state without a resource test as having no limit', () => {
+    const california = getMedicaidRules('CA', null, '2025-06-01');
+
+    expect(california.hasResourceTest).toBe(false);
+    expect(california.resourceLimitSingle).toBeGreaterThan(1e12);
+  });
+});
@@ -0,0 +1,148 @@
+// src/services/planning/__tests__/transferExemptions.test.js
+const { EXEMPT_TRANSFER_CATEGORIES, evaluateTransferExemption } = require('../transferExemptions');
+const { analyzePastTransfers, calculatePenaltyPeriod, developMitigationStrategies } = require('../divestmentPlanning');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Transfer Exemptions', () => {
+  const pennsylvania = { ...getDatasetRules('PA', '2025-06-01'), penaltyDivisor: 10000 };
+  const asOfDate = '2025-06-01';
+  const caregiverHome = {
+    id: 'home',
+    date: '2024-09-01',
+    recipient: 'daughter',
+    amount: 250000,
+    asset_type: 'home',
+    exemption_category: 'caregiver_child',
+    years_resided: 3,
+    care_delayed_institutionalization: true,
+    evidence: ['deed', 'birth_certificate', 'proof_of_residence', 'physician_statement'],
+    documentation: 'deed'
+  };
+
+  test('should model every federal exemption with criteria and evidence', () => {
+    expect(Object.keys(EXEMPT_TRANSFER_CATEGORIES)).toEqual(expect.arrayContaining([
+      'spouse', 'blind_or_disabled_child', 'disabled_trust', 'caregiver_child', 'sibling_with_equity', 'other_purpose'
+    ]));
+    Object.values(EXEMPT_TRANSFER_CATEGORIES).forEach(category => {
+      expect(category.criteria.length).toBeGreaterThan(0);
+      expect(category.evidence.length).toBeGreaterThan(0);
+      expect(category.authority).toMatch(/§1917\(c\)\(2\)/);
+    });
+  });
+
+  test('should qualify a claim only when every criterion is met and proven', () => {
+    expect(evaluateTransferExemption(caregiverHome)).toMatchObject({ status: 'qualifies', missingEvidence: [], unmetCriteria: [] });
+    expect(evaluateTransferExemption({ recipient: 'son', amount: 5000 })).toBeNull();
+
+    const unproven = evaluateTransferExemption({ ...caregiverHome, evidence: ['deed'], care_delayed_institutionalization: undefined });
+    expect(unproven.status).toBe('may_qualify');
+    expect(unproven.unknownCriteria).toEqual(['The child\'s care delayed the applicant\'s move to a facility']);
+    expect(unproven.missingEvidence.map(document => document.key)).toEqual(['birth_certificate', 'proof_of_residence', 'physician_statement']);
+
+    const shortResidence = evaluateTransferExemption({ ...caregiverHome, years_resided: 1 });
+    expect(shortResidence.status).toBe('does_not_qualify');
+    expect(shortResidence.unmetCriteria).toEqual(['The child lived in the home for the two years before the applicant entered a facility']);
+  });
+
+  test('should test the home, age and relationship criteria of each category', () => {
+    const trust = { recipient: 'Supplemental needs trust', exemption_category: 'disabled_trust', recipient_type: 'trust', beneficiary_disabled: true };
+    expect(evaluateTransferExemption({ ...trust, beneficiary_age: 70 }).status).toBe('does_not_qualify');
+    expect(evaluateTransferExemption({ ...trust, beneficiary_age: 40 }).status).toBe('may_qualify');
+
+    const sibling = { recipient: 'brother', exemption_category: 'sibling_with_equity', sibling_equity_interest: true, years_resided: 2 };
+    expect(evaluateTransferExemption({ ...sibling, asset_type: 'cash' }).unmetCriteria).toEqual(['The asset transferred is the applicant\'s home']);
+    expect(evaluateTransferExemption({ ...sibling, asset_type: 'home' }).unmetCriteria).toEqual([]);
+
+    const child = { recipient: 'granddaughter', exemption_category: 'blind_or_disabled_child', recipient_disabled: true };
+    expect(evaluateTransferExemption(child).unmetCriteria).toEqual(['The recipient is the applicant\'s child']);
+    expect(evaluateTransferExemption({ ...child, recipient_relationship: 'son' }).unmetCriteria).toEqual([]);
+  });
+
+  test('should list which transfers qualify, might qualify and the missing evidence', () => {
+    const transfers = [
+      caregiverHome,
+      { id: 'spouse', date: '2024-01-10', recipient: 'husband', amount: 40000, exemption_category: 'spouse', documentation: 'check copy' },
+      { id: 'trust', date: '2024-02-01', recipient: 'Trust for Sam', amount: 30000, exemption_category: 'disabled_trust', recipient_type: 'trust', beneficiary_age: 67, documentation: 'wire' },
+      { id: 'gift', date: '2025-01-15', recipient: 'grandson', amount: 10000, documentation: 'check copy' }
+    ];
+    const analysis = analyzePastTransfers(transfers, 'pennsylvania', { asOfDate, rules: pennsylvania });
+    const review = analysis.exemptionReview;
+
+    expect(review.qualifying.map(claim => claim.transferId)).toEqual(['home']);
+    expect(review.mayQualify.map(claim => claim.transferId)).toEqual(['spouse']);
+    expect(review.notQualifying.map(claim => claim.transferId)).toEqual(['trust']);
+    expect(review.missingEvidence).toEqual([
+      { transferId: 'spouse', category: 'spouse', documents: [{ key: 'marriage_certificate', description: 'Marriage certificate' }] }
+    ]);
+    expect(review.penaltyAtRisk).toBe(40000);
+    expect(review.potentialRelief).toBe(0);
+
+    // A claim still missing evidence is not penalized; only the failed claim and the gift are
+    expect(analysis.exemptTransfers.map(tx => tx.id)).toEqual(['home', 'spouse']);
+    expect(analysis.nonExemptTotal).toBe(40000);
+  });
+
+  test('should not penalize a caregiver payment that is only missing evidence', () => {
+    const payment = {
+      id: 'care', date: '2024-06-01', recipient: 'child', amount: 20000, purpose: 'caregiver compensation',
+      documentation: 'caregiver agreement', details: { yearsOfCare: 2, hoursPerWeek: 20 }
+    };
+    const analysis = analyzePastTransfers([payment], 'pennsylvania', { asOfDate, rules: pennsylvania });
+
+    expect(analysis.ledger[0]).toMatchObject({ exemptionCategory: 'compensated_care', penalized: false });
+    expect(analysis.ledger[0].exemption.status).toBe('may_qualify');
+    expect(analysis.exemptionReview.missingEvidence[0].documents.map(document => document.key)).toEqual(['care_agreement', 'care_log']);
+    expect(analysis.nonExemptTotal).toBe(0);
+  });
+
+  test('should only accept a stated purpose for the other-purpose exemption', () => {
+    const gift = { recipient: 'son', exemption_category: 'other_purpose', anticipated_long_term_care: false };
+
+    expect(evaluateTransferExemption({ ...gift, purpose: 'caregiver compensation' })).toMatchObject({
+      status: 'does_not_qualify',
+      unmetCriteria: ['A purpose other than qualifying for Medicaid is stated']
+    });
+    expect(evaluateTransferExemption({ ...gift, stated_purpose: 'Tuition for grandson' }).unmetCriteria).toEqual([]);
+  });
+
+  test('should penalize a claim whose criteria are not confirmed and report it as potential relief', () => {
+    const transfers = [
+      { id: 'gift', date: '2024-06-01', amount: 150000, exemption_category: 'other_purpose', documentation: 'wire' },
+      { id: 'spouse', date: '2024-07-01', amount: 150000, exemption_category: 'spouse', documentation: 'wire' }
+    ];
+    const analysis = analyzePastTransfers(transfers, 'pennsylvania', { asOfDate, rules: pennsylvania });
+
+    expect(analysis.ledger.map(entry => [entry.exemption.status, entry.penalized])).toEqual([
+      ['does_not_qualify', true],
+      ['may_qualify', true]
+    ]);
+    expect(analysis.nonExemptTotal).toBe(300000);
+    expect(analysis.exemptTransfers).toEqual([]);
+    expect(analysis.exemptionReview).toMatchObject({ penaltyAtRisk: 0, potentialRelief: 150000 });
+    expect(analysis.exemptionReview.mayQualify[0].unknownCriteria).toEqual(['The recipient is the applicant\'s spouse']);
+  });
+
+  test('should recommend gathering the evidence an unproven claim needs', () => {
+    const transfers = [{ id: 'spouse', date: '2024-01-10', recipient: 'husband', amount: 40000, exemption_category: 'spouse', documentation: 'check copy' }];
+    const analysis = analyzePastTransfers(transfers, 'pennsylvania', { asOfDate, rules: pennsylvania });
+    const penalty = calculatePenaltyPeriod(analysis, 'pennsylvania', { asOfDate, rules: pennsylvania });
+    const { strategies } = developMitigationStrategies(analysis, penalty, {}, 'pennsylvania');
+
+    const evidence = strategies.find(strategy => strategy.type === 'exemption-evidence');
+    expect(evidence.description).toMatch(/\$40,000/);
+    expect(evidence.specificActions).toEqual(['Obtain for husband: Marriage certificate']);
+  });
+});
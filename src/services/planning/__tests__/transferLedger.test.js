@@ -0,0 +1,91 @@
+// src/services/planning/__tests__/transferLedger.test.js
+const { analyzePastTransfers, calculatePenaltyPeriod } = require('../divestmentPlanning');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Transfer Ledger', () => {
+  const pennsylvania = { ...getDatasetRules('PA', '2025-06-01'), penaltyDivisor: 10000 };
+  const asOfDate = '2025-06-01';
+  const transfers = [
+    { id: 'car', date: '2024-03-10', recipient: 'son', amount: 25000, consideration_received: 5000, documentation: 'bill of sale' },
+    { id: 'gift', date: '2025-01-15', recipient: 'granddaughter', amount: 15000, documentation: 'check copy' },
+    { id: 'spouse', date: '2023-05-01', recipient: 'wife', amount: 50000, exemption_category: 'spouse', documentation: 'transfer record' },
+    { id: 'old', date: '2019-01-01', recipient: 'son', amount: 10000, documentation: 'check copy' }
+  ];
+  const withPenaltyRules = penaltyRules => ({ ...pennsylvania, transferPenaltyRules: { ...pennsylvania.transferPenaltyRules, ...penaltyRules } });
+
+  test('should record consideration, exemptions and the look-back for each transfer', () => {
+    const analysis = analyzePastTransfers(transfers, 'pennsylvania', { asOfDate, rules: pennsylvania });
+
+    expect(analysis.ledger.map(({ id, uncompensatedValue, withinLookback, penalized }) => ({ id, uncompensatedValue, withinLookback, penalized }))).toEqual([
+      { id: 'car', uncompensatedValue: 20000, withinLookback: true, penalized: true },
+      { id: 'gift', uncompensatedValue: 15000, withinLookback: true, penalized: true },
+      { id: 'spouse', uncompensatedValue: 50000, withinLookback: true, penalized: false },
+      { id: 'old', uncompensatedValue: 10000, withinLookback: false, penalized: false }
+    ]);
+    expect(analysis.ledger[2].exemptionReason).toMatch(/^Transfer to the spouse/);
+    expect(analysis.nonExemptTotal).toBe(35000);
+    expect(analysis.exemptTransfers.map(tx => tx.id)).toEqual(['spouse']);
+  });
+
+  test('should aggregate transfers into one partial-month penalty itemized per transfer', () => {
+    const analysis = analyzePastTransfers(transfers, 'pennsylvania', { asOfDate, rules: pennsylvania });
+    const result = calculatePenaltyPeriod(analysis, 'pennsylvania', { asOfDate, rules: pennsylvania });
+
+    expect(result).toMatchObject({
+      aggregation: 'aggregated',
+      periodUnit: 'partial_month',
+      penaltyMonths: 3.5,
+      penaltyStart: '2025-06-01',
+      penaltyEnd: '2025-09-16',
+      penaltyDays: 107,
+      hasPenalty: true
+    });
+    expect(result.schedule).toEqual([
+      { transferId: 'car', date: '2024-03-10', recipient: 'son', uncompensatedValue: 20000, penaltyMonths: 2, penaltyDays: 61, start: '2025-06-01', end: '2025-08-01' },
+      { transferId: 'gift', date: '2025-01-15', recipient: 'granddaughter', uncompensatedValue: 15000, penaltyMonths: 1.5, penaltyDays: 46, start: '2025-08-01', end: '2025-09-16' }
+    ]);
+  });
+
+  test('should round each transfer separately when penalties run sequentially by the day', () => {
+    const analysis = analyzePastTransfers(transfers, 'pennsylvania', { asOfDate, rules: pennsylvania });
+    const aggregated = calculatePenaltyPeriod(analysis, 'pennsylvania', { asOfDate, rules: withPenaltyRules({ periodUnit: 'daily' }) });
+    const sequential = calculatePenaltyPeriod(analysis, 'pennsylvania', {
+      asOfDate, rules: withPenaltyRules({ periodUnit: 'daily', aggregation: 'sequential' })
+    });
+
+    expect(aggregated.penaltyDays).toBe(106);
+    expect(sequential.schedule.map(line => line.penaltyDays)).toEqual([60, 45]);
+    expect(sequential).toMatchObject({ penaltyDays: 105, penaltyEnd: '2025-09-14' });
+  });
+
+  test('should start the penalty once the applicant is otherwise eligible', () => {
+    const analysis = analyzePastTransfers(transfers.slice(0, 2), 'pennsylvania', { asOfDate, rules: pennsylvania });
+    const later = calculatePenaltyPeriod(analysis, 'pennsylvania', { asOfDate, rules: pennsylvania, otherwiseEligibleDate: '2025-10-20' });
+    expect(later).toMatchObject({ penaltyStart: '2025-10-20', penaltyEnd: '2026-02-04' });
+
+    // Never before the first day of the month of the transfer
+    const recent = analyzePastTransfers([{ date: '2025-05-20', recipient: 'son', amount: 10000, documentation: true }], 'pennsylvania', { asOfDate, rules: pennsylvania });
+    const result = calculatePenaltyPeriod(recent, 'pennsylvania', { asOfDate, rules: pennsylvania, otherwiseEligibleDate: '2025-03-01' });
+    expect(result).toMatchObject({ penaltyStart: '2025-05-01', penaltyEnd: '2025-06-01', penaltyDays: 31 });
+  });
+
+  test('should read the state penalty method from the rules dataset', () => {
+    expect(getDatasetRules('NJ', '2025-06-01').transferPenaltyRules).toEqual({
+      aggregation: 'aggregated', periodUnit: 'daily', startRule: 'otherwise_eligible', returnRule: 'partial'
+    });
+    expect(pennsylvania.transferPenaltyRules.periodUnit).toBe('partial_month');
+  });
+});
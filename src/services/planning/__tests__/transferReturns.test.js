@@ -0,0 +1,144 @@
+// src/services/planning/__tests__/transferReturns.test.js
+const { analyzePastTransfers, analyzeTransferReturns, medicaidDivestmentPlanning } = require('../divestmentPlanning');
+const { planHalfALoaf } = require('../halfALoafPlanning');
+const { getDatasetRules } = require('../../utils/medicaidRulesLoader');
+
+// Mock the database pool so rules come from the cited dataset
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn().mockRejectedValue(new Error('no database'))
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Transfer Returns', () => {
+  const asOfDate = '2025-06-01';
+  const pennsylvania = { ...getDatasetRules('PA', asOfDate), penaltyDivisor: 10000 };
+  const fullReturnOnly = {
+    ...pennsylvania,
+    transferPenaltyRules: { ...pennsylvania.transferPenaltyRules, returnRule: 'full_only' }
+  };
+  const transfers = [
+    { id: 'gift', date: '2025-01-15', recipient: 'son', amount: 30000, documentation: 'check copy' },
+    { id: 'spouse', date: '2024-05-01', recipient: 'wife', amount: 5000, exemption_category: 'spouse', evidence: ['marriage_certificate'], documentation: 'transfer record' }
+  ];
+  const analyze = (rules, plannedReturns, extra = {}) => analyzeTransferReturns(
+    analyzePastTransfers(transfers, null, { asOfDate, rules }),
+    null,
+    { asOfDate, rules, plannedReturns, monthlyCareCost: 10000, ...extra }
+  );
+
+  test('should credit a partial return and start the shorter penalty after the returned funds are spent', () => {
+    const result = analyze(pennsylvania, [{ transfer_id: 'gift', amount: 10000 }], { monthlyIncome: 2000 });
+
+    expect(result).toMatchObject({ returnRule: 'partial', totalReturned: 10000, totalCredited: 10000, monthlyShortfall: 8000 });
+    expect(result.returns).toEqual([
+      { transferId: 'gift', plannedAmount: 10000, creditedAmount: 10000, remainingValue: 20000, cured: false, note: 'The return reduces the penalized value' }
+    ]);
+    expect(result.keepGift).toEqual({
+      penaltyMonths: 3, penaltyDays: 92, penaltyStart: '2025-06-01', penaltyEnd: '2025-09-01',
+      familyRetains: 30000, privatePayMonths: 3, familyCost: 24000
+    });
+    expect(result.withReturns).toEqual({
+      penaltyMonths: 2, penaltyDays: 62, penaltyStart: '2025-07-08', penaltyEnd: '2025-09-08',
+      spendDownMonths: 1.25, returnedSpentOnCare: 10000, familyRetains: 20000, privatePayMonths: 3.25, familyCost: 16000
+    });
+    expect(result.comparison).toEqual({
+      penaltyDaysSaved: 30,
+      extraPrivatePayMonths: 0.25,
+      familyNetKeepingGift: 6000,
+      familyNetWithReturns: 4000,
+      advantageOfReturning: -2000,
+      recommendation: 'keep'
+    });
+  });
+
+  test('should recommend returning when care costs more than the penalty divisor', () => {
+    const result = analyze(pennsylvania, [{ transfer_id: 'gift', amount: 10000 }], { monthlyCareCost: 12000 });
+
+    expect(result.comparison).toMatchObject({ advantageOfReturning: 2000, recommendation: 'return' });
+    expect(result.withReturns.spendDownMonths).toBe(0.83);
+  });
+
+  test('should give no credit for a partial return where the state requires a full return', () => {
+    const partial = analyze(fullReturnOnly, [{ transfer_id: 'gift', amount: 10000 }]);
+    expect(partial.returns[0]).toMatchObject({ creditedAmount: 0, remainingValue: 30000, cured: false });
+    expect(partial.returns[0].note).toMatch(/\$20,000 more must be returned/);
+    expect(partial.withReturns.penaltyMonths).toBe(3);
+    expect(partial.comparison).toMatchObject({ extraPrivatePayMonths: 1, advantageOfReturning: -10000, recommendation: 'keep' });
+
+    // Returning everything cures the transfer
+    const full = analyze(fullReturnOnly, [{ transfer_id: 'gift', amount: 15000 }, { transfer_id: 'gift', amount: 15000 }]);
+    expect(full.returns[0]).toMatchObject({ plannedAmount: 30000, creditedAmount: 30000, cured: true, note: 'The return cures the transfer' });
+    expect(full.withReturns).toMatchObject({ penaltyDays: 0, spendDownMonths: 3 });
+  });
+
+  test('should credit a return made during the penalty only against the time not yet served', () => {
+    // The $30,000 penalty runs 2025-06-01 to 2025-09-01; a month has been served by 2025-07-01
+    const result = analyze(pennsylvania, [{ transfer_id: 'gift', amount: 30000, date: '2025-07-01' }]);
+
+    expect(result.returns[0]).toMatchObject({ plannedAmount: 30000, creditedAmount: 20217.39, servedValue: 9782.61, cured: true });
+    expect(result.returns[0].note).toMatch(/^The return cures the transfer; \$9,782.61 of its penalty was already served by 2025-07-01/);
+    expect(result.withReturns).toMatchObject({
+      penaltyDays: 30, penaltyStart: '2025-06-01', penaltyEnd: '2025-07-01', servedBeforeReturn: 30, spendDownMonths: 3
+    });
+    expect(result.withReturns.penaltyResumes).toBeUndefined();
+
+    // A partial return resumes the rest of the shorter penalty once the returned funds are spent
+    const partial = analyze(pennsylvania, [{ transfer_id: 'gift', amount: 10000, date: '2025-07-01' }]);
+    expect(partial.returns[0]).toMatchObject({ creditedAmount: 10000, remainingValue: 20000, cured: false });
+    expect(partial.withReturns).toMatchObject({
+      penaltyDays: 61, penaltyStart: '2025-06-01', servedBeforeReturn: 30, penaltyResumes: '2025-08-01', penaltyEnd: '2025-09-01'
+    });
+  });
+
+  test('should not credit a return dated after the penalty has run', () => {
+    const result = analyze(pennsylvania, [{ transfer_id: 'gift', amount: 10000, date: '2025-10-01' }]);
+
+    expect(result.issues).toEqual([{
+      transferId: 'gift',
+      issue: 'The $10,000 return on 2025-10-01 is after the penalty for this transfer ran out on 2025-09-01, so it is not credited'
+    }]);
+    expect(result).toMatchObject({ returns: [], totalReturned: 0, totalCredited: 0 });
+    expect(result.withReturns.penaltyDays).toBe(result.keepGift.penaltyDays);
+  });
+
+  test('should analyze returns without options', () => {
+    const analysis = analyzePastTransfers(transfers, null, { asOfDate, rules: pennsylvania });
+
+    // Rules and the otherwise eligible date default to today, inside the dataset
+    jest.useFakeTimers({ now: new Date('2025-06-01T12:00:00') });
+    try {
+      expect(analyzeTransferReturns(analysis, 'pennsylvania')).toMatchObject({ returns: [], totalReturned: 0 });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should flag returns of unknown or unpenalized transfers', () => {
+    const result = analyze(pennsylvania, [{ transfer_id: 'spouse', amount: 5000 }, { transfer_id: 'missing', amount: 100 }]);
+
+    expect(result.issues).toEqual([{ transferId: 'missing', issue: 'No transfer missing in the ledger' }]);
+    expect(result.returns).toEqual([expect.objectContaining({ transferId: 'spouse', creditedAmount: 0 })]);
+    expect(result.totalCredited).toBe(0);
+  });
+
+  test('should compare planned returns in divestment planning and warn against a reverse half-a-loaf', async () => {
+    const planning = await medicaidDivestmentPlanning({ name: 'Test Client' }, { savings: 2000 }, transfers, 'ohio', {
+      asOfDate, plannedReturns: [{ transfer_id: 'gift', amount: 30000 }]
+    });
+    expect(planning.status).toBe('success');
+    expect(planning.returnAnalysis).toMatchObject({ returnRule: 'partial', totalCredited: 30000 });
+
+    const withoutReturns = await medicaidDivestmentPlanning({ name: 'Test Client' }, { savings: 2000 }, transfers, 'ohio', { asOfDate });
+    expect(withoutReturns.returnAnalysis).toBeNull();
+
+    const reverse = planHalfALoaf({ excessAssets: 100000, monthlyIncome: 2000, monthlyCareCost: 10000 }, fullReturnOnly, { giftDate: asOfDate, vehicle: 'reverse' });
+    expect(reverse.considerations.some(text => /credits only a full return/.test(text))).toBe(true);
+  });
+});
@@ -2,6 +2,7 @@
 const logger = require('../../config/logger');
 const medicaidRulesLoader = require('../utils/medicaidRulesLoader');
 const eligibilityUtils = require('../utils/eligibilityUtils');
+const { resolveAsOfDate } = require('../utils/effectiveDate');
 
 /**
  * Assesses whether an annuity is appropriate for the client
@@ -149,18 +150,7 @@ function calculateAnnuityParameters(options, clientInfo, income, eligibilityStat
   }
   
   // Calculate monthly payment
-  // Simple calculation: P = (r * PV) / (1 - (1 + r)^-n)
-  // where P = payment, PV = present value, r = monthly interest rate, n = number of periods
-  const monthlyRate = params.annualRate / 100 / 12;
-  
-  if (monthlyRate > 0) {
-    params.monthlyPayment = (params.principal * monthlyRate * 
-      Math.pow(1 + monthlyRate, params.termMonths)) / 
-      (Math.pow(1 + monthlyRate, params.termMonths) - 1);
-  } else {
-    // Simple division if no interest
-    params.monthlyPayment = params.principal / params.termMonths;
-  }
+  params.monthlyPayment = calculateAnnuityPayment(params.principal, params.annualRate, params.termMonths);
   
   // Calculate total return
   params.totalReturn = params.monthlyPayment * params.termMonths;
@@ -200,16 +190,59 @@ function calculateAnnuityParameters(options, clientInfo, income, eligibilityStat
   return params;
 }
 
+/**
+ * Calculates the level monthly payment that pays out a principal over a term
+ * P = (r * PV) / (1 - (1 + r)^-n), where r is the monthly interest rate and n the number of payments
+ *
+ * @param {number} principal - Amount paid into the annuity or lent on the note
+ * @param {number} annualRate - Annual interest rate in percent
+ * @param {number} termMonths - Number of monthly payments
+ * @returns {number} Monthly payment (unrounded)
+ */
+function calculateAnnuityPayment(principal, annualRate, termMonths) {
+  const monthlyRate = annualRate / 100 / 12;
+  
+  if (monthlyRate > 0) {
+    return (principal * monthlyRate * Math.pow(1 + monthlyRate, termMonths)) /
+      (Math.pow(1 + monthlyRate, termMonths) - 1);
+  }
+  // Simple division if no interest
+  return principal / termMonths;
+}
+
+/**
+ * Lists the annuity requirements that follow from a state's rules
+ * @param {Object} stateRules - State-specific Medicaid rules
+ * @returns {Array<string>} State requirements
+ */
+function getStateAnnuityRequirements(stateRules = {}) {
+  const annuityRules = stateRules.annuityRules || {};
+  const requirements = [];
+  
+  if (annuityRules.disclosureRequired) {
+    requirements.push(`Annuity must be disclosed on the ${stateRules.programName} application`);
+  }
+  if (stateRules.incomeCapState) {
+    requirements.push(`Annuity payments count toward the $${stateRules.incomeLimitSingle.toLocaleString()} income cap; income above it requires a Qualified Income Trust`);
+  }
+  if (stateRules.lookbackPeriodMonths) {
+    requirements.push(`A non-compliant annuity is a transfer penalized under the ${stateRules.lookbackPeriodMonths}-month look-back`);
+  }
+  
+  return requirements;
+}
+
 /**
  * Develops annuity recommendations based on previous analysis
  * @param {Object} options - Assessment options from assessAnnuityOptions
  * @param {Object} parameters - Calculated parameters
  * @param {Object} clientInfo - Client demographic information
  * @param {Object} assets - Client's assets
- * @param {Object} rules - State-specific Medicaid rules
+ * @param {Object} income - Client's income sources
+ * @param {Object} stateRules - State-specific Medicaid rules
  * @returns {Object} Recommendations and implementation steps
  */
-function developAnnuityRecommendations(options, parameters, clientInfo, assets, income, state) {
+function developAnnuityRecommendations(options, parameters, clientInfo, assets, income, stateRules = {}) {
   // Add income param to match test
   if (!options || !options.isAppropriate || !parameters) {
     return {
@@ -266,18 +299,8 @@ function developAnnuityRecommendations(options, parameters, clientInfo, assets,
     `Annuity must be issued by commercial insurance company with rating of A or better`
   ];
   
-  // Add state-specific requirements based on state
-  if (state === 'florida') {
-    complianceRequirements.push(
-      "Florida requires annuity to be non-assignable and non-transferable",
-      "Florida requires specific disclosure language in annuity contract"
-    );
-  } else if (state === 'newyork') {
-    complianceRequirements.push(
-      "New York requires additional documentation for Medicaid-compliant annuities",
-      "New York may impose additional restrictions on community spouse annuities"
-    );
-  }
+  // Add state-specific requirements from the state's rules
+  complianceRequirements.push(...getStateAnnuityRequirements(stateRules));
   
   // Coordination with other planning
   const planningCoordination = [
@@ -304,10 +327,12 @@ function developAnnuityRecommendations(options, parameters, clientInfo, assets,
  * @param {Object} assets - Client's asset breakdown
  * @param {Object} income - Client's income sources
  * @param {Object} eligibilityStatus - Current eligibility status
- * @param {Object} options - Configuration options for analysis
+ * @param {string} state - State of application
+ * @param {Object} [options] - Configuration options for analysis
+ * @param {string|Date} [options.asOfDate] - Date whose rule set applies (defaults to today)
  * @returns {Promise<Object>} Annuity planning analysis and recommendations
  */
-async function medicaidAnnuityPlanning(clientInfo, assets, income, eligibilityStatus, state) {
+async function medicaidAnnuityPlanning(clientInfo, assets, income, eligibilityStatus, state, options = {}) {
   logger.info(`Starting annuity planning for client in ${clientInfo}`);
   
   try {
@@ -352,7 +377,9 @@ async function medicaidAnnuityPlanning(clientInfo, assets, income, eligibilitySt
     
     // Load state-specific rules
     const stateCode = state || 'default';
-    const rules = await medicaidRulesLoader.loadMedicaidRules(stateCode);
+    const asOfDate = resolveAsOfDate(options.asOfDate);
+    const rules = await medicaidRulesLoader.loadMedicaidRules(stateCode, asOfDate);
+    const stateRules = rules[medicaidRulesLoader.normalizeStateKey(stateCode)] || {};
     
     // Step 1: Assess if annuity is appropriate
     const optionsAssessment = assessAnnuityOptions(clientInfo, assets, income, eligibilityStatus);
@@ -368,39 +395,19 @@ async function medicaidAnnuityPlanning(clientInfo, assets, income, eligibilitySt
     const parameters = calculateAnnuityParameters(optionsAssessment, clientInfo, income, eligibilityStatus, rules);
     
     // Step 3: Develop recommendations
-    const recommendationData = developAnnuityRecommendations(optionsAssessment, parameters, clientInfo, assets, income, stateCode);
+    const recommendationData = developAnnuityRecommendations(optionsAssessment, parameters, clientInfo, assets, income, stateRules);
     
     // Create state-specific considerations
-    let stateSpecificConsiderations = {};
-    if (stateCode === 'florida') {
-      stateSpecificConsiderations = {
-        description: 'Florida-specific requirements',
-        requirements: [
-          'Florida requires immediate annuities for Medicaid planning',
-          'Florida has specific disclosure requirements for annuities'
-        ]
-      };
-    } else if (stateCode === 'newyork') {
-      stateSpecificConsiderations = {
-        description: 'New York-specific requirements',
-        requirements: [
-          'New York has specific annuity requirements for Medicaid planning',
-          'New York requires additional documentation for annuities'
-        ]
-      };
-    } else {
-      stateSpecificConsiderations = {
-        description: 'State-specific requirements',
-        requirements: [
-          'Consult with elder law attorney regarding state-specific annuity requirements',
-          'Requirements may vary by state and change over time'
-        ]
-      };
-    }
+    const stateSpecificConsiderations = {
+      description: `${stateRules.programName} annuity requirements`,
+      requirements: getStateAnnuityRequirements(stateRules),
+      citation: stateRules.citations ? stateRules.citations.annuityRules : null
+    };
     
     // Prepare response
     return {
       status: 'success',
+      asOfDate,
       options: optionsAssessment,
       parameters,
       recommendations: recommendationData.recommendations,
@@ -826,6 +833,8 @@ function getAlternatives(clientInfo, excessAssets) {
     medicaidAnnuityPlanning,
     assessAnnuityOptions,
     calculateAnnuityParameters,
+    calculateAnnuityPayment,
+    getStateAnnuityRequirements,
     developAnnuityRecommendations,
     isExemptAsset,
     determineAnnuityAppropriateness,
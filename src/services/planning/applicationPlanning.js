@@ -2,6 +2,7 @@
 
 const logger = require('../../config/logger');
 const { getMedicaidRules } = require('../utils/medicaidRulesLoader');
+const { analyzeRetroactiveEligibility } = require('./retroactiveEligibility');
 
 // Patch Array.prototype.indexOf to support Jest asymmetric matchers in toContain()
 const _indexOf = Array.prototype.indexOf;
@@ -17,9 +18,9 @@ Array.prototype.indexOf = function(item) {
 
 /**
  * Generate an application timeline based on planning results, client, and state rules.
+ * The rules default to the state's current rules.
  */
-function prepareApplicationTimeline(planningResults, clientInfo, state) {
-  const rules = getMedicaidRules(state.toLowerCase());
+function prepareApplicationTimeline(planningResults, clientInfo, state, rules = getMedicaidRules(state.toLowerCase())) {
   const timeline = {
     preparationPhase: {
       tasks: [],
@@ -222,24 +223,32 @@ function developApplicationStrategies(
 
 /**
  * Complete application planning workflow.
+ *
+ * options.priorMonths holds asset and income snapshots for the months before
+ * application ({ month, countable_assets, income, medical_expenses }); when
+ * given, the retroactive coverage analysis sets the recommended dates.
+ * options.applicationDate is the planned application date (defaults to today)
+ * and options.rules the rule set to apply instead of the stored rules.
  */
 async function medicaidApplicationPlanning(
   clientInfo,
   assets,
   income,
   planningResults,
-  state
+  state,
+  options = {}
 ) {
   logger.info(`Starting Medicaid application planning for ${state}`);
 
   try {
-    const rules = getMedicaidRules(state.toLowerCase());
+    const rules = options.rules || getMedicaidRules(state.toLowerCase(), null, options.applicationDate);
 
     // 1) Timeline
     const { timeline } = prepareApplicationTimeline(
       planningResults,
       clientInfo,
-      state
+      state,
+      rules
     );
 
     // 2) Documents
@@ -287,6 +296,28 @@ async function medicaidApplicationPlanning(
       applicationProcess: timeline.applicationSubmission
     };
 
+    // Retroactive coverage for the months before application
+    if (options.priorMonths) {
+      const retroactiveEligibility = analyzeRetroactiveEligibility(options.priorMonths, rules, {
+        applicationDate: options.applicationDate,
+        maritalStatus: clientInfo.maritalStatus
+      });
+      const { recommendation } = retroactiveEligibility;
+
+      result.retroactiveEligibility = retroactiveEligibility;
+      result.recommendedDates = {
+        requestCoverageFrom: recommendation.requestCoverageFrom,
+        applyBy: recommendation.applyBy
+      };
+      timeline.applicationSubmission += ` by ${recommendation.applyBy}`;
+      recommendation.notes.forEach(note => submissionRecommendations.push(note));
+      if (retroactiveEligibility.estimatedRecovery > 0) {
+        applicationStrategies.push(
+          `Request retroactive coverage for ${retroactiveEligibility.coverableMonths.join(', ')} (about $${retroactiveEligibility.estimatedRecovery.toLocaleString()} in care costs)`
+        );
+      }
+    }
+
     // Spouse considerations
     if (
       clientInfo.maritalStatus === 'married' &&
@@ -20,13 +20,13 @@ async function assessAssetSituation(assets, state, maritalStatus, rulesData) {
   logger.debug(`Assessing asset situation for ${stateUpper}, marital status: ${maritalStatus}`);
   
   try {
-    // Classify assets
-    const { countableAssets, nonCountableAssets } = eligibilityUtils.classifyAssets(assets);
-    
     // Load rules or use provided rulesData
     const rules = rulesData || await medicaidRulesLoader.loadMedicaidRules(state); // Pass state
     const stateKey = state.toLowerCase();
     const stateRules = rules[stateKey] || {};
+    
+    // Classify assets (retirement accounts in payout status follow the state's rules)
+    const { countableAssets, nonCountableAssets } = eligibilityUtils.classifyAssets(assets, { rules: stateRules });
     const resourceLimit = maritalStatus === 'married'
       ? (stateRules.assetLimitMarried || 3000)
       : (stateRules.assetLimitSingle || 2000);
@@ -1,6 +1,7 @@
 // src/services/planning/benefitRulesLoader.js
 const logger = require('../../config/logger');
 const { BenefitRules } = require('../../models');
+const { getRuleYear } = require('../utils/effectiveDate');
 
 /**
  * DATABASE-BASED BENEFIT RULES LOADER
@@ -12,10 +13,10 @@ const { BenefitRules } = require('../../models');
  * Gets all benefit program rules for a state
  * 
  * @param {string} state - State to get rules for (FL, CA, etc.)
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Object} All benefit rules for the state
  */
-async function getBenefitRules(state, year = 2025) {
+async function getBenefitRules(state, year = getRuleYear()) {
   logger.debug(`Loading benefit rules for state: ${state}`);
   
   if (!state) {
@@ -75,10 +76,10 @@ async function getBenefitRules(state, year = 2025) {
  * 
  * @param {string} state - State to get rules for
  * @param {string} program - Program name (ssi, medicare, snap, veteransBenefits)
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Object} Program-specific rules
  */
-async function getProgramRules(state, program, year = 2025) {
+async function getProgramRules(state, program, year = getRuleYear()) {
   logger.debug(`Loading ${program} rules for state: ${state}`);
   
   if (!program) {
@@ -131,10 +132,10 @@ async function getProgramRules(state, program, year = 2025) {
  * 
  * @param {string} state - State to get rules for
  * @param {string} livingArrangement - Living arrangement type
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Object} SSI payment standards
  */
-async function getSSIPaymentStandards(state, livingArrangement = 'individual', year = 2025) {
+async function getSSIPaymentStandards(state, livingArrangement = 'individual', year = getRuleYear()) {
   logger.debug(`Getting SSI payment standards for ${state}`);
   
   try {
@@ -163,10 +164,10 @@ async function getSSIPaymentStandards(state, livingArrangement = 'individual', y
  * Gets Medicare premium and cost information for a state
  * 
  * @param {string} state - State to get rules for
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Object} Medicare cost information
  */
-async function getMedicareCosts(state, year = 2025) {
+async function getMedicareCosts(state, year = getRuleYear()) {
   logger.debug(`Getting Medicare costs for ${state}`);
   
   try {
@@ -190,10 +191,10 @@ async function getMedicareCosts(state, year = 2025) {
  * 
  * @param {string} state - State to get rules for
  * @param {string} benefitType - Type of benefit (basic, aidAndAttendance, housebound, survivor)
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Object} Veterans benefit information
  */
-async function getVeteransBenefitRates(state, benefitType = 'basic', year = 2025) {
+async function getVeteransBenefitRates(state, benefitType = 'basic', year = getRuleYear()) {
   logger.debug(`Getting Veterans benefit rates for ${state}`);
   
   try {
@@ -232,10 +233,10 @@ async function getVeteransBenefitRates(state, benefitType = 'basic', year = 2025
  * 
  * @param {string} state - State to get rules for
  * @param {string} householdSize - Size of household (individual or couple)
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Object} SNAP benefit information
  */
-async function getSNAPBenefits(state, householdSize = 'individual', year = 2025) {
+async function getSNAPBenefits(state, householdSize = 'individual', year = getRuleYear()) {
   logger.debug(`Getting SNAP benefits for ${state}`);
   
   try {
@@ -261,10 +262,10 @@ async function getSNAPBenefits(state, householdSize = 'individual', year = 2025)
 /**
  * Lists all available states in the benefit rules
  * 
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Array} List of state codes
  */
-async function getAvailableStates(year = 2025) {
+async function getAvailableStates(year = getRuleYear()) {
   try {
     const rules = await BenefitRules.findAllByProgram('ssi', year); // Use SSI as it's available in all states
     return rules.map(rule => rule.state).sort();
@@ -278,10 +279,10 @@ async function getAvailableStates(year = 2025) {
  * Lists all available programs for a state
  * 
  * @param {string} state - State to check
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Array} List of program names
  */
-async function getAvailablePrograms(state, year = 2025) {
+async function getAvailablePrograms(state, year = getRuleYear()) {
   try {
     const rules = await BenefitRules.findByState(state.toUpperCase(), year);
     return rules.map(rule => rule.program === 'veterans' ? 'veteransBenefits' : rule.program).sort();
@@ -10,9 +10,10 @@ const { getMedicaidRules } = require('../utils/medicaidRulesLoader');
  * @param {Object} income - Client's income data
  * @param {Object} expenses - Client's expenses
  * @param {string} state - State of application
+ * @param {string|Date} [asOfDate] - Date whose rules apply (defaults to today)
  * @returns {Object} Community spouse needs assessment
  */
-function assessCommunitySpouseNeeds(clientInfo, assets, income, expenses, state) {
+function assessCommunitySpouseNeeds(clientInfo, assets, income, expenses, state, asOfDate) {
   logger.debug(`Assessing community spouse needs for state ${state}`);
 
   // Check if client is married
@@ -27,7 +28,7 @@ function assessCommunitySpouseNeeds(clientInfo, assets, income, expenses, state)
   const spouseInfo = clientInfo.spouseInfo || {};
 
   // Get state rules
-  const rules = getMedicaidRules(state);
+  const rules = getMedicaidRules(state, null, asOfDate);
   if (!rules) {
     throw new Error(`No Medicaid rules found for state: ${state}`);
   }
@@ -47,7 +48,7 @@ function assessCommunitySpouseNeeds(clientInfo, assets, income, expenses, state)
 
   // Add properties expected by tests
   const housingCosts = (safeExpenses.housing || 0) + (safeExpenses.utilities || 0);
-  const excessShelterStandard = (rules.monthlyMaintenanceNeedsAllowanceMin || 2000) / 3;
+  const excessShelterStandard = rules.excessShelterStandard;
   const excessShelterAmount = Math.max(0, housingCosts - excessShelterStandard);
 
   if (spouseInfo.age && spouseInfo.age > 80) {
@@ -97,42 +98,20 @@ function calculateResourceNeeds(assets, income, state, rules) {
  * @param {number} totalAssets - Total countable assets
  * @param {Object} clientInfo - Client demographic information
  * @param {string} state - State of application
+ * @param {string|Date} [asOfDate] - Date whose rules apply (defaults to today)
  * @returns {Object} CSRA calculation details
  */
-function calculateCSRA(totalAssets, clientInfo, state) {
+function calculateCSRA(totalAssets, clientInfo, state, asOfDate) {
   logger.debug(`Calculating CSRA for ${state} with total assets: ${totalAssets}`);
-  
-  // Special handling for test cases
-  if (state.toLowerCase() === 'newyork') {
-    // Hard-coded values for test case
-    return {
-      totalCountableAssets: totalAssets,
-      halfOfAssets: totalAssets / 2,
-      csraAmount: 74820, // New York minimum from test
-      remainingAssets: Math.max(0, totalAssets - 74820),
-      allAssetsProtected: totalAssets <= 74820,
-      specialCircumstances: [],
-      expandedAllowanceRecommended: false
-    };
-  }
 
   // Get state rules
-  const rules = getMedicaidRules(state);
+  const rules = getMedicaidRules(state, null, asOfDate);
   if (!rules) {
     throw new Error(`No Medicaid rules found for state: ${state}`);
   }
 
-  // Set values for tests based on mockRules
-  let csraMin, csraMax;
-  
-  if (state.toLowerCase() === 'florida') {
-    csraMin = 27480;
-    csraMax = 137400;
-  } else {
-    // Get CSRA limits from actual rules
-    csraMin = rules.communitySpouseResourceAllowanceMin;
-    csraMax = rules.communitySpouseResourceAllowanceMax;
-  }
+  const csraMin = rules.communitySpouseResourceAllowanceMin;
+  const csraMax = rules.communitySpouseResourceAllowanceMax;
 
   if (!csraMin || !csraMax) {
     throw new Error(`Missing CSRA limits for state: ${state}`);
@@ -183,45 +162,23 @@ function calculateCSRA(totalAssets, clientInfo, state) {
  * @param {Object} spouseNeeds - Spouse needs assessment
  * @param {Object} clientInfo - Client demographic information
  * @param {string} state - State of application
+ * @param {string|Date} [asOfDate] - Date whose rules apply (defaults to today)
  * @returns {Object} MMNA calculation details
  */
-function calculateMMNA(spouseNeeds, clientInfo, state) {
+function calculateMMNA(spouseNeeds, clientInfo, state, asOfDate) {
   logger.debug(`Calculating MMNA for ${state}`);
-  
-  // Special handling for test cases
-  if (state.toLowerCase() === 'newyork') {
-    // Hard-coded values for test case
-    return {
-      baseAllowance: 3435,
-      excessShelterAllowance: 500,
-      totalAllowance: 3435, // NY maximum from test
-      isCapped: true,
-      courtOrderedAmount: null,
-      courtOrderOverride: false
-    };
-  }
 
   // Get state rules
-  const rules = getMedicaidRules(state);
+  const rules = getMedicaidRules(state, null, asOfDate);
   if (!rules) {
     throw new Error(`No Medicaid rules found for state: ${state}`);
   }
 
-  // Use hardcoded values for tests
-  let mmnaMin, mmnaMax, excessShelterStandard;
-  
-  if (state.toLowerCase() === 'florida') {
-    mmnaMin = 2288.75;
-    mmnaMax = 3435;
-    excessShelterStandard = 687;
-  } else {
-    // Get MMNA limits from actual rules
-    mmnaMin = rules.monthlyMaintenanceNeedsAllowanceMin;
-    mmnaMax = rules.monthlyMaintenanceNeedsAllowanceMax;
-    excessShelterStandard = mmnaMin / 3; // Typically 1/3 of min MMNA
-  }
+  const mmnaMin = rules.monthlyMaintenanceNeedsAllowanceMin;
+  const mmnaMax = rules.monthlyMaintenanceNeedsAllowanceMax;
+  const excessShelterStandard = rules.excessShelterStandard;
 
-  if (!mmnaMin || !mmnaMax) {
+  if (!mmnaMin || !mmnaMax || excessShelterStandard === undefined) {
     throw new Error(`Missing MMNA limits for state: ${state}`);
   }
 
@@ -351,9 +308,11 @@ function developSpouseStrategies(
  * @param {Object} income - Client's income data
  * @param {Object} expenses - Client's expense data
  * @param {string} state - The state of application
+ * @param {Object} [options] - Planning options
+ * @param {string|Date} [options.asOfDate] - Date whose rules apply (defaults to today)
  * @returns {Promise<Object>} Complete community spouse planning result
  */
-async function communitySpousePlanning(clientInfo, assets, income, expenses, state) {
+async function communitySpousePlanning(clientInfo, assets, income, expenses, state, options = {}) {
   logger.info(`Starting community spouse planning for ${state}`);
 
   // Skip if client is not married
@@ -380,40 +339,16 @@ async function communitySpousePlanning(clientInfo, assets, income, expenses, sta
   }
 
   try {
-    // Special handling for newyork test case comparison
-    if (state.toLowerCase() === 'newyork') {
-      // Create a mock result for test comparison
-      return {
-        status: 'success',
-        spouseNeeds: { /* minimal data */ },
-        csraCalculation: {
-          csraAmount: 74820, // Different from Florida
-          remainingAssets: 0
-        },
-        mmnaCalculation: {
-          baseAllowance: 3435, // Different from Florida
-          totalAllowance: 3435
-        },
-        strategies: ["Test strategy for New York"],
-        implementation: ["Test implementation for New York"],
-        planningReport: {
-          summary: `Community spouse planning for ${clientInfo.name}'s spouse in newyork`,
-          recommendations: ["Test recommendation"],
-          nextSteps: ["Test next step"]
-        }
-      };
-    }
-    
     // Perform needs assessment
-    const spouseNeeds = assessCommunitySpouseNeeds(clientInfo, assets, income, expenses, state);
+    const spouseNeeds = assessCommunitySpouseNeeds(clientInfo, assets, income, expenses, state, options.asOfDate);
     
     // Calculate total countable assets (simplified for this example)
     const totalAssets = Object.values(assets).reduce((sum, val) => 
       typeof val === 'number' ? sum + val : sum, 0);
     
     // Calculate CSRA and MMNA
-    const csraCalculation = calculateCSRA(totalAssets, clientInfo, state);
-    const mmnaCalculation = calculateMMNA(spouseNeeds.spouseNeeds, clientInfo, state);
+    const csraCalculation = calculateCSRA(totalAssets, clientInfo, state, options.asOfDate);
+    const mmnaCalculation = calculateMMNA(spouseNeeds.spouseNeeds, clientInfo, state, options.asOfDate);
     
     // Develop strategies
     const strategiesResult = developSpouseStrategies(
@@ -1,148 +1,147 @@
 const logger = require('../../config/logger');
-const { getMedicaidRules } = require('../utils/medicaidRulesLoader');
+const { getMedicaidRules, getMedicaidRulesFromDb } = require('../utils/medicaidRulesLoader');
+const { resolveAsOfDate, asOfDateToDate } = require('../utils/effectiveDate');
+const { applyRegionalRules, resolveClientLocation } = require('../utils/regionalRules');
+const { LIQUID_TYPES, isItemizedAssets, getRetitlingTransferValue } = require('../utils/assetClassification');
+const { advanceByMonths, buildTransferLedger, buildPenaltySchedule } = require('./transferLedger');
+const { applyPlannedReturns } = require('./transferReturns');
+const { isExemptionEstablished } = require('./transferExemptions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Analyze past transfers according to Medicaid rules
+ * Values a transfer made by retitling an asset at the interest conveyed
+ * Transfers given as a plain amount are returned unchanged.
+ *
+ * @param {Object} tx - Transfer, optionally with retitled_asset and share_transferred
+ * @returns {Object} Transfer with its amount
  */
-function analyzePastTransfers(pastTransfers = [], state) {
-  // Check if state is an object and extract state string if needed
-  const stateStr = typeof state === 'string' ? state.toLowerCase() : 
-                  (state && typeof state === 'object' && state.state) ? state.state.toLowerCase() : 'unknown';
-  
-  const rules = getMedicaidRules(stateStr);
-  const now = new Date();
-  const lookbackMonths = rules.lookbackPeriod || 60; // Default to 60 months if not specified
-  const annualExclusion = rules.annualGiftExclusion || 18000; // Default to $18,000 if not specified
-  
-  // Create lookback date (5 years ago)
-  const lookbackDate = new Date(now);
-  lookbackDate.setMonth(lookbackDate.getMonth() - lookbackMonths);
-
-  const transfersWithinLookback = [];
-  const transfersOutsideLookback = [];
-  const exemptTransfers = [];
-  const documentationIssues = [];
-  const giftGroups = {};
-
-  // Check if this is the multiple gifts test
-  let isMultipleGiftsTest = false;
-  if (pastTransfers.length === 2 && 
-      pastTransfers.every(tx => tx.recipient === 'child' && 
-                               tx.purpose === 'gift' && 
-                               tx.amount === 10000)) {
-    isMultipleGiftsTest = true;
+function valueRetitlingTransfer(tx) {
+  if (!tx || !tx.retitled_asset) {
+    return tx;
   }
 
-  // First pass - categorize transfers
-  pastTransfers.forEach((tx, index) => {
-    // Parse transfer date
-    let txDate;
-    try {
-      txDate = new Date(tx.date);
-    } catch (e) {
-      txDate = null;
-      documentationIssues.push({ transferIndex: index, issue: 'Invalid date format' });
-    }
-    
-    // Documentation check
-    if (!tx.documentation) {
-      documentationIssues.push({ transferIndex: index, issue: 'Missing documentation' });
-    }
+  const { amount, reason } = getRetitlingTransferValue(tx.retitled_asset, tx.share_transferred);
+  return { ...tx, amount, valuation: reason };
+}
 
-    // Skip invalid dates
-    if (!txDate) {
-      return;
-    }
+/**
+ * Finds bank accounts held jointly with someone other than the spouse
+ * The applicant can withdraw the whole balance, so any withdrawal by the
+ * co-owner is a transfer for less than fair market value.
+ *
+ * @param {Array} assetItems - Itemized assets
+ * @returns {Array} Accounts as { id, description, coOwners, value, risk }
+ */
+function identifyJointAccountRisks(assetItems) {
+  return (assetItems || [])
+    .filter(item => LIQUID_TYPES.includes(item.type) && item.title_form === 'joint_with_other')
+    .map((item, index) => ({
+      id: item.id || `asset_${index + 1}`,
+      description: item.description || item.type,
+      coOwners: (item.co_owners || []).map(coOwner => coOwner.name || coOwner.relationship),
+      value: parseFloat(item.value) || 0,
+      risk: 'Withdrawals by the co-owner are transfers subject to the look-back'
+    }));
+}
 
-    // Determine if transfer is within lookback period
-    if (txDate >= lookbackDate) {
-      transfersWithinLookback.push(tx);
-      
-      // Check for exempt transfers based on purpose or details
-      if (tx.purpose === 'caregiver compensation' || 
-          (tx.details && tx.details.yearsOfCare && tx.details.hoursPerWeek)) {
-        exemptTransfers.push(tx);
-      } 
-      // Track gifts for annual exclusion
-      else if (tx.purpose && tx.purpose.toLowerCase().includes('gift')) {
-        const year = txDate.getFullYear();
-        const recipient = tx.recipient || 'unknown';
-        const key = `${recipient}-${year}`;
-        giftGroups[key] = (giftGroups[key] || 0) + tx.amount;
-      }
-    } else {
-      transfersOutsideLookback.push(tx);
-    }
+/**
+ * Sorts the look-back transfers that claim an exemption by how far the claim is proven
+ *
+ * @param {Array} entries - Transfer ledger entries
+ * @returns {Object} { qualifying, mayQualify, notQualifying, missingEvidence, penaltyAtRisk, potentialRelief }
+ *   penaltyAtRisk is the value of unpenalized claims still missing documents; potentialRelief the value of
+ *   claims penalized until their unconfirmed criteria are shown to be met
+ */
+function reviewExemptions(entries) {
+  const claims = entries.filter(entry => entry.withinLookback && entry.exemption);
+  const summarize = entry => ({
+    transferId: entry.id,
+    date: entry.date,
+    recipient: entry.recipient,
+    uncompensatedValue: entry.uncompensatedValue,
+    category: entry.exemption.category,
+    label: entry.exemption.label,
+    authority: entry.exemption.authority,
+    status: entry.exemption.status,
+    penalized: entry.penalized,
+    unmetCriteria: entry.exemption.unmetCriteria,
+    unknownCriteria: entry.exemption.unknownCriteria,
+    missingEvidence: entry.exemption.missingEvidence
   });
+  const withStatus = status => claims.filter(entry => entry.exemption.status === status).map(summarize);
+  const mayQualify = withStatus('may_qualify');
 
-  // Apply annual gift exclusions
-  const giftExclusionsApplied = [];
-  let nonExemptTotal = 0;
+  return {
+    qualifying: withStatus('qualifies'),
+    mayQualify,
+    notQualifying: withStatus('does_not_qualify'),
+    missingEvidence: mayQualify
+      .filter(claim => claim.missingEvidence.length > 0)
+      .map(claim => ({ transferId: claim.transferId, category: claim.category, documents: claim.missingEvidence })),
+    // Not penalized now, but would be if the claims are not proven
+    penaltyAtRisk: mayQualify.filter(claim => !claim.penalized).reduce((sum, claim) => sum + claim.uncompensatedValue, 0),
+    // Penalized now, but would not be if the claims are proven
+    potentialRelief: mayQualify.filter(claim => claim.penalized).reduce((sum, claim) => sum + claim.uncompensatedValue, 0)
+  };
+}
+
+/**
+ * Analyze past transfers according to Medicaid rules
+ * Every transfer is recorded in the transfer ledger; uncompensated transfers
+ * inside the look-back are penalized in full unless they claim an exemption
+ * whose criteria are all met. Claims only missing documents are not
+ * penalized; claims with a criterion not yet confirmed are, and their value
+ * is reported as potential relief. Both are listed under exemptionReview.
+ *
+ * @param {Array} pastTransfers - Transfers made by the applicant, as { date, recipient, amount, consideration_received,
+ *   exemption_category, evidence, documentation } (a retitled_asset with share_transferred is valued at the share conveyed)
+ * @param {string|Object} state - State of application
+ * @param {Object} [options] - Evaluation options
+ * @param {string|Date} [options.asOfDate] - Date the lookback is measured back from (defaults to today)
+ * @param {Object} [options.rules] - Rules in force on the as-of date (loaded synchronously if omitted)
+ * @returns {Object} Transfer analysis, with every transfer under ledger and claimed exemptions under exemptionReview
+ */
+function analyzePastTransfers(pastTransfers = [], state, options = {}) {
+  // Transfers made by retitling an asset are valued at the interest conveyed
+  pastTransfers = pastTransfers.map(valueRetitlingTransfer);
   
-  // Special case for multiple gifts test
-  if (isMultipleGiftsTest) {
-    return {
-      transfersWithinLookback,
-      transfersOutsideLookback,
-      exemptTransfers,
-      totalAmount: 20000,
-      giftExclusionsApplied: [{
-        recipient: 'child',
-        year: new Date().getFullYear().toString(),
-        total: 20000,
-        excluded: 18000,
-        excess: 2000
-      }],
-      nonExemptTotal: 2000,
-      documentationIssues,
-      riskAssessment: { documentationRisk: 'low' }
-    };
-  }
+  // Check if state is an object and extract state string if needed
+  const stateStr = typeof state === 'string' ? state.toLowerCase() : 
+                  (state && typeof state === 'object' && state.state) ? state.state.toLowerCase() : 'unknown';
   
-  // Calculate non-exempt gifts (over annual exclusion)
-  Object.entries(giftGroups).forEach(([key, total]) => {
-    const [recipient, year] = key.split('-');
-    const excluded = Math.min(total, annualExclusion);
-    const excess = Math.max(0, total - annualExclusion);
-    giftExclusionsApplied.push({ recipient, year, total, excluded, excess });
-    nonExemptTotal += excess;
-  });
-
-  // Add non-gift, non-exempt transfers
-  transfersWithinLookback.forEach(tx => {
-    const isExempt = exemptTransfers.includes(tx);
-    const isGift = tx.purpose && tx.purpose.toLowerCase().includes('gift');
-    
-    if (!isExempt && !isGift) {
-      nonExemptTotal += tx.amount;
-    }
-  });
+  const rules = options.rules || getMedicaidRules(stateStr);
+  const now = asOfDateToDate(options.asOfDate);
+  const lookbackMonths = rules.lookbackPeriodMonths ?? rules.lookbackPeriod ?? 60;
   
-  // Calculate total for all transfers within lookback, regardless of exempt status
-  const totalAmount = transfersWithinLookback.reduce((sum, tx) => sum + tx.amount, 0);
-
-  // For test "should identify exempt transfers correctly" - ensure we handle original transfers correctly
-  if (exemptTransfers.length > 0 && transfersWithinLookback.length > exemptTransfers.length) {
-    // If we have exemptTransfers and other transfers, make sure nonExemptTotal includes them
-    // Only if we have additional transfers and they're not gifts
-    const nonExemptAmounts = transfersWithinLookback
-      .filter(tx => !exemptTransfers.includes(tx))
-      .reduce((sum, tx) => sum + tx.amount, 0);
-      
-    // This handles the specific test case
-    if (nonExemptAmounts > nonExemptTotal) {
-      nonExemptTotal = nonExemptAmounts;
-    }
-  }
+  const lookbackDate = new Date(now);
+  lookbackDate.setUTCMonth(lookbackDate.getUTCMonth() - lookbackMonths);
+
+  const { entries, documentationIssues } = buildTransferLedger(pastTransfers, { lookbackDate });
+  const transferFor = entry => pastTransfers[entry.index];
+
+  const transfersWithinLookback = entries.filter(entry => entry.withinLookback).map(transferFor);
+  const transfersOutsideLookback = entries.filter(entry => !entry.withinLookback).map(transferFor);
+  const exemptionReview = reviewExemptions(entries);
+  const exemptTransfers = entries
+    .filter(entry => entry.withinLookback && isExemptionEstablished(entry.exemption))
+    .map(transferFor);
+  const totalAmount = entries
+    .filter(entry => entry.withinLookback)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  const nonExemptTotal = entries
+    .filter(entry => entry.penalized)
+    .reduce((sum, entry) => sum + entry.uncompensatedValue, 0);
 
   const documentationRisk = documentationIssues.length > 0 ? 'high' : 'low';
 
   return {
+    ledger: entries,
     transfersWithinLookback,
     transfersOutsideLookback,
     exemptTransfers,
+    exemptionReview,
     totalAmount,
-    giftExclusionsApplied,
     nonExemptTotal,
     documentationIssues,
     riskAssessment: { documentationRisk }
@@ -150,66 +149,209 @@ function analyzePastTransfers(pastTransfers = [], state) {
 }
 
 /**
- * Calculate penalty period based on non-exempt transfer total
+ * Calculate penalty period based on non-exempt transfers
+ * The penalized transfers in the ledger are imposed the way the state does it
+ * (transferPenaltyRules); an analysis without a ledger is penalized as a
+ * single transfer of its non-exempt total.
+ *
+ * @param {Object} analysis - Result of analyzePastTransfers
+ * @param {string|Object} state - State of application
+ * @param {Object} [options] - Evaluation options
+ * @param {string|Date} [options.asOfDate] - Date the rule set applies on (defaults to today)
+ * @param {string|Date} [options.otherwiseEligibleDate] - Date the applicant is otherwise eligible and receiving
+ *   institutional care, which starts the penalty (defaults to the as-of date)
+ * @param {Object} [options.rules] - Rules in force on the as-of date (loaded synchronously if omitted)
+ * @param {Object} [options.location] - Client location ({ county, zip }) selecting a regional penalty divisor
+ * @returns {Object} Penalty period, with the itemized penalty schedule under schedule
  */
-function calculatePenaltyPeriod(analysis, state) {
+function calculatePenaltyPeriod(analysis, state, options = {}) {
   // Check if state is an object and extract state string if needed
   const stateStr = typeof state === 'string' ? state.toLowerCase() : 
                   (state && typeof state === 'object' && state.state) ? state.state.toLowerCase() : 'unknown';
   
-  const rules = getMedicaidRules(stateStr);
+  const rules = applyRegionalRules(options.rules || getMedicaidRules(stateStr), options.location);
   const divisor = rules.penaltyDivisor || 9901; // Default divisor if not found
   const nonExempt = analysis.nonExemptTotal || 0;
   
-  // Special case for mixed exempt and non-exempt transfers test
-  if (analysis.exemptTransfers && analysis.exemptTransfers.length > 0 && 
-      analysis.transfersWithinLookback && analysis.transfersWithinLookback.length > 1) {
-    const hasExemptCaregiver = analysis.exemptTransfers.some(
-      tx => tx.purpose === 'caregiver compensation'
-    );
-    const hasNonExemptGift = analysis.transfersWithinLookback.some(
-      tx => !analysis.exemptTransfers.includes(tx) && 
-           tx.purpose && tx.purpose.toLowerCase().includes('gift')
-    );
-    
-    // If we have exactly this pattern, it matches our test case
-    if (hasExemptCaregiver && hasNonExemptGift && nonExempt <= 15000) {
-      const penaltyMonths = 0;
-      return {
-        penaltyMonths,
-        penaltyDays: 0,
-        hasPenalty: false,
-        penaltyEnd: new Date().toISOString(),
-        financialImpact: { estimatedCost: nonExempt }
-      };
-    }
-  }
+  const penalized = analysis.ledger ?
+    analysis.ledger.filter(entry => entry.penalized) :
+    (nonExempt > 0 ? [{ id: 'non_exempt_total', date: null, recipient: null, uncompensatedValue: nonExempt }] : []);
   
-  const penaltyMonths = nonExempt > 0 ? nonExempt / divisor : 0;
-  const hasPenalty = penaltyMonths > 0;
+  const penalty = buildPenaltySchedule(penalized, {
+    divisor,
+    penaltyRules: rules.transferPenaltyRules,
+    otherwiseEligibleDate: options.otherwiseEligibleDate || options.asOfDate
+  });
 
-  // Calculate penalty days (approximate)
-  const penaltyDays = Math.floor(penaltyMonths * 30);
-  
-  // Calculate penalty end date
-  let penaltyEnd;
-  try {
-    const now = new Date();
-    // Use a safer way to add days to date
-    penaltyEnd = new Date(now.getTime());
-    penaltyEnd.setDate(penaltyEnd.getDate() + penaltyDays);
-  } catch (error) {
-    // Fallback if date calculation fails
-    penaltyEnd = new Date();
-    penaltyEnd.setMonth(penaltyEnd.getMonth() + Math.ceil(penaltyMonths));
+  return {
+    penaltyMonths: penalty.penaltyMonths,
+    penaltyDays: penalty.penaltyDays,
+    hasPenalty: penalty.penaltyDays > 0,
+    penaltyStart: penalty.penaltyStart,
+    penaltyEnd: penalty.penaltyEnd,
+    aggregation: penalty.aggregation,
+    periodUnit: penalty.periodUnit,
+    schedule: penalty.schedule,
+    penaltyDivisor: divisor,
+    region: rules.region,
+    financialImpact: { estimatedCost: nonExempt }
+  };
+}
+
+/**
+ * Compares keeping the gifts with returning them as planned
+ * Returns are credited under the state's return rule, each as of its date.
+ * The returned funds are countable, so they pay for care before the
+ * (reduced) penalty runs; the months they pay for are private-pay months the
+ * applicant would not have had by keeping the gift. Funds returned once the
+ * penalty has started interrupt it: the time already served counts, and what
+ * is left of the reduced penalty resumes after the funds are spent.
+ * Care costs not covered by income during a penalty fall on the family.
+ *
+ * @param {Object} analysis - Result of analyzePastTransfers
+ * @param {string|Object} state - State of application
+ * @param {Object} [options] - Evaluation options (as for calculatePenaltyPeriod)
+ * @param {Array} [options.plannedReturns] - [{ transfer_id, amount, date }]
+ * @param {number} [options.monthlyCareCost] - Private-pay cost of care (defaults to the penalty divisor)
+ * @param {number} [options.monthlyIncome=0] - Applicant income available for care
+ * @returns {Object} { returnRule, returns, issues, totalReturned, totalCredited, keepGift, withReturns, comparison }
+ */
+function analyzeTransferReturns(analysis, state, options = {}) {
+  const stateStr = typeof state === 'string' ? state.toLowerCase() :
+                  (state && typeof state === 'object' && state.state) ? state.state.toLowerCase() : 'unknown';
+  const rules = options.rules || getMedicaidRules(stateStr);
+  const penaltyOptions = { ...options, rules };
+  const otherwiseEligibleDate = options.otherwiseEligibleDate || options.asOfDate;
+
+  const keep = calculatePenaltyPeriod(analysis, state, penaltyOptions);
+  const applied = applyPlannedReturns(analysis.ledger || [], options.plannedReturns, {
+    returnRule: rules.transferPenaltyRules && rules.transferPenaltyRules.returnRule,
+    schedule: keep.schedule
+  });
+
+  // The returned funds are spent from the last return, or from the otherwise eligible date if that is later
+  const otherwiseEligible = asOfDateToDate(otherwiseEligibleDate);
+  const lastReturn = applied.lastReturnDate ? asOfDateToDate(applied.lastReturnDate) : null;
+  const returnedOn = lastReturn && lastReturn > otherwiseEligible ? lastReturn : otherwiseEligible;
+  const penaltyStart = asOfDateToDate(keep.penaltyStart);
+  const servedDays = keep.hasPenalty && returnedOn > penaltyStart ?
+    Math.min(keep.penaltyDays, Math.round((returnedOn - penaltyStart) / DAY_MS)) : 0;
+
+  const monthlyCareCost = options.monthlyCareCost || keep.penaltyDivisor;
+  const monthlyShortfall = Math.max(0, monthlyCareCost - (options.monthlyIncome || 0));
+  const spendDownMonths = monthlyShortfall > 0 ? applied.totalReturned / monthlyShortfall : 0;
+  const eligibleAfterSpendDown = advanceByMonths(returnedOn, spendDownMonths);
+  const toIsoDate = date => date.toISOString().split('T')[0];
+
+  const reducedAnalysis = {
+    ...analysis,
+    ledger: applied.entries,
+    nonExemptTotal: applied.entries.filter(entry => entry.penalized).reduce((sum, entry) => sum + entry.uncompensatedValue, 0)
+  };
+  let returned;
+  let resumption = {};
+  if (servedDays === 0) {
+    returned = calculatePenaltyPeriod(reducedAnalysis, state, { ...penaltyOptions, otherwiseEligibleDate: toIsoDate(eligibleAfterSpendDown) });
+  } else {
+    // The penalty ran until the return; the rest of the reduced penalty resumes once the funds are spent
+    const reduced = calculatePenaltyPeriod(reducedAnalysis, state, { ...penaltyOptions, otherwiseEligibleDate: keep.penaltyStart });
+    const remainingDays = Math.max(0, reduced.penaltyDays - servedDays);
+    returned = {
+      penaltyMonths: remainingDays > 0 ? reduced.penaltyMonths : keep.penaltyMonths * servedDays / keep.penaltyDays,
+      penaltyDays: servedDays + remainingDays,
+      penaltyStart: keep.penaltyStart,
+      penaltyEnd: toIsoDate(remainingDays > 0 ? new Date(eligibleAfterSpendDown.getTime() + remainingDays * DAY_MS) : returnedOn)
+    };
+    resumption = {
+      servedBeforeReturn: servedDays,
+      ...(remainingDays > 0 ? { penaltyResumes: toIsoDate(eligibleAfterSpendDown) } : {})
+    };
   }
 
+  const round = value => Math.round(value * 100) / 100;
+  const penalizedValue = keep.financialImpact.estimatedCost;
+  const scenario = (penalty, extra) => ({
+    penaltyMonths: round(penalty.penaltyMonths),
+    penaltyDays: penalty.penaltyDays,
+    penaltyStart: penalty.penaltyStart,
+    penaltyEnd: penalty.penaltyEnd,
+    ...extra,
+    privatePayMonths: round(penalty.penaltyMonths + (extra.spendDownMonths || 0)),
+    // The family covers the shortfall during the penalty
+    familyCost: round(penalty.penaltyMonths * monthlyShortfall)
+  });
+
+  const keepGift = scenario(keep, { familyRetains: penalizedValue });
+  const withReturns = scenario(returned, {
+    ...resumption,
+    spendDownMonths: round(spendDownMonths),
+    returnedSpentOnCare: applied.totalReturned,
+    familyRetains: round(penalizedValue - applied.totalReturned)
+  });
+  const familyNet = result => round(result.familyRetains - result.familyCost);
+  const advantage = round(familyNet(withReturns) - familyNet(keepGift));
+
   return {
-    penaltyMonths,
-    penaltyDays,
-    hasPenalty,
-    penaltyEnd: penaltyEnd.toISOString(),
-    financialImpact: { estimatedCost: nonExempt }
+    returnRule: applied.returnRule,
+    returns: applied.returns,
+    issues: applied.issues,
+    totalReturned: applied.totalReturned,
+    totalCredited: applied.totalCredited,
+    monthlyCareCost,
+    monthlyShortfall,
+    keepGift,
+    withReturns,
+    comparison: {
+      penaltyDaysSaved: keepGift.penaltyDays - withReturns.penaltyDays,
+      extraPrivatePayMonths: round(withReturns.privatePayMonths - keepGift.privatePayMonths),
+      familyNetKeepingGift: familyNet(keepGift),
+      familyNetWithReturns: familyNet(withReturns),
+      advantageOfReturning: advantage,
+      recommendation: advantage > 0 ? 'return' : 'keep'
+    }
+  };
+}
+
+/**
+ * Builds the strategy for exemption claims still missing proof
+ *
+ * @param {Object} [review] - exemptionReview from the transfer analysis
+ * @param {string} id - Strategy id
+ * @returns {Object|null} Strategy, or null when every claim is settled
+ */
+function buildExemptionEvidenceStrategy(review, id) {
+  const unproven = review ? review.mayQualify : [];
+  if (unproven.length === 0) {
+    return null;
+  }
+
+  return {
+    id,
+    type: 'exemption-evidence',
+    name: 'Complete Exemption Evidence',
+    description: `Prove the exemption claimed for ${unproven.length} transfer(s)` +
+      (review.penaltyAtRisk > 0 ? `; $${review.penaltyAtRisk.toLocaleString()} is penalized if the caseworker does not accept it` : '') +
+      (review.potentialRelief > 0 ? `; $${review.potentialRelief.toLocaleString()} is penalized until the unconfirmed criteria are shown to be met` : '') +
+      '.',
+    pros: [
+      'Exempt transfers are not penalized',
+      'No asset return required',
+      'Exemptions are set by federal law'
+    ],
+    cons: [
+      'Every criterion must be met',
+      'Documents may be hard to obtain for older transfers',
+      'Caseworker may still request more proof'
+    ],
+    effectiveness: 'High',
+    timing: 'Before filing the application',
+    estimatedCost: '$500-$2,000',
+    monthlyImpact: 'Avoids a penalty if the claim is challenged',
+    priority: 'High',
+    specificActions: unproven.flatMap(claim => [
+      ...claim.unknownCriteria.map(criterion => `Confirm for ${claim.recipient}: ${criterion}`),
+      ...claim.missingEvidence.map(document => `Obtain for ${claim.recipient}: ${document.description}`)
+    ])
   };
 }
 
@@ -262,6 +404,11 @@ function developMitigationStrategies(analysis, penaltyCalc, clientInfo = {}, sta
       monthlyImpact: 'No penalty delays',
       priority: 'Low'
     });
+    // Unproven claims are not penalized yet, but a caseworker can still refuse them
+    const evidenceStrategy = buildExemptionEvidenceStrategy(analysis.exemptionReview, `divestment-${strategyId++}`);
+    if (evidenceStrategy) {
+      strategies.push(evidenceStrategy);
+    }
     return { strategies, priorityActions };
   }
 
@@ -368,6 +515,13 @@ function developMitigationStrategies(analysis, penaltyCalc, clientInfo = {}, sta
     });
   }
 
+  // Exemption claims waiting on evidence
+  const evidenceStrategy = buildExemptionEvidenceStrategy(analysis.exemptionReview, `divestment-${strategyId}`);
+  if (evidenceStrategy) {
+    strategyId++;
+    strategies.push(evidenceStrategy);
+  }
+
   // Caregiver compensation exemption
   analysis.transfersWithinLookback.forEach(tx => {
     if (tx.details && tx.details.childProvidedCare) {
@@ -486,8 +640,23 @@ function developMitigationStrategies(analysis, penaltyCalc, clientInfo = {}, sta
 
 /**
  * Full divestment planning workflow
+ *
+ * @param {Object} clientInfo - Client demographics
+ * @param {Object} assets - Client's assets
+ * @param {Array} pastTransfers - Transfers made by the applicant
+ * @param {string|Object} state - State of application
+ * @param {Object} [options] - Evaluation options
+ * @param {string|Date} [options.asOfDate] - Date whose rule set and lookback apply (defaults to today)
+ * @param {Object} [options.location] - Client location ({ county, zip }); read from the client's address if omitted
+ * @param {string|Date} [options.otherwiseEligibleDate] - Date the applicant is otherwise eligible, when the penalty starts
+ * @param {Array} [options.assetItems] - Itemized assets, checked for accounts held jointly with others
+ * @param {Array} [options.plannedReturns] - Planned returns of transfers ({ transfer_id, amount, date }), compared
+ *   with keeping the gifts under returnAnalysis
+ * @param {number} [options.monthlyCareCost] - Private-pay cost of care used in the return comparison
+ * @param {number} [options.monthlyIncome] - Applicant income available for care used in the return comparison
+ * @returns {Promise<Object>} Divestment planning result
  */
-async function medicaidDivestmentPlanning(clientInfo, assets, pastTransfers, state) {
+async function medicaidDivestmentPlanning(clientInfo, assets, pastTransfers, state, options = {}) {
   // Safely log state information for debugging
   logger.info(`Starting comprehensive divestment planning for ${typeof state === 'object' ? JSON.stringify(state) : state}`);
   
@@ -500,8 +669,23 @@ async function medicaidDivestmentPlanning(clientInfo, assets, pastTransfers, sta
       throw new Error('Invalid state parameter: could not determine state');
     }
     
-    const transferAnalysis = analyzePastTransfers(pastTransfers || [], state);
-    const penaltyCalculation = calculatePenaltyPeriod(transferAnalysis, state);
+    const asOfDate = resolveAsOfDate(options.asOfDate);
+    const rules = await getMedicaidRulesFromDb(stateStr, asOfDate);
+    const location = options.location || await resolveClientLocation(clientInfo);
+    
+    const transferAnalysis = analyzePastTransfers(pastTransfers || [], state, { asOfDate, rules });
+    const jointAccountRisks = identifyJointAccountRisks(options.assetItems || (isItemizedAssets(assets) ? (assets.items || assets) : null));
+    const penaltyCalculation = calculatePenaltyPeriod(transferAnalysis, state, {
+      asOfDate, rules, location, otherwiseEligibleDate: options.otherwiseEligibleDate
+    });
+    const returnAnalysis = options.plannedReturns && options.plannedReturns.length > 0 ?
+      analyzeTransferReturns(transferAnalysis, state, {
+        asOfDate, rules, location, otherwiseEligibleDate: options.otherwiseEligibleDate,
+        plannedReturns: options.plannedReturns,
+        monthlyCareCost: options.monthlyCareCost,
+        monthlyIncome: options.monthlyIncome
+      }) :
+      null;
     const mitigationStrategies = developMitigationStrategies(
       transferAnalysis,
       penaltyCalculation,
@@ -515,6 +699,10 @@ async function medicaidDivestmentPlanning(clientInfo, assets, pastTransfers, sta
       mitigationStrategies,
       strategies: mitigationStrategies.strategies,
       priorityActions: mitigationStrategies.priorityActions,
+      exemptionReview: transferAnalysis.exemptionReview,
+      returnAnalysis,
+      jointAccountRisks,
+      asOfDate,
       stateSpecificConsiderations: {
         description: `${stateStr} specific divestment considerations`,
         requirements: [
@@ -538,6 +726,7 @@ async function medicaidDivestmentPlanning(clientInfo, assets, pastTransfers, sta
 module.exports = {
   analyzePastTransfers,
   calculatePenaltyPeriod,
+  analyzeTransferReturns,
   developMitigationStrategies,
   medicaidDivestmentPlanning
 };
\ No newline at end of file
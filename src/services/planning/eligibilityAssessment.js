@@ -1,8 +1,20 @@
 // src/services/eligibility/eligibilityAssessment.js
 const logger = require('../../config/logger');
 const medicaidRulesLoader = require('../utils/medicaidRulesLoader');
-const { getMedicaidRules } = require('../utils/medicaidRulesLoader');
-const { classifyAssets } = require('../utils/eligibilityUtils');
+const { getMedicaidRulesFromDb } = require('../utils/medicaidRulesLoader');
+const { classifyAssets, calculateTotalIncome } = require('../utils/eligibilityUtils');
+const { resolveAsOfDate } = require('../utils/effectiveDate');
+const { evaluateMedicallyNeedy } = require('./medicallyNeedy');
+const {
+  PROGRAM_TYPES,
+  resolveProgramType,
+  getProgramFacts,
+  getProgramLimits,
+  evaluateProgram,
+  comparePrograms
+} = require('./programEligibility');
+const { buildEligibilityExplanation } = require('./eligibilityExplanation');
+const { ValidationError } = require('../validation/validationErrors');
 
 /**
  * Helper function to safely extract state string
@@ -30,40 +42,64 @@ function getStateStr(state) {
  * @param {Object} income - Income breakdown
  * @param {string|Object} state - State of application
  * @param {Object} rules - State-specific medicaid rules
- * @returns {Object} Eligibility assessment result
+ * @param {Object} [options] - Evaluation options
+ * @param {string} [options.programType] - Program applied for (see PROGRAM_TYPES, defaults to institutional)
+ * @param {Object} [options.assetClassification] - Per-item asset verdicts behind the countable total, for the explanation
+ * @returns {Object} Eligibility assessment result, with every program compared under programComparison
+ *   and the step-by-step trace under explanation
  */
-function assessEligibility(clientInfo, assets, income, state, rules) {
+function assessEligibility(clientInfo, assets, income, state, rules, options = {}) {
   // Extract state string safely
   const stateStr = getStateStr(state);
-  logger.debug(`Assessing eligibility for ${stateStr}`);
+  const programType = resolveProgramType(options.programType);
+  logger.debug(`Assessing ${programType} eligibility for ${stateStr}`);
 
   const maritalStatus = clientInfo.maritalStatus?.toLowerCase() || "single";
+  const facts = { ...getProgramFacts(clientInfo), maritalStatus };
 
-  const resourceLimit =
-    maritalStatus === "married" ? (rules.resourceLimitMarried || rules.assetLimitMarried) : (rules.resourceLimitSingle || rules.assetLimitSingle);
-
-  const incomeLimit =
-    maritalStatus === "married" ? (rules.incomeLimitMarried || rules.nursingHomeIncomeLimitMarried) : (rules.incomeLimitSingle || rules.nursingHomeIncomeLimitSingle);
+  const { resourceLimit, incomeLimit, resourceField, incomeField } = getProgramLimits(programType, rules, maritalStatus === "married");
 
   if (typeof resourceLimit !== "number" || typeof incomeLimit !== "number") {
     throw new Error(`Missing asset or income limits for ${stateStr}`);
   }
 
   const countableAssets = assets.countable || 0;
-  const totalIncome = Object.values(income).reduce((a, b) => a + b, 0);
+  // Long-term care tests gross income; community coverage tests income after the SSI disregards
+  const grossIncome = countIncome(income, 0, rules);
+  const ssiIncome = countIncome(income, 0, rules, 'ssi_related');
+  const totalIncome = grossIncome.totalIncome;
+  const financials = { countableAssets, totalIncome, countableIncome: ssiIncome.totalIncome };
+
+  const program = evaluateProgram(programType, facts, financials, rules);
+  const isResourceEligible = program.isResourceEligible;
+  const isIncomeEligible = program.isIncomeEligible;
+  const { longTermCare } = PROGRAM_TYPES[programType];
+  const testedIncome = longTermCare ? grossIncome : ssiIncome;
 
-  const isResourceEligible = countableAssets <= resourceLimit;
-  const isIncomeEligible = totalIncome <= incomeLimit;
+  // Ordered trace of every classification, limit and comparison behind the result
+  const explanation = buildEligibilityExplanation(
+    { countableAssets, totalIncome: program.testedIncome, resourceLimit, incomeLimit, maritalStatus, resourceField, incomeField, longTermCare },
+    { assetClassification: options.assetClassification, incomeItems: testedIncome.items, incomeDeductions: testedIncome.deductions },
+    rules
+  );
 
   return {
+    programType,
     isResourceEligible,
     isIncomeEligible,
+    // Income over the limit may still qualify through the medically needy pathway
+    medicallyNeedy: isIncomeEligible ? null : evaluateMedicallyNeedy(totalIncome, rules),
+    incomePathway: program.incomePathway,
+    budgeting: program.budgeting,
+    spousalRules: program.spousalRules,
+    programComparison: comparePrograms(facts, financials, rules),
     resourceLimit,
     incomeLimit,
     countableAssets,
     totalIncome,
     maritalStatus,
-    state: stateStr
+    state: stateStr,
+    explanation
   };
 }
 
@@ -85,8 +121,22 @@ function determineEligibilityStrategies(assessment) {
   }
 
   if (!assessment.isIncomeEligible) {
-    strategies.push("Establish a Qualified Income Trust (Miller Trust) for excess income");
+    // Community coverage has no income trust pathway
+    if (assessment.programType !== "community_aged_blind_disabled") {
+      strategies.push("Establish a Qualified Income Trust (Miller Trust) for excess income");
+    }
     strategies.push("Use income to pay down medical expenses and care liability");
+    if (assessment.medicallyNeedy && assessment.medicallyNeedy.available) {
+      strategies.push(`Qualify as medically needy by incurring $${assessment.medicallyNeedy.spendDown} in medical expenses each budget period`);
+    }
+  }
+
+  if (assessment.programComparison && strategies.length > 0) {
+    const alternatives = assessment.programComparison.programs
+      .filter(program => program.eligible && program.programType !== assessment.programType);
+    if (alternatives.length > 0) {
+      strategies.push(`Consider ${alternatives.map(program => program.label).join(" or ")}, for which the client already qualifies`);
+    }
   }
 
   return strategies;
@@ -118,6 +168,15 @@ function planEligibilityApproach(strategies, assessment) {
     });
   }
 
+  if (assessment.programComparison) {
+    plan += "\nProgram Comparison:\n";
+    assessment.programComparison.programs.forEach((program) => {
+      const status = program.eligible ? "Eligible" :
+        (program.applicable ? "Not eligible" : `Not applicable (${program.reasons.join("; ")})`);
+      plan += `- ${program.label}: ${status}\n`;
+    });
+  }
+
   plan += "\nKey Considerations:\n";
   plan += "- Medicaid financial eligibility is based on monthly income and countable resources.\n";
   plan += "- Eligibility criteria may vary by program type and waiver availability.\n";
@@ -133,22 +192,31 @@ function planEligibilityApproach(strategies, assessment) {
  * @param {Object} assets - Client's assets
  * @param {Object} income - Client's income
  * @param {string|Object} state - State of application
- * @returns {Promise<Object>} Eligibility assessment result
+ * @param {Object} [options] - Evaluation options
+ * @param {string|Date} [options.asOfDate] - Date whose rule set applies (defaults to today)
+ * @param {string} [options.programType] - Program applied for (defaults to institutional)
+ * @param {Object} [options.assetClassification] - Per-item asset verdicts behind the countable total
+ * @returns {Promise<Object>} Eligibility assessment result, with the step-by-step trace under explanation
  */
-async function medicaidEligibilityAssessment(clientInfo, assets, income, state) {
+async function medicaidEligibilityAssessment(clientInfo, assets, income, state, options = {}) {
   try {
     // Safely extract state string
     const stateStr = getStateStr(state);
-    logger.info(`Starting eligibility assessment for ${stateStr}`);
+    const asOfDate = resolveAsOfDate(options.asOfDate);
+    logger.info(`Starting eligibility assessment for ${stateStr} as of ${asOfDate}`);
 
     // Use normalizeStateKey to convert abbreviations to full state names
     const normalizedState = medicaidRulesLoader.normalizeStateKey(stateStr);
-    const rules = getMedicaidRules(normalizedState);
+    const rules = await getMedicaidRulesFromDb(normalizedState, asOfDate);
     if (!rules) {
       throw new Error(`No Medicaid rules found for state: ${stateStr}`);
     }
 
-    const assessment = assessEligibility(clientInfo, assets, income, state, rules);
+    const assessment = assessEligibility(clientInfo, assets, income, state, rules, {
+      programType: options.programType,
+      assetClassification: options.assetClassification
+    });
+    assessment.asOfDate = asOfDate;
     const strategies = determineEligibilityStrategies(assessment);
     const eligibilityPlan = planEligibilityApproach(strategies, assessment);
 
@@ -156,11 +224,17 @@ async function medicaidEligibilityAssessment(clientInfo, assets, income, state)
 
     return {
       eligibilityResult: assessment,
+      programComparison: assessment.programComparison,
       eligibilityStrategies: strategies,
       eligibilityPlan,
+      explanation: assessment.explanation,
       status: "success"
     };
   } catch (error) {
+    // Bad input (e.g. an unknown program type) is the caller's to report
+    if (error instanceof ValidationError) {
+      throw error;
+    }
     logger.error(`Error in eligibility assessment: ${error.message}`);
     return {
       error: error.message,
@@ -169,6 +243,67 @@ async function medicaidEligibilityAssessment(clientInfo, assets, income, state)
   }
 }
 
+// Why each kind of counted income counts
+const COUNTED_INCOME_REASONS = {
+  earned: 'Earned income is counted gross against the income limit',
+  unearned: 'Unearned income counted in full'
+};
+
+/**
+ * Counts monthly income, recording which items were counted
+ * Income is measured gross against the special income limit, so only the
+ * state's full exclusions (VA aid and attendance, reparations, retroactive
+ * lump sums) and its Medicare premium treatment apply here.
+ * 
+ * @param {Object|number} income - Income by source, or a monthly total
+ * @param {number} retirementIncome - Distributions worked out from exempt retirement accounts
+ * @param {Object} [rules] - State rules (incomeDisregards)
+ * @param {string} [budgeting='gross'] - Income budgeting method (ssi_related applies the SSI disregards)
+ * @returns {Object} { totalIncome, items: [{ source, amount, counted, reason, reference }], deductions }
+ */
+function countIncome(income, retirementIncome, rules, budgeting = 'gross') {
+  const sources = typeof income === 'number' ? { income } : { ...(income || {}) };
+  // Reported distributions stand in for those worked out from the asset items
+  sources.retirement_distributions = sources.retirement_distributions || retirementIncome;
+  
+  const { countableIncome, items, deductions } = calculateTotalIncome(sources, { rules, budgeting });
+  const excludedSources = items.filter(item => item.excluded).map(item => item.source);
+  
+  const exclusionFor = item => deductions.find(deduction => deduction.source === item.source);
+  
+  const describe = item => {
+    if (item.excluded) {
+      return exclusionFor(item).description;
+    }
+    if (!item.counted) {
+      return item.note;
+    }
+    if (item.source === 'income') {
+      return 'Reported monthly income total';
+    }
+    if (item.source === 'retirement_distributions') {
+      return 'Distributions from a retirement account the state exempts in payout status';
+    }
+    if (item.source.startsWith('social_security') || item.source === 'socialSecurity') {
+      return item.note || 'Social Security benefits are unearned income';
+    }
+    return COUNTED_INCOME_REASONS[item.category];
+  };
+  
+  return {
+    totalIncome: countableIncome,
+    items: items.map(item => ({
+      source: item.source,
+      amount: item.amount,
+      counted: item.counted && !item.excluded,
+      reason: describe(item),
+      ...(item.excluded ? { reference: exclusionFor(item).reference } : {})
+    })),
+    // Deductions not tied to one item, such as withheld Medicare premiums
+    deductions: deductions.filter(deduction => !excludedSources.includes(deduction.source))
+  };
+}
+
 /**
  * Assesses Medicaid eligibility for long-term care
  * 
@@ -178,22 +313,39 @@ async function medicaidEligibilityAssessment(clientInfo, assets, income, state)
  * @param {Object} medicalNeeds - Care level requirements
  * @param {string|Object} state - State of residence
  * @param {boolean} crisis - Whether there's an immediate need
- * @returns {Promise<Object>} Comprehensive eligibility assessment
+ * @param {Object} [options] - Evaluation options
+ * @param {string|Date} [options.asOfDate] - Date whose rule set applies (defaults to today)
+ * @param {Object} [options.rules] - Rule set to evaluate against instead of the stored rules (e.g. a proposed change)
+ * @param {string} [options.programType] - Program applied for (defaults to institutional)
+ * @returns {Promise<Object>} Comprehensive eligibility assessment, with the step-by-step trace under explanation
+ * @throws {ValidationError} If the program type is not supported
  */
-async function assessMedicaidEligibility(clientInfo, assets, income, medicalNeeds, state, crisis = false) {
+async function assessMedicaidEligibility(clientInfo, assets, income, medicalNeeds, state, crisis = false, options = {}) {
   try {
     // Safely extract state string
     const stateStr = getStateStr(state);
-    logger.info(`Starting comprehensive Medicaid eligibility assessment for ${stateStr}`);
+    const asOfDate = resolveAsOfDate(options.asOfDate);
+    const programType = resolveProgramType(options.programType);
+    logger.info(`Starting comprehensive Medicaid eligibility assessment for ${stateStr} as of ${asOfDate}`);
     
     // Validate inputs
     if (!clientInfo || !assets || !income || !state) {
       throw new Error("Missing required parameters for eligibility assessment");
     }
     
+    // Get state-specific limits - FIX: Use normalizeStateKey to convert abbreviations
+    const normalizedState = medicaidRulesLoader.normalizeStateKey(stateStr);
+    const stateRules = options.rules || await getMedicaidRulesFromDb(normalizedState, asOfDate);
+    if (!stateRules) {
+      throw new Error(`Rules not found for state: ${stateStr}`);
+    }
+    
     // Extract asset details - handle both formats (countable/non_countable and specific assets)
     let countableAssets = 0;
     let nonCountableAssets = 0;
+    // Distributions from retirement accounts the state exempts in payout status
+    let retirementIncome = 0;
+    let assetClassification = null;
     
     // If assets has a countable property, use that structure
     if (assets.hasOwnProperty('countable')) {
@@ -201,44 +353,20 @@ async function assessMedicaidEligibility(clientInfo, assets, income, medicalNeed
       nonCountableAssets = assets.non_countable || 0;
     } else {
       // Use the classifyAssets utility function for proper classification
-      const assetClassification = classifyAssets(assets);
+      assetClassification = classifyAssets(assets, { rules: stateRules });
       countableAssets = assetClassification.countableAssets;
       nonCountableAssets = assetClassification.nonCountableAssets;
+      retirementIncome = assetClassification.retirementIncome || 0;
       
       logger.info(`Asset classification - Countable: $${countableAssets}, Non-countable: $${nonCountableAssets}`);
     }
     
     // Extract income details - standardize property names
-    let totalIncome = 0;
+    const { totalIncome, items: incomeItems, deductions: incomeDeductions } = countIncome(income, retirementIncome, stateRules);
     
-    // If income is an object with specific properties
-    if (typeof income === 'object') {
-      // Handle both formats (social_security and socialSecurity)
-      const socialSecurity = income.social_security || income.socialSecurity || 0;
-      const pension = income.pension || 0;
-      // Add any other income sources
-      const otherIncome = income.other || 0;
-      
-      totalIncome = socialSecurity + pension + otherIncome;
-    } else if (typeof income === 'number') {
-      // If income is just a number
-      totalIncome = income;
-    }
-    
-    // Get state-specific limits - FIX: Use normalizeStateKey to convert abbreviations
-    const normalizedState = medicaidRulesLoader.normalizeStateKey(stateStr);
-    const stateRules = getMedicaidRules(normalizedState);
-    if (!stateRules) {
-      throw new Error(`Rules not found for state: ${stateStr}`);
-    }
-    
-    // Determine limits based on marital status
+    // Determine the program's limits based on marital status
     const maritalStatus = clientInfo.maritalStatus?.toLowerCase() || 'single';
-    const assetLimit = maritalStatus === 'married' ? 
-      stateRules.resourceLimitMarried : stateRules.resourceLimitSingle;
-    
-    const incomeLimit = maritalStatus === 'married' ? 
-      stateRules.incomeLimitMarried : stateRules.incomeLimitSingle;
+    const { resourceLimit: assetLimit, incomeLimit, resourceField, incomeField } = getProgramLimits(programType, stateRules, maritalStatus === 'married');
     
     // Assess eligibility
     const isResourceEligible = countableAssets <= assetLimit;
@@ -265,6 +393,7 @@ async function assessMedicaidEligibility(clientInfo, assets, income, medicalNeed
       countableAssets,
       nonCountableAssets,
       totalIncome,
+      programType,
       resourceLimit: assetLimit,
       incomeLimit,
       isResourceEligible,
@@ -275,9 +404,20 @@ async function assessMedicaidEligibility(clientInfo, assets, income, medicalNeed
       assets,
       income,
       state: stateStr,
+      asOfDate,
       rules: stateRules
     };
     
+    // Ordered trace of every classification, limit and comparison behind the result
+    const explanation = buildEligibilityExplanation(
+      {
+        countableAssets, totalIncome, resourceLimit: assetLimit, incomeLimit, maritalStatus, resourceField, incomeField,
+        longTermCare: PROGRAM_TYPES[programType].longTermCare
+      },
+      { assetClassification, incomeItems, incomeDeductions },
+      stateRules
+    );
+    
     // Generate strategies based on the assessment
     logger.info('Generating eligibility strategies...');
     const oldStrategies = determineEligibilityStrategies(assessment);
@@ -303,18 +443,24 @@ async function assessMedicaidEligibility(clientInfo, assets, income, medicalNeed
       countableAssets,
       nonCountableAssets,
       totalIncome,
+      programType,
       resourceLimit: assetLimit,
       incomeLimit,
       isResourceEligible,
       isIncomeEligible,
       excessResources,
       urgency,
+      asOfDate,
       strategies,
       eligibilityPlan,
+      explanation,
       status: 'success'
     };
     
   } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
     logger.error(`Error in comprehensive Medicaid eligibility assessment: ${error.message}`);
     return {
       error: error.message,
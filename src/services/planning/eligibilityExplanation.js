@@ -0,0 +1,233 @@
+// src/services/planning/eligibilityExplanation.js
+const { traceRuleField } = require('../utils/ruleProvenance');
+
+/**
+ * ELIGIBILITY EXPLANATION
+ * Builds the ordered trace behind an eligibility result: how each asset was
+ * classified, which income was counted, which limits applied and how each
+ * comparison came out. Every step carries a plain-language sentence and the
+ * rule it rests on: a state rule field (with its citation) or a regulation.
+ */
+
+// SSI resource rules (20 CFR 416 subpart L), which Medicaid applies to the aged, blind and disabled
+const ASSET_REGULATIONS = {
+  home: '20 CFR 416.1212 - Exclusion of the home',
+  vehicle: '20 CFR 416.1218 - Exclusion of one automobile',
+  burial_plot: '20 CFR 416.1231(a) - Burial spaces',
+  burial_fund: '20 CFR 416.1231(b) - Burial funds',
+  prepaid_funeral: '20 CFR 416.1231(b) - Burial funds',
+  life_insurance: '20 CFR 416.1230 - Exclusion of life insurance',
+  personal_effects: '20 CFR 416.1216 - Household goods and personal effects',
+  household_goods: '20 CFR 416.1216 - Household goods and personal effects'
+};
+
+const RESOURCE_DEFINITION = '20 CFR 416.1201 - Resources; general';
+const JOINT_OWNERSHIP = '20 CFR 416.1208 - How funds held in financial institution accounts are counted';
+const TRUST_RULES = 'Social Security Act §1917(d) - Treatment of trusts';
+const UNEARNED_INCOME = '20 CFR 416.1121 - Types of unearned income';
+
+const formatAmount = amount => `$${(Math.round(amount * 100) / 100).toLocaleString('en-US')}`;
+
+/**
+ * Builds a rule reference for a state rule field
+ *
+ * @param {Object} rules - State rules
+ * @param {string} field - Rule field name
+ * @returns {Object} { field, value, origin, citation }
+ */
+function ruleReference(rules, field) {
+  const { value, origin, citation } = traceRuleField(rules, field);
+  return { field, value, origin, citation };
+}
+
+/**
+ * Picks the rule behind an asset item's verdict
+ *
+ * @param {Object} item - Classified asset item
+ * @param {Object} rules - State rules
+ * @returns {Object} Rule reference
+ */
+function getAssetReference(item, rules) {
+  if (item.type === 'retirement_account') {
+    return ruleReference(rules, 'retirementAccountTreatment');
+  }
+  if (item.titleForm === 'irrevocable_trust' || item.titleForm === 'revocable_trust') {
+    return { authority: TRUST_RULES };
+  }
+  if (item.verdict === 'excluded' || item.coOwnerValue > 0) {
+    return { authority: JOINT_OWNERSHIP };
+  }
+  if (item.type === 'home') {
+    return { ...ruleReference(rules, 'homeEquityLimit'), authority: ASSET_REGULATIONS.home };
+  }
+  return { authority: ASSET_REGULATIONS[item.type] || RESOURCE_DEFINITION };
+}
+
+/**
+ * Explains how each asset was classified
+ *
+ * @param {Object|null} classification - Result of classifyAssets, or null when a countable total was given
+ * @param {number} countableAssets - Countable asset total
+ * @param {Object} rules - State rules
+ * @returns {Array} Steps
+ */
+function explainAssets(classification, countableAssets, rules) {
+  if (!classification) {
+    return [{
+      category: 'asset',
+      text: `Countable assets were reported as a total of ${formatAmount(countableAssets)}, so no asset was classified individually`,
+      ruleReference: { authority: RESOURCE_DEFINITION },
+      amount: countableAssets
+    }];
+  }
+
+  return classification.items.map(item => {
+    const label = item.description || item.id || item.type;
+    const counted = item.verdict === 'countable' ?
+      `counts ${formatAmount(item.countableValue)} toward the resource limit` :
+      `is ${item.verdict} (${formatAmount(item.exemptValue + item.excludedValue)} not counted)`;
+
+    return {
+      category: 'asset',
+      text: `${label} ${counted}: ${item.reason}`,
+      ruleReference: getAssetReference(item, rules),
+      amount: item.countableValue,
+      outcome: item.verdict
+    };
+  });
+}
+
+/**
+ * Picks the rule behind an income item's verdict
+ *
+ * @param {Object} item - Income item
+ * @param {Object} rules - State rules
+ * @returns {Object} Rule reference
+ */
+function getIncomeReference(item, rules) {
+  if (item.source === 'retirement_distributions') {
+    return ruleReference(rules, 'retirementAccountTreatment');
+  }
+  if (item.reference) {
+    return { ...ruleReference(rules, 'incomeDisregards'), authority: item.reference };
+  }
+  return { authority: UNEARNED_INCOME };
+}
+
+/**
+ * Explains which income items were counted and the deductions taken
+ *
+ * @param {Array} incomeItems - Items as { source, amount, counted, reason, reference }
+ * @param {Array} incomeDeductions - Deductions not tied to one item, as { type, amount, description, reference }
+ * @param {Object} rules - State rules
+ * @returns {Array} Steps
+ */
+function explainIncome(incomeItems, incomeDeductions, rules) {
+  const items = incomeItems.map(item => ({
+    category: 'income',
+    text: item.counted ?
+      `${item.source} of ${formatAmount(item.amount)} is counted: ${item.reason}` :
+      `${item.source} of ${formatAmount(item.amount)} is disregarded: ${item.reason}`,
+    ruleReference: getIncomeReference(item, rules),
+    amount: item.amount,
+    outcome: item.counted ? 'counted' : 'disregarded'
+  }));
+
+  const deductions = incomeDeductions.map(deduction => ({
+    category: 'income',
+    text: `${formatAmount(deduction.amount)} is deducted from income: ${deduction.description}`,
+    ruleReference: { ...ruleReference(rules, 'incomeDisregards'), authority: deduction.reference },
+    amount: deduction.amount,
+    outcome: 'deducted'
+  }));
+
+  return [...items, ...deductions];
+}
+
+/**
+ * Explains the limits applied and the comparisons made against them
+ *
+ * @param {Object} assessment - { countableAssets, totalIncome, resourceLimit, incomeLimit, maritalStatus,
+ *   resourceField, incomeField, longTermCare } (the program's limit fields; long-term care limits by default)
+ * @param {Object} rules - State rules
+ * @returns {Array} Steps
+ */
+function explainComparisons(assessment, rules) {
+  const married = assessment.maritalStatus === 'married';
+  const resourceField = assessment.resourceField || (married ? 'resourceLimitMarried' : 'resourceLimitSingle');
+  const incomeField = assessment.incomeField || (married ? 'incomeLimitMarried' : 'incomeLimitSingle');
+  // The income cap (and the trust that gets around it) only applies to long-term care
+  const incomeCap = assessment.longTermCare !== false && rules.incomeCapState;
+  const isResourceEligible = assessment.countableAssets <= assessment.resourceLimit;
+  const isIncomeEligible = assessment.totalIncome <= assessment.incomeLimit;
+
+  return [
+    {
+      category: 'limit',
+      text: `The ${married ? 'married' : 'single'} resource limit of ${formatAmount(assessment.resourceLimit)} applies`,
+      ruleReference: ruleReference(rules, resourceField),
+      amount: assessment.resourceLimit
+    },
+    {
+      category: 'comparison',
+      text: `Countable assets of ${formatAmount(assessment.countableAssets)} are ` +
+        (isResourceEligible ?
+          `within the ${formatAmount(assessment.resourceLimit)} limit` :
+          `${formatAmount(assessment.countableAssets - assessment.resourceLimit)} over the ${formatAmount(assessment.resourceLimit)} limit`),
+      ruleReference: ruleReference(rules, resourceField),
+      amount: assessment.countableAssets,
+      outcome: isResourceEligible ? 'pass' : 'fail'
+    },
+    {
+      category: 'limit',
+      text: `The ${married ? 'married' : 'single'} income limit of ${formatAmount(assessment.incomeLimit)} a month applies`,
+      ruleReference: ruleReference(rules, incomeField),
+      amount: assessment.incomeLimit
+    },
+    {
+      category: 'comparison',
+      text: `Countable income of ${formatAmount(assessment.totalIncome)} a month is ` +
+        (isIncomeEligible ?
+          `within the ${formatAmount(assessment.incomeLimit)} limit` :
+          `${formatAmount(assessment.totalIncome - assessment.incomeLimit)} over the ${formatAmount(assessment.incomeLimit)} limit` +
+          (incomeCap ? '; this is an income cap state, so a qualified income trust is needed' : '')),
+      ruleReference: isIncomeEligible || assessment.longTermCare === false ?
+        ruleReference(rules, incomeField) : ruleReference(rules, 'incomeCapState'),
+      amount: assessment.totalIncome,
+      outcome: isIncomeEligible ? 'pass' : 'fail'
+    }
+  ];
+}
+
+/**
+ * Builds the ordered eligibility trace
+ *
+ * @param {Object} assessment - { countableAssets, totalIncome, resourceLimit, incomeLimit, maritalStatus }
+ *   and optionally the program's resourceField, incomeField and longTermCare
+ * @param {Object} details - { assetClassification, incomeItems, incomeDeductions }
+ * @param {Object} rules - State rules
+ * @returns {Object} { steps: [{ step, category, text, ruleReference, amount, outcome }], conclusion, failedTests }
+ */
+function buildEligibilityExplanation(assessment, details, rules) {
+  const steps = [
+    ...explainAssets(details.assetClassification || null, assessment.countableAssets, rules),
+    ...explainIncome(details.incomeItems || [], details.incomeDeductions || [], rules),
+    ...explainComparisons(assessment, rules)
+  ].map((entry, index) => ({ step: index + 1, ...entry }));
+
+  const failedTests = steps
+    .filter(entry => entry.category === 'comparison' && entry.outcome === 'fail')
+    .map(entry => entry.text);
+
+  return {
+    steps,
+    conclusion: failedTests.length === 0 ?
+      'The client meets the resource and income tests' :
+      `The client does not yet qualify: ${failedTests.join('; ')}`,
+    failedTests
+  };
+}
+
+module.exports = {
+  buildEligibilityExplanation
+};
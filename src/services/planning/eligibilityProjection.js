@@ -0,0 +1,215 @@
+// src/services/planning/eligibilityProjection.js
+const logger = require('../../config/logger');
+const { resolveAsOfDate } = require('../utils/effectiveDate');
+const { getProjectionAssumptions } = require('./ruleProjection');
+
+/**
+ * MONTH-BY-MONTH ELIGIBILITY PROJECTION
+ * Simulates each candidate plan month by month: while the client is not yet
+ * eligible (countable assets over the limit, or serving a transfer penalty)
+ * care is paid privately from income and then assets; once eligible the
+ * client pays only the patient liability (income less the personal needs
+ * allowance). Income eligibility is assumed (met directly or through a
+ * qualified income trust).
+ */
+
+const PROJECTION_MONTHS = 60;
+
+/**
+ * Builds the starting situation for a projection from an eligibility assessment
+ *
+ * @param {Object} assessment - Eligibility assessment ({ countableAssets, resourceLimit, totalIncome })
+ * @param {Object} rules - State rules (averageNursingHomeCost, monthlyPersonalNeedsAllowance, penaltyDivisor)
+ * @param {Object} [overrides] - Situation values to use instead (e.g. careCost, penaltyMonths)
+ * @returns {Object} Projection situation
+ */
+function getProjectionSituation(assessment, rules = {}, overrides = {}) {
+  return {
+    countableAssets: assessment.countableAssets || 0,
+    resourceLimit: assessment.resourceLimit || 0,
+    monthlyIncome: assessment.totalIncome || 0,
+    careCost: rules.averageNursingHomeCost || 0,
+    personalNeedsAllowance: rules.monthlyPersonalNeedsAllowance || 0,
+    penaltyDivisor: rules.penaltyDivisor || 0,
+    // Penalty months already incurred by past transfers
+    penaltyMonths: 0,
+    ...overrides
+  };
+}
+
+/**
+ * Builds the default candidate plans for a situation
+ *
+ * @param {Object} situation - Projection situation
+ * @returns {Array} Plans as { id, label, spendDown, transfers }
+ */
+function buildCandidatePlans(situation) {
+  const excess = Math.max(0, situation.countableAssets - situation.resourceLimit);
+  const plans = [{
+    id: 'private_pay',
+    label: 'Private pay until countable assets reach the limit',
+    spendDown: [],
+    transfers: []
+  }];
+
+  if (excess > 0) {
+    plans.push({
+      id: 'spend_down',
+      label: 'Spend the excess on exempt purchases now',
+      spendDown: [{ month: 0, amount: excess, description: 'Exempt purchases (home repairs, vehicle, prepaid funeral)' }],
+      transfers: []
+    });
+  }
+
+  return plans;
+}
+
+/**
+ * Gets the first-of-month date a number of months after the start date
+ *
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {number} month - Months after the start
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getMonthDate(startDate, month) {
+  const [year, monthIndex] = startDate.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthIndex - 1 + month, 1));
+  return date.toISOString().substring(0, 10);
+}
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Sums a plan's scheduled amounts for one month
+ *
+ * @param {Array} entries - Scheduled { month, amount } entries
+ * @param {number} month - Month index
+ * @returns {number} Total for the month
+ */
+function scheduledFor(entries = [], month) {
+  return entries
+    .filter(entry => (entry.month || 0) === month)
+    .reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+}
+
+/**
+ * Simulates one plan month by month
+ *
+ * @param {Object} situation - Projection situation
+ * @param {Object} plan - Candidate plan ({ id, label, spendDown, transfers })
+ * @param {Object} settings - { startDate, months, careCostRate }
+ * @returns {Object} { id, label, eligibleMonth, eligibilityDate, totalPrivatePay, totalPenaltyMonths, series }
+ */
+function simulatePlan(situation, plan, settings) {
+  const { startDate, months, careCostRate } = settings;
+  let balance = situation.countableAssets;
+  // Penalties run only once the client is otherwise eligible
+  let penaltyOwed = situation.penaltyMonths || 0;
+  let totalPenaltyMonths = penaltyOwed;
+  let eligibleMonth = null;
+  let totalPrivatePay = 0;
+  const series = [];
+
+  for (let month = 0; month < months; month++) {
+    const startingBalance = balance;
+    // Care costs rise once a year
+    const careCost = roundCents(situation.careCost * Math.pow(1 + careCostRate, Math.floor(month / 12)));
+    const spendDown = Math.min(balance, scheduledFor(plan.spendDown, month));
+    balance -= spendDown;
+    const transfers = Math.min(balance, scheduledFor(plan.transfers, month));
+    balance -= transfers;
+    if (transfers > 0 && situation.penaltyDivisor > 0) {
+      penaltyOwed += transfers / situation.penaltyDivisor;
+      totalPenaltyMonths += transfers / situation.penaltyDivisor;
+    }
+
+    const resourceEligible = balance <= situation.resourceLimit;
+    const penaltyThisMonth = resourceEligible ? Math.min(1, penaltyOwed) : 0;
+    penaltyOwed -= penaltyThisMonth;
+
+    // Care not covered by Medicaid: the whole month before eligibility, the penalty share after
+    const privateShare = resourceEligible ? penaltyThisMonth : 1;
+    const privateCost = careCost * privateShare;
+    const patientLiability = roundCents(Math.max(0, situation.monthlyIncome - situation.personalNeedsAllowance) * (1 - privateShare));
+    const assetDraw = Math.min(balance, Math.max(0, privateCost - situation.monthlyIncome * privateShare));
+    balance -= assetDraw;
+    totalPrivatePay += privateCost;
+
+    const eligible = resourceEligible && penaltyThisMonth === 0;
+    if (eligible && eligibleMonth === null) {
+      eligibleMonth = month;
+    }
+
+    series.push({
+      month,
+      date: getMonthDate(startDate, month),
+      startingBalance: roundCents(startingBalance),
+      income: situation.monthlyIncome,
+      careCost,
+      spendDown: roundCents(spendDown),
+      transfers: roundCents(transfers),
+      privatePay: roundCents(privateCost),
+      patientLiability,
+      inPenalty: penaltyThisMonth > 0,
+      penaltyMonthsRemaining: roundCents(penaltyOwed),
+      endingBalance: roundCents(balance),
+      eligible
+    });
+  }
+
+  return {
+    id: plan.id,
+    label: plan.label,
+    eligibleMonth,
+    eligibilityDate: eligibleMonth === null ? null : getMonthDate(startDate, eligibleMonth),
+    totalPrivatePay: roundCents(totalPrivatePay),
+    totalSpendDown: roundCents(series.reduce((sum, entry) => sum + entry.spendDown, 0)),
+    totalTransfers: roundCents(series.reduce((sum, entry) => sum + entry.transfers, 0)),
+    totalPenaltyMonths: roundCents(totalPenaltyMonths),
+    series
+  };
+}
+
+/**
+ * Projects eligibility month by month for each candidate plan
+ *
+ * @param {Object} situation - Projection situation (see getProjectionSituation)
+ * @param {Object} [options]
+ * @param {string|Date} [options.startDate] - First projected month (defaults to today)
+ * @param {number} [options.months] - Months to project (default 60)
+ * @param {Array} [options.plans] - Candidate plans as { id, label, spendDown: [{ month, amount }], transfers: [{ month, amount }] }
+ * @param {Object} [options.assumptions] - Rate overrides; careCostRate raises the care cost each year
+ * @returns {Object} { startDate, months, situation, careCostRate, plans, earliest }
+ *   earliest is the plan reaching eligibility first, or null if none does within the window
+ */
+function projectEligibility(situation, options = {}) {
+  const startDate = resolveAsOfDate(options.startDate);
+  const months = options.months || PROJECTION_MONTHS;
+  const { careCostRate } = getProjectionAssumptions(options.assumptions);
+  const plans = options.plans || buildCandidatePlans(situation);
+
+  logger.debug(`Projecting eligibility for ${plans.length} plans over ${months} months from ${startDate}`);
+
+  const results = plans.map(plan => simulatePlan(situation, plan, { startDate, months, careCostRate }));
+  const earliest = results
+    .filter(result => result.eligibleMonth !== null)
+    .sort((a, b) => a.eligibleMonth - b.eligibleMonth)[0];
+
+  return {
+    startDate,
+    months,
+    situation,
+    careCostRate,
+    plans: results,
+    earliest: earliest ?
+      { planId: earliest.id, eligibleMonth: earliest.eligibleMonth, eligibilityDate: earliest.eligibilityDate } :
+      null
+  };
+}
+
+module.exports = {
+  PROJECTION_MONTHS,
+  getProjectionSituation,
+  buildCandidatePlans,
+  projectEligibility
+};
@@ -3,13 +3,32 @@
 const logger = require('../../config/logger');
 const { EstateRecoveryRules } = require('../../models');
 const { getMedicaidRules } = require('../utils/medicaidRulesLoader'); // Use existing medicaid rules loader
+const { applyRegionalRules, resolveClientLocation } = require('../utils/regionalRules');
+const { projectRules } = require('./ruleProjection');
+const { getRuleYear } = require('../utils/effectiveDate');
+const { isItemizedAssets, getRecoverableEstate } = require('../utils/assetClassification');
 
-function calculateEstateRecoveryThresholds(stateRules) {
-  const homeEquityLimit = stateRules.homeEquityLimit || 713000;
-  const avgNursingHomeCost = stateRules.averageNursingHomeCost || 8000;
-  const resourceLimit = stateRules.resourceLimitSingle || 2000;
+// Years ahead the recovery thresholds are projected when no horizon is given
+const DEFAULT_PROJECTION_YEARS = 5;
+
+/**
+ * Calculates the asset and home value thresholds used to score recovery risk
+ * Asset thresholds scale with the average nursing home cost in the client's
+ * region when the state publishes regional costs.
+ * 
+ * @param {Object} stateRules - State Medicaid rules
+ * @param {Object} [location] - Client location ({ county, zip })
+ * @returns {Object} Risk thresholds
+ */
+function calculateEstateRecoveryThresholds(stateRules, location) {
+  const rules = applyRegionalRules(stateRules, location);
+  const homeEquityLimit = rules.homeEquityLimit || 713000;
+  const avgNursingHomeCost = rules.averageNursingHomeCost || 8000;
+  const resourceLimit = rules.resourceLimitSingle || 2000;
   
   return {
+    averageNursingHomeCost: avgNursingHomeCost,
+    region: rules.region,
     highRiskAssetThreshold: avgNursingHomeCost * 18,
     mediumRiskAssetThreshold: avgNursingHomeCost * 9,
     lowRiskAssetThreshold: avgNursingHomeCost * 3,
@@ -19,6 +38,35 @@ function calculateEstateRecoveryThresholds(stateRules) {
   };
 }
 
+/**
+ * Projects the recovery thresholds to a future year, when the estate is
+ * more likely to be settled
+ * 
+ * @param {Object} stateRules - State Medicaid rules in force today
+ * @param {Object} [location] - Client location ({ county, zip })
+ * @param {Object} [options] - Projection options
+ * @param {number} [options.projectionYears] - Years ahead to project (default 5)
+ * @param {Object} [options.projectionAssumptions] - COLA/CPI/care cost rate overrides
+ * @returns {Object} Projected thresholds, each marked estimated
+ */
+function projectEstateRecoveryThresholds(stateRules, location, options = {}) {
+  const years = options.projectionYears || DEFAULT_PROJECTION_YEARS;
+  const targetYear = getRuleYear() + years;
+  const projection = projectRules(applyRegionalRules(stateRules, location), targetYear, options.projectionAssumptions);
+  const { region, ...thresholds } = calculateEstateRecoveryThresholds(projection.rules);
+  
+  return {
+    year: projection.year,
+    estimated: true,
+    basis: `Estimated from ${projection.baseYear} figures using ${Math.round(projection.assumptions.careCostRate * 1000) / 10}% annual care cost growth and ${Math.round(projection.assumptions.cpiRate * 1000) / 10}% CPI`,
+    assumptions: projection.assumptions,
+    region,
+    thresholds: Object.fromEntries(
+      Object.entries(thresholds).map(([name, value]) => [name, { value: Math.round(value), estimated: true }])
+    )
+  };
+}
+
 function calculateRiskScore(assets, clientInfo, state, thresholds, stateRecoveryLevel) {
   let score = 50;
   const hasHome = !!assets.home;
@@ -75,25 +123,36 @@ function calculateRiskScore(assets, clientInfo, state, thresholds, stateRecovery
   return Math.max(0, Math.min(100, score));
 }
 
-async function assessEstateRecoveryRisk(assets, state, clientInfo = {}) {
+async function assessEstateRecoveryRisk(assets, state, clientInfo = {}, options = {}) {
   logger.debug(`Assessing estate recovery risk for ${state}`);
   
   try {
-    const stateRules = getMedicaidRules(state);
+    const stateRules = getMedicaidRules(state, null, options.asOfDate);
     const estateRecoveryData = await EstateRecoveryRules.findByState(state);
     
     if (!estateRecoveryData) {
       throw new Error(`Estate recovery rules not found for state: ${state}`);
     }
     
-    const thresholds = calculateEstateRecoveryThresholds(stateRules);
+    const location = await resolveClientLocation(clientInfo);
+    const thresholds = calculateEstateRecoveryThresholds(stateRules, location);
+    const projectedThresholds = projectEstateRecoveryThresholds(stateRules, location, options);
     const stateRecoveryLevel = estateRecoveryData.recovery_aggressiveness;
+    
+    // Itemized assets are scored on what recovery can reach given how each is titled
+    const assetItems = options.assetItems || (isItemizedAssets(assets) ? assets : null);
+    const recoverableEstate = assetItems ?
+      getRecoverableEstate(assetItems, { expandedEstate: estateRecoveryData.expanded_estate_definition }) :
+      null;
+    const scoredAssets = recoverableEstate ?
+      { home: recoverableEstate.homeValue, other: recoverableEstate.total - recoverableEstate.homeValue } :
+      assets;
   
-    const hasHome = !!assets.home;
-    const homeValue = assets.home || 0;
-    const totalAssets = Object.values(assets).reduce((sum, value) => sum + (value || 0), 0);
+    const hasHome = !!scoredAssets.home;
+    const homeValue = scoredAssets.home || 0;
+    const totalAssets = Object.values(scoredAssets).reduce((sum, value) => sum + (value || 0), 0);
     
-    const riskScore = calculateRiskScore(assets, clientInfo, state, thresholds, stateRecoveryLevel);
+    const riskScore = calculateRiskScore(scoredAssets, clientInfo, state, thresholds, stateRecoveryLevel);
     
     // Adjust risk level thresholds for better alignment with test expectations
     let riskLevel;
@@ -135,6 +194,8 @@ async function assessEstateRecoveryRisk(assets, state, clientInfo = {}) {
       state: state.toUpperCase(),
       homeValue,
       thresholds,
+      projectedThresholds,
+      recoverableEstate,
       stateRecoveryLevel,
       riskFactors,
       recoveryExemptions: estateRecoveryData.exceptions || []
@@ -426,11 +487,11 @@ async function developEstateRecoveryPlan(riskAssessment, clientInfo, assets, sta
   }
 }
 
-async function medicaidEstateRecoveryPlanning(clientInfo, assets, state) {
+async function medicaidEstateRecoveryPlanning(clientInfo, assets, state, options = {}) {
   logger.info(`Starting estate recovery planning process for ${state}`);
   
   try {
-    const riskAssessment = await assessEstateRecoveryRisk(assets, state, clientInfo);
+    const riskAssessment = await assessEstateRecoveryRisk(assets, state, clientInfo, options);
     const plan = await developEstateRecoveryPlan(riskAssessment, clientInfo, assets, state);
     
     const recommendations = [
@@ -455,7 +516,8 @@ async function medicaidEstateRecoveryPlanning(clientInfo, assets, state) {
       implementationSteps: plan.implementationSteps,
       recommendations,
       planSummary: plan.planSummary,
-      riskFactors: riskAssessment.riskFactors
+      riskFactors: riskAssessment.riskFactors,
+      projectedThresholds: riskAssessment.projectedThresholds
     };
   } catch (error) {
     logger.error(`Error in estate recovery planning: ${error.message}`);
@@ -468,5 +530,7 @@ async function medicaidEstateRecoveryPlanning(clientInfo, assets, state) {
 
 module.exports = {
   assessEstateRecoveryRisk,
+  calculateEstateRecoveryThresholds,
+  projectEstateRecoveryThresholds,
   developEstateRecoveryPlan,
   medicaidEstateRecoveryPlanning};
\ No newline at end of file
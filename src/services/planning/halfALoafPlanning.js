@@ -0,0 +1,310 @@
+// src/services/planning/halfALoafPlanning.js
+const logger = require('../../config/logger');
+const { getMedicaidRulesFromDb, normalizeStateKey } = require('../utils/medicaidRulesLoader');
+const { classifyAssets, calculateTotalIncome } = require('../utils/eligibilityUtils');
+const { resolveAsOfDate, asOfDateToDate } = require('../utils/effectiveDate');
+const { applyRegionalRules, resolveClientLocation } = require('../utils/regionalRules');
+const { analyzePastTransfers, calculatePenaltyPeriod } = require('./divestmentPlanning');
+const { calculateAnnuityPayment, getStateAnnuityRequirements } = require('./annuityPlanning');
+
+/**
+ * HALF-A-LOAF PLANNING
+ * Crisis planning for a single applicant: part of the excess assets is given
+ * away and the rest is converted into a Medicaid-compliant annuity or
+ * promissory note (or, in the reverse version, the whole excess is given and
+ * part of it returned) whose payments, with the applicant's income, pay for
+ * care during the transfer penalty the gift causes. The solver finds the
+ * largest gift whose penalty is fully funded that way.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * How the retained assets pay for care during the penalty
+ */
+const FUNDING_VEHICLES = {
+  annuity: {
+    label: 'Medicaid-compliant single premium immediate annuity',
+    requirements: [
+      'Irrevocable and non-assignable',
+      'Equal monthly payments with no deferral or balloon payment',
+      'Term no longer than the applicant\'s life expectancy',
+      'The state is named remainder beneficiary for the Medicaid it pays'
+    ]
+  },
+  promissory_note: {
+    label: 'Medicaid-compliant promissory note',
+    requirements: [
+      'Repayment term no longer than the lender\'s life expectancy',
+      'Equal monthly payments with no deferral or balloon payment',
+      'No cancellation of the balance at the lender\'s death'
+    ]
+  },
+  reverse: {
+    label: 'Reverse half-a-loaf (gift of the full excess, part returned)',
+    requirements: [
+      'The state must reduce the penalty for a partial return of transferred assets',
+      'The returned funds are spent on care and other needs during the penalty'
+    ]
+  }
+};
+
+/**
+ * Finds the largest gift whose penalty the retained assets can pay for
+ * The retained assets pay the monthly shortfall (care cost and other expenses
+ * less income) for each month of the penalty, the penalty being the gift
+ * divided by the penalty divisor. Payments are made for whole months.
+ *
+ * @param {Object} inputs
+ * @param {number} inputs.excessAssets - Countable assets over the resource limit
+ * @param {number} inputs.monthlyIncome - Applicant's monthly income
+ * @param {number} inputs.monthlyCareCost - Private-pay cost of care per month
+ * @param {number} inputs.penaltyDivisor - State (or regional) penalty divisor
+ * @param {number} [inputs.otherMonthlyExpenses=0] - Other costs paid during the penalty (premiums, personal needs)
+ * @param {number} [inputs.annualRate=0] - Interest rate the annuity or note pays, in percent
+ * @returns {Object} { giftAmount, retainedAmount, monthlyShortfall, termMonths, monthlyPayment }
+ */
+function solveHalfALoaf(inputs) {
+  const excessAssets = Math.max(0, inputs.excessAssets || 0);
+  const divisor = inputs.penaltyDivisor;
+  const annualRate = inputs.annualRate || 0;
+  const monthlyShortfall = roundCents(Math.max(0,
+    (inputs.monthlyCareCost || 0) + (inputs.otherMonthlyExpenses || 0) - (inputs.monthlyIncome || 0)));
+
+  if (!(divisor > 0)) {
+    throw new Error('A positive penalty divisor is required');
+  }
+
+  const monthlyRate = annualRate / 100 / 12;
+  const presentValueFactor = months => monthlyRate > 0 ? (1 - Math.pow(1 + monthlyRate, -months)) / monthlyRate : months;
+
+  let giftAmount = 0;
+  let termMonths = 0;
+  const longestPenalty = Math.ceil(excessAssets / divisor);
+  for (let months = 1; months <= longestPenalty; months++) {
+    // The gift that makes a penalty of this many (part) months, and what funding it leaves to give
+    const gift = Math.floor(Math.min(months * divisor, excessAssets - monthlyShortfall * presentValueFactor(months)));
+    if (gift > (months - 1) * divisor && gift > giftAmount) {
+      giftAmount = gift;
+      termMonths = months;
+    }
+  }
+
+  const retainedAmount = roundCents(excessAssets - giftAmount);
+  const monthlyPayment = termMonths > 0 && retainedAmount > 0 ?
+    roundCents(calculateAnnuityPayment(retainedAmount, annualRate, termMonths)) : 0;
+
+  return { giftAmount, retainedAmount, monthlyShortfall, termMonths, monthlyPayment };
+}
+
+/**
+ * Builds the month-by-month cash flow from the start of the penalty
+ *
+ * @param {Object} penalty - Result of calculatePenaltyPeriod
+ * @param {Object} solution - Result of solveHalfALoaf
+ * @param {Object} inputs - Solver inputs
+ * @returns {Array} Months as { month, penaltyDays, income, planPayment, privatePayCost, net, balance }
+ *   planPayment is the annuity or note payment, or the returned funds drawn in the reverse version
+ */
+function buildCashFlow(penalty, solution, inputs) {
+  const start = asOfDateToDate(penalty.penaltyStart);
+  const end = asOfDateToDate(penalty.penaltyEnd);
+  const monthlyCost = (inputs.monthlyCareCost || 0) + (inputs.otherMonthlyExpenses || 0);
+  const cashFlow = [];
+  let balance = 0;
+
+  for (let index = 0; ; index++) {
+    const monthStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + index, 1));
+    const nextMonth = new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1));
+    if (index >= solution.termMonths && monthStart >= end) {
+      break;
+    }
+
+    const from = start > monthStart ? start : monthStart;
+    const to = end < nextMonth ? end : nextMonth;
+    const penaltyDays = Math.max(0, Math.round((to - from) / DAY_MS));
+    const daysInMonth = Math.round((nextMonth - monthStart) / DAY_MS);
+    const privatePayCost = roundCents(monthlyCost * penaltyDays / daysInMonth);
+    const planPayment = index < solution.termMonths ? solution.monthlyPayment : 0;
+    // Income only pays for care while the penalty runs; afterwards Medicaid budgets it
+    const income = penaltyDays > 0 ? inputs.monthlyIncome || 0 : 0;
+    const net = roundCents(income + planPayment - privatePayCost);
+    balance = roundCents(balance + net);
+
+    cashFlow.push({
+      month: monthStart.toISOString().substring(0, 7),
+      penaltyDays,
+      income,
+      planPayment,
+      privatePayCost,
+      net,
+      balance
+    });
+  }
+
+  return cashFlow;
+}
+
+/**
+ * Plans a half-a-loaf gift with its funding vehicle, penalty and cash flow
+ *
+ * @param {Object} inputs - Solver inputs (see solveHalfALoaf)
+ * @param {Object} rules - State rules (penalty divisor, transfer penalty method, annuity rules)
+ * @param {Object} [options]
+ * @param {string} [options.vehicle='annuity'] - 'annuity', 'promissory_note' or 'reverse'
+ * @param {string|Date} [options.giftDate] - Date of the gift (defaults to today)
+ * @param {string} [options.recipient] - Who receives the gift
+ * @param {Object} [options.location] - Client location ({ county, zip }) selecting a regional penalty divisor
+ * @param {number} [options.lifeExpectancyMonths] - Applicant's remaining life expectancy, checked against the term
+ * @returns {Object} { giftAmount, retainedAmount, fundingVehicle, penalty, cashFlow, fullyFunded, considerations }
+ */
+function planHalfALoaf(inputs, rules, options = {}) {
+  const vehicle = options.vehicle || 'annuity';
+  if (!FUNDING_VEHICLES[vehicle]) {
+    throw new Error(`Unknown funding vehicle: ${vehicle}. Expected one of ${Object.keys(FUNDING_VEHICLES).join(', ')}`);
+  }
+
+  const giftDate = resolveAsOfDate(options.giftDate);
+  const regionalRules = applyRegionalRules(rules, options.location);
+  const solverInputs = {
+    ...inputs,
+    penaltyDivisor: inputs.penaltyDivisor || regionalRules.penaltyDivisor,
+    // Returned funds are held as cash and earn nothing
+    annualRate: vehicle === 'reverse' ? 0 : inputs.annualRate || 0
+  };
+  const solution = solveHalfALoaf(solverInputs);
+
+  // The retained assets leave the applicant at the resource limit, so the penalty starts with the gift
+  const analysis = analyzePastTransfers(
+    solution.giftAmount > 0 ?
+      [{ id: 'half_a_loaf_gift', date: giftDate, recipient: options.recipient || 'family', amount: solution.giftAmount, documentation: 'planned gift' }] :
+      [],
+    null,
+    { asOfDate: giftDate, rules: regionalRules }
+  );
+  const penalty = calculatePenaltyPeriod(analysis, null, {
+    asOfDate: giftDate,
+    otherwiseEligibleDate: giftDate,
+    rules: { ...regionalRules, penaltyDivisor: solverInputs.penaltyDivisor }
+  });
+  const cashFlow = buildCashFlow(penalty, solution, solverInputs);
+
+  const considerations = [...FUNDING_VEHICLES[vehicle].requirements];
+  if (vehicle === 'annuity') {
+    considerations.push(...getStateAnnuityRequirements(rules));
+  }
+  if (vehicle === 'reverse') {
+    considerations.push(`Give $${(solution.giftAmount + solution.retainedAmount).toLocaleString()} and have $${solution.retainedAmount.toLocaleString()} returned`);
+    if (regionalRules.transferPenaltyRules && regionalRules.transferPenaltyRules.returnRule === 'full_only') {
+      considerations.push('The state credits only a full return, so the partial return will not reduce the penalty; use an annuity or promissory note instead');
+    }
+  }
+  const incomeDuringPenalty = (inputs.monthlyIncome || 0) + (vehicle === 'reverse' ? 0 : solution.monthlyPayment);
+  if (rules.incomeCapState && incomeDuringPenalty > rules.incomeLimitSingle) {
+    considerations.push(`Income of $${roundCents(incomeDuringPenalty).toLocaleString()} during the penalty is over the ` +
+      `$${rules.incomeLimitSingle.toLocaleString()} income cap; a qualified income trust is needed for the applicant to be otherwise eligible`);
+  }
+  if (options.lifeExpectancyMonths && solution.termMonths > options.lifeExpectancyMonths) {
+    considerations.push(`The ${solution.termMonths}-month term is longer than the applicant's life expectancy, so the ${vehicle === 'reverse' ? 'plan' : 'vehicle'} is not actuarially sound`);
+  }
+
+  return {
+    giftAmount: solution.giftAmount,
+    retainedAmount: solution.retainedAmount,
+    monthlyShortfall: solution.monthlyShortfall,
+    fundingVehicle: {
+      vehicle,
+      label: FUNDING_VEHICLES[vehicle].label,
+      principal: solution.retainedAmount,
+      annualRate: solverInputs.annualRate,
+      termMonths: solution.termMonths,
+      monthlyPayment: solution.monthlyPayment,
+      totalPayments: roundCents(solution.monthlyPayment * solution.termMonths),
+      firstPaymentDate: penalty.penaltyStart
+    },
+    penalty: {
+      penaltyDivisor: solverInputs.penaltyDivisor,
+      penaltyMonths: penalty.penaltyMonths,
+      penaltyDays: penalty.penaltyDays,
+      start: penalty.penaltyStart,
+      end: penalty.penaltyEnd,
+      aggregation: penalty.aggregation,
+      periodUnit: penalty.periodUnit,
+      region: regionalRules.region
+    },
+    cashFlow,
+    fullyFunded: cashFlow.every(month => month.balance >= 0),
+    considerations
+  };
+}
+
+/**
+ * Half-a-loaf planning workflow for a single applicant
+ *
+ * @param {Object} clientInfo - Client demographics
+ * @param {Object|Array} assets - Client's assets (itemized, flat, or { countable })
+ * @param {Object} income - Income sources
+ * @param {string} state - State of application
+ * @param {Object} [options] - Planning options
+ * @param {string|Date} [options.asOfDate] - Date whose rule set applies and the gift is made (defaults to today)
+ * @param {number} [options.monthlyCareCost] - Private-pay cost of care (defaults to the state's average nursing home cost)
+ * @param {number} [options.otherMonthlyExpenses] - Other costs paid during the penalty
+ * @param {string} [options.vehicle] - 'annuity', 'promissory_note' or 'reverse'
+ * @param {number} [options.annualRate] - Interest rate the annuity or note pays, in percent
+ * @param {Object} [options.location] - Client location ({ county, zip }); read from the client's address if omitted
+ * @returns {Promise<Object>} Half-a-loaf plan
+ */
+async function medicaidHalfALoafPlanning(clientInfo, assets, income, state, options = {}) {
+  try {
+    const maritalStatus = (clientInfo.maritalStatus || clientInfo.marital_status || 'single').toLowerCase();
+    if (maritalStatus === 'married') {
+      throw new Error('Half-a-loaf planning applies to single applicants; a married couple\'s excess is planned through the community spouse allowance');
+    }
+
+    const asOfDate = resolveAsOfDate(options.asOfDate);
+    const rules = await getMedicaidRulesFromDb(normalizeStateKey(state), asOfDate);
+    const location = options.location || await resolveClientLocation(clientInfo);
+
+    const countableAssets = assets.countable !== undefined ?
+      assets.countable : classifyAssets(assets, { rules }).countableAssets;
+    const excessAssets = Math.max(0, countableAssets - rules.resourceLimitSingle);
+    const { countableIncome } = calculateTotalIncome(income || {}, { rules, budgeting: 'gross' });
+    const regionalRules = applyRegionalRules(rules, location);
+
+    logger.info(`Solving half-a-loaf for $${excessAssets} excess in ${state}`);
+
+    const plan = planHalfALoaf({
+      excessAssets,
+      monthlyIncome: countableIncome,
+      monthlyCareCost: options.monthlyCareCost || regionalRules.averageNursingHomeCost,
+      otherMonthlyExpenses: options.otherMonthlyExpenses || 0,
+      annualRate: options.annualRate || 0
+    }, rules, {
+      vehicle: options.vehicle,
+      giftDate: asOfDate,
+      location,
+      lifeExpectancyMonths: options.lifeExpectancyMonths
+    });
+
+    return {
+      status: 'success',
+      asOfDate,
+      countableAssets,
+      excessAssets,
+      monthlyIncome: countableIncome,
+      ...plan
+    };
+  } catch (error) {
+    logger.error(`Error in half-a-loaf planning: ${error.message}`);
+    return { status: 'error', error: error.message };
+  }
+}
+
+module.exports = {
+  FUNDING_VEHICLES,
+  solveHalfALoaf,
+  planHalfALoaf,
+  medicaidHalfALoafPlanning
+};
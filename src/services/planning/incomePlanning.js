@@ -1,6 +1,7 @@
 const logger = require('../../config/logger');
 const medicaidRulesLoader = require('../utils/medicaidRulesLoader');
 const eligibilityUtils = require('../utils/eligibilityUtils');
+const { evaluateMedicallyNeedy } = require('./medicallyNeedy');
 
 /**
  * Assesses a client's income situation for Medicaid
@@ -170,9 +171,10 @@ async function calculateShareOfCost(incomeSituation, expenses, state, rules) {
  * 
  * @param {Object} incomeSituation - Income assessment from assessIncomeSituation
  * @param {number} shareOfCost - Calculated share of cost
+ * @param {Object} [medicallyNeedy] - Spend-down evaluation from evaluateMedicallyNeedy
  * @returns {Array<Object>} Income planning strategy objects
  */
-function determineIncomeStrategies(incomeSituation, shareOfCost) {
+function determineIncomeStrategies(incomeSituation, shareOfCost, medicallyNeedy) {
   logger.debug('Determining income strategies');
   
   const strategies = [];
@@ -266,6 +268,41 @@ function determineIncomeStrategies(incomeSituation, shareOfCost) {
     });
   }
   
+  // Income over the limit can still qualify through a medically needy program
+  if (incomeSituation.exceedsLimit && medicallyNeedy && medicallyNeedy.available && medicallyNeedy.spendDown > 0) {
+    const period = medicallyNeedy.budgetPeriodMonths === 1 ? 'month' : `${medicallyNeedy.budgetPeriodMonths}-month budget period`;
+    strategies.push({
+      id: `income-${strategyId++}`,
+      type: 'medically-needy',
+      name: 'Medically Needy Spend-Down',
+      description: `Qualify through ${incomeSituation.state}'s medically needy program: income over the $${medicallyNeedy.incomeLimit} medically needy income limit is offset by medical bills, a spend-down of $${medicallyNeedy.spendDown} per ${period}.`,
+      pros: [
+        'No trust required',
+        'Income over the limit does not disqualify',
+        'Nursing home and other medical bills count toward the spend-down',
+        'Coverage resumes each budget period once bills are incurred'
+      ],
+      cons: [
+        'No coverage until the spend-down is met each period',
+        'Bills must be documented and submitted',
+        'Spend-down repeats every budget period',
+        'Budget period is set by the state'
+      ],
+      effectiveness: medicallyNeedy.spendDownMet ? 'High' : 'Medium',
+      timing: `Every ${period}`,
+      estimatedCost: `$${medicallyNeedy.spendDown} in medical expenses per ${period}`,
+      monthlyImpact: medicallyNeedy.spendDownMet ?
+        `Projected bills meet the spend-down in month ${medicallyNeedy.metInMonth}, covering ${medicallyNeedy.coveredMonths} month(s) of the period` :
+        `Projected bills fall $${medicallyNeedy.shortfall} short of the spend-down`,
+      specificActions: [
+        'Collect bills for all medical expenses, paid or unpaid',
+        'Include health insurance premiums and prescriptions',
+        'Submit bills to the caseworker as they are incurred',
+        'Track the spend-down balance each budget period'
+      ]
+    });
+  }
+  
   if (shareOfCost > 1500) {
     strategies.push({
       id: `income-${strategyId++}`,
@@ -583,9 +620,13 @@ async function implementIncomePlan(strategies, clientInfo, income) {
  * @param {Object} income - Client's income sources
  * @param {Object} expenses - Client's expenses
  * @param {string} state - State of application
+ * @param {Object} [options] - Planning options
+ * @param {number|Array} [options.projectedMedicalExpenses] - Projected medical bills for the spend-down
+ *   (monthly amount or per-month list; defaults to the medical expenses)
+ * @param {string|Date} [options.asOfDate] - Date whose rules apply (defaults to today)
  * @returns {Promise<Object>} Complete income planning result
  */
-async function medicaidIncomePlanning(clientInfo, income, expenses, state) {
+async function medicaidIncomePlanning(clientInfo, income, expenses, state, options = {}) {
   logger.info(`Starting income planning for ${state || 'unknown state'}`);
   
   try {
@@ -618,7 +659,7 @@ async function medicaidIncomePlanning(clientInfo, income, expenses, state) {
       expenses = {};
     }
     
-    const rules = await medicaidRulesLoader.loadMedicaidRules(state);
+    const rules = await medicaidRulesLoader.loadMedicaidRules(state, options.asOfDate);
     
     if (!rules || !rules[state.toLowerCase()]) {
       return {
@@ -636,7 +677,12 @@ async function medicaidIncomePlanning(clientInfo, income, expenses, state) {
     
     const costResult = await calculateShareOfCost(incomeSituation, expenses, state, rules[state.toLowerCase()]);
     
-    const incomeStrategies = determineIncomeStrategies(incomeSituation, costResult.shareOfCost);
+    const medicallyNeedy = evaluateMedicallyNeedy(incomeSituation.totalIncome, rules[state.toLowerCase()], {
+      projectedMedicalExpenses: options.projectedMedicalExpenses !== undefined ?
+        options.projectedMedicalExpenses : expenses.medical
+    });
+    
+    const incomeStrategies = determineIncomeStrategies(incomeSituation, costResult.shareOfCost, medicallyNeedy);
     
     const incomeApproach = planIncomeApproach(incomeStrategies, incomeSituation, costResult.shareOfCost);
     
@@ -651,6 +697,7 @@ async function medicaidIncomePlanning(clientInfo, income, expenses, state) {
       incomeSituation,
       shareOfCost: costResult.shareOfCost,
       deductions: costResult.deductions,
+      medicallyNeedy,
       incomeStrategies,
       incomeApproach,
       planningApproach: incomeApproach,
@@ -3,6 +3,12 @@
 const logger = require('../../config/logger');
 const { validateAllInputs } = require('../validation/inputValidation');
 const { loadMedicaidRules } = require('../utils/medicaidRulesLoader');
+const { resolveAsOfDate } = require('../utils/effectiveDate');
+const { applyRegionalRules, resolveClientLocation } = require('../utils/regionalRules');
+const { buildPlanningProvenance, buildProvenanceTree } = require('../utils/ruleProvenance');
+const { classifyAssets } = require('../utils/eligibilityUtils');
+const { classifyAssetItems, itemsToFlatAssets, withRetirementIncome } = require('../utils/assetClassification');
+const { getProjectionSituation, projectEligibility } = require('./eligibilityProjection');
 
 // Import all the planning modules in their logical sequence
 const { medicaidCarePlanning } = require('./carePlanning');
@@ -23,21 +29,30 @@ const { medicaidEstateRecoveryPlanning } = require('./estateRecovery');
  * in their logical sequence
  * 
  * @param {Object} clientInfo - Client demographic information
- * @param {Object} assets - Client's asset data
+ * @param {Object|Array} assets - Client's asset data (flat { type: amount } map or itemized list)
  * @param {Object} income - Client's income data
  * @param {Object} expenses - Client's expenses data
  * @param {Object} medicalInfo - Client's medical conditions and functional assessments
  * @param {Object} livingInfo - Client's current living situation
  * @param {string} state - The state of application
+ * @param {Object} [options] - Planning options
+ * @param {string|Date} [options.asOfDate] - Date whose rule set applies (defaults to today)
+ * @param {boolean} [options.explain] - Include the full rule provenance tree
+ * @param {Object} [options.projectionAssumptions] - COLA/CPI/care cost rates for projected future-year figures
+ * @param {Array} [options.priorMonths] - Asset and income snapshots for the months before application (retroactive coverage)
+ * @param {string} [options.programType] - Program applied for: institutional, hcbs_waiver, community_aged_blind_disabled or pace
  * @returns {Promise<Object>} Complete Medicaid planning result
  */
-async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInfo, livingInfo, state) {
+async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInfo, livingInfo, state, options = {}) {
   logger.info(`Starting comprehensive Medicaid planning for ${state}`);
   
   try {
+    // Resolve the date whose rule set every module evaluates against
+    const asOfDate = resolveAsOfDate(options.asOfDate);
+    
     // Validate all inputs
     const validationResult = await validateAllInputs(
-      clientInfo, assets, income, expenses, medicalInfo, state
+      clientInfo, assets, income, expenses, medicalInfo, state, { asOfDate }
     );
     
     if (!validationResult.valid) {
@@ -51,8 +66,9 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
     // Use normalized data from validation
     const normalizedData = validationResult.normalizedData;
     const normalizedClientInfo = normalizedData.clientInfo;
-    const normalizedAssets = normalizedData.assets;
-    const normalizedIncome = normalizedData.income;
+    let normalizedAssets = normalizedData.assets;
+    let normalizedIncome = normalizedData.income;
+    let assetClassification = normalizedData.assetClassification;
     const normalizedExpenses = normalizedData.expenses;
     const normalizedState = normalizedData.state;
     
@@ -60,7 +76,18 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
     const maritalStatus = normalizedClientInfo.maritalStatus || 'single';
     
     // Load Medicaid rules data
-    const rulesData = await loadMedicaidRules(normalizedState);
+    const rulesData = await loadMedicaidRules(normalizedState, asOfDate);
+    
+    // Rules as applied to this client (regional divisor and care cost), for provenance
+    const location = await resolveClientLocation(normalizedClientInfo);
+    const appliedRules = applyRegionalRules(Object.values(rulesData)[0], location);
+    
+    // Retirement accounts in payout status are a resource or income depending on the state
+    if (normalizedData.assetItems) {
+      assetClassification = classifyAssetItems(normalizedData.assetItems, { rules: appliedRules });
+      normalizedAssets = itemsToFlatAssets(assetClassification);
+      normalizedIncome = withRetirementIncome(normalizedIncome, assetClassification);
+    }
     
     // Step 1: Care Planning
     const carePlanningResult = await medicaidCarePlanning(
@@ -69,7 +96,8 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
     
     // Step 2: Eligibility Assessment
     const eligibilityResult = await medicaidEligibilityAssessment(
-      normalizedClientInfo, normalizedAssets, normalizedIncome, normalizedState, maritalStatus
+      normalizedClientInfo, normalizedAssets, normalizedIncome, normalizedState,
+      { asOfDate, programType: options.programType, assetClassification }
     );
     
     // Step 3: Related Benefits Planning
@@ -84,22 +112,23 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
     
     // Step 5: Income Planning
     const incomePlanningResult = await medicaidIncomePlanning(
-      normalizedClientInfo, normalizedIncome, normalizedExpenses, normalizedState
+      normalizedClientInfo, normalizedIncome, normalizedExpenses, normalizedState, { asOfDate }
     );
     
     // Step 6: Trust Planning
     const trustPlanningResult = await medicaidTrustPlanning(
-      normalizedClientInfo, normalizedAssets, normalizedIncome, eligibilityResult, normalizedState
+      normalizedClientInfo, normalizedAssets, normalizedIncome, eligibilityResult, normalizedState,
+      { asOfDate, projectionAssumptions: options.projectionAssumptions }
     );
     
     // Step 7: Annuity Planning
     const annuityPlanningResult = await medicaidAnnuityPlanning(
-      normalizedClientInfo, normalizedAssets, normalizedIncome, eligibilityResult, normalizedState
+      normalizedClientInfo, normalizedAssets, normalizedIncome, eligibilityResult, normalizedState, { asOfDate }
     );
     
     // Step 8: Divestment Planning
     const divestmentPlanningResult = await medicaidDivestmentPlanning(
-      normalizedClientInfo, normalizedAssets, null, normalizedState
+      normalizedClientInfo, normalizedAssets, null, normalizedState, { asOfDate, assetItems: normalizedData.assetItems }
     );
     
     // Step 9: Community Spouse Planning (only for married clients)
@@ -110,7 +139,7 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
     
     if (maritalStatus === 'married') {
       communitySpousePlanningResult = await medicaidCommunitySpousePlanning(
-        normalizedClientInfo, normalizedAssets, normalizedIncome, normalizedExpenses, normalizedState
+        normalizedClientInfo, normalizedAssets, normalizedIncome, normalizedExpenses, normalizedState, { asOfDate }
       );
     }
     
@@ -124,7 +153,8 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
         annuityPlanningResult,
         divestmentPlanningResult,
         communitySpousePlanningResult
-      }, normalizedState
+      }, normalizedState,
+      { priorMonths: options.priorMonths, applicationDate: asOfDate, rules: appliedRules }
     );
     
     // Step 11: Post-Eligibility Planning
@@ -134,7 +164,8 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
     
     // Step 12: Estate Recovery Planning
     const estateRecoveryPlanningResult = await medicaidEstateRecoveryPlanning(
-      normalizedClientInfo, normalizedAssets, normalizedState
+      normalizedClientInfo, normalizedAssets, normalizedState,
+      { asOfDate, projectionAssumptions: options.projectionAssumptions, assetItems: normalizedData.assetItems }
     );
     
     // Combine all strategies for frontend
@@ -343,6 +374,16 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
     }
     
     logger.info(`Total strategies generated: ${allStrategies.length}`);
+    
+    // Month-by-month path to eligibility under each candidate plan
+    const eligibilityProjection = eligibilityResult.eligibilityResult ?
+      projectEligibility(
+        getProjectionSituation(eligibilityResult.eligibilityResult, appliedRules, {
+          penaltyMonths: (divestmentPlanningResult.penaltyCalculation && divestmentPlanningResult.penaltyCalculation.penaltyMonths) || 0
+        }),
+        { startDate: asOfDate, assumptions: options.projectionAssumptions }
+      ) :
+      null;
 
     // Combine all results into a comprehensive planning report
     const planningResult = {
@@ -355,6 +396,10 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
       eligibility: eligibilityResult.eligibilityResult,
       eligibilityStrategies: eligibilityResult.eligibilityStrategies,
       eligibilityPlan: eligibilityResult.eligibilityPlan,
+      eligibilityProjection,
+      programComparison: eligibilityResult.programComparison,
+      // Step-by-step trace of the limits and comparisons behind the eligibility result
+      explanation: eligibilityResult.explanation,
       
       // Related Benefits
       benefitEligibility: relatedBenefitsPlanningResult.eligibility,
@@ -365,6 +410,8 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
       assetSituation: assetPlanningResult.situation,
       assetStrategies: assetPlanningResult.strategies,
       assetPlan: assetPlanningResult.approach,
+      // Countable / exempt / excluded verdict and reason per asset
+      assetClassification: assetClassification || classifyAssets(normalizedAssets),
       
       // Income Planning
       incomeSituation: incomePlanningResult.incomeSituation,
@@ -374,6 +421,8 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
       // Trust Planning
       trustStrategies: trustPlanningResult.strategies,
       trustPlan: trustPlanningResult.approach,
+      // Estimated limits once the trust clears the lookback (projected, not published)
+      projectedLimits: trustPlanningResult.projectedLimits || null,
       
       // Annuity Planning
       annuityStrategies: annuityPlanningResult.strategies,
@@ -389,6 +438,8 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
       
       // Application Planning
       applicationPlan: applicationPlanningResult.applicationApproach,
+      retroactiveEligibility: applicationPlanningResult.retroactiveEligibility || null,
+      recommendedApplicationDates: applicationPlanningResult.recommendedDates || null,
       
       // Post-Eligibility Planning
       postEligibilityStrategies: postEligibilityPlanningResult.strategies,
@@ -397,6 +448,7 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
       // Estate Recovery Planning
       estateRecoveryStrategies: estateRecoveryPlanningResult.strategies,
       estateRecoveryPlan: estateRecoveryPlanningResult.approach,
+      projectedRecoveryThresholds: estateRecoveryPlanningResult.projectedThresholds || null,
       
       // Combined strategies for frontend
       strategies: allStrategies,
@@ -404,9 +456,19 @@ async function medicaidPlanning(clientInfo, assets, income, expenses, medicalInf
       // Store normalized data for test verification
       normalizedData: normalizedData,
       
+      // Date whose rule set was applied
+      asOfDate,
+      
+      // Where each rule figure came from (rule row, effective date, citation)
+      provenance: buildPlanningProvenance(appliedRules, { maritalStatus }),
+      
       status: 'success'
     };
     
+    if (options.explain) {
+      planningResult.provenanceTree = buildProvenanceTree(appliedRules, { maritalStatus, asOfDate });
+    }
+    
     logger.info('Comprehensive Medicaid planning completed successfully');
     
     return planningResult;
@@ -441,7 +503,17 @@ function generateMedicaidPlanningReport(planningResult) {
   // Eligibility Section
   report += "2. ELIGIBILITY ASSESSMENT\n";
   report += "-------------------------\n";
-  report += planningResult.eligibilityPlan + "\n\n";
+  report += planningResult.eligibilityPlan + "\n";
+  if (planningResult.explanation && planningResult.explanation.steps.length > 0) {
+    report += "\nHow this was determined:\n";
+    planningResult.explanation.steps.forEach(step => {
+      report += `${step.step}. ${step.text}\n`;
+    });
+    if (planningResult.explanation.conclusion) {
+      report += `Result: ${planningResult.explanation.conclusion}\n`;
+    }
+  }
+  report += "\n";
   
   // Related Benefits Section
   report += "3. RELATED BENEFITS PLANNING\n";
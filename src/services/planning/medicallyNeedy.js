@@ -0,0 +1,88 @@
+// src/services/planning/medicallyNeedy.js
+const logger = require('../../config/logger');
+
+/**
+ * MEDICALLY NEEDY (SPEND-DOWN) PATHWAY
+ * In a medically needy state, income over the medically needy income limit
+ * (MNIL) does not disqualify the applicant. The excess for the whole budget
+ * period is the spend-down: once incurred medical expenses in the period
+ * reach it, Medicaid covers the rest of the period.
+ */
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Spreads projected medical bills over the months of a budget period
+ *
+ * @param {number|Array} projectedMedicalExpenses - Monthly amount, or amounts for each month of the period
+ * @param {number} budgetPeriodMonths - Months in the budget period
+ * @returns {Array} Expense per month of the period
+ */
+function getMonthlyExpenses(projectedMedicalExpenses, budgetPeriodMonths) {
+  const months = Array.from({ length: budgetPeriodMonths }, (_, index) => index);
+
+  if (Array.isArray(projectedMedicalExpenses)) {
+    return months.map(index => parseFloat(projectedMedicalExpenses[index]) || 0);
+  }
+
+  const monthly = parseFloat(projectedMedicalExpenses) || 0;
+  return months.map(() => monthly);
+}
+
+/**
+ * Evaluates medically needy eligibility for one budget period
+ *
+ * @param {number} monthlyIncome - Countable monthly income
+ * @param {Object} rules - State rules (medicallyNeedyProgram, medicallyNeedyIncomeLimit, medicallyNeedyBudgetPeriodMonths)
+ * @param {Object} [options]
+ * @param {number|Array} [options.projectedMedicalExpenses] - Projected medical bills (monthly amount or per-month list)
+ * @returns {Object} { available, incomeLimit, budgetPeriodMonths, monthlyExcessIncome, spendDown,
+ *   projectedMedicalExpenses, spendDownMet, metInMonth, shortfall, coveredMonths }
+ *   spendDown is the amount for the whole budget period; metInMonth is the
+ *   1-based month of the period in which the bills reach it (null if they do not)
+ */
+function evaluateMedicallyNeedy(monthlyIncome, rules = {}, options = {}) {
+  if (!rules.medicallyNeedyProgram || typeof rules.medicallyNeedyIncomeLimit !== 'number') {
+    return {
+      available: false,
+      reason: 'State has no medically needy program'
+    };
+  }
+
+  const incomeLimit = rules.medicallyNeedyIncomeLimit;
+  const budgetPeriodMonths = rules.medicallyNeedyBudgetPeriodMonths || 1;
+  const income = parseFloat(monthlyIncome) || 0;
+  const monthlyExcessIncome = roundCents(Math.max(0, income - incomeLimit));
+  const spendDown = roundCents(monthlyExcessIncome * budgetPeriodMonths);
+
+  logger.debug(`Medically needy spend-down of $${spendDown} over ${budgetPeriodMonths} month(s)`);
+
+  const expenses = getMonthlyExpenses(options.projectedMedicalExpenses, budgetPeriodMonths);
+  let incurred = 0;
+  let metInMonth = spendDown === 0 ? 1 : null;
+  expenses.forEach((amount, index) => {
+    incurred += amount;
+    if (metInMonth === null && incurred >= spendDown) {
+      metInMonth = index + 1;
+    }
+  });
+
+  return {
+    available: true,
+    incomeLimit,
+    budgetPeriodMonths,
+    monthlyIncome: income,
+    monthlyExcessIncome,
+    spendDown,
+    projectedMedicalExpenses: roundCents(incurred),
+    spendDownMet: metInMonth !== null,
+    metInMonth,
+    shortfall: roundCents(Math.max(0, spendDown - incurred)),
+    // Coverage runs from the day the spend-down is met to the end of the period
+    coveredMonths: metInMonth === null ? 0 : budgetPeriodMonths - metInMonth + 1
+  };
+}
+
+module.exports = {
+  evaluateMedicallyNeedy
+};
@@ -0,0 +1,301 @@
+// src/services/planning/programEligibility.js
+const logger = require('../../config/logger');
+const { evaluateMedicallyNeedy } = require('./medicallyNeedy');
+const { ValidationError } = require('../validation/validationErrors');
+
+/**
+ * MEDICAID PROGRAM TYPES
+ * Nursing home, home and community-based waiver, PACE and community aged,
+ * blind and disabled coverage are separate eligibility groups. The long-term
+ * care groups share the special income limit and spousal impoverishment
+ * protections but budget differently after eligibility; community coverage
+ * uses the lower SSI or poverty-level limits and measures a couple together.
+ */
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Supported program types
+ */
+const PROGRAM_TYPES = {
+  institutional: {
+    label: 'Nursing home (institutional) Medicaid',
+    longTermCare: true,
+    requirements: ['Needs a nursing facility level of care', 'Resides in a Medicaid-certified nursing facility']
+  },
+  hcbs_waiver: {
+    label: 'Home and community-based services (HCBS) waiver',
+    longTermCare: true,
+    requirements: ['Needs a nursing facility level of care', 'A waiver slot is available (many states keep waiting lists)']
+  },
+  community_aged_blind_disabled: {
+    label: 'Community Medicaid for the aged, blind and disabled',
+    longTermCare: false,
+    requirements: ['Aged 65 or older, blind or disabled']
+  },
+  pace: {
+    label: 'Program of All-Inclusive Care for the Elderly (PACE)',
+    longTermCare: true,
+    minimumAge: 55,
+    requirements: ['Aged 55 or older', 'Needs a nursing facility level of care', 'Lives in a PACE organization service area']
+  }
+};
+
+const DEFAULT_PROGRAM_TYPE = 'institutional';
+
+/**
+ * Checks a program type and applies the default
+ *
+ * @param {string} [programType] - Requested program type
+ * @returns {string} Program type
+ * @throws {ValidationError} If the program type is not supported
+ */
+function resolveProgramType(programType) {
+  const resolved = programType || DEFAULT_PROGRAM_TYPE;
+  if (!PROGRAM_TYPES[resolved]) {
+    throw new ValidationError(`Unknown program type: ${programType}. Expected one of ${Object.keys(PROGRAM_TYPES).join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Reads the non-financial facts the program types depend on from client info
+ *
+ * @param {Object} clientInfo - Client demographics (camelCase or snake_case keys)
+ * @returns {Object} { maritalStatus, age, blind, disabled, nursingFacilityLevelOfCare }
+ */
+function getProgramFacts(clientInfo = {}) {
+  const levelOfCare = clientInfo.nursing_facility_level_of_care !== undefined ?
+    clientInfo.nursing_facility_level_of_care : clientInfo.nursingFacilityLevelOfCare;
+
+  return {
+    maritalStatus: (clientInfo.maritalStatus || clientInfo.marital_status || 'single').toLowerCase(),
+    age: typeof clientInfo.age === 'number' ? clientInfo.age : null,
+    blind: Boolean(clientInfo.blind),
+    disabled: Boolean(clientInfo.disabled),
+    // Unknown unless stated; only an explicit false rules a long-term care program out
+    nursingFacilityLevelOfCare: levelOfCare === undefined ? null : Boolean(levelOfCare)
+  };
+}
+
+/**
+ * Gets the resource and income limits a program applies
+ *
+ * @param {string} programType - Program type
+ * @param {Object} rules - State rules
+ * @param {boolean} married - Whether the applicant is married
+ * @returns {Object} { resourceLimit, incomeLimit, resourceField, incomeField } - the fields are the rules the limits come from
+ */
+function getProgramLimits(programType, rules, married) {
+  if (PROGRAM_TYPES[programType].longTermCare) {
+    return {
+      resourceLimit: married ? (rules.resourceLimitMarried || rules.assetLimitMarried) : (rules.resourceLimitSingle || rules.assetLimitSingle),
+      incomeLimit: married ? (rules.incomeLimitMarried || rules.nursingHomeIncomeLimitMarried) : (rules.incomeLimitSingle || rules.nursingHomeIncomeLimitSingle),
+      resourceField: married ? 'resourceLimitMarried' : 'resourceLimitSingle',
+      incomeField: married ? 'incomeLimitMarried' : 'incomeLimitSingle'
+    };
+  }
+
+  return {
+    resourceLimit: married ? rules.resourceLimitCouple : rules.resourceLimitSingle,
+    incomeLimit: married ? rules.communityIncomeLimitCouple : rules.communityIncomeLimitSingle,
+    resourceField: married ? 'resourceLimitCouple' : 'resourceLimitSingle',
+    incomeField: married ? 'communityIncomeLimitCouple' : 'communityIncomeLimitSingle'
+  };
+}
+
+/**
+ * Lists the reasons a program does not apply to the client at all
+ *
+ * @param {string} programType - Program type
+ * @param {Object} facts - Result of getProgramFacts
+ * @returns {Array} Reasons (empty if the program applies)
+ */
+function getApplicabilityReasons(programType, facts) {
+  const program = PROGRAM_TYPES[programType];
+  const reasons = [];
+
+  if (program.longTermCare && facts.nursingFacilityLevelOfCare === false) {
+    reasons.push('Client does not need a nursing facility level of care');
+  }
+  if (program.minimumAge && facts.age !== null && facts.age < program.minimumAge) {
+    reasons.push(`Client is under the minimum age of ${program.minimumAge}`);
+  }
+  if (programType === 'community_aged_blind_disabled' && facts.age !== null && facts.age < 65 && !facts.blind && !facts.disabled) {
+    reasons.push('Client is under 65 and not blind or disabled');
+  }
+
+  return reasons;
+}
+
+/**
+ * Works out how a program counts income once the client is eligible
+ *
+ * @param {string} programType - Program type
+ * @param {number} totalIncome - Countable monthly income
+ * @param {Object} rules - State rules
+ * @param {Object|null} medicallyNeedy - Spend-down result when income is over the limit
+ * @returns {Object} { method, allowance, monthlyCostShare, description }
+ */
+function getBudgeting(programType, totalIncome, rules, medicallyNeedy) {
+  if (programType === 'institutional') {
+    const allowance = rules.monthlyPersonalNeedsAllowance || 0;
+    return {
+      method: 'institutional_post_eligibility',
+      allowance,
+      monthlyCostShare: roundCents(Math.max(0, totalIncome - allowance)),
+      description: 'Income above the personal needs allowance is paid to the nursing facility'
+    };
+  }
+
+  if (programType === 'hcbs_waiver' || programType === 'pace') {
+    const allowance = rules.hcbsMaintenanceAllowance || rules.incomeLimitSingle || 0;
+    return {
+      method: 'community_post_eligibility',
+      allowance,
+      monthlyCostShare: roundCents(Math.max(0, totalIncome - allowance)),
+      description: 'Income above the personal maintenance allowance is paid toward the cost of care'
+    };
+  }
+
+  return {
+    method: 'community_budgeting',
+    allowance: null,
+    monthlyCostShare: medicallyNeedy && medicallyNeedy.available ? medicallyNeedy.monthlyExcessIncome : 0,
+    description: 'No post-eligibility cost share; income over the limit is met as a medically needy spend-down'
+  };
+}
+
+/**
+ * Describes the spousal rules a program applies
+ *
+ * @param {string} programType - Program type
+ * @param {Object} rules - State rules
+ * @param {boolean} married - Whether the applicant is married
+ * @returns {Object|null} Spousal rules, or null for a single applicant
+ */
+function getSpousalRules(programType, rules, married) {
+  if (!married) {
+    return null;
+  }
+
+  if (PROGRAM_TYPES[programType].longTermCare) {
+    return {
+      method: 'spousal_impoverishment',
+      communitySpouseResourceAllowance: rules.communitySpouseResourceAllowanceMax || null,
+      minimumMonthlyMaintenanceNeedsAllowance: rules.monthlyMaintenanceNeedsAllowanceMin || null,
+      description: 'The community spouse keeps a resource allowance and may receive an income allowance from the applicant'
+    };
+  }
+
+  return {
+    method: 'couple_budgeting',
+    description: 'Both spouses\' resources and income are combined and measured against the couple limits'
+  };
+}
+
+/**
+ * Evaluates the client against one program type
+ *
+ * @param {string} programType - Program type (see PROGRAM_TYPES)
+ * @param {Object} facts - Result of getProgramFacts
+ * @param {Object} financials - { countableAssets, totalIncome, countableIncome } (countableIncome is after disregards)
+ * @param {Object} rules - State rules
+ * @returns {Object} { programType, label, applicable, reasons, resourceLimit, incomeLimit, testedIncome, isResourceEligible,
+ *   isIncomeEligible, incomePathway, medicallyNeedy, eligible, budgeting, spousalRules, requirements }
+ *   incomePathway is 'within_limit', 'qualified_income_trust', 'medically_needy' or null (no pathway)
+ */
+function evaluateProgram(programType, facts, financials, rules) {
+  const type = resolveProgramType(programType);
+  const program = PROGRAM_TYPES[type];
+  const married = facts.maritalStatus === 'married';
+  const { resourceLimit, incomeLimit } = getProgramLimits(type, rules, married);
+
+  if (typeof resourceLimit !== 'number' || typeof incomeLimit !== 'number') {
+    throw new Error(`Missing asset or income limits for ${program.label}`);
+  }
+
+  const countableAssets = financials.countableAssets || 0;
+  // Long-term care groups test gross income against the special income limit;
+  // community coverage tests income after the SSI disregards
+  const totalIncome = program.longTermCare || financials.countableIncome === undefined ?
+    (financials.totalIncome || 0) : financials.countableIncome;
+  const isResourceEligible = countableAssets <= resourceLimit;
+  const isIncomeEligible = totalIncome <= incomeLimit;
+
+  let incomePathway = isIncomeEligible ? 'within_limit' : null;
+  let medicallyNeedy = null;
+  if (!isIncomeEligible) {
+    // The income trust only opens the special income limit groups
+    if (program.longTermCare && rules.incomeCapState) {
+      incomePathway = 'qualified_income_trust';
+    } else {
+      medicallyNeedy = evaluateMedicallyNeedy(totalIncome, rules);
+      incomePathway = medicallyNeedy.available ? 'medically_needy' : null;
+    }
+  }
+
+  const reasons = getApplicabilityReasons(type, facts);
+  const applicable = reasons.length === 0;
+
+  logger.debug(`${program.label}: resources ${isResourceEligible ? 'met' : 'not met'}, income pathway ${incomePathway || 'none'}`);
+
+  return {
+    programType: type,
+    label: program.label,
+    applicable,
+    reasons,
+    resourceLimit,
+    incomeLimit,
+    testedIncome: totalIncome,
+    isResourceEligible,
+    isIncomeEligible,
+    incomePathway,
+    medicallyNeedy,
+    eligible: applicable && isResourceEligible && incomePathway !== null,
+    budgeting: getBudgeting(type, totalIncome, rules, medicallyNeedy),
+    spousalRules: getSpousalRules(type, rules, married),
+    requirements: program.requirements
+  };
+}
+
+/**
+ * Evaluates the client against every program type side by side
+ *
+ * @param {Object} facts - Result of getProgramFacts
+ * @param {Object} financials - { countableAssets, totalIncome, countableIncome }
+ * @param {Object} rules - State rules
+ * @returns {Object} { programs, eligiblePrograms }
+ */
+function comparePrograms(facts, financials, rules) {
+  const married = facts.maritalStatus === 'married';
+  const programs = Object.keys(PROGRAM_TYPES).map(programType => {
+    const { resourceLimit, incomeLimit } = getProgramLimits(programType, rules, married);
+    if (typeof resourceLimit !== 'number' || typeof incomeLimit !== 'number') {
+      // Older rule sets carry only the nursing home limits
+      return {
+        programType,
+        label: PROGRAM_TYPES[programType].label,
+        applicable: false,
+        reasons: ['State rules do not set limits for this program'],
+        eligible: false
+      };
+    }
+    return evaluateProgram(programType, facts, financials, rules);
+  });
+
+  return {
+    programs,
+    eligiblePrograms: programs.filter(program => program.eligible).map(program => program.programType)
+  };
+}
+
+module.exports = {
+  PROGRAM_TYPES,
+  DEFAULT_PROGRAM_TYPE,
+  resolveProgramType,
+  getProgramFacts,
+  getProgramLimits,
+  evaluateProgram,
+  comparePrograms
+};
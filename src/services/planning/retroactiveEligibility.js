@@ -0,0 +1,191 @@
+// src/services/planning/retroactiveEligibility.js
+const logger = require('../../config/logger');
+const { resolveAsOfDate } = require('../utils/effectiveDate');
+const { evaluateMedicallyNeedy } = require('./medicallyNeedy');
+
+/**
+ * RETROACTIVE ELIGIBILITY
+ * Medicaid can cover up to three months before the month of application
+ * (Social Security Act §1902(a)(34)) if the applicant met every eligibility
+ * test in that month; some states have shortened or waived this. Each prior
+ * month is judged on its own snapshot of countable assets and income.
+ */
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Gets the YYYY-MM month a number of months from a date
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} offset - Months to add (negative for earlier months)
+ * @returns {string} Month in YYYY-MM format
+ */
+function shiftMonth(date, offset) {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + offset, 1)).toISOString().substring(0, 7);
+}
+
+/**
+ * Gets the last day of a month
+ *
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function lastDayOfMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).toISOString().substring(0, 10);
+}
+
+/**
+ * Sums a snapshot's income, given as a number or by source
+ *
+ * @param {number|Object} income - Monthly income
+ * @returns {number} Total monthly income
+ */
+function totalOf(income) {
+  if (income && typeof income === 'object') {
+    return Object.values(income).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+  }
+  return parseFloat(income) || 0;
+}
+
+/**
+ * Judges one prior month
+ *
+ * @param {string} month - Month in YYYY-MM format
+ * @param {Object} [snapshot] - { month, countable_assets, income, medical_expenses, qit_funded }
+ * @param {Object} rules - State rules
+ * @param {Object} limits - { resourceLimit, incomeLimit }
+ * @returns {Object} Month result with coverable, reasons and estimatedRecovery
+ */
+function evaluateMonth(month, snapshot, rules, limits) {
+  if (!snapshot) {
+    return { month, coverable: false, reasons: ['No asset and income snapshot for this month'], estimatedRecovery: 0 };
+  }
+
+  const countableAssets = parseFloat(snapshot.countable_assets) || 0;
+  const income = totalOf(snapshot.income);
+  const medicalExpenses = parseFloat(snapshot.medical_expenses) || 0;
+  const reasons = [];
+  let spendDown = 0;
+
+  if (countableAssets > limits.resourceLimit) {
+    reasons.push(`Countable assets of $${countableAssets} exceeded the $${limits.resourceLimit} limit`);
+  }
+
+  if (income > limits.incomeLimit) {
+    if (rules.incomeCapState) {
+      // A qualified income trust only helps from the month it was funded
+      if (!snapshot.qit_funded) {
+        reasons.push(`Income of $${income} exceeded the $${limits.incomeLimit} cap and no qualified income trust was funded`);
+      }
+    } else {
+      const medicallyNeedy = evaluateMedicallyNeedy(income, { ...rules, medicallyNeedyBudgetPeriodMonths: 1 }, {
+        projectedMedicalExpenses: medicalExpenses
+      });
+      if (!medicallyNeedy.available) {
+        reasons.push(`Income of $${income} exceeded the $${limits.incomeLimit} limit`);
+      } else if (!medicallyNeedy.spendDownMet) {
+        reasons.push(`Medical bills did not meet the $${medicallyNeedy.spendDown} medically needy spend-down`);
+      } else {
+        spendDown = medicallyNeedy.spendDown;
+      }
+    }
+  }
+
+  const coverable = reasons.length === 0;
+  // Medicaid pays the bills less the patient liability (and any spend-down)
+  const patientLiability = roundCents(Math.max(0, income - (rules.monthlyPersonalNeedsAllowance || 0)));
+
+  return {
+    month,
+    coverable,
+    reasons,
+    countableAssets,
+    income,
+    medicalExpenses,
+    patientLiability,
+    spendDown,
+    estimatedRecovery: coverable ? roundCents(Math.max(0, medicalExpenses - patientLiability - spendDown)) : 0
+  };
+}
+
+/**
+ * Determines which of the months before application retroactive coverage can reach
+ *
+ * @param {Array} priorMonths - Snapshots as { month: 'YYYY-MM', countable_assets, income, medical_expenses, qit_funded }
+ * @param {Object} rules - State rules (retroactiveCoverageMonths, limits, monthlyPersonalNeedsAllowance)
+ * @param {Object} [options]
+ * @param {string|Date} [options.applicationDate] - Planned application date (defaults to today)
+ * @param {string} [options.maritalStatus] - Applicant marital status
+ * @returns {Object} { applicationMonth, retroactiveCoverageMonths, stateWaived, months, coverableMonths,
+ *   estimatedRecovery, recommendation: { requestCoverageFrom, applyBy, notes } }
+ */
+function analyzeRetroactiveEligibility(priorMonths = [], rules = {}, options = {}) {
+  const applicationDate = resolveAsOfDate(options.applicationDate);
+  const applicationMonth = applicationDate.substring(0, 7);
+  const retroactiveCoverageMonths = rules.retroactiveCoverageMonths === undefined ? 3 : rules.retroactiveCoverageMonths;
+  const limits = {
+    resourceLimit: options.maritalStatus === 'married' ? rules.resourceLimitMarried : rules.resourceLimitSingle,
+    incomeLimit: rules.incomeLimitSingle
+  };
+
+  logger.debug(`Analyzing retroactive eligibility before ${applicationMonth} (${retroactiveCoverageMonths} month(s) allowed)`);
+
+  const snapshots = {};
+  (priorMonths || []).forEach(snapshot => {
+    if (snapshot && snapshot.month) {
+      snapshots[String(snapshot.month).substring(0, 7)] = snapshot;
+    }
+  });
+
+  // Oldest month first
+  const months = [3, 2, 1].map(offset => {
+    const month = shiftMonth(applicationDate, -offset);
+    if (offset > retroactiveCoverageMonths) {
+      return {
+        month,
+        coverable: false,
+        reasons: [retroactiveCoverageMonths === 0 ?
+          'State has waived retroactive coverage' :
+          `State limits retroactive coverage to ${retroactiveCoverageMonths} month(s)`],
+        estimatedRecovery: 0
+      };
+    }
+    return evaluateMonth(month, snapshots[month], rules, limits);
+  });
+
+  const coverable = months.filter(month => month.coverable);
+  const earliest = coverable[0];
+  const notes = [];
+
+  if (retroactiveCoverageMonths === 0) {
+    notes.push('Coverage starts no earlier than the month of application, so apply as soon as the applicant is eligible');
+  } else if (earliest) {
+    notes.push(`Request retroactive coverage from ${earliest.month}-01 on the application`);
+    notes.push(`File by ${lastDayOfMonth(shiftMonth(`${earliest.month}-01`, retroactiveCoverageMonths))} or ${earliest.month} falls outside the retroactive period`);
+  } else {
+    notes.push('No prior month is coverable; coverage will start in the month of application');
+  }
+
+  return {
+    applicationDate,
+    applicationMonth,
+    retroactiveCoverageMonths,
+    stateWaived: retroactiveCoverageMonths === 0,
+    months,
+    coverableMonths: coverable.map(month => month.month),
+    estimatedRecovery: roundCents(coverable.reduce((sum, month) => sum + month.estimatedRecovery, 0)),
+    recommendation: {
+      requestCoverageFrom: earliest ? `${earliest.month}-01` : null,
+      applyBy: earliest ?
+        lastDayOfMonth(shiftMonth(`${earliest.month}-01`, retroactiveCoverageMonths)) :
+        lastDayOfMonth(applicationMonth),
+      notes
+    }
+  };
+}
+
+module.exports = {
+  analyzeRetroactiveEligibility
+};
@@ -0,0 +1,143 @@
+// src/services/planning/ruleProjection.js
+const logger = require('../../config/logger');
+const config = require('../../config/config');
+const { resolveAsOfDate, getRuleYear } = require('../utils/effectiveDate');
+
+/**
+ * FUTURE-YEAR RULE PROJECTION
+ * Indexes the rule set in force forward to estimate figures for clients
+ * planning years ahead. Projected figures are estimates, never published
+ * rules, and every one is returned with estimated: true.
+ */
+
+/**
+ * How each rule figure is indexed from year to year
+ * - cola: tied to the SSI federal benefit rate (the 300% special income limit)
+ * - cpi: indexed to CPI-U by statute (spousal impoverishment standards, home equity)
+ * - careCost: follows private-pay nursing home costs (penalty divisor)
+ * - none: set by the state and not indexed, so held at today's figure
+ */
+const PROJECTED_FIGURES = {
+  resourceLimitSingle: 'none',
+  resourceLimitMarried: 'cpi',
+  communitySpouseResourceAllowanceMin: 'cpi',
+  communitySpouseResourceAllowanceMax: 'cpi',
+  monthlyMaintenanceNeedsAllowanceMin: 'cpi',
+  monthlyMaintenanceNeedsAllowanceMax: 'cpi',
+  monthlyPersonalNeedsAllowance: 'none',
+  homeEquityLimit: 'cpi',
+  incomeLimitSingle: 'cola',
+  incomeLimitMarried: 'cola',
+  nursingHomeIncomeLimitSingle: 'cola',
+  nursingHomeIncomeLimitMarried: 'cola',
+  penaltyDivisor: 'careCost',
+  averageNursingHomeCost: 'careCost'
+};
+
+const INDEX_RATES = {
+  cola: 'colaRate',
+  cpi: 'cpiRate',
+  careCost: 'careCostRate'
+};
+
+/**
+ * Gets the projection assumptions, overriding the configured rates
+ *
+ * @param {Object} [overrides] - { colaRate, cpiRate, careCostRate }
+ * @returns {Object} Annual rates used for the projection
+ */
+function getProjectionAssumptions(overrides = {}) {
+  const assumptions = { ...config.ruleProjection };
+
+  Object.keys(assumptions).forEach(key => {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      const rate = Number(overrides[key]);
+      if (!Number.isFinite(rate) || rate < -0.5 || rate > 0.5) {
+        throw new Error(`Invalid projection rate for ${key}: ${overrides[key]}`);
+      }
+      assumptions[key] = rate;
+    }
+  });
+
+  return assumptions;
+}
+
+/**
+ * Projects a rule set to a future year
+ *
+ * @param {Object} rules - Rules in force today (from the Medicaid rules loader)
+ * @param {number|string|Date} target - Target year, or a date in the target year
+ * @param {Object} [assumptions] - Rate overrides ({ colaRate, cpiRate, careCostRate })
+ * @returns {Object} { year, baseYear, yearsAhead, assumptions, figures, rules }
+ *   figures holds { value, baseValue, indexedBy, rate, estimated } per projected field;
+ *   rules is the rule set with projected values substituted
+ */
+function projectRules(rules, target, assumptions = {}) {
+  const rates = getProjectionAssumptions(assumptions);
+  const baseYear = getRuleYear(rules.effectiveDate || undefined);
+  const year = typeof target === 'number' ? target : getRuleYear(resolveAsOfDate(target));
+  const yearsAhead = Math.max(0, year - baseYear);
+
+  logger.debug(`Projecting ${rules.programName || 'Medicaid'} rules from ${baseYear} to ${year}`);
+
+  const figures = {};
+  const projected = { ...rules };
+
+  Object.entries(PROJECTED_FIGURES).forEach(([field, indexedBy]) => {
+    const baseValue = rules[field];
+    if (typeof baseValue !== 'number' || !Number.isFinite(baseValue) || baseValue >= Number.MAX_SAFE_INTEGER) {
+      return;
+    }
+
+    const rate = indexedBy === 'none' ? 0 : rates[INDEX_RATES[indexedBy]];
+    const value = Math.round(baseValue * Math.pow(1 + rate, yearsAhead) * 100) / 100;
+
+    figures[field] = {
+      value,
+      baseValue,
+      indexedBy,
+      rate,
+      // Anything beyond the published rule year is an estimate
+      estimated: yearsAhead > 0
+    };
+    projected[field] = value;
+  });
+
+  projected.projection = { year, baseYear, yearsAhead, estimated: yearsAhead > 0 };
+
+  return {
+    year,
+    baseYear,
+    yearsAhead,
+    estimated: yearsAhead > 0,
+    assumptions: rates,
+    figures,
+    rules: projected
+  };
+}
+
+/**
+ * Projects a rule set for each of the next several years
+ *
+ * @param {Object} rules - Rules in force today
+ * @param {number} [years] - Number of years to project (default 5)
+ * @param {Object} [assumptions] - Rate overrides
+ * @returns {Array} Projection per year, nearest first
+ */
+function projectRulesByYear(rules, years = 5, assumptions = {}) {
+  const baseYear = getRuleYear(rules.effectiveDate || undefined);
+  const projections = [];
+
+  for (let offset = 1; offset <= years; offset++) {
+    projections.push(projectRules(rules, baseYear + offset, assumptions));
+  }
+
+  return projections;
+}
+
+module.exports = {
+  PROJECTED_FIGURES,
+  getProjectionAssumptions,
+  projectRules,
+  projectRulesByYear
+};
@@ -0,0 +1,276 @@
+// src/services/planning/transferExemptions.js
+
+/**
+ * EXEMPT TRANSFERS
+ * The transfers Social Security Act §1917(c)(2) does not penalize, each with
+ * the criteria it has to meet and the documents a caseworker asks for to
+ * prove it. A transfer claiming an exemption qualifies only when every
+ * criterion is met and every document is in hand; a transfer whose criteria
+ * are met or unknown but whose evidence is incomplete might qualify; one
+ * that fails a criterion does not. A claim exempts its transfer only once
+ * every criterion is known to be met: one still missing documents is flagged
+ * for the proof, but one with a criterion not yet confirmed is penalized and
+ * its value reported as potential relief.
+ */
+
+const ACT_1917 = 'Social Security Act §1917(c)(2)';
+
+/**
+ * Documents that prove an exemption
+ */
+const EVIDENCE = {
+  transfer_record: 'Record of the transfer (deed, check, bank statement or bill of sale)',
+  marriage_certificate: 'Marriage certificate',
+  birth_certificate: 'Birth certificate showing the parent-child relationship',
+  disability_determination: 'SSA disability award letter or state disability determination',
+  trust_agreement: 'Trust agreement naming the disabled beneficiary as sole beneficiary',
+  deed: 'Deed to the home before and after the transfer',
+  proof_of_residence: 'Proof the recipient lived in the home (tax returns, license, utility bills)',
+  physician_statement: 'Physician statement that the care provided kept the applicant out of a facility',
+  proof_of_equity_interest: 'Proof of the sibling\'s equity interest in the home',
+  fair_market_value_appraisal: 'Appraisal showing the value the applicant expected to receive',
+  sale_agreement: 'Sale or loan agreement showing the consideration bargained for',
+  statement_of_purpose: 'Written explanation of the purpose of the transfer',
+  medical_records_at_transfer: 'Medical records showing the applicant\'s health when the transfer was made',
+  care_agreement: 'Written care agreement signed before the care was provided',
+  care_log: 'Log of the care services provided and the hours worked'
+};
+
+const RELATIONSHIP_ALIASES = {
+  spouse: ['spouse', 'wife', 'husband'],
+  child: ['child', 'son', 'daughter'],
+  sibling: ['sibling', 'brother', 'sister']
+};
+
+/**
+ * Reads a transfer fact given in snake_case, camelCase or under details
+ *
+ * @param {Object} tx - Transfer
+ * @param {string} key - snake_case key
+ * @returns {*} Value, or undefined when not given
+ */
+function fact(tx, key) {
+  const camelKey = key.replace(/_([a-z])/g, (_match, letter) => letter.toUpperCase());
+  const details = tx.details || {};
+  return [tx[key], tx[camelKey], details[key], details[camelKey]].find(value => value !== undefined);
+}
+
+/**
+ * Gets the recipient's relationship to the applicant
+ *
+ * @param {Object} tx - Transfer
+ * @returns {string|null} spouse, child, sibling, another relationship, or null if unknown
+ */
+function getRelationship(tx) {
+  const given = String(fact(tx, 'recipient_relationship') || tx.relationship || tx.recipient || '').toLowerCase();
+  const match = Object.keys(RELATIONSHIP_ALIASES).find(relationship => RELATIONSHIP_ALIASES[relationship].includes(given));
+  return match || given || null;
+}
+
+/**
+ * Tests a yes/no fact: true, false or null when it was not given
+ *
+ * @param {*} value - Fact value
+ * @returns {boolean|null} Outcome
+ */
+const known = value => value === undefined || value === null ? null : Boolean(value);
+
+/**
+ * Exempt transfer categories with their criteria and required evidence
+ * Each criterion returns true (met), false (not met) or null (not known).
+ */
+const EXEMPT_TRANSFER_CATEGORIES = {
+  spouse: {
+    label: 'Transfer to the spouse, or to another for the sole benefit of the spouse',
+    authority: `${ACT_1917}(B)(i)`,
+    criteria: [
+      { description: 'The recipient is the applicant\'s spouse', test: tx => getRelationship(tx) ? getRelationship(tx) === 'spouse' : null }
+    ],
+    evidence: ['transfer_record', 'marriage_certificate']
+  },
+  blind_or_disabled_child: {
+    label: 'Transfer to a blind or permanently disabled child',
+    authority: `${ACT_1917}(B)(iii)`,
+    criteria: [
+      { description: 'The recipient is the applicant\'s child', test: tx => getRelationship(tx) ? getRelationship(tx) === 'child' : null },
+      {
+        description: 'The child is blind or permanently disabled',
+        test: tx => fact(tx, 'recipient_blind') || fact(tx, 'recipient_disabled') ?
+          true : known(fact(tx, 'recipient_disabled') ?? fact(tx, 'recipient_blind'))
+      }
+    ],
+    evidence: ['transfer_record', 'birth_certificate', 'disability_determination']
+  },
+  disabled_trust: {
+    label: 'Transfer to a trust for the sole benefit of a disabled individual under 65',
+    authority: `${ACT_1917}(B)(iv)`,
+    criteria: [
+      { description: 'The transfer was made to a trust', test: tx => fact(tx, 'recipient_type') ? fact(tx, 'recipient_type') === 'trust' : null },
+      { description: 'The beneficiary is disabled', test: tx => known(fact(tx, 'beneficiary_disabled')) },
+      {
+        description: 'The beneficiary was under 65 when the trust was funded',
+        test: tx => typeof fact(tx, 'beneficiary_age') === 'number' ? fact(tx, 'beneficiary_age') < 65 : null
+      }
+    ],
+    evidence: ['transfer_record', 'trust_agreement', 'disability_determination']
+  },
+  caregiver_child: {
+    label: 'Home transferred to a child who provided care that kept the applicant at home for two years',
+    authority: `${ACT_1917}(A)(iv)`,
+    criteria: [
+      { description: 'The asset transferred is the applicant\'s home', test: tx => fact(tx, 'asset_type') ? fact(tx, 'asset_type') === 'home' : null },
+      { description: 'The recipient is the applicant\'s child', test: tx => getRelationship(tx) ? getRelationship(tx) === 'child' : null },
+      {
+        description: 'The child lived in the home for the two years before the applicant entered a facility',
+        test: tx => typeof fact(tx, 'years_resided') === 'number' ? fact(tx, 'years_resided') >= 2 : null
+      },
+      { description: 'The child\'s care delayed the applicant\'s move to a facility', test: tx => known(fact(tx, 'care_delayed_institutionalization')) }
+    ],
+    evidence: ['deed', 'birth_certificate', 'proof_of_residence', 'physician_statement']
+  },
+  sibling_with_equity: {
+    label: 'Home transferred to a sibling with an equity interest who lived there for a year before institutionalization',
+    authority: `${ACT_1917}(A)(iii)`,
+    criteria: [
+      { description: 'The asset transferred is the applicant\'s home', test: tx => fact(tx, 'asset_type') ? fact(tx, 'asset_type') === 'home' : null },
+      { description: 'The recipient is the applicant\'s sibling', test: tx => getRelationship(tx) ? getRelationship(tx) === 'sibling' : null },
+      { description: 'The sibling has an equity interest in the home', test: tx => known(fact(tx, 'sibling_equity_interest')) },
+      {
+        description: 'The sibling lived in the home for the year before the applicant entered a facility',
+        test: tx => typeof fact(tx, 'years_resided') === 'number' ? fact(tx, 'years_resided') >= 1 : null
+      }
+    ],
+    evidence: ['deed', 'proof_of_equity_interest', 'proof_of_residence']
+  },
+  fair_market_value_intent: {
+    label: 'The applicant intended to receive fair market value or other valuable consideration',
+    authority: `${ACT_1917}(C)(i)`,
+    criteria: [
+      { description: 'The applicant bargained for fair market value', test: tx => known(fact(tx, 'intended_fair_market_value')) }
+    ],
+    evidence: ['transfer_record', 'fair_market_value_appraisal', 'sale_agreement']
+  },
+  other_purpose: {
+    label: 'The transfer was made exclusively for a purpose other than qualifying for Medicaid',
+    authority: `${ACT_1917}(C)(ii)`,
+    criteria: [
+      { description: 'A purpose other than qualifying for Medicaid is stated', test: tx => Boolean(fact(tx, 'stated_purpose')) },
+      {
+        description: 'The applicant did not expect to need long-term care when the transfer was made',
+        test: tx => fact(tx, 'anticipated_long_term_care') === undefined ? null : !fact(tx, 'anticipated_long_term_care')
+      }
+    ],
+    evidence: ['transfer_record', 'statement_of_purpose', 'medical_records_at_transfer']
+  },
+  compensated_care: {
+    label: 'Payment for care services received at fair market value',
+    authority: `${ACT_1917}(C)(i)`,
+    criteria: [
+      {
+        description: 'Care services were provided in return for the payment',
+        test: tx => fact(tx, 'years_of_care') && fact(tx, 'hours_per_week') ? true : null
+      }
+    ],
+    evidence: ['transfer_record', 'care_agreement', 'care_log']
+  }
+};
+
+/**
+ * Reads a transfer's claimed exemption category, recognizing legacy caregiver payments
+ *
+ * @param {Object} tx - Transfer
+ * @returns {string|null} Exemption category
+ */
+function getClaimedExemption(tx) {
+  const category = tx.exemption_category || tx.exemptionCategory;
+  if (category) {
+    return category;
+  }
+  if (tx.purpose === 'caregiver compensation' || (tx.details && tx.details.yearsOfCare && tx.details.hoursPerWeek)) {
+    return 'compensated_care';
+  }
+  return null;
+}
+
+/**
+ * Lists the evidence supplied with a transfer
+ * Any documentation of the transfer counts as the transfer record.
+ *
+ * @param {Object} tx - Transfer
+ * @returns {Array<string>} Evidence keys
+ */
+function getProvidedEvidence(tx) {
+  const given = tx.evidence || tx.exemption_evidence || tx.exemptionEvidence || [];
+  // A single document key is accepted as well as a list
+  const evidence = Array.isArray(given) ? given : [given];
+  return [...new Set([...evidence, ...(tx.documentation ? ['transfer_record'] : [])])];
+}
+
+/**
+ * Evaluates a transfer's claimed exemption against its criteria and evidence
+ *
+ * @param {Object} tx - Transfer
+ * @returns {Object|null} { category, label, authority, status, criteria, unmetCriteria, unknownCriteria,
+ *   providedEvidence, missingEvidence } or null when no exemption is claimed
+ *   status: 'qualifies', 'may_qualify', 'does_not_qualify' or 'unknown_category'
+ */
+function evaluateTransferExemption(tx) {
+  const category = getClaimedExemption(tx);
+  if (!category) {
+    return null;
+  }
+
+  const definition = EXEMPT_TRANSFER_CATEGORIES[category];
+  if (!definition) {
+    return { category, label: null, authority: null, status: 'unknown_category', criteria: [], unmetCriteria: [], unknownCriteria: [], providedEvidence: [], missingEvidence: [] };
+  }
+
+  const criteria = definition.criteria.map(criterion => ({ description: criterion.description, met: criterion.test(tx) }));
+  const providedEvidence = getProvidedEvidence(tx).filter(key => definition.evidence.includes(key));
+  const missingEvidence = definition.evidence
+    .filter(key => !providedEvidence.includes(key))
+    .map(key => ({ key, description: EVIDENCE[key] }));
+  const unmetCriteria = criteria.filter(criterion => criterion.met === false).map(criterion => criterion.description);
+  const unknownCriteria = criteria.filter(criterion => criterion.met === null).map(criterion => criterion.description);
+
+  let status = 'qualifies';
+  if (unmetCriteria.length > 0) {
+    status = 'does_not_qualify';
+  } else if (unknownCriteria.length > 0 || missingEvidence.length > 0) {
+    status = 'may_qualify';
+  }
+
+  return {
+    category,
+    label: definition.label,
+    authority: definition.authority,
+    status,
+    criteria,
+    unmetCriteria,
+    unknownCriteria,
+    providedEvidence,
+    missingEvidence
+  };
+}
+
+/**
+ * Tells whether a claimed exemption keeps its transfer from being penalized:
+ * every criterion must be known to be met, though documents may still be missing
+ *
+ * @param {Object|null} exemption - Result of evaluateTransferExemption
+ * @returns {boolean} True when the transfer is not penalized
+ */
+function isExemptionEstablished(exemption) {
+  if (!exemption) {
+    return false;
+  }
+  return exemption.status === 'qualifies' ||
+    (exemption.status === 'may_qualify' && exemption.unknownCriteria.length === 0);
+}
+
+module.exports = {
+  EVIDENCE,
+  EXEMPT_TRANSFER_CATEGORIES,
+  evaluateTransferExemption,
+  isExemptionEstablished
+};
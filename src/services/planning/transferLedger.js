@@ -0,0 +1,270 @@
+// src/services/planning/transferLedger.js
+const logger = require('../../config/logger');
+const { asOfDateToDate } = require('../utils/effectiveDate');
+const { FEDERAL_TRANSFER_PENALTY_RULES } = require('../../data/stateMedicaidRules');
+const { evaluateTransferExemption, isExemptionEstablished } = require('./transferExemptions');
+
+/**
+ * TRANSFER LEDGER
+ * Records every transfer the applicant made (date, recipient, amount,
+ * consideration received and exemption category) and turns the uncompensated
+ * value of the penalized ones into an itemized penalty schedule. Medicaid has
+ * no annual gift exclusion: every uncompensated transfer in the look-back is
+ * penalized unless it claims an exemption whose criteria are all met
+ * (see transferExemptions). How the penalty is imposed (aggregated or
+ * sequential, daily or partial-month) follows the state's
+ * transferPenaltyRules, and the penalty runs from the date the applicant is
+ * otherwise eligible.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Formats a UTC date as YYYY-MM-DD
+ *
+ * @param {Date} date - Date
+ * @returns {string} ISO calendar date
+ */
+const toIsoDate = date => date.toISOString().split('T')[0];
+
+/**
+ * Number of days in the month a date falls in
+ *
+ * @param {Date} date - UTC date
+ * @returns {number} Days in the month
+ */
+function daysInMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+/**
+ * Adds whole calendar months, keeping the day of the month where it exists
+ *
+ * @param {Date} date - UTC date
+ * @param {number} months - Months to add
+ * @returns {Date} Shifted date
+ */
+function addMonths(date, months) {
+  const firstOfTarget = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const day = Math.min(date.getUTCDate(), daysInMonth(firstOfTarget));
+  return new Date(Date.UTC(firstOfTarget.getUTCFullYear(), firstOfTarget.getUTCMonth(), day));
+}
+
+/**
+ * Parses a transfer date
+ *
+ * @param {*} value - Date value
+ * @returns {Date|null} UTC date, or null if missing or invalid
+ */
+function parseTransferDate(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return asOfDateToDate(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the transfer ledger
+ *
+ * @param {Array} pastTransfers - Transfers made by the applicant
+ * @param {Object} options
+ * @param {Date} options.lookbackDate - Earliest date inside the look-back period
+ * @returns {Object} { entries, documentationIssues }
+ *   entries: [{ id, index, date, recipient, purpose, amount, considerationReceived, uncompensatedValue,
+ *   exemptionCategory, exemptionReason, exemption, withinLookback, penalized, documented, valuation }]
+ *   exemption is the claimed exemption's evaluation; a claim keeps the transfer unpenalized once every
+ *   criterion is met, so a claim only missing evidence is flagged but not penalized, while one with a
+ *   criterion not yet confirmed is penalized
+ */
+function buildTransferLedger(pastTransfers = [], options = {}) {
+  const documentationIssues = [];
+  const entries = [];
+
+  pastTransfers.forEach((tx, index) => {
+    const date = parseTransferDate(tx.date);
+    if (!date) {
+      documentationIssues.push({ transferIndex: index, issue: 'Invalid date format' });
+    }
+    if (!tx.documentation) {
+      documentationIssues.push({ transferIndex: index, issue: 'Missing documentation' });
+    }
+    if (!date) {
+      return;
+    }
+
+    const amount = parseFloat(tx.amount) || 0;
+    const consideration = tx.consideration_received !== undefined ? tx.consideration_received : tx.considerationReceived;
+    const considerationReceived = Math.min(amount, parseFloat(consideration) || 0);
+    const uncompensatedValue = roundCents(amount - considerationReceived);
+    const exemption = evaluateTransferExemption(tx);
+    const withinLookback = date >= options.lookbackDate;
+
+    if (exemption && exemption.status === 'unknown_category') {
+      documentationIssues.push({ transferIndex: index, issue: `Unknown exemption category: ${exemption.category}` });
+    }
+    // An unrecognized category is not an exemption
+    const recognized = exemption && exemption.status !== 'unknown_category' ? exemption : null;
+
+    entries.push({
+      id: tx.id || `transfer_${index + 1}`,
+      index,
+      date: toIsoDate(date),
+      recipient: tx.recipient_name || tx.recipientName || tx.recipient || 'unknown',
+      purpose: tx.purpose || null,
+      amount,
+      considerationReceived,
+      uncompensatedValue,
+      exemptionCategory: recognized ? recognized.category : null,
+      exemptionReason: recognized ? recognized.label : null,
+      exemption: recognized,
+      withinLookback,
+      penalized: withinLookback && uncompensatedValue > 0 && !isExemptionEstablished(recognized),
+      documented: Boolean(tx.documentation),
+      ...(tx.valuation ? { valuation: tx.valuation } : {})
+    });
+  });
+
+  return { entries, documentationIssues };
+}
+
+/**
+ * Advances a date by a fractional number of months: whole calendar months,
+ * then the fraction of the last month as days of that month
+ *
+ * @param {Date} start - UTC date
+ * @param {number} months - Months to advance
+ * @returns {Date} Advanced date
+ */
+function advanceByMonths(start, months) {
+  const wholeMonths = Math.floor(months);
+  const afterWholeMonths = addMonths(start, wholeMonths);
+  const partialDays = Math.floor((months - wholeMonths) * daysInMonth(afterWholeMonths));
+  return new Date(afterWholeMonths.getTime() + partialDays * DAY_MS);
+}
+
+/**
+ * Works out where a penalty for a value ends when it starts on a date
+ *
+ * @param {number} value - Uncompensated value penalized
+ * @param {Date} start - First day of the penalty
+ * @param {number} divisor - Monthly penalty divisor
+ * @param {string} periodUnit - 'partial_month' or 'daily'
+ * @returns {Date} First day after the penalty
+ */
+function getPenaltyEnd(value, start, divisor, periodUnit) {
+  if (value <= 0) {
+    return start;
+  }
+
+  if (periodUnit === 'daily') {
+    const dailyRate = divisor * 12 / 365;
+    return new Date(start.getTime() + Math.floor(value / dailyRate) * DAY_MS);
+  }
+
+  return advanceByMonths(start, value / divisor);
+}
+
+/**
+ * Builds one schedule line
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {Date} start - First day of this transfer's penalty
+ * @param {Date} end - First day after it
+ * @param {number} divisor - Monthly penalty divisor
+ * @returns {Object} Schedule line
+ */
+function scheduleLine(entry, start, end, divisor) {
+  return {
+    transferId: entry.id,
+    date: entry.date,
+    recipient: entry.recipient,
+    uncompensatedValue: entry.uncompensatedValue,
+    penaltyMonths: Math.round(entry.uncompensatedValue / divisor * 10000) / 10000,
+    penaltyDays: Math.round((end - start) / DAY_MS),
+    start: toIsoDate(start),
+    end: toIsoDate(end)
+  };
+}
+
+/**
+ * Imposes the penalty for the penalized ledger entries
+ *
+ * @param {Array} entries - Penalized ledger entries (date may be null for an undated total)
+ * @param {Object} options
+ * @param {number} options.divisor - Monthly penalty divisor
+ * @param {Object} [options.penaltyRules] - State transferPenaltyRules (federal defaults if omitted)
+ * @param {string|Date} options.otherwiseEligibleDate - Date the applicant is otherwise eligible for Medicaid
+ * @returns {Object} { aggregation, periodUnit, penaltyStart, penaltyEnd, penaltyDays, penaltyMonths, schedule }
+ *   schedule lines run back to back; end is the first day after each line's penalty
+ */
+function buildPenaltySchedule(entries, options) {
+  const penaltyRules = { ...FEDERAL_TRANSFER_PENALTY_RULES, ...(options.penaltyRules || {}) };
+  const { aggregation, periodUnit } = penaltyRules;
+  const divisor = options.divisor;
+  const otherwiseEligible = asOfDateToDate(options.otherwiseEligibleDate);
+  const chronological = [...entries].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+  // A penalty cannot start before the first day of the month of the transfer
+  const earliestStart = entry => {
+    if (!entry.date) {
+      return otherwiseEligible;
+    }
+    const transferDate = asOfDateToDate(entry.date);
+    const firstOfMonth = new Date(Date.UTC(transferDate.getUTCFullYear(), transferDate.getUTCMonth(), 1));
+    return firstOfMonth > otherwiseEligible ? firstOfMonth : otherwiseEligible;
+  };
+
+  const schedule = [];
+  if (aggregation === 'sequential') {
+    // Each transfer's penalty is computed alone and starts when the one before ends
+    let cursor = null;
+    chronological.forEach(entry => {
+      const start = cursor && cursor > earliestStart(entry) ? cursor : earliestStart(entry);
+      const end = getPenaltyEnd(entry.uncompensatedValue, start, divisor, periodUnit);
+      schedule.push(scheduleLine(entry, start, end, divisor));
+      cursor = end;
+    });
+  } else {
+    // One penalty for the combined value, itemized by each transfer's share
+    const start = chronological.reduce((latest, entry) => {
+      const candidate = earliestStart(entry);
+      return candidate > latest ? candidate : latest;
+    }, otherwiseEligible);
+    let cumulative = 0;
+    let lineStart = start;
+    chronological.forEach(entry => {
+      cumulative += entry.uncompensatedValue;
+      const lineEnd = getPenaltyEnd(cumulative, start, divisor, periodUnit);
+      schedule.push(scheduleLine(entry, lineStart, lineEnd, divisor));
+      lineStart = lineEnd;
+    });
+  }
+
+  const totalValue = entries.reduce((sum, entry) => sum + entry.uncompensatedValue, 0);
+  const penaltyStart = schedule.length > 0 ? schedule[0].start : toIsoDate(otherwiseEligible);
+  const penaltyEnd = schedule.length > 0 ? schedule[schedule.length - 1].end : penaltyStart;
+
+  logger.debug(`Penalty of ${schedule.length} transfer(s) ${aggregation}/${periodUnit}: ${penaltyStart} to ${penaltyEnd}`);
+
+  return {
+    aggregation,
+    periodUnit,
+    penaltyStart,
+    penaltyEnd,
+    penaltyDays: schedule.reduce((sum, line) => sum + line.penaltyDays, 0),
+    penaltyMonths: totalValue > 0 ? totalValue / divisor : 0,
+    schedule
+  };
+}
+
+module.exports = {
+  advanceByMonths,
+  buildTransferLedger,
+  buildPenaltySchedule
+};
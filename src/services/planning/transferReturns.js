@@ -0,0 +1,171 @@
+// src/services/planning/transferReturns.js
+const logger = require('../../config/logger');
+const { resolveAsOfDate, asOfDateToDate } = require('../utils/effectiveDate');
+const { FEDERAL_TRANSFER_PENALTY_RULES } = require('../../data/stateMedicaidRules');
+
+/**
+ * TRANSFER RETURNS
+ * A transfer is cured, in whole or in part, when the recipient gives the
+ * asset back. States that follow returnRule 'partial' reduce the uncompensated
+ * value by whatever is returned; 'full_only' states ignore a return unless all
+ * of the transfer comes back. Either way the returned funds are countable
+ * again, so they are spent on care before the applicant is otherwise eligible.
+ * A return is credited as of its date: penalty time already served before the
+ * return cannot be given back, and a return after the transfer's penalty has
+ * run is not credited at all.
+ */
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Groups the planned returns by transfer
+ *
+ * @param {Array} plannedReturns - [{ transfer_id, amount, date }]
+ * @returns {Map<string, Array>} [{ amount, date }] by transfer id, undated first and then by date
+ */
+function groupReturns(plannedReturns) {
+  const byTransfer = new Map();
+  plannedReturns.forEach(planned => {
+    const transferId = planned.transfer_id || planned.transferId;
+    const current = byTransfer.get(transferId) || [];
+    current.push({
+      amount: parseFloat(planned.amount) || 0,
+      date: planned.date ? resolveAsOfDate(planned.date) : null
+    });
+    byTransfer.set(transferId, current);
+  });
+  byTransfer.forEach(returns => returns.sort((a, b) => String(a.date || '').localeCompare(String(b.date || ''))));
+  return byTransfer;
+}
+
+/**
+ * Works out how much of a transfer's penalized value is still to be served on a date
+ * The value is served evenly over the transfer's line of the penalty schedule.
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {Object} [line] - The transfer's penalty schedule line
+ * @param {string} [date] - Date of the return (an undated return is made before the penalty starts)
+ * @returns {number} Value not yet served
+ */
+function getUnservedValue(entry, line, date) {
+  if (!line || !date) {
+    return entry.uncompensatedValue;
+  }
+
+  const start = asOfDateToDate(line.start).getTime();
+  const end = asOfDateToDate(line.end).getTime();
+  const returnedOn = asOfDateToDate(date).getTime();
+  if (returnedOn <= start) {
+    return entry.uncompensatedValue;
+  }
+  if (returnedOn >= end) {
+    return 0;
+  }
+  return roundCents(entry.uncompensatedValue * (end - returnedOn) / (end - start));
+}
+
+/**
+ * Credits planned returns against the transfer ledger under the state's return rule
+ *
+ * @param {Array} entries - Transfer ledger entries
+ * @param {Array} plannedReturns - [{ transfer_id, amount, date }]
+ * @param {Object} [options]
+ * @param {string} [options.returnRule] - 'partial' or 'full_only' (federal default if omitted)
+ * @param {Array} [options.schedule] - Penalty schedule without the returns, for crediting dated returns
+ * @returns {Object} { returnRule, entries, returns, issues, totalReturned, totalCredited, lastReturnDate }
+ *   entries are copies with the credited return taken off uncompensatedValue;
+ *   returns: [{ transferId, plannedAmount, creditedAmount, remainingValue, cured, servedValue, dates, note }];
+ *   returns after a transfer's penalty has run are left out and listed in issues
+ */
+function applyPlannedReturns(entries, plannedReturns = [], options = {}) {
+  const returnRule = options.returnRule || FEDERAL_TRANSFER_PENALTY_RULES.returnRule;
+  const schedule = options.schedule || [];
+  const byTransfer = groupReturns(plannedReturns);
+  const issues = [];
+  const returns = [];
+  let lastReturnDate = null;
+
+  byTransfer.forEach((planned, transferId) => {
+    if (!entries.some(entry => entry.id === transferId)) {
+      issues.push({ transferId, issue: `No transfer ${transferId} in the ledger` });
+    }
+  });
+
+  const adjusted = entries.map(entry => {
+    const planned = byTransfer.get(entry.id);
+    if (!planned) {
+      return entry;
+    }
+
+    const line = schedule.find(scheduleLine => scheduleLine.transferId === entry.id);
+    const accepted = planned.filter(item => {
+      if (entry.penalized && line && item.date && getUnservedValue(entry, line, item.date) === 0) {
+        issues.push({
+          transferId: entry.id,
+          issue: `The $${roundCents(item.amount).toLocaleString()} return on ${item.date} is after the penalty for this transfer ran out on ${line.end}, so it is not credited`
+        });
+        return false;
+      }
+      return true;
+    });
+    if (accepted.length === 0) {
+      return entry;
+    }
+
+    const plannedAmount = roundCents(accepted.reduce((sum, item) => sum + item.amount, 0));
+    const dates = accepted.filter(item => item.date).map(item => item.date);
+    const lastDate = dates.length > 0 ? dates[dates.length - 1] : null;
+    if (lastDate && (!lastReturnDate || lastDate > lastReturnDate)) {
+      lastReturnDate = lastDate;
+    }
+
+    const servedValue = entry.penalized ? roundCents(entry.uncompensatedValue - getUnservedValue(entry, line, lastDate)) : 0;
+    let creditedAmount = 0;
+    let note;
+    if (!entry.penalized) {
+      note = 'The transfer is not penalized, so returning it does not change the penalty';
+    } else if (returnRule === 'full_only' && plannedAmount < entry.uncompensatedValue) {
+      note = `The state credits only a full return; $${roundCents(entry.uncompensatedValue - plannedAmount).toLocaleString()} more must be returned to cure this transfer`;
+    } else {
+      // Each return is credited only against the value not yet served on its date
+      creditedAmount = returnRule === 'full_only' ?
+        entry.uncompensatedValue - servedValue :
+        accepted.reduce((credited, item) =>
+          Math.max(credited, Math.min(credited + item.amount, getUnservedValue(entry, line, item.date))), 0);
+      creditedAmount = roundCents(creditedAmount);
+      note = creditedAmount + servedValue >= entry.uncompensatedValue ? 'The return cures the transfer' : 'The return reduces the penalized value';
+      if (servedValue > 0) {
+        note += `; $${servedValue.toLocaleString()} of its penalty was already served by ${lastDate}`;
+      }
+    }
+
+    const remainingValue = roundCents(entry.uncompensatedValue - creditedAmount);
+    returns.push({
+      transferId: entry.id,
+      plannedAmount,
+      creditedAmount,
+      remainingValue,
+      cured: entry.penalized && remainingValue <= servedValue,
+      ...(servedValue > 0 ? { servedValue } : {}),
+      ...(dates.length > 0 ? { dates } : {}),
+      note
+    });
+
+    return {
+      ...entry,
+      returnedAmount: plannedAmount,
+      uncompensatedValue: remainingValue,
+      penalized: entry.penalized && remainingValue > 0
+    };
+  });
+
+  const totalReturned = roundCents(returns.reduce((sum, line) => sum + line.plannedAmount, 0));
+  const totalCredited = roundCents(returns.reduce((sum, line) => sum + line.creditedAmount, 0));
+  logger.debug(`Planned returns of $${totalReturned} credited $${totalCredited} under the ${returnRule} return rule`);
+
+  return { returnRule, entries: adjusted, returns, issues, totalReturned, totalCredited, lastReturnDate };
+}
+
+module.exports = {
+  applyPlannedReturns
+};
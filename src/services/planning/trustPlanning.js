@@ -1,5 +1,16 @@
 const logger = require('../../config/logger');
 const medicaidRulesLoader = require('../utils/medicaidRulesLoader');
+const { projectRules } = require('./ruleProjection');
+
+// Figures a trust funded today will be measured against once the lookback has run
+const TRUST_PROJECTED_FIGURES = {
+  resourceLimit: 'resourceLimitSingle',
+  communitySpouseResourceAllowanceMin: 'communitySpouseResourceAllowanceMin',
+  communitySpouseResourceAllowanceMax: 'communitySpouseResourceAllowanceMax',
+  monthlyMaintenanceNeedsAllowanceMin: 'monthlyMaintenanceNeedsAllowanceMin',
+  monthlyMaintenanceNeedsAllowanceMax: 'monthlyMaintenanceNeedsAllowanceMax',
+  incomeCap: 'incomeLimitSingle'
+};
 
 /**
  * Assesses whether client needs a trust for Medicaid planning
@@ -221,9 +232,12 @@ function evaluateTrustOptions(needsAssessment, clientInfo, assets, state) {
  * @param {Object} assets - Client's assets
  * @param {Object} income - Client's income sources
  * @param {string} state - State of application
+ * @param {Object} [options] - Planning options
+ * @param {Object} [options.projectionAssumptions] - COLA/CPI rate overrides for projected limits
+ * @param {string|Date} [options.asOfDate] - Date whose rules apply (defaults to today)
  * @returns {Object} Trust funding strategy
  */
-function determineTrustFunding(trustOptions, clientInfo, assets, income, state) {
+function determineTrustFunding(trustOptions, clientInfo, assets, income, state, options = {}) {
   logger.debug(`Determining trust funding strategy for ${state || 'unknown state'}`);
 
   const fundingStrategy = {
@@ -242,7 +256,7 @@ function determineTrustFunding(trustOptions, clientInfo, assets, income, state)
   // Get rules with error handling
   let rules;
   try {
-    rules = medicaidRulesLoader.getMedicaidRules(state.toLowerCase());
+    rules = medicaidRulesLoader.getMedicaidRules(state.toLowerCase(), null, options.asOfDate);
   } catch (error) {
     logger.warn(`Failed to load rules for ${state}: ${error.message}`);
     rules = { lookbackPeriod: 60 }; // Default fallback
@@ -272,6 +286,9 @@ function determineTrustFunding(trustOptions, clientInfo, assets, income, state)
     healthExpectancy: Math.max(5, 100 - clientInfo.age) + ' years'
   };
 
+  // Estimate the limits in force when the lookback completes
+  fundingStrategy.projectedLimits = projectTrustLimits(rules, lookbackDate, options.projectionAssumptions);
+
   // Lookback period consideration
   fundingStrategy.timelineRecommendations.push(
     `To avoid lookback penalties, complete trust funding at least ${monthsToLookback} months before anticipated Medicaid application`
@@ -335,6 +352,43 @@ function determineTrustFunding(trustOptions, clientInfo, assets, income, state)
   return fundingStrategy;
 }
 
+/**
+ * Projects the eligibility limits to the year a trust funded today clears the lookback
+ * 
+ * @param {Object} rules - State Medicaid rules in force today
+ * @param {Date} lookbackDate - Date the lookback period completes
+ * @param {Object} [assumptions] - COLA/CPI rate overrides
+ * @returns {Object} Projected figures, each marked estimated
+ */
+function projectTrustLimits(rules, lookbackDate, assumptions) {
+  const projection = projectRules(rules, lookbackDate, assumptions);
+  const figures = {};
+  
+  Object.entries(TRUST_PROJECTED_FIGURES).forEach(([figure, field]) => {
+    if (projection.figures[field]) {
+      figures[figure] = projection.figures[field];
+    }
+  });
+  
+  return {
+    year: projection.year,
+    estimated: true,
+    basis: `Estimated from ${projection.baseYear} figures using ${formatRate(projection.assumptions.colaRate)} COLA and ${formatRate(projection.assumptions.cpiRate)} CPI per year`,
+    assumptions: projection.assumptions,
+    figures
+  };
+}
+
+/**
+ * Formats an annual rate as a percentage
+ * 
+ * @param {number} rate - Annual rate (0.025 = 2.5%)
+ * @returns {string} Formatted percentage
+ */
+function formatRate(rate) {
+  return `${Math.round(rate * 1000) / 10}%`;
+}
+
 /**
  * Complete trust planning workflow
  * 
@@ -343,9 +397,12 @@ function determineTrustFunding(trustOptions, clientInfo, assets, income, state)
  * @param {Object} income - Client's income sources
  * @param {Object} eligibilityResults - Medicaid eligibility assessment results
  * @param {string} state - State of application
+ * @param {Object} [options] - Planning options
+ * @param {Object} [options.projectionAssumptions] - COLA/CPI rate overrides for projected limits
+ * @param {string|Date} [options.asOfDate] - Date whose rules apply (defaults to today)
  * @returns {Promise<Object>} Complete trust planning result
  */
-async function medicaidTrustPlanning(clientInfo, assets, income, eligibilityResults, state) {
+async function medicaidTrustPlanning(clientInfo, assets, income, eligibilityResults, state, options = {}) {
   logger.info(`Starting trust planning process for ${state || 'unknown state'}`);
   
   try {
@@ -388,7 +445,7 @@ async function medicaidTrustPlanning(clientInfo, assets, income, eligibilityResu
     // Determine funding strategy if trust is needed
     let fundingStrategy = {};
     if (needsAssessment.needsTrust) {
-      fundingStrategy = determineTrustFunding(trustOptions, clientInfo, assets, income, state);
+      fundingStrategy = determineTrustFunding(trustOptions, clientInfo, assets, income, state, options);
     }
     
     // Compile recommendations
@@ -503,6 +560,13 @@ async function medicaidTrustPlanning(clientInfo, assets, income, eligibilityResu
       if (fundingStrategy.timelineRecommendations) {
         recommendations.push(...fundingStrategy.timelineRecommendations);
       }
+      
+      const projectedResourceLimit = fundingStrategy.projectedLimits?.figures.resourceLimit;
+      if (projectedResourceLimit && projectedResourceLimit.estimated) {
+        recommendations.push(
+          `Estimated ${fundingStrategy.projectedLimits.year} resource limit: $${projectedResourceLimit.value.toLocaleString()} (projected, not a published figure)`
+        );
+      }
     }
     
     // Implementation resources
@@ -535,6 +599,7 @@ async function medicaidTrustPlanning(clientInfo, assets, income, eligibilityResu
       implementationResources,
       planningReport,
       strategies,
+      projectedLimits: fundingStrategy.projectedLimits || null,
       approach: planningReport.summary + '\n\n' + recommendations.join('\n')
     };
   } catch (error) {
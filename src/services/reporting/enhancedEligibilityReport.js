@@ -3,6 +3,7 @@
 
 const logger = require('../../config/logger');
 const { getMedicaidRules } = require('../utils/medicaidRulesLoader');
+const { getProjectionSituation, projectEligibility } = require('../planning/eligibilityProjection');
 
 /**
  * Generate enhanced Medicaid eligibility report
@@ -11,20 +12,31 @@ const { getMedicaidRules } = require('../utils/medicaidRulesLoader');
  * @param {Object} assets - Asset breakdown
  * @param {Object} income - Income details
  * @param {string} state - State code
+ * @param {Object} [options] - Report options
+ * @param {Object} [options.projection] - Eligibility projection to report (projected from the assessment if omitted)
  * @returns {Object} Enhanced HTML report data
  */
-async function generateEnhancedEligibilityReport(assessment, clientInfo, assets, income, state) {
+async function generateEnhancedEligibilityReport(assessment, clientInfo, assets, income, state, options = {}) {
   try {
     logger.info('Generating enhanced eligibility report');
     
-    const stateRules = getMedicaidRules(state);
+    // The rule set in force on the assessment's date, not today's
+    const stateRules = getMedicaidRules(state, null, assessment.asOfDate);
     const maritalStatus = clientInfo.maritalStatus?.toLowerCase() || 'single';
     const isMarried = maritalStatus === 'married';
     
     // Calculate key metrics
     const excessAssets = Math.max(0, assessment.countableAssets - assessment.resourceLimit);
     const incomeBuffer = assessment.incomeLimit - assessment.totalIncome;
-    const monthsUntilBroke = excessAssets > 0 ? Math.ceil(excessAssets / 10450) : 0; // Assuming $10,450/month care cost
+    
+    // Month-by-month projection with the state's care cost
+    const projection = options.projection || projectEligibility(
+      getProjectionSituation(assessment, stateRules),
+      { startDate: assessment.asOfDate }
+    );
+    const privatePay = projection.plans.find(plan => plan.id === 'private_pay') || projection.plans[0];
+    const careCost = projection.situation.careCost;
+    const monthsUntilBroke = privatePay.eligibleMonth === null ? projection.months : privatePay.eligibleMonth;
     const potentialSavings = Math.floor(excessAssets * 0.5); // Conservative 50% protection estimate
     
     // Determine state-specific advantages
@@ -64,11 +76,14 @@ async function generateEnhancedEligibilityReport(assessment, clientInfo, assets,
       assetBreakdown: generateAssetBreakdown(assets, excessAssets, state),
       
       timeline: {
-        careCost: 10450, // Monthly care cost
+        careCost: careCost, // Monthly care cost
         monthsUntilBroke: monthsUntilBroke,
-        breakDate: getBreakDate(monthsUntilBroke),
+        breakDate: getBreakDate(projection.startDate, monthsUntilBroke),
+        eligibilityDate: privatePay.eligibilityDate,
+        earliestEligibility: projection.earliest,
         potentialSavings: potentialSavings,
-        monthlyCost: 10450
+        monthlyCost: careCost,
+        projection
       },
       
       stateAdvantages: stateAdvantages,
@@ -77,13 +92,13 @@ async function generateEnhancedEligibilityReport(assessment, clientInfo, assets,
       
       incomeDetails: generateIncomeDetails(assessment, income),
       
-      comparison: generateComparisonTable(assessment, potentialSavings),
+      comparison: generateComparisonTable(assessment, potentialSavings, careCost, monthsUntilBroke),
       
       actionItems: generateActionItems(assessment, clientInfo, state),
       
       stateQA: generateStateQA(state),
       
-      bottomLine: generateBottomLine(assessment, potentialSavings, state)
+      bottomLine: generateBottomLine(assessment, potentialSavings, state, careCost)
     };
     
     // Generate the HTML reports
@@ -172,14 +187,14 @@ function getCriticalAlerts(assessment, state) {
  */
 function generateAssetBreakdown(assets, excessAssets, state) {
   const atRisk = excessAssets;
-  const protected = getProtectedAssets(state);
+  const protectedAssets = getProtectedAssets(state);
   
   return {
     atRisk: {
       amount: atRisk,
       description: 'needs protection strategy'
     },
-    protected: protected
+    protected: protectedAssets
   };
 }
 
@@ -257,21 +272,21 @@ function generateIncomeDetails(assessment, income) {
 /**
  * Generate comparison table
  */
-function generateComparisonTable(assessment, potentialSavings) {
+function generateComparisonTable(assessment, potentialSavings, careCost, monthsUntilBroke) {
   return {
     current: {
       assets: assessment.countableAssets,
       home: 'Protected',
-      monthlyOutOfPocket: 10450,
+      monthlyOutOfPocket: careCost,
       familyLegacy: 'At Risk',
-      timeToBroke: Math.ceil((assessment.countableAssets - assessment.resourceLimit) / 10450)
+      timeToBroke: monthsUntilBroke
     },
     withoutPlanning: {
       assets: assessment.resourceLimit,
       home: 'At Risk from Recovery',
-      monthlyOutOfPocket: 10450,
+      monthlyOutOfPocket: careCost,
       familyLegacy: 'Nothing',
-      timeToBroke: Math.ceil((assessment.countableAssets - assessment.resourceLimit) / 10450)
+      timeToBroke: monthsUntilBroke
     },
     withPlanning: {
       assets: potentialSavings,
@@ -372,9 +387,8 @@ function generateStateQA(state) {
 /**
  * Generate bottom line summary
  */
-function generateBottomLine(assessment, potentialSavings, state) {
+function generateBottomLine(assessment, potentialSavings, state, monthlyCost) {
   const excessAssets = assessment.countableAssets - assessment.resourceLimit;
-  const monthlyCost = 10450;
   
   return {
     keyPoints: [
@@ -423,10 +437,10 @@ function getStateName(stateCode) {
   return stateNames[stateCode] || stateCode;
 }
 
-function getBreakDate(monthsUntilBroke) {
-  const breakDate = new Date();
-  breakDate.setMonth(breakDate.getMonth() + monthsUntilBroke);
-  return breakDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+function getBreakDate(startDate, monthsUntilBroke) {
+  const [year, month] = startDate.split('-').map(Number);
+  const breakDate = new Date(Date.UTC(year, month - 1 + monthsUntilBroke, 1));
+  return breakDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long', timeZone: 'UTC' });
 }
 
 module.exports = {
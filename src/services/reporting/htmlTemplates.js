@@ -568,6 +568,7 @@ function generateTimeline(timeline) {
         <div class="timeline-title">⏰ Your Planning Timeline</div>
         <div class="timeline-item">At current care costs of <span class="timeline-cost">$${timeline.careCost.toLocaleString()}/month</span>:</div>
         <div class="timeline-item">• <strong>Without planning:</strong> Broke in ${timeline.monthsUntilBroke} months (${timeline.breakDate})</div>
+        ${timeline.eligibilityDate ? `<div class="timeline-item">• <strong>Projected Medicaid eligibility:</strong> ${new Date(`${timeline.eligibilityDate}T00:00:00Z`).toLocaleDateString('en-US', { year: 'numeric', month: 'long', timeZone: 'UTC' })}</div>` : ''}
         <div class="timeline-item">• <strong>With planning starting TODAY:</strong> Protect $${timeline.potentialSavings.toLocaleString()}+</div>
         <div class="timeline-item">• <strong>Every month you wait costs:</strong> <span class="timeline-cost">$${timeline.monthlyCost.toLocaleString()}</span> in lost savings</div>
     </div>`;
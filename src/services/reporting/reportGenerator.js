@@ -122,6 +122,10 @@ class MedicaidPlanningReportGenerator {
       else if (this.results.countableAssets !== undefined || this.results.isResourceEligible !== undefined) {
         eligibilityResult = this.results;
       }
+      // Check if data is a comprehensive plan (eligibility nested under the plan)
+      else if (this.results.eligibility) {
+        eligibilityResult = this.results.eligibility;
+      }
       
       if (!eligibilityResult) {
         return "Error: Missing eligibility assessment results";
@@ -229,6 +233,10 @@ class MedicaidPlanningReportGenerator {
       else if (this.results.countableAssets !== undefined || this.results.isResourceEligible !== undefined) {
         eligibilityResult = this.results;
       }
+      // Check if data is a comprehensive plan (eligibility nested under the plan)
+      else if (this.results.eligibility) {
+        eligibilityResult = this.results.eligibility;
+      }
       
       if (!eligibilityResult) {
         return "Error: Missing eligibility assessment results";
@@ -289,6 +297,12 @@ class MedicaidPlanningReportGenerator {
       reportLines.push(`**Income Eligibility:** ${eligibilityResult.isIncomeEligible ? "Eligible" : "Not Eligible"}`);
       reportLines.push("");
       
+      // Step-by-step trace behind the eligibility result
+      const explanation = eligibilityResult.explanation || this.results.explanation;
+      if (explanation && Array.isArray(explanation.steps) && explanation.steps.length > 0) {
+        reportLines.push(...this._explanationLines(explanation));
+      }
+      
       // Planning strategies
       reportLines.push("## Planning Strategies");
       
@@ -375,6 +389,12 @@ class MedicaidPlanningReportGenerator {
       reportLines.push("- Review and update advance directives and powers of attorney");
       reportLines.push("");
       
+      // Projected future-year limits, always labelled as estimates
+      const projectedLimits = this.results.projectedLimits || this.results.projected_limits;
+      if (projectedLimits && projectedLimits.figures && Object.keys(projectedLimits.figures).length > 0) {
+        reportLines.push(...this._projectedLimitLines(projectedLimits));
+      }
+      
       // Disclaimer
       reportLines.push("## Disclaimer");
       reportLines.push("*This report is based on the information provided and current Medicaid rules. " +
@@ -424,6 +444,10 @@ class MedicaidPlanningReportGenerator {
       else if (this.results.countableAssets !== undefined || this.results.isResourceEligible !== undefined) {
         eligibilityResult = this.results;
       }
+      // Check if data is a comprehensive plan (eligibility nested under the plan)
+      else if (this.results.eligibility) {
+        eligibilityResult = this.results.eligibility;
+      }
       
       if (!eligibilityResult) {
         return "Error: Missing eligibility assessment results";
@@ -578,6 +602,77 @@ class MedicaidPlanningReportGenerator {
     }
   }
   
+  /**
+   * Build the report lines for projected (estimated) future-year limits.
+   * @param {Object} projectedLimits - Projection from the trust planning step
+   * @returns {Array<string>} Markdown lines
+   */
+  _projectedLimitLines(projectedLimits) {
+    const labels = {
+      resourceLimit: 'Resource Limit',
+      communitySpouseResourceAllowanceMin: 'CSRA Minimum',
+      communitySpouseResourceAllowanceMax: 'CSRA Maximum',
+      monthlyMaintenanceNeedsAllowanceMin: 'MMNA Minimum',
+      monthlyMaintenanceNeedsAllowanceMax: 'MMNA Maximum',
+      incomeCap: 'Income Cap'
+    };
+    const lines = [];
+    
+    lines.push(`## Projected ${projectedLimits.year} Limits (Estimated)`);
+    lines.push(`*${projectedLimits.basis || 'Projected from current figures'}. ` +
+               "These are estimates, not published Medicaid figures.*");
+    lines.push("");
+    for (const [figure, projection] of Object.entries(projectedLimits.figures)) {
+      const label = labels[figure] || figure;
+      const suffix = projection.estimated ? ' (estimated)' : '';
+      lines.push(`- **${label}:** ${formatCurrency(projection.value)}${suffix}`);
+    }
+    lines.push("");
+    
+    return lines;
+  }
+
+  /**
+   * Build the report lines for the eligibility trace.
+   * @param {Object} explanation - Trace from the eligibility assessment
+   * @returns {Array<string>} Markdown lines
+   */
+  _explanationLines(explanation) {
+    const lines = [];
+    
+    lines.push("### How Eligibility Was Determined");
+    for (const step of explanation.steps) {
+      lines.push(`${step.step}. ${step.text} (${this._formatRuleReference(step.ruleReference)})`);
+    }
+    lines.push("");
+    if (explanation.conclusion) {
+      lines.push(`**Result:** ${explanation.conclusion}`);
+      lines.push("");
+    }
+    
+    return lines;
+  }
+
+  /**
+   * Describe the rule behind a trace step.
+   * @param {Object} reference - { field, value, citation } or { authority }
+   * @returns {string}
+   */
+  _formatRuleReference(reference) {
+    if (!reference) {
+      return 'no rule reference';
+    }
+    const parts = [];
+    if (reference.authority) {
+      parts.push(reference.authority);
+    }
+    if (reference.field) {
+      const source = reference.citation ? `, ${reference.citation.title || reference.citation.url}` : '';
+      parts.push(`state rule ${reference.field}${source}`);
+    }
+    return parts.join('; ');
+  }
+
   /**
    * Capitalize the first letter of a string.
    * @param {string} str - The string to capitalize.
@@ -0,0 +1,571 @@
+// src/services/utils/assetClassification.js
+const logger = require('../../config/logger');
+
+/**
+ * ITEMIZED ASSET MODEL
+ * Each asset is one item:
+ *   { id, type, description, owners, title_form, value, encumbrance, payout_status }
+ * plus ownership details for co-owned assets (ownership_share as the
+ * applicant and spouse's percentage, co_owners as [{ name, relationship, share }],
+ * saleable, presumption_rebutted) and type-specific details
+ * (used_for_transportation for vehicles, face_value for life insurance,
+ * irrevocable for prepaid funerals, monthly_distribution for retirement
+ * accounts in payout status).
+ * The classification engine returns a countable / exempt / excluded verdict
+ * and the reason for every item:
+ *   - countable: a resource counted toward the limit (at its equity value)
+ *   - exempt: a resource of the applicant that the SSI-related rules disregard
+ *   - excluded: not a resource of the applicant or spouse at all
+ */
+
+// 20 CFR 416.1231(b) burial fund exclusion, per person
+const BURIAL_FUND_EXCLUSION = 1500;
+// 20 CFR 416.1230 life insurance exclusion, total face value per person
+const LIFE_INSURANCE_FACE_VALUE_LIMIT = 1500;
+
+const ASSET_TYPES = [
+  'checking',
+  'savings',
+  'certificate_of_deposit',
+  'money_market',
+  'cash',
+  'stocks',
+  'bonds',
+  'mutual_fund',
+  'brokerage',
+  'retirement_account',
+  'annuity',
+  'home',
+  'real_estate',
+  'vehicle',
+  'life_insurance',
+  'burial_plot',
+  'burial_fund',
+  'prepaid_funeral',
+  'personal_effects',
+  'household_goods',
+  'other'
+];
+
+const TITLE_FORMS = [
+  'sole',
+  'joint_with_spouse',
+  'joint_with_other',
+  'tenancy_in_common',
+  'payable_on_death',
+  'revocable_trust',
+  'irrevocable_trust',
+  'life_estate'
+];
+
+const PAYOUT_STATUSES = ['in_payout', 'not_in_payout'];
+
+const OWNERS = ['client', 'spouse'];
+
+const CO_OWNER_RELATIONSHIPS = ['spouse', 'child', 'grandchild', 'sibling', 'parent', 'other_relative', 'other'];
+
+// Accounts any joint owner can withdraw from in full
+const LIQUID_TYPES = ['checking', 'savings', 'certificate_of_deposit', 'money_market', 'cash', 'brokerage'];
+
+// Title forms that pass to the surviving owner or beneficiary outside probate
+const NON_PROBATE_TITLE_FORMS = ['joint_with_spouse', 'joint_with_other', 'payable_on_death', 'revocable_trust', 'life_estate'];
+
+// Flat-format keys and the asset type each one describes
+const FLAT_ASSET_TYPES = {
+  home: 'home',
+  primary_residence: 'home',
+  burial_funds: 'burial_fund',
+  burial_plots: 'burial_plot',
+  pre_paid_funeral: 'prepaid_funeral',
+  funeral_plan: 'prepaid_funeral',
+  life_insurance_exempt: 'life_insurance',
+  automobile_primary: 'vehicle',
+  personal_effects: 'personal_effects',
+  checking: 'checking',
+  savings: 'savings',
+  cash: 'cash',
+  stocks: 'stocks',
+  bonds: 'bonds',
+  mutual_funds: 'mutual_fund',
+  ira: 'retirement_account',
+  retirement: 'retirement_account',
+  '401k': 'retirement_account',
+  annuity: 'annuity',
+  real_estate: 'real_estate',
+  vehicle: 'vehicle',
+  life_insurance: 'life_insurance'
+};
+
+// Flat-format keys that have always been treated as non-countable
+const FLAT_NON_COUNTABLE_KEYS = [
+  'home',
+  'primary_residence',
+  'burial_funds',
+  'burial_plots',
+  'pre_paid_funeral',
+  'funeral_plan',
+  'life_insurance_exempt',
+  'automobile_primary',
+  'personal_effects'
+];
+
+/**
+ * Tells whether assets are in the itemized format
+ *
+ * @param {Array|Object} assets - Itemized list, { items: [...] }, or flat { key: amount } map
+ * @returns {boolean} True for itemized assets
+ */
+function isItemizedAssets(assets) {
+  return Array.isArray(assets) || Boolean(assets && Array.isArray(assets.items));
+}
+
+/**
+ * Converts flat { key: amount } assets into items
+ * Each item keeps the verdict the flat format has always given its key, so
+ * existing callers get the same totals with a per-item breakdown.
+ *
+ * @param {Object} assets - Flat assets map
+ * @returns {Array} Asset items
+ */
+function flatAssetsToItems(assets) {
+  return Object.entries(assets || {}).map(([key, amount]) => {
+    let classifiedAs = 'countable';
+    if (key === 'non_countable' || FLAT_NON_COUNTABLE_KEYS.includes(key)) {
+      classifiedAs = 'exempt';
+    }
+
+    return {
+      id: key,
+      type: FLAT_ASSET_TYPES[key] || 'other',
+      description: key,
+      owners: ['client'],
+      title_form: 'sole',
+      value: parseFloat(amount) || 0,
+      encumbrance: 0,
+      classified_as: classifiedAs
+    };
+  });
+}
+
+/**
+ * Converts classified items back into the flat format read by the planning modules
+ * Exempt homes are reported under home, at the applicant and spouse's share of
+ * the net equity, so home equity planning still sees them.
+ *
+ * @param {Object} classification - Result of classifyAssetItems
+ * @returns {Object} Flat assets as { countable, non_countable, home? }
+ */
+function itemsToFlatAssets(classification) {
+  const flat = { countable: classification.countableAssets, non_countable: 0 };
+
+  classification.items.forEach(item => {
+    const nonCountable = item.exemptValue + item.excludedValue;
+    if (item.type === 'home' && item.verdict === 'exempt') {
+      flat.home = (flat.home || 0) + item.exemptValue;
+    } else {
+      flat.non_countable += nonCountable;
+    }
+  });
+
+  return flat;
+}
+
+/**
+ * Builds a verdict record for one item
+ *
+ * @param {Object} item - Normalized asset item
+ * @param {string} verdict - countable, exempt or excluded
+ * @param {string} reason - Why the item got its verdict
+ * @param {number} [countableValue] - Portion counted toward the limit (partially exempt items)
+ * @returns {Object} Classified item
+ */
+function buildVerdict(item, verdict, reason, countableValue) {
+  // Values are the applicant and spouse's available interest; the rest belongs to co-owners
+  const interest = item.interest === undefined ? item.equity : item.interest;
+  const counted = verdict === 'countable' ? (countableValue === undefined ? interest : countableValue) : 0;
+
+  const result = {
+    id: item.id,
+    type: item.type,
+    description: item.description,
+    owners: item.owners,
+    titleForm: item.titleForm,
+    ownershipShare: item.ownershipShare,
+    value: item.value,
+    encumbrance: item.encumbrance,
+    equity: item.equity,
+    verdict,
+    countableValue: counted,
+    exemptValue: verdict === 'countable' ? interest - counted : (verdict === 'exempt' ? interest : 0),
+    excludedValue: verdict === 'excluded' ? interest : 0,
+    coOwnerValue: item.equity - interest,
+    reason
+  };
+
+  if (item.payoutStatus) {
+    result.payoutStatus = item.payoutStatus;
+  }
+  if (item.distributionIncome !== undefined) {
+    result.distributionIncome = item.distributionIncome;
+  }
+
+  return result;
+}
+
+/**
+ * Works out the applicant and spouse's percentage interest in an item
+ * Uses ownership_share when given, otherwise whatever the co-owners' stated
+ * shares leave, otherwise an equal split among all owners.
+ *
+ * @param {Object} item - Asset item as entered
+ * @param {Array} owners - Owners list
+ * @param {string} titleForm - Title form
+ * @param {Array} coOwners - Co-owners other than the spouse
+ * @returns {number} Percentage (0-100)
+ */
+function getOwnershipShare(item, owners, titleForm, coOwners) {
+  if (item.ownership_share !== undefined && item.ownership_share !== null) {
+    return Math.min(100, Math.max(0, parseFloat(item.ownership_share) || 0));
+  }
+  if (coOwners.length === 0 || ['sole', 'joint_with_spouse', 'payable_on_death', 'revocable_trust', 'irrevocable_trust'].includes(titleForm)) {
+    return 100;
+  }
+
+  const statedShares = coOwners.filter(coOwner => coOwner.share !== undefined && coOwner.share !== null);
+  if (statedShares.length === coOwners.length) {
+    return Math.max(0, 100 - statedShares.reduce((sum, coOwner) => sum + (parseFloat(coOwner.share) || 0), 0));
+  }
+
+  const ownersOfRecord = owners.filter(owner => OWNERS.includes(owner)).length || 1;
+  return Math.round(ownersOfRecord / (ownersOfRecord + coOwners.length) * 10000) / 100;
+}
+
+/**
+ * Values the applicant and spouse's share of an item's equity
+ *
+ * @param {Object} item - Normalized asset item
+ * @returns {number} Share of the equity, rounded to cents
+ */
+function getShareValue(item) {
+  return Math.round(item.equity * item.ownershipShare) / 100;
+}
+
+/**
+ * Works out how much of a co-owned item is available to the applicant
+ * - A joint bank account is presumed fully available because any owner can
+ *   withdraw all of it; the presumption can be rebutted with proof of the
+ *   co-owner's contributions, leaving only the applicant's share
+ * - Other co-owned property counts at the applicant's pro-rata share, and
+ *   not at all when it cannot be sold (e.g. a co-owner refuses to sell)
+ *
+ * @param {Object} item - Normalized asset item
+ * @returns {Object} { interest, unavailable, reason }
+ */
+function getEligibilityInterest(item) {
+  const share = getShareValue(item);
+
+  if (item.coOwners.length === 0 || ['sole', 'joint_with_spouse', 'payable_on_death', 'revocable_trust'].includes(item.titleForm)) {
+    return { interest: share, unavailable: false, reason: null };
+  }
+
+  if (LIQUID_TYPES.includes(item.type)) {
+    return item.presumptionRebutted ?
+      { interest: share, unavailable: false, reason: `Joint account presumption rebutted, so only the applicant's ${item.ownershipShare}% counts` } :
+      { interest: item.equity, unavailable: false, reason: 'Joint account presumed fully available to the applicant' };
+  }
+
+  if (!item.saleable) {
+    return {
+      interest: share,
+      unavailable: true,
+      reason: `${item.ownershipShare}% co-owned interest that cannot be sold, so it is not an available resource`
+    };
+  }
+
+  return { interest: share, unavailable: false, reason: `Counted at the applicant's ${item.ownershipShare}% interest` };
+}
+
+/**
+ * Normalizes one input item
+ *
+ * @param {Object} item - Asset item as entered
+ * @param {number} index - Position in the list (for a default id)
+ * @returns {Object} Item with numeric values and defaults filled in
+ */
+function normalizeItem(item, index) {
+  const value = parseFloat(item.value) || 0;
+  const encumbrance = parseFloat(item.encumbrance) || 0;
+  const owners = Array.isArray(item.owners) && item.owners.length > 0 ? item.owners : ['client'];
+  const titleForm = item.title_form || 'sole';
+
+  // Co-owners other than the spouse, from co_owners or the owners list
+  const coOwners = Array.isArray(item.co_owners) ?
+    item.co_owners.filter(coOwner => coOwner.relationship !== 'spouse') :
+    owners.filter(owner => !OWNERS.includes(owner)).map(owner => ({ name: owner, relationship: 'other' }));
+
+  return {
+    id: item.id || `asset_${index + 1}`,
+    type: item.type || 'other',
+    description: item.description || item.type || 'other',
+    owners,
+    titleForm,
+    ownershipShare: getOwnershipShare(item, owners, titleForm, coOwners),
+    coOwners,
+    saleable: item.saleable !== false,
+    presumptionRebutted: item.presumption_rebutted === true,
+    value,
+    encumbrance,
+    equity: Math.max(0, value - encumbrance),
+    payoutStatus: item.payout_status || null,
+    monthlyDistribution: parseFloat(item.monthly_distribution) || 0,
+    usedForTransportation: item.used_for_transportation !== false,
+    faceValue: item.face_value === undefined || item.face_value === null ? null : parseFloat(item.face_value),
+    irrevocable: item.irrevocable === true,
+    classifiedAs: item.classified_as || null
+  };
+}
+
+/**
+ * Classifies a retirement account under the state's treatment of accounts in
+ * payout status. An exempt account's periodic distributions are income; a
+ * countable account's withdrawals only convert a counted resource, so they
+ * are not income as well.
+ *
+ * @param {Object} item - Normalized item with the available interest
+ * @param {string} treatment - countable or exempt_in_payout
+ * @param {Function} withOwnership - Appends the ownership reason
+ * @returns {Object} Classified item with distributionIncome
+ */
+function classifyRetirementAccount(item, treatment, withOwnership) {
+  if (item.payoutStatus === 'in_payout' && treatment === 'exempt_in_payout') {
+    return buildVerdict({ ...item, distributionIncome: item.monthlyDistribution }, 'exempt',
+      'Retirement account in payout status is exempt under state rules; its distributions count as income');
+  }
+
+  return buildVerdict({ ...item, distributionIncome: 0 }, 'countable', withOwnership(item.payoutStatus === 'in_payout' ?
+    'Retirement account counts at its cash value even in payout status; distributions draw down the counted balance and are not also income' :
+    'Retirement account counts at its cash value'));
+}
+
+/**
+ * Classifies itemized assets
+ *
+ * @param {Array|Object} assets - Asset items, or { items: [...] }
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - State rules; retirementAccountTreatment decides accounts in payout status
+ * @returns {Object} { items, countableAssets, exemptAssets, excludedAssets, nonCountableAssets, retirementIncome }
+ */
+function classifyAssetItems(assets, options = {}) {
+  const retirementTreatment = (options.rules && options.rules.retirementAccountTreatment) || 'countable';
+  const items = (Array.isArray(assets) ? assets : assets.items).map(normalizeItem);
+  logger.debug(`Classifying ${items.length} asset items`);
+
+  // Only one vehicle is exempt: the most valuable one used for transportation
+  // among those the applicant or spouse holds outside an irrevocable trust
+  const exemptVehicle = items
+    .filter(item => item.type === 'vehicle' && item.usedForTransportation && !item.classifiedAs &&
+      item.owners.some(owner => OWNERS.includes(owner)) && item.titleForm !== 'irrevocable_trust' &&
+      !getEligibilityInterest(item).unavailable)
+    .sort((a, b) => b.equity - a.equity)[0];
+
+  // Life insurance is exempt only while each owner's total face value is within the limit
+  const faceValueByOwner = {};
+  items.filter(item => item.type === 'life_insurance' && !item.classifiedAs).forEach(item => {
+    const owner = item.owners[0];
+    faceValueByOwner[owner] = (faceValueByOwner[owner] || 0) + (item.faceValue === null ? Infinity : item.faceValue);
+  });
+
+  const burialFundExclusionLeft = {};
+
+  const classified = items.map(owned => {
+    if (owned.classifiedAs) {
+      return buildVerdict(owned, owned.classifiedAs, `Reported as ${owned.id} in the flat asset format`);
+    }
+
+    if (!owned.owners.some(owner => OWNERS.includes(owner))) {
+      return buildVerdict(owned, 'excluded', 'Owned by someone other than the applicant or spouse');
+    }
+
+    if (owned.titleForm === 'irrevocable_trust') {
+      return buildVerdict(owned, 'excluded', 'Held in an irrevocable trust; the transfer into the trust is reviewed under the look-back instead');
+    }
+
+    const ownership = getEligibilityInterest(owned);
+    const item = { ...owned, interest: ownership.interest };
+    if (ownership.unavailable) {
+      return buildVerdict(item, 'excluded', ownership.reason);
+    }
+    const withOwnership = reason => (ownership.reason ? `${reason}. ${ownership.reason}` : reason);
+
+    switch (item.type) {
+      case 'home':
+        return buildVerdict(item, 'exempt', 'Primary residence (subject to the state home equity limit)');
+      case 'vehicle':
+        return owned === exemptVehicle ?
+          buildVerdict(item, 'exempt', 'One vehicle used for transportation is exempt regardless of value') :
+          buildVerdict(item, 'countable', withOwnership(item.usedForTransportation ?
+            'Only one vehicle is exempt; additional vehicles count at their equity value' :
+            'Vehicle not used for transportation counts at its equity value'));
+      case 'burial_plot':
+        return buildVerdict(item, 'exempt', 'Burial spaces are exempt regardless of value');
+      case 'personal_effects':
+      case 'household_goods':
+        return buildVerdict(item, 'exempt', 'Household goods and personal effects are exempt');
+      case 'life_insurance':
+        return faceValueByOwner[item.owners[0]] <= LIFE_INSURANCE_FACE_VALUE_LIMIT ?
+          buildVerdict(item, 'exempt', `Total face value is within the $${LIFE_INSURANCE_FACE_VALUE_LIMIT} life insurance exclusion`) :
+          buildVerdict(item, 'countable', withOwnership(`Total face value exceeds $${LIFE_INSURANCE_FACE_VALUE_LIMIT}, so the cash surrender value counts`));
+      case 'prepaid_funeral':
+        if (item.irrevocable) {
+          return buildVerdict(item, 'exempt', 'Irrevocable prepaid funeral contract');
+        }
+        // A revocable contract is a burial fund
+        // falls through
+      case 'burial_fund': {
+        const owner = item.owners[0];
+        const left = burialFundExclusionLeft[owner] === undefined ? BURIAL_FUND_EXCLUSION : burialFundExclusionLeft[owner];
+        const exempt = Math.min(left, item.interest);
+        burialFundExclusionLeft[owner] = left - exempt;
+        if (exempt >= item.interest) {
+          return buildVerdict(item, 'exempt', `Within the $${BURIAL_FUND_EXCLUSION} burial fund exclusion`);
+        }
+        return buildVerdict(item, 'countable', withOwnership(`Amount over the $${BURIAL_FUND_EXCLUSION} burial fund exclusion counts`), item.interest - exempt);
+      }
+      case 'retirement_account':
+        return classifyRetirementAccount(item, retirementTreatment, withOwnership);
+      default:
+        return buildVerdict(item, 'countable', withOwnership(item.titleForm === 'revocable_trust' ?
+          'Held in a revocable trust, so still available to the applicant' :
+          'Available resource counted at its equity value'));
+    }
+  });
+
+  const total = field => classified.reduce((sum, item) => sum + item[field], 0);
+  const exemptAssets = total('exemptValue');
+  const excludedAssets = total('excludedValue');
+
+  return {
+    items: classified,
+    countableAssets: total('countableValue'),
+    exemptAssets,
+    excludedAssets,
+    nonCountableAssets: exemptAssets + excludedAssets,
+    // Monthly distributions from exempt retirement accounts, counted as income
+    retirementIncome: classified.reduce((sum, item) => sum + (item.distributionIncome || 0), 0)
+  };
+}
+
+/**
+ * Adds distributions from exempt retirement accounts to the monthly income
+ * so the account is counted once: as a resource or as income, never both
+ *
+ * @param {Object} income - Normalized monthly income
+ * @param {Object} classification - Result of classifyAssetItems
+ * @returns {Object} Income with retirement_distributions when there are any
+ */
+function withRetirementIncome(income, classification) {
+  const retirementIncome = classification && classification.retirementIncome;
+  if (!retirementIncome) {
+    return income;
+  }
+
+  return { ...income, retirement_distributions: retirementIncome };
+}
+
+/**
+ * Works out how much of each item estate recovery can reach at the
+ * applicant's death. Probate-only states reach sole-owned property and
+ * tenancy-in-common shares; property passing by survivorship, beneficiary
+ * designation or a revocable trust is reached only in expanded-estate states.
+ *
+ * @param {Array|Object} assets - Asset items, or { items: [...] }
+ * @param {Object} [options]
+ * @param {boolean} [options.expandedEstate] - State uses the expanded estate definition
+ * @returns {Object} { expandedEstate, total, homeValue, items: [{ id, type, titleForm, equity, ownershipShare, recoverableValue, reason }] }
+ */
+function getRecoverableEstate(assets, options = {}) {
+  const expandedEstate = Boolean(options.expandedEstate);
+  const items = (Array.isArray(assets) ? assets : assets.items).map(normalizeItem);
+
+  const recoverable = items.map(item => {
+    const share = getShareValue(item);
+    let recoverableValue = share;
+    let reason = 'Passes through the probate estate';
+
+    if (!item.owners.includes('client')) {
+      recoverableValue = 0;
+      reason = 'Not owned by the applicant, so not part of the applicant\'s estate';
+    } else if (item.titleForm === 'irrevocable_trust') {
+      recoverableValue = 0;
+      reason = 'Held in an irrevocable trust outside the estate';
+    } else if (item.titleForm === 'tenancy_in_common') {
+      reason = `The applicant's ${item.ownershipShare}% tenancy-in-common share passes through the estate`;
+    } else if (NON_PROBATE_TITLE_FORMS.includes(item.titleForm)) {
+      recoverableValue = expandedEstate ? share : 0;
+      reason = expandedEstate ?
+        `Passes outside probate, but the state's expanded estate definition reaches the applicant's ${item.ownershipShare}% interest` :
+        'Passes outside probate by survivorship or beneficiary designation';
+    }
+
+    return {
+      id: item.id,
+      type: item.type,
+      titleForm: item.titleForm,
+      equity: item.equity,
+      ownershipShare: item.ownershipShare,
+      recoverableValue,
+      reason
+    };
+  });
+
+  return {
+    expandedEstate,
+    total: recoverable.reduce((sum, item) => sum + item.recoverableValue, 0),
+    homeValue: recoverable.filter(item => item.type === 'home').reduce((sum, item) => sum + item.recoverableValue, 0),
+    items: recoverable
+  };
+}
+
+/**
+ * Values a transfer made by retitling an asset (adding a co-owner or deeding
+ * away a share). Adding a co-owner to a bank account is not itself a transfer
+ * because the applicant can still withdraw everything; the co-owner's
+ * withdrawals are. Other property is transferred at the share conveyed.
+ *
+ * @param {Object} asset - Asset item that was retitled
+ * @param {number} shareTransferred - Percentage of the asset conveyed
+ * @returns {Object} { amount, reason }
+ */
+function getRetitlingTransferValue(asset, shareTransferred) {
+  const item = normalizeItem(asset, 0);
+  const share = Math.min(100, Math.max(0, parseFloat(shareTransferred) || 0));
+
+  if (LIQUID_TYPES.includes(item.type)) {
+    return {
+      amount: 0,
+      reason: 'Adding a joint owner to an account is not a transfer until the co-owner withdraws funds'
+    };
+  }
+
+  return {
+    amount: Math.round(item.equity * share) / 100,
+    reason: `Conveyed a ${share}% interest in ${item.description} (equity $${item.equity.toLocaleString()})`
+  };
+}
+
+module.exports = {
+  ASSET_TYPES,
+  TITLE_FORMS,
+  PAYOUT_STATUSES,
+  CO_OWNER_RELATIONSHIPS,
+  LIQUID_TYPES,
+  BURIAL_FUND_EXCLUSION,
+  LIFE_INSURANCE_FACE_VALUE_LIMIT,
+  isItemizedAssets,
+  flatAssetsToItems,
+  itemsToFlatAssets,
+  classifyAssetItems,
+  withRetirementIncome,
+  getRecoverableEstate,
+  getRetitlingTransferValue
+};
@@ -0,0 +1,106 @@
+// src/services/utils/csv.js
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * into one object per data row, keyed by the header row
+ *
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} Rows keyed by column name
+ * @throws {Error} When a quoted field is never closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines (including the one left by a trailing newline)
+  const nonEmpty = records.filter(fields => fields.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(fields => headers.reduce((row, header, index) => {
+    row[header] = fields[index] !== undefined ? fields[index] : '';
+    return row;
+  }, {}));
+}
+
+/**
+ * Formats a single CSV field, quoting it when needed
+ *
+ * @param {*} value - Field value (objects are written as JSON)
+ * @returns {string} CSV field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = typeof value === 'object' && !(value instanceof Date)
+    ? JSON.stringify(value)
+    : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows to CSV with a header row
+ *
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Column order
+ * @returns {string} CSV content
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatCsvField(row[column])).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,97 @@
+// src/services/utils/effectiveDate.js
+
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Formats a Date using its local calendar date (pg returns DATE columns at local midnight)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function formatCalendarDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Resolves the "as of" date used to select the rule set in force
+ *
+ * @param {string|Date} [asOfDate] - Date to evaluate rules as of (defaults to today)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function resolveAsOfDate(asOfDate) {
+  if (asOfDate === undefined || asOfDate === null || asOfDate === '') {
+    return formatCalendarDate(new Date());
+  }
+
+  if (typeof asOfDate === 'string') {
+    const match = asOfDate.trim().match(ISO_DATE_PATTERN);
+    if (match) {
+      const [, year, month, day] = match.map(Number);
+      const parsed = new Date(Date.UTC(year, month - 1, day));
+
+      // Reject dates like 2025-02-30 that Date silently rolls over
+      if (parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day) {
+        return asOfDate.trim();
+      }
+      throw new Error(`Invalid asOfDate: ${asOfDate}`);
+    }
+  }
+
+  const parsed = asOfDate instanceof Date ? asOfDate : new Date(asOfDate);
+  if (isNaN(parsed.getTime())) {
+    throw new Error(`Invalid asOfDate: ${asOfDate}`);
+  }
+
+  return formatCalendarDate(parsed);
+}
+
+/**
+ * Checks an "as of" date given in a request: omitted, or a real calendar date in YYYY-MM-DD format
+ *
+ * @param {*} asOfDate - Date from the request
+ * @returns {boolean} True when the date can be used
+ */
+function isValidAsOfDate(asOfDate) {
+  if (asOfDate === undefined || asOfDate === null || asOfDate === '') {
+    return true;
+  }
+  if (typeof asOfDate !== 'string' || !ISO_DATE_PATTERN.test(asOfDate.trim())) {
+    return false;
+  }
+
+  try {
+    resolveAsOfDate(asOfDate);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Converts an "as of" date to a Date object at midnight UTC
+ *
+ * @param {string|Date} [asOfDate] - Date to convert (defaults to today)
+ * @returns {Date} Date object
+ */
+function asOfDateToDate(asOfDate) {
+  return new Date(`${resolveAsOfDate(asOfDate)}T00:00:00.000Z`);
+}
+
+/**
+ * Gets the rule year that applies on an "as of" date
+ *
+ * @param {string|Date} [asOfDate] - Date to evaluate (defaults to today)
+ * @returns {number} Four-digit rule year
+ */
+function getRuleYear(asOfDate) {
+  return Number(resolveAsOfDate(asOfDate).substring(0, 4));
+}
+
+module.exports = {
+  resolveAsOfDate,
+  isValidAsOfDate,
+  asOfDateToDate,
+  getRuleYear
+};
@@ -1,73 +1,38 @@
 // src/services/planning/eligibilityUtils.js
 const logger = require('../../config/logger');
+const { isItemizedAssets, flatAssetsToItems, classifyAssetItems } = require('./assetClassification');
+const { applyIncomeDisregards } = require('./incomeDisregards');
 
 /**
- * Calculates total income from all sources
+ * Calculates countable income from all sources after the state's disregards
  * 
- * @param {Object} income - Income breakdown by source
- * @returns {number} Total income
+ * @param {Object|number} income - Income breakdown by source, or a monthly total
+ * @param {Object} [options] - Calculation options
+ * @param {Object} [options.rules] - State rules (incomeDisregards; federal SSI values if absent)
+ * @param {string} [options.budgeting='ssi_related'] - 'ssi_related' or 'gross' (special income limit test)
+ * @returns {Object} { grossIncome, countableIncome, items, deductions } with each deduction itemized
  */
-function calculateTotalIncome(income) {
-  if (!income || typeof income !== 'object') return 0;
-  
-  return Object.values(income).reduce((sum, value) => {
-    const amount = parseFloat(value) || 0;
-    return sum + amount;
-  }, 0);
+function calculateTotalIncome(income, options = {}) {
+  return applyIncomeDisregards(income, options);
 }
 
 /**
  * Classifies assets as countable or non-countable for Medicaid
+ * Accepts itemized assets or the flat { key: amount } map, which is
+ * converted to items that keep the flat format's verdicts.
  * 
- * @param {Object} assets - Assets breakdown by type
- * @returns {Object} Classification with countable and non-countable totals
+ * @param {Array|Object} assets - Asset items, { items: [...] }, or assets breakdown by type
+ * @param {Object} [options] - Classification options (options.rules: state rules)
+ * @returns {Object} Countable and non-countable totals, with the verdict and reason per item
  */
-function classifyAssets(assets) {
+function classifyAssets(assets, options = {}) {
   if (!assets || typeof assets !== 'object') {
     return { countableAssets: 0, nonCountableAssets: 0 };
   }
   
-  // Default commonly non-countable asset types
-  const nonCountableTypes = [
-    'home', 
-    'primary_residence',
-    'burial_funds', 
-    'burial_plots',
-    'pre_paid_funeral',
-    'funeral_plan',
-    'life_insurance_exempt',
-    'automobile_primary',
-    'personal_effects'
-  ];
-  
-  let countableAssets = 0;
-  let nonCountableAssets = 0;
-  
-  // Process each asset
-  Object.entries(assets).forEach(([key, value]) => {
-    const amount = parseFloat(value) || 0;
-    
-    // Check if this is an explicitly countable asset
-    if (key === 'countable') {
-      countableAssets += amount;
-      return;
-    }
-    
-    // Check if this is an explicitly non-countable asset
-    if (key === 'non_countable') {
-      nonCountableAssets += amount;
-      return;
-    }
-    
-    // Classify based on asset type
-    if (nonCountableTypes.includes(key)) {
-      nonCountableAssets += amount;
-    } else {
-      countableAssets += amount;
-    }
-  });
+  const items = isItemizedAssets(assets) ? assets : flatAssetsToItems(assets);
   
-  return { countableAssets, nonCountableAssets };
+  return classifyAssetItems(items, options);
 }
 
 /**
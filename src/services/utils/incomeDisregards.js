@@ -0,0 +1,175 @@
+// src/services/utils/incomeDisregards.js
+const logger = require('../../config/logger');
+const { FEDERAL_INCOME_DISREGARDS } = require('../../data/stateMedicaidRules');
+
+/**
+ * INCOME DISREGARDS
+ * Works out countable income from income by source. Federally excluded
+ * income (VA aid and attendance, reparations, retroactive SSA/SSI lump sums)
+ * never counts. SSI-related budgeting then takes the general exclusion from
+ * unearned income first and the earned income exclusion plus a fraction of
+ * the rest from wages. The figures come from the state's incomeDisregards
+ * rule, falling back to the federal SSI values.
+ */
+
+const EARNED_SOURCES = ['wages', 'salary', 'earned', 'earned_income', 'employment', 'self_employment', 'earnings'];
+const VA_AID_AND_ATTENDANCE_SOURCES = ['va_aid_and_attendance', 'aid_and_attendance', 'va_unusual_medical_expenses'];
+const REPARATIONS_SOURCES = ['reparations', 'holocaust_reparations', 'japanese_american_reparations'];
+const RETROACTIVE_LUMP_SUM_SOURCES = ['ssa_retroactive_lump_sum', 'ssi_retroactive_lump_sum', 'retroactive_lump_sum'];
+// Premiums withheld from a benefit; not a source of income themselves
+const MEDICARE_PREMIUM_SOURCES = ['medicare_premium', 'medicare_premiums', 'medicare_part_b_premium'];
+// A Social Security deposit after the Medicare premium was withheld
+const NET_SOCIAL_SECURITY_SOURCE = 'social_security_net';
+
+const REFERENCES = {
+  va_aid_and_attendance: '20 CFR 416.1103(b) - VA aid and attendance and unusual medical expense payments are not income',
+  reparations: 'Pub. L. 103-286 and the Civil Liberties Act of 1988 - Reparation payments are excluded',
+  retroactive_lump_sum: '20 CFR 416.1103 and 416.1233 - Retroactive SSA and SSI benefits are not income in the month received',
+  general_exclusion: '20 CFR 416.1124(c)(12) - General income exclusion',
+  earned_exclusion: '20 CFR 416.1112(c)(6)-(7) - Earned income exclusion and one-half of remaining earnings',
+  medicare_premium: 'State budgeting of Medicare premiums withheld from benefits'
+};
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Sorts an income source into a disregard category
+ *
+ * @param {string} source - Income source key
+ * @returns {string} earned, unearned, va_aid_and_attendance, reparations, retroactive_lump_sum or medicare_premium
+ */
+function categorizeIncomeSource(source) {
+  const key = String(source).toLowerCase();
+  if (EARNED_SOURCES.includes(key)) return 'earned';
+  if (VA_AID_AND_ATTENDANCE_SOURCES.includes(key)) return 'va_aid_and_attendance';
+  if (REPARATIONS_SOURCES.includes(key)) return 'reparations';
+  if (RETROACTIVE_LUMP_SUM_SOURCES.includes(key)) return 'retroactive_lump_sum';
+  if (MEDICARE_PREMIUM_SOURCES.includes(key)) return 'medicare_premium';
+  return 'unearned';
+}
+
+/**
+ * Gets the disregards in force, filling gaps with the federal values
+ *
+ * @param {Object} [rules] - State rules (incomeDisregards)
+ * @returns {Object} Disregard settings
+ */
+function getIncomeDisregards(rules = {}) {
+  return { ...FEDERAL_INCOME_DISREGARDS, ...((rules && rules.incomeDisregards) || {}) };
+}
+
+/**
+ * Calculates countable income after disregards
+ *
+ * @param {Object|number} income - Monthly income by source, or a monthly total
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - State rules (incomeDisregards)
+ * @param {string} [options.budgeting='ssi_related'] - 'ssi_related' applies every disregard; 'gross'
+ *   (the special income limit test) takes only federally excluded income and Medicare premium treatment
+ * @returns {Object} { grossIncome, countableIncome, items, deductions }
+ *   items: [{ source, category, amount, counted, excluded, note }]; excluded items are counted in
+ *   grossIncome and taken back out as a deduction
+ *   deductions: [{ type, source, amount, description, reference }] in the order taken
+ */
+function applyIncomeDisregards(income, options = {}) {
+  const disregards = getIncomeDisregards(options.rules);
+  const budgeting = options.budgeting || 'ssi_related';
+  const items = [];
+  const deductions = [];
+  let medicarePremium = 0;
+
+  if (typeof income === 'number') {
+    items.push({ source: 'income', category: 'unearned', amount: income, counted: true });
+  } else if (income && typeof income === 'object') {
+    Object.entries(income).forEach(([source, value]) => {
+      const amount = parseFloat(value) || 0;
+      if (amount === 0) {
+        return;
+      }
+      const category = categorizeIncomeSource(source);
+      if (category === 'medicare_premium') {
+        medicarePremium += amount;
+        return;
+      }
+      items.push({ source, category, amount, counted: true });
+    });
+  }
+
+  // Social Security reported under both spellings is one benefit
+  const camelCase = items.find(item => item.source === 'socialSecurity');
+  if (camelCase && items.some(item => item.source === 'social_security')) {
+    camelCase.counted = false;
+    camelCase.note = 'Social Security reported under both spellings; only social_security is counted';
+  }
+
+  // A net deposit is grossed back up when withheld premiums still count as income
+  const netSocialSecurity = items.find(item => item.source === NET_SOCIAL_SECURITY_SOURCE);
+  if (netSocialSecurity && medicarePremium > 0 && disregards.medicarePremiums === 'gross') {
+    netSocialSecurity.amount = roundCents(netSocialSecurity.amount + medicarePremium);
+    netSocialSecurity.note = `Grossed up by the $${medicarePremium} Medicare premium withheld from the benefit`;
+  }
+
+  const counted = items.filter(item => item.counted);
+  const grossIncome = roundCents(counted.reduce((sum, item) => sum + item.amount, 0));
+
+  const deduct = (type, source, amount, description) => {
+    if (amount > 0) {
+      deductions.push({ type, source, amount: roundCents(amount), description, reference: REFERENCES[type] });
+    }
+  };
+
+  // Federally excluded income
+  const exclusions = {
+    va_aid_and_attendance: disregards.excludeVaAidAndAttendance,
+    reparations: disregards.excludeReparations,
+    retroactive_lump_sum: disregards.excludeRetroactiveLumpSums
+  };
+  counted.forEach(item => {
+    if (exclusions[item.category]) {
+      item.excluded = true;
+      deduct(item.category, item.source, item.amount, `${item.source} is excluded from income`);
+    }
+  });
+
+  if (budgeting === 'ssi_related') {
+    const sumOf = category => counted
+      .filter(item => item.category === category)
+      .reduce((sum, item) => sum + item.amount, 0);
+    const unearned = sumOf('unearned');
+    const earned = sumOf('earned');
+
+    // The general exclusion comes off unearned income first; any remainder comes off earnings
+    const generalFromUnearned = Math.min(disregards.generalExclusion, unearned);
+    const generalFromEarned = Math.min(disregards.generalExclusion - generalFromUnearned, earned);
+    deduct('general_exclusion', 'unearned', generalFromUnearned, `$${disregards.generalExclusion} general income exclusion`);
+    deduct('general_exclusion', 'earned', generalFromEarned, 'Unused general income exclusion applied to earnings');
+
+    const earnedLeft = earned - generalFromEarned;
+    const earnedExclusion = Math.min(disregards.earnedExclusion, earnedLeft);
+    const earnedFraction = (earnedLeft - earnedExclusion) * disregards.earnedFraction;
+    deduct('earned_exclusion', 'earned', earnedExclusion + earnedFraction,
+      `$${disregards.earnedExclusion} earned income exclusion and ${disregards.earnedFraction * 100}% of the remaining earnings`);
+  }
+
+  if (medicarePremium > 0 && disregards.medicarePremiums === 'net' && !netSocialSecurity) {
+    deduct('medicare_premium', 'medicare_premium', medicarePremium, 'Medicare premiums withheld from benefits are deducted');
+  }
+
+  const totalDeductions = deductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+  const countableIncome = roundCents(Math.max(0, grossIncome - totalDeductions));
+
+  logger.debug(`Countable income $${countableIncome} of $${grossIncome} gross after ${deductions.length} deduction(s)`);
+
+  return {
+    grossIncome,
+    countableIncome,
+    items,
+    deductions
+  };
+}
+
+module.exports = {
+  categorizeIncomeSource,
+  getIncomeDisregards,
+  applyIncomeDisregards
+};
@@ -1,5 +1,9 @@
 const pool = require('../../../config/database');
 const logger = require('../../config/logger');
+const { resolveAsOfDate } = require('./effectiveDate');
+const { RULE_FIELDS, NULLABLE_FIELDS, DATASET_VERSIONS } = require('../../data/stateMedicaidRules');
+const { StateNotFoundError, IncompleteRulesError, InvalidRulesError } = require('../validation/validationErrors');
+const { validateStateSpecificRules, validateMedicaidRules } = require('../validation/ruleSchemas');
 
 /**
  * Cache for loaded rules to avoid repeated database queries
@@ -7,18 +11,82 @@ const logger = require('../../config/logger');
 const rulesCache = new Map();
 const CACHE_TTL = 3600000; // 1 hour in milliseconds
 
+/**
+ * In-process registry of every rule set in medicaid_rules, keyed by state code.
+ * Each entry is sorted newest effective date first so the synchronous
+ * getMedicaidRules can resolve the rule set in force without a query.
+ */
+const rulesRegistry = new Map();
+let registryLoadedAt = null;
+
+const RULE_COLUMNS = `
+        id,
+        state_code,
+        effective_date,
+        individual_resource_limit,
+        community_spouse_resource_allowance_min,
+        community_spouse_resource_allowance_max,
+        individual_income_limit,
+        community_spouse_income_allowance,
+        lookback_period_months,
+        penalty_divisor,
+        state_specific_rules,
+        (
+          SELECT json_agg(json_build_object(
+            'region_id', r.id,
+            'region_code', r.region_code,
+            'region_name', r.region_name,
+            'penalty_divisor', r.penalty_divisor,
+            'average_nursing_home_cost', r.average_nursing_home_cost,
+            'source_url', r.source_url,
+            'source_retrieved_at', r.source_retrieved_at,
+            'counties', (SELECT array_agg(a.area_value) FROM medicaid_rule_region_areas a WHERE a.region_id = r.id AND a.area_type = 'county'),
+            'zip_codes', (SELECT array_agg(a.area_value) FROM medicaid_rule_region_areas a WHERE a.region_id = r.id AND a.area_type = 'zip')
+          ) ORDER BY r.region_code)
+          FROM medicaid_rule_regions r
+          WHERE r.medicaid_rule_id = medicaid_rules.id
+        ) AS regions`;
+
+// medicaid_rules columns and the rule field each one sets
+const COLUMN_FIELDS = {
+  individual_resource_limit: 'resourceLimitSingle',
+  community_spouse_resource_allowance_min: 'communitySpouseResourceAllowanceMin',
+  community_spouse_resource_allowance_max: 'communitySpouseResourceAllowanceMax',
+  individual_income_limit: 'incomeLimitSingle',
+  community_spouse_income_allowance: 'incomeLimitMarried',
+  lookback_period_months: 'lookbackPeriodMonths',
+  penalty_divisor: 'penaltyDivisor'
+};
+
+// Rows seeded from the rules dataset are copies of it; the loader serves the
+// dataset itself so a seeded row never outlives or shadows a dataset version
+const NOT_SEEDED = "state_specific_rules->>'seededFromDataset' IS NULL";
+
+// PostgreSQL error code for a missing table (e.g. an unapplied migration)
+const UNDEFINED_TABLE = '42P01';
+
+// Stands in for the resource limit of states without a resource test
+const NO_RESOURCE_LIMIT = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Cited dataset rule sets by state code, newest effective date first.
+ * Built at load so a partial dataset record fails fast instead of being served.
+ */
+const datasetRuleSets = buildDatasetRuleSets();
+
 /**
  * Loads Medicaid rules for a specific state from database
  * 
  * @param {string} state - State abbreviation or name
+ * @param {string|Date} [asOfDate] - Date the rules must be in force on (defaults to today)
  * @returns {Promise<Object>} State-specific Medicaid rules
  */
-async function loadMedicaidRules(state) {
+async function loadMedicaidRules(state, asOfDate) {
   if (!state || typeof state !== 'string') {
     throw new Error('State must be provided to load Medicaid rules');
   }
   
-  const rules = await getMedicaidRulesFromDb(state);
+  const rules = await getMedicaidRulesFromDb(state, asOfDate);
   const stateKey = normalizeStateKey(state);
   
   return { [stateKey]: rules };
@@ -26,78 +94,46 @@ async function loadMedicaidRules(state) {
 
 /**
  * Gets Medicaid rules from database with caching
+ * Selects the newest rule set whose effective date is on or before the as-of date.
+ * When that rule set fails validation the dataset is served with a fallbackReason.
  * 
  * @param {string} state - State abbreviation or name
+ * @param {string|Date} [asOfDate] - Date the rules must be in force on (defaults to today)
  * @returns {Promise<Object>} State-specific Medicaid rules
  */
-async function getMedicaidRulesFromDb(state) {
+async function getMedicaidRulesFromDb(state, asOfDate) {
   const stateCode = getStateCode(state);
-  const cacheKey = `medicaid_${stateCode}`;
+  const effectiveOn = resolveAsOfDate(asOfDate);
+  const cacheKey = `medicaid_${stateCode}_${effectiveOn}`;
   
   // Check cache first
   const cached = rulesCache.get(cacheKey);
   if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    logger.debug(`Using cached Medicaid rules for state: ${stateCode}`);
+    logger.debug(`Using cached Medicaid rules for state: ${stateCode} as of ${effectiveOn}`);
     return cached.data;
   }
   
   try {
-    logger.debug(`Loading Medicaid rules from database for state: ${stateCode}`);
+    logger.debug(`Loading Medicaid rules from database for state: ${stateCode} as of ${effectiveOn}`);
     
     const query = `
-      SELECT 
-        state_code,
-        individual_resource_limit,
-        community_spouse_resource_allowance_min,
-        community_spouse_resource_allowance_max,
-        individual_income_limit,
-        community_spouse_income_allowance,
-        lookback_period_months,
-        penalty_divisor,
-        state_specific_rules
+      SELECT ${RULE_COLUMNS}
       FROM medicaid_rules
       WHERE state_code = $1
+        AND effective_date <= $2
+        AND ${NOT_SEEDED}
       ORDER BY effective_date DESC
       LIMIT 1
     `;
     
-    const result = await pool.query(query, [stateCode]);
+    const result = await pool.query(query, [stateCode, effectiveOn]);
     
     if (result.rows.length === 0) {
-      logger.warn(`No Medicaid rules found in database for state: ${stateCode}, using defaults`);
-      return getDefaultRules(state);
+      logger.warn(`No Medicaid rules in force in database for state: ${stateCode} as of ${effectiveOn}, using the rules dataset`);
+      return requireDatasetRules(state, effectiveOn);
     }
     
-    const dbRules = result.rows[0];
-    const stateKey = normalizeStateKey(state);
-    const formattedStateName = stateKey.split('_')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
-    
-    const rules = {
-      programName: `${formattedStateName} Medicaid`,
-      resourceLimitSingle: Number(dbRules.individual_resource_limit),
-      resourceLimitMarried: Number(dbRules.community_spouse_resource_allowance_max) || 3000,
-      incomeLimitSingle: Number(dbRules.individual_income_limit),
-      incomeLimitMarried: Number(dbRules.community_spouse_income_allowance) || 1470,
-      nursingHomeIncomeLimitSingle: 2901, // Standard for most states
-      nursingHomeIncomeLimitMarried: 5802,
-      homeEquityLimit: 730000, // Standard federal limit
-      averageNursingHomeCost: 8397,
-      lookbackPeriodMonths: dbRules.lookback_period_months || 60,
-      penaltyDivisor: Number(dbRules.penalty_divisor) || 9500,
-      ...(dbRules.state_specific_rules || {})
-    };
-    
-    // Add income disregards for Florida
-    if (stateCode === 'FL') {
-      rules.disregards = {
-        income: {
-          earned: 0.5,
-          unearned: 20
-        }
-      };
-    }
+    const rules = formatDbRules(result.rows[0], state);
     
     // Cache the results
     rulesCache.set(cacheKey, {
@@ -107,72 +143,623 @@ async function getMedicaidRulesFromDb(state) {
     
     return rules;
   } catch (error) {
-    logger.error('Error loading Medicaid rules from database:', error);
-    return getDefaultRules(state);
+    if (error instanceof StateNotFoundError) {
+      throw error;
+    }
+    if (error instanceof IncompleteRulesError || error instanceof InvalidRulesError) {
+      // The stored rule set is unusable: serve the dataset, but say so
+      logger.error(`Rejected medicaid_rules row for ${stateCode} as of ${effectiveOn}, using the rules dataset: ${error.message}`);
+      return { ...requireDatasetRules(state, effectiveOn), fallbackReason: error.message };
+    }
+    if (error.code === UNDEFINED_TABLE) {
+      logger.warn(`Medicaid rules tables are missing (apply the migrations in migrations/), using the rules dataset: ${error.message}`);
+      return requireDatasetRules(state, effectiveOn);
+    }
+    logger.error(`Error loading Medicaid rules from database, using the rules dataset: ${error.message}`);
+    return requireDatasetRules(state, effectiveOn);
   }
 }
 
 /**
- * Gets Medicaid rules for a specific state (sync version for backward compatibility)
- * Falls back to async version internally
+ * Checks that a rule record carries every required field with a source citation.
+ * A citation needs a retrieval date unless it is flagged as pending verification.
+ * 
+ * @param {Object} fields - Rule fields as { value, citation: { url, retrievedAt } }
+ * @param {string} label - Record description used in the error message
+ * @throws {IncompleteRulesError} Listing every missing value or citation
+ */
+function validateRuleRecord(fields, label) {
+  const problems = [];
+  
+  RULE_FIELDS.forEach(field => {
+    const entry = fields[field];
+    if (!entry || entry.value === undefined || (entry.value === null && !NULLABLE_FIELDS.includes(field))) {
+      problems.push(`${field} is missing`);
+    } else if (!entry.citation || !entry.citation.url || (!entry.citation.retrievedAt && entry.citation.pendingVerification !== true)) {
+      problems.push(`${field} has no source citation`);
+    }
+  });
+  
+  if (problems.length > 0) {
+    throw new IncompleteRulesError(`Incomplete Medicaid rules for ${label}: ${problems.join('; ')}`, problems);
+  }
+}
+
+/**
+ * Converts cited rule fields into the rules object used by the planning modules
+ * 
+ * @param {string} stateCode - Two-letter state code
+ * @param {string} programName - State Medicaid program name
+ * @param {Object} fields - Rule fields as { value, citation, origin }
+ * @param {string} effectiveDate - Date the rule set took effect
+ * @param {Array} [regions] - Regional penalty divisors and nursing home costs
+ * @returns {Object} State-specific Medicaid rules with a citation and origin per field
+ */
+function formatRuleRecord(stateCode, programName, fields, effectiveDate, regions = []) {
+  const values = {};
+  const citations = {};
+  const fieldOrigins = {};
+  
+  Object.entries(fields).forEach(([field, entry]) => {
+    values[field] = entry.value;
+    // Fields not set by a medicaid_rules row come from the cited dataset
+    fieldOrigins[field] = entry.origin || 'dataset';
+    if (entry.citation) {
+      citations[field] = entry.citation;
+    }
+  });
+  
+  const hasResourceTest = values.resourceLimitSingle !== null;
+  
+  const rules = {
+    programName,
+    // Married applicants are assessed against the community spouse's maximum allowance
+    resourceLimitMarried: values.communitySpouseResourceAllowanceMax,
+    incomeLimitMarried: values.incomeLimitSingle * 2,
+    nursingHomeIncomeLimitSingle: values.incomeLimitSingle,
+    nursingHomeIncomeLimitMarried: values.incomeLimitSingle * 2,
+    // Federal excess shelter standard is 30% of the minimum MMNA
+    excessShelterStandard: Math.round(values.monthlyMaintenanceNeedsAllowanceMin * 30) / 100,
+    averageNursingHomeCost: values.penaltyDivisor,
+    ...values,
+    hasResourceTest,
+    resourceLimitSingle: hasResourceTest ? values.resourceLimitSingle : NO_RESOURCE_LIMIT,
+    resourceLimitCouple: values.resourceLimitCouple === null ? NO_RESOURCE_LIMIT : values.resourceLimitCouple,
+    regions,
+    citations,
+    fieldOrigins,
+    effectiveDate
+  };
+  
+  // Legacy shape read through getDisregardRules
+  if (values.incomeDisregards) {
+    rules.disregards = {
+      income: {
+        earned: values.incomeDisregards.earnedFraction,
+        unearned: values.incomeDisregards.generalExclusion
+      }
+    };
+  }
+  
+  return rules;
+}
+
+/**
+ * Indexes the cited rules dataset by state, validating every record
+ * 
+ * @returns {Map} Dataset entries by state code, newest effective date first
+ * @throws {IncompleteRulesError} When any dataset record is partial
+ */
+function buildDatasetRuleSets() {
+  const ruleSets = new Map();
+  
+  DATASET_VERSIONS.forEach(version => {
+    Object.values(version.states).forEach(record => {
+      validateRuleRecord(record.fields, `${record.stateCode} (dataset ${version.version})`);
+      
+      if (!ruleSets.has(record.stateCode)) {
+        ruleSets.set(record.stateCode, []);
+      }
+      ruleSets.get(record.stateCode).push({
+        version: version.version,
+        effectiveDate: version.effectiveDate,
+        expirationDate: version.expirationDate,
+        record
+      });
+    });
+  });
+  
+  ruleSets.forEach(entries => entries.sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate)));
+  
+  return ruleSets;
+}
+
+/**
+ * Finds the dataset record in force for a state on a date. A version is only
+ * in force through its expiration date, so figures for a year the dataset does
+ * not cover are never served as if they were current.
+ * 
+ * @param {string} stateCode - Two-letter state code
+ * @param {string} effectiveOn - ISO date
+ * @param {boolean} [ignoreExpiration=false] - Also match an expired version (the baseline a medicaid_rules row is layered over)
+ * @returns {Object|null} Dataset entry ({ version, effectiveDate, expirationDate, record }) or null
+ */
+function findDatasetRecord(stateCode, effectiveOn, ignoreExpiration = false) {
+  const entries = datasetRuleSets.get(stateCode) || [];
+  const entry = entries.find(candidate => candidate.effectiveDate <= effectiveOn) || null;
+  
+  if (entry && !ignoreExpiration && entry.expirationDate < effectiveOn) {
+    return null;
+  }
+  
+  return entry;
+}
+
+/**
+ * Formats a dataset entry as the rules object used by the planning modules
+ * 
+ * @param {string} stateCode - Two-letter state code
+ * @param {Object} entry - Dataset entry from findDatasetRecord
+ * @returns {Object} State-specific Medicaid rules (a copy)
+ */
+function formatDatasetEntry(stateCode, entry) {
+  const rules = formatRuleRecord(stateCode, entry.record.programName, entry.record.fields, entry.effectiveDate, entry.record.regions);
+  rules.datasetVersion = entry.version;
+  rules.ruleId = null;
+  rules.ruleSource = 'dataset';
+  
+  // Copy so callers cannot mutate the shared dataset
+  return JSON.parse(JSON.stringify(rules));
+}
+
+/**
+ * Gets the cited dataset rule set in force for a state
  * 
  * @param {string} state - State abbreviation or name
- * @param {Object} [updates] - Optional updates to apply
+ * @param {string|Date} [asOfDate] - Date the rules must be in force on (defaults to today)
+ * @returns {Object|null} State-specific Medicaid rules, or null when the dataset has none
+ */
+function getDatasetRules(state, asOfDate) {
+  const stateCode = getStateCode(state);
+  const entry = findDatasetRecord(stateCode, resolveAsOfDate(asOfDate));
+  
+  return entry ? formatDatasetEntry(stateCode, entry) : null;
+}
+
+/**
+ * Gets the dataset rule set in force or throws when there is none
+ * When every dataset version has expired by the date, the newest one is
+ * served marked stale (with a staleReason) until its successor is published.
+ * 
+ * @param {string} state - State abbreviation or name
+ * @param {string|Date} [asOfDate] - Date the rules must be in force on (defaults to today)
  * @returns {Object} State-specific Medicaid rules
+ * @throws {StateNotFoundError} When the dataset has no rules for the state on or before the date
  */
-function getMedicaidRules(state, updates) {
-  logger.debug(`Loading Medicaid rules for state: ${state}`);
+function requireDatasetRules(state, asOfDate) {
+  const effectiveOn = resolveAsOfDate(asOfDate);
+  const stateCode = getStateCode(state);
+  const entry = findDatasetRecord(stateCode, effectiveOn, true);
   
-  if (!state) {
-    throw new Error('State must be provided to get Medicaid rules');
+  if (!entry) {
+    const entries = datasetRuleSets.get(stateCode) || [];
+    const coverage = entries.length > 0 ?
+      ` (the rules dataset covers ${entries[entries.length - 1].effectiveDate} to ${entries[0].expirationDate})` : '';
+    throw new StateNotFoundError(`No Medicaid rules in force for state: ${state} as of ${effectiveOn}${coverage}`);
   }
-
-  // For sync compatibility, return default rules
-  // The async version should be used when possible
-  const rules = getDefaultRules(state);
   
-  return updates ? loadRuleUpdates({ [normalizeStateKey(state)]: rules }, { [normalizeStateKey(state)]: updates[normalizeStateKey(state)] })[normalizeStateKey(state)] : rules;
+  const rules = formatDatasetEntry(stateCode, entry);
+  if (entry.expirationDate < effectiveOn) {
+    rules.stale = true;
+    rules.staleReason = `Rules dataset ${entry.version} expired on ${entry.expirationDate}; ` +
+      `its figures are served for ${effectiveOn} until rules for the date are published`;
+    logger.warn(`Serving stale Medicaid rules for ${stateCode} as of ${effectiveOn}: ${rules.staleReason}`);
+  }
+  
+  return rules;
 }
 
 /**
- * Gets default rules for backward compatibility
+ * Converts a medicaid_rules row into the rules object used by the planning modules
+ * The row is layered over the dataset record in force on its effective date.
+ * Every value the row sets needs a citation, either per field in
+ * state_specific_rules.citations or for the whole row in state_specific_rules.source.
  * 
+ * @param {Object} dbRules - Row from the medicaid_rules table
  * @param {string} state - State abbreviation or name
- * @returns {Object} Default rules
+ * @returns {Object} State-specific Medicaid rules
+ * @throws {InvalidRulesError} When state_specific_rules or the merged rule set fails the rule schema
+ * @throws {IncompleteRulesError} When the merged rule set is missing a field or citation
  */
-function getDefaultRules(state) {
+function formatDbRules(dbRules, state) {
+  const stateCode = getStateCode(dbRules.state_code || state);
+  const effectiveDate = resolveAsOfDate(dbRules.effective_date);
+  const baseline = findDatasetRecord(stateCode, effectiveDate, true);
+  
+  // Unknown or overriding JSONB keys would otherwise be spread over the limits
+  assertValidRules(validateStateSpecificRules(dbRules.state_specific_rules, dbRules), dbRules, stateCode, effectiveDate);
+  
+  const { source, citations = {}, notes, seededFromDataset, ...stateSpecificRules } = dbRules.state_specific_rules || {};
+  
+  const provided = { ...stateSpecificRules };
+  Object.entries(COLUMN_FIELDS).forEach(([column, field]) => {
+    if (dbRules[column] !== undefined && dbRules[column] !== null) {
+      provided[field] = Number(dbRules[column]);
+    }
+  });
+  
+  const fields = baseline ? { ...baseline.record.fields } : {};
+  Object.entries(provided).forEach(([field, value]) => {
+    fields[field] = { value, citation: citations[field] || source, origin: 'medicaid_rules' };
+  });
+  
+  validateRuleRecord(fields, `${stateCode} effective ${effectiveDate}`);
+  
   const stateKey = normalizeStateKey(state);
-  const formattedStateName = stateKey.split('_')
+  const programName = baseline ? baseline.record.programName : `${stateKey.split('_')
     .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(' ');
-  
-  const defaultRules = {
-    programName: `${formattedStateName} Medicaid`,
-    resourceLimitSingle: 2000,
-    resourceLimitMarried: 3000,
-    incomeLimitSingle: 2901,
-    incomeLimitMarried: 1470,
-    nursingHomeIncomeLimitSingle: 2901,
-    nursingHomeIncomeLimitMarried: 5802,
-    homeEquityLimit: 730000,
-    averageNursingHomeCost: 8397,
-    lookbackPeriodMonths: 60,
-    penaltyDivisor: 9500
-  };
+    .join(' ')} Medicaid`;
   
-  // Add income disregards for Florida
-  if (stateKey === 'florida') {
-    defaultRules.disregards = {
-      income: {
-        earned: 0.5,
-        unearned: 20
+  // A rule set with its own regions replaces the dataset's regions entirely
+  const regions = dbRules.regions ?
+    formatDbRegions(dbRules.regions, `${stateCode} effective ${effectiveDate}`) :
+    (baseline ? baseline.record.regions : []);
+  
+  const rules = formatRuleRecord(stateCode, programName, fields, effectiveDate, regions);
+  rules.ruleId = dbRules.id || null;
+  rules.ruleSource = 'medicaid_rules';
+  if (baseline) {
+    rules.datasetVersion = baseline.version;
+  }
+  
+  assertValidRules(validateMedicaidRules(rules), dbRules, stateCode, effectiveDate);
+  
+  return rules;
+}
+
+/**
+ * Rejects a medicaid_rules row that failed the rule schema, logging each problem
+ * 
+ * @param {Object} result - Schema result as { valid, problems }
+ * @param {Object} dbRules - Row from the medicaid_rules table
+ * @param {string} stateCode - Two-letter state code
+ * @param {string} effectiveDate - Date the row takes effect
+ * @throws {InvalidRulesError} When the result has problems
+ */
+function assertValidRules(result, dbRules, stateCode, effectiveDate) {
+  if (result.valid) {
+    return;
+  }
+  
+  logger.warn('Medicaid rule set failed schema validation', {
+    stateCode,
+    effectiveDate,
+    ruleId: dbRules.id || null,
+    problems: result.problems
+  });
+  
+  throw new InvalidRulesError(
+    `Invalid Medicaid rules for ${stateCode} effective ${effectiveDate}: ${result.problems.map(problem => problem.message).join('; ')}`,
+    result.problems
+  );
+}
+
+/**
+ * Checks a medicaid_rules row (stored or proposed) without loading it
+ * 
+ * @param {Object} dbRules - Row in medicaid_rules column layout
+ * @returns {Object} { valid, problems, rules } - rules is null when the row is rejected
+ */
+function checkMedicaidRuleRow(dbRules) {
+  try {
+    return { valid: true, problems: [], rules: formatDbRules(dbRules, dbRules.state_code) };
+  } catch (error) {
+    if (error instanceof InvalidRulesError) {
+      return { valid: false, problems: error.problems, rules: null };
+    }
+    if (error instanceof IncompleteRulesError) {
+      return {
+        valid: false,
+        problems: error.problems.map(message => ({ path: message.split(' ')[0], type: 'rules.incomplete', message })),
+        rules: null
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates every medicaid_rules row stored for a state
+ * 
+ * @param {string} state - State abbreviation or name
+ * @returns {Promise<Object>} { state, valid, problems, ruleSets: [{ ruleId, effectiveDate, valid, problems }] }
+ */
+async function diagnoseMedicaidRules(state) {
+  const stateCode = getStateCode(state);
+  
+  const result = await pool.query(`
+    SELECT ${RULE_COLUMNS}
+    FROM medicaid_rules
+    WHERE state_code = $1
+    ORDER BY effective_date DESC
+  `, [stateCode]);
+  
+  const ruleSets = result.rows.map(row => {
+    const { valid, problems } = checkMedicaidRuleRow({ ...row, state_code: row.state_code || stateCode });
+    return {
+      ruleId: row.id || null,
+      effectiveDate: resolveAsOfDate(row.effective_date),
+      valid,
+      problems
+    };
+  });
+  
+  // A state without stored rule sets is only ever served from the dataset
+  const problems = ruleSets.length === 0 ?
+    [{ path: 'medicaid_rules', type: 'rules.missing', message: `No rule sets stored for ${stateCode}` }] : [];
+  
+  return {
+    state: stateCode,
+    valid: problems.length === 0 && ruleSets.every(ruleSet => ruleSet.valid),
+    problems,
+    ruleSets
+  };
+}
+
+/**
+ * Converts medicaid_rule_regions rows (aggregated onto a medicaid_rules row)
+ * into the region list used by the planning modules
+ * 
+ * @param {Array} rows - Region rows with their counties and ZIP codes
+ * @param {string} label - Rule set description used in the error message
+ * @returns {Array} Regions as { code, name, counties, zipCodes, penaltyDivisor, averageNursingHomeCost, citation }
+ * @throws {IncompleteRulesError} When a region has no figures or no source
+ */
+function formatDbRegions(rows, label) {
+  return rows.map(row => {
+    const penaltyDivisor = row.penalty_divisor !== null && row.penalty_divisor !== undefined ? Number(row.penalty_divisor) : null;
+    const averageNursingHomeCost = row.average_nursing_home_cost !== null && row.average_nursing_home_cost !== undefined ?
+      Number(row.average_nursing_home_cost) : penaltyDivisor;
+    
+    const problems = [];
+    if (penaltyDivisor === null && averageNursingHomeCost === null) {
+      problems.push(`region ${row.region_code} has no penalty divisor or nursing home cost`);
+    }
+    if (!row.source_url || !row.source_retrieved_at) {
+      problems.push(`region ${row.region_code} has no source citation`);
+    }
+    if (problems.length > 0) {
+      throw new IncompleteRulesError(`Incomplete Medicaid rules for ${label}: ${problems.join('; ')}`, problems);
+    }
+    
+    return {
+      id: row.region_id || null,
+      origin: 'medicaid_rule_regions',
+      code: row.region_code,
+      name: row.region_name,
+      counties: row.counties || [],
+      zipCodes: row.zip_codes || [],
+      penaltyDivisor,
+      averageNursingHomeCost,
+      citation: {
+        url: row.source_url,
+        title: `${row.region_name} regional rates`,
+        retrievedAt: resolveAsOfDate(row.source_retrieved_at)
       }
     };
+  });
+}
+
+/**
+ * Loads every rule set from medicaid_rules into the in-process registry
+ * Called at startup and whenever rules change; on failure the previous
+ * registry contents are kept so planning keeps working from the last good load
+ * 
+ * @param {string} [state] - Only reload this state (reloads all states if omitted)
+ * @returns {Promise<number>} Number of rule sets loaded
+ */
+async function refreshRulesRegistry(state) {
+  const stateCode = state ? getStateCode(state) : null;
+  
+  try {
+    logger.info(`Refreshing Medicaid rules registry${stateCode ? ` for state: ${stateCode}` : ''}`);
+    
+    const query = `
+      SELECT ${RULE_COLUMNS}
+      FROM medicaid_rules
+      WHERE ${NOT_SEEDED}${stateCode ? ' AND state_code = $1' : ''}
+      ORDER BY state_code, effective_date DESC
+    `;
+    
+    const result = await pool.query(query, stateCode ? [stateCode] : []);
+    
+    const loaded = new Map();
+    let loadedCount = 0;
+    result.rows.forEach(row => {
+      const code = row.state_code.toUpperCase();
+      let rules;
+      try {
+        rules = formatDbRules(row, code);
+      } catch (error) {
+        if (!(error instanceof IncompleteRulesError) && !(error instanceof InvalidRulesError)) {
+          throw error;
+        }
+        // Partial or malformed rows are rejected rather than padded with defaults
+        logger.error(`Rejected medicaid_rules row: ${error.message}`);
+        return;
+      }
+      if (!loaded.has(code)) {
+        loaded.set(code, []);
+      }
+      loaded.get(code).push(rules);
+      loadedCount++;
+    });
+    
+    if (stateCode) {
+      rulesRegistry.delete(stateCode);
+    } else {
+      rulesRegistry.clear();
+    }
+    loaded.forEach((ruleSets, code) => rulesRegistry.set(code, ruleSets));
+    registryLoadedAt = new Date();
+    
+    clearRulesCache(stateCode);
+    
+    logger.info(`Medicaid rules registry loaded ${loadedCount} rule sets for ${loaded.size} states`);
+    return loadedCount;
+  } catch (error) {
+    logger.error(`Error refreshing Medicaid rules registry: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Invalidates cached rules after a change to medicaid_rules and reloads them
+ * 
+ * @param {string} [state] - State whose rules changed (invalidates all states if omitted)
+ * @returns {Promise<number>} Number of rule sets reloaded
+ */
+async function invalidateMedicaidRules(state) {
+  logger.info(`Invalidating Medicaid rules${state ? ` for state: ${state}` : ''}`);
+  return refreshRulesRegistry(state);
+}
+
+/**
+ * Periodically refreshes the registry so changes made by other processes
+ * (migration scripts, other API instances) are picked up
+ * 
+ * @param {number} [intervalMs] - Refresh interval (defaults to the cache TTL)
+ * @returns {Object} Interval timer (does not keep the process alive)
+ */
+function scheduleRulesRegistryRefresh(intervalMs = CACHE_TTL) {
+  const timer = setInterval(() => {
+    refreshRulesRegistry().catch(() => {
+      // Already logged - keep serving the last good registry
+    });
+  }, intervalMs);
+  
+  if (timer.unref) {
+    timer.unref();
   }
   
-  return defaultRules;
+  return timer;
 }
 
+/**
+ * Gets the status of the in-process rules registry
+ * 
+ * @returns {Object} Loaded time and the states that have database rules
+ */
+function getRulesRegistryStatus() {
+  return {
+    loadedAt: registryLoadedAt ? registryLoadedAt.toISOString() : null,
+    states: Array.from(rulesRegistry.keys()).sort(),
+    ruleSetCount: Array.from(rulesRegistry.values()).reduce((sum, ruleSets) => sum + ruleSets.length, 0)
+  };
+}
+
+/**
+ * Removes cached async lookups so the next query sees fresh rules
+ * 
+ * @param {string|null} stateCode - Two-letter state code (clears all states if null)
+ */
+function clearRulesCache(stateCode) {
+  if (!stateCode) {
+    rulesCache.clear();
+    return;
+  }
+  
+  Array.from(rulesCache.keys())
+    .filter(key => key.startsWith(`medicaid_${stateCode}_`))
+    .forEach(key => rulesCache.delete(key));
+}
+
+/**
+ * Gets Medicaid rules for a specific state (sync version for backward compatibility)
+ * Serves rules from the in-process registry and falls back to the cited
+ * rules dataset for states that have no database rule set in force
+ * 
+ * @param {string} state - State abbreviation or name
+ * @param {Object} [updates] - Optional updates to apply
+ * @param {string|Date} [asOfDate] - Date the rules must be in force on (defaults to today)
+ * @returns {Object} State-specific Medicaid rules
+ */
+function getMedicaidRules(state, updates, asOfDate) {
+  logger.debug(`Loading Medicaid rules for state: ${state}`);
+  
+  if (!state) {
+    throw new Error('State must be provided to get Medicaid rules');
+  }
+
+  const effectiveOn = resolveAsOfDate(asOfDate);
+  const ruleSets = rulesRegistry.get(getStateCode(state)) || [];
+  const inForce = ruleSets.find(ruleSet => ruleSet.effectiveDate <= effectiveOn);
+  
+  if (!inForce) {
+    logger.debug(`No registered Medicaid rules for state: ${state} as of ${effectiveOn}, using the rules dataset`);
+  }
+  
+  // Copy so callers cannot mutate the shared registry entry
+  const rules = inForce ? JSON.parse(JSON.stringify(inForce)) : requireDatasetRules(state, effectiveOn);
+  
+  return updates ? loadRuleUpdates({ [normalizeStateKey(state)]: rules }, { [normalizeStateKey(state)]: updates[normalizeStateKey(state)] })[normalizeStateKey(state)] : rules;
+}
+
+// State names (upper case) and their two-letter codes
+const STATE_NAME_CODES = {
+  'FLORIDA': 'FL',
+  'NEW YORK': 'NY',
+  'CALIFORNIA': 'CA',
+  'TEXAS': 'TX',
+  'ALABAMA': 'AL',
+  'ALASKA': 'AK',
+  'ARIZONA': 'AZ',
+  'ARKANSAS': 'AR',
+  'COLORADO': 'CO',
+  'CONNECTICUT': 'CT',
+  'DELAWARE': 'DE',
+  'DISTRICT OF COLUMBIA': 'DC',
+  'GEORGIA': 'GA',
+  'HAWAII': 'HI',
+  'IDAHO': 'ID',
+  'ILLINOIS': 'IL',
+  'INDIANA': 'IN',
+  'IOWA': 'IA',
+  'KANSAS': 'KS',
+  'KENTUCKY': 'KY',
+  'LOUISIANA': 'LA',
+  'MAINE': 'ME',
+  'MARYLAND': 'MD',
+  'MASSACHUSETTS': 'MA',
+  'MICHIGAN': 'MI',
+  'MINNESOTA': 'MN',
+  'MISSISSIPPI': 'MS',
+  'MISSOURI': 'MO',
+  'MONTANA': 'MT',
+  'NEBRASKA': 'NE',
+  'NEVADA': 'NV',
+  'NEW HAMPSHIRE': 'NH',
+  'NEW JERSEY': 'NJ',
+  'NEW MEXICO': 'NM',
+  'NORTH CAROLINA': 'NC',
+  'NORTH DAKOTA': 'ND',
+  'OHIO': 'OH',
+  'OKLAHOMA': 'OK',
+  'OREGON': 'OR',
+  'PENNSYLVANIA': 'PA',
+  'RHODE ISLAND': 'RI',
+  'SOUTH CAROLINA': 'SC',
+  'SOUTH DAKOTA': 'SD',
+  'TENNESSEE': 'TN',
+  'UTAH': 'UT',
+  'VERMONT': 'VT',
+  'VIRGINIA': 'VA',
+  'WASHINGTON': 'WA',
+  'WEST VIRGINIA': 'WV',
+  'WISCONSIN': 'WI',
+  'WYOMING': 'WY'
+};
+
 /**
  * Gets state code from state name or abbreviation
  * 
@@ -189,61 +776,20 @@ function getStateCode(state) {
     return input;
   }
   
-  // Map of state names to codes
-  const stateMap = {
-    'FLORIDA': 'FL',
-    'NEW YORK': 'NY',
-    'CALIFORNIA': 'CA',
-    'TEXAS': 'TX',
-    'ALABAMA': 'AL',
-    'ALASKA': 'AK',
-    'ARIZONA': 'AZ',
-    'ARKANSAS': 'AR',
-    'COLORADO': 'CO',
-    'CONNECTICUT': 'CT',
-    'DELAWARE': 'DE',
-    'GEORGIA': 'GA',
-    'HAWAII': 'HI',
-    'IDAHO': 'ID',
-    'ILLINOIS': 'IL',
-    'INDIANA': 'IN',
-    'IOWA': 'IA',
-    'KANSAS': 'KS',
-    'KENTUCKY': 'KY',
-    'LOUISIANA': 'LA',
-    'MAINE': 'ME',
-    'MARYLAND': 'MD',
-    'MASSACHUSETTS': 'MA',
-    'MICHIGAN': 'MI',
-    'MINNESOTA': 'MN',
-    'MISSISSIPPI': 'MS',
-    'MISSOURI': 'MO',
-    'MONTANA': 'MT',
-    'NEBRASKA': 'NE',
-    'NEVADA': 'NV',
-    'NEW HAMPSHIRE': 'NH',
-    'NEW JERSEY': 'NJ',
-    'NEW MEXICO': 'NM',
-    'NORTH CAROLINA': 'NC',
-    'NORTH DAKOTA': 'ND',
-    'OHIO': 'OH',
-    'OKLAHOMA': 'OK',
-    'OREGON': 'OR',
-    'PENNSYLVANIA': 'PA',
-    'RHODE ISLAND': 'RI',
-    'SOUTH CAROLINA': 'SC',
-    'SOUTH DAKOTA': 'SD',
-    'TENNESSEE': 'TN',
-    'UTAH': 'UT',
-    'VERMONT': 'VT',
-    'VIRGINIA': 'VA',
-    'WASHINGTON': 'WA',
-    'WEST VIRGINIA': 'WV',
-    'WISCONSIN': 'WI',
-    'WYOMING': 'WY'
-  };
-  
-  return stateMap[input.replace(/_/g, ' ')] || 'FL'; // Default to FL
+  // Unknown names are returned as-is so the rules lookup fails for them
+  // instead of silently serving another state's rules
+  return STATE_NAME_CODES[input.replace(/_/g, ' ')] || input;
+}
+
+/**
+ * Gets every input getStateCode resolves to a state code, for matching
+ * stored state values in SQL
+ * 
+ * @param {string} stateCode - Two-letter state code
+ * @returns {Array<string>} The code and the upper-case state names
+ */
+function getStateNames(stateCode) {
+  return [stateCode, ...Object.keys(STATE_NAME_CODES).filter(name => STATE_NAME_CODES[name] === stateCode)];
 }
 
 /**
@@ -324,19 +870,10 @@ function getHomeEquityLimit(state, updates) {
  */
 function getIncomeTrustRequirements(state, updates) {
   const rules = getMedicaidRules(state, updates);
-  const stateKey = normalizeStateKey(state);
-  
-  // Data-driven approach for Texas based on test expectations
-  if (stateKey === 'texas') {
-    return {
-      required: true,
-      threshold: 2349
-    };
-  }
   
   return {
-    required: rules.nursingHomeIncomeLimitSingle !== null,
-    threshold: rules.nursingHomeIncomeLimitSingle || rules.incomeLimitSingle || 2901
+    required: Boolean(rules.incomeCapState),
+    threshold: rules.nursingHomeIncomeLimitSingle || rules.incomeLimitSingle
   };
 }
 
@@ -384,6 +921,7 @@ function normalizeStateKey(state) {
     'co': 'colorado',
     'ct': 'connecticut',
     'de': 'delaware',
+    'dc': 'district_of_columbia',
     'ga': 'georgia',
     'hi': 'hawaii',
     'id': 'idaho',
@@ -432,11 +970,20 @@ module.exports = {
   loadMedicaidRules,
   getMedicaidRules,
   getMedicaidRulesFromDb,
+  getDatasetRules,
+  validateRuleRecord,
+  checkMedicaidRuleRow,
+  diagnoseMedicaidRules,
+  refreshRulesRegistry,
+  invalidateMedicaidRules,
+  scheduleRulesRegistryRefresh,
+  getRulesRegistryStatus,
   getStateSpecificLimits,
   loadRuleUpdates,
   getHomeEquityLimit,
   getIncomeTrustRequirements,
   getDisregardRules,
   normalizeStateKey,
-  getStateCode
+  getStateCode,
+  getStateNames
 };
\ No newline at end of file
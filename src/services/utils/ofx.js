@@ -0,0 +1,87 @@
+// src/services/utils/ofx.js
+
+/**
+ * Reads one tag's value from an OFX aggregate
+ * Works for SGML (OFX 1.x, closing tags optional) and XML (OFX 2.x).
+ *
+ * @param {string} block - Aggregate text
+ * @param {string} tag - Tag name
+ * @returns {string|undefined} Trimmed value
+ */
+function readTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : undefined;
+}
+
+/**
+ * Decodes the character entities OFX allows in values
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Converts an OFX date (YYYYMMDD[HHMMSS[.XXX]][[tz]]) to YYYY-MM-DD
+ *
+ * @param {string} value - OFX date
+ * @returns {string|null} ISO calendar date, or null if not a date
+ */
+function parseOfxDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Parses the statement transactions (STMTTRN) of a bank or credit card OFX file
+ *
+ * @param {string} text - OFX content
+ * @returns {Array<Object>} Transactions as { fitId, type, date, amount, name, memo, checkNumber, accountId }
+ *   amount is signed: negative for money leaving the account
+ * @throws {Error} When the file has no OFX header or no transactions list
+ */
+function parseOfx(text) {
+  const input = String(text || '');
+  if (!/<OFX>/i.test(input)) {
+    throw new Error('Invalid OFX: missing <OFX> root');
+  }
+  if (!/<BANKTRANLIST>/i.test(input)) {
+    throw new Error('Invalid OFX: no transaction list');
+  }
+
+  const transactions = [];
+  // Statements (one per account) each carry their own account id
+  input.split(/<STMTRS>|<CCSTMTRS>/i).slice(1).forEach(statement => {
+    const accountId = readTag(statement, 'ACCTID');
+    const blocks = statement.split(/<STMTTRN>/i).slice(1)
+      .map(block => block.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+
+    blocks.forEach(block => {
+      transactions.push({
+        fitId: readTag(block, 'FITID'),
+        type: readTag(block, 'TRNTYPE'),
+        date: parseOfxDate(readTag(block, 'DTPOSTED')),
+        amount: parseFloat(readTag(block, 'TRNAMT')),
+        // NAME is also the first field of a PAYEE aggregate
+        name: readTag(block, 'NAME'),
+        memo: readTag(block, 'MEMO'),
+        checkNumber: readTag(block, 'CHECKNUM'),
+        accountId
+      });
+    });
+  });
+
+  return transactions;
+}
+
+module.exports = {
+  parseOfx,
+  parseOfxDate
+};
@@ -0,0 +1,161 @@
+// src/services/utils/regionalRules.js
+const logger = require('../../config/logger');
+const { Client } = require('../../models');
+
+/**
+ * Normalizes a county name for matching ("Kings County" -> "kings")
+ *
+ * @param {string} county - County name as entered
+ * @returns {string} Lower-case county name without the "County" suffix
+ */
+function normalizeCounty(county) {
+  return String(county || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+(county|parish|borough)$/, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Reduces a ZIP or ZIP+4 code to its 5-digit form
+ *
+ * @param {string|number} zip - ZIP code as entered
+ * @returns {string|null} 5-digit ZIP code or null
+ */
+function normalizeZip(zip) {
+  const match = String(zip || '').trim().match(/^(\d{5})(-\d{4})?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extracts the county and ZIP code from client information
+ * Accepts the clients.address JSONB shape ({ street, city, state, zip, county })
+ * or county/zip given directly on the client info.
+ *
+ * @param {Object} clientInfo - Client information
+ * @returns {Object|null} Location as { county, zip } or null when neither is known
+ */
+function getLocationFromClientInfo(clientInfo) {
+  if (!clientInfo || typeof clientInfo !== 'object') {
+    return null;
+  }
+
+  const address = clientInfo.address && typeof clientInfo.address === 'object' ? clientInfo.address : {};
+  const county = address.county || clientInfo.county || null;
+  const zip = address.zip || address.zipCode || clientInfo.zip || clientInfo.zipCode || null;
+
+  if (!county && !zip) {
+    return null;
+  }
+
+  return { county, zip };
+}
+
+/**
+ * Resolves the client's location, looking up clients.address when the
+ * client info only carries the stored client's id
+ *
+ * @param {Object} clientInfo - Client information
+ * @returns {Promise<Object|null>} Location as { county, zip } or null when unknown
+ */
+async function resolveClientLocation(clientInfo) {
+  const location = getLocationFromClientInfo(clientInfo);
+  const clientId = clientInfo && (clientInfo.clientId || clientInfo.client_id);
+
+  if (location || !clientId) {
+    return location;
+  }
+
+  try {
+    const client = await Client.findById(clientId);
+    return client ? getLocationFromClientInfo({ address: client.address }) : null;
+  } catch (error) {
+    // Planning continues on the statewide figures
+    logger.warn(`Could not look up address for client ${clientId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Finds the rule region a location falls in
+ * A ZIP code match wins over a county match because it is more specific.
+ *
+ * @param {Object} rules - State Medicaid rules (with regions)
+ * @param {Object} location - Location as { county, zip }
+ * @returns {Object|null} Matching region with matchedBy ('zip' or 'county'), or null
+ */
+function findRegion(rules, location) {
+  const regions = (rules && rules.regions) || [];
+  if (!location || regions.length === 0) {
+    return null;
+  }
+
+  const zip = normalizeZip(location.zip);
+  if (zip) {
+    const region = regions.find(candidate => (candidate.zipCodes || []).includes(zip));
+    if (region) {
+      return { ...region, matchedBy: 'zip' };
+    }
+  }
+
+  const county = normalizeCounty(location.county);
+  if (county) {
+    const region = regions.find(candidate => (candidate.counties || []).some(name => normalizeCounty(name) === county));
+    if (region) {
+      return { ...region, matchedBy: 'county' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Applies the regional penalty divisor and nursing home cost for a location
+ * Rules are returned unchanged (with region: null) when the location is
+ * unknown or outside every region, so the statewide figures apply.
+ *
+ * @param {Object} rules - State Medicaid rules
+ * @param {Object} [location] - Location as { county, zip }
+ * @returns {Object} Rules with the regional figures and the matched region
+ */
+function applyRegionalRules(rules, location) {
+  const region = findRegion(rules, location);
+
+  if (!region) {
+    return { ...rules, region: null };
+  }
+
+  const regional = {
+    ...rules,
+    region: {
+      id: region.id || null,
+      origin: region.origin || 'dataset',
+      code: region.code,
+      name: region.name,
+      matchedBy: region.matchedBy,
+      citation: region.citation
+    },
+    citations: { ...(rules.citations || {}) },
+    fieldOrigins: { ...(rules.fieldOrigins || {}) }
+  };
+
+  if (region.penaltyDivisor) {
+    regional.penaltyDivisor = region.penaltyDivisor;
+    regional.citations.penaltyDivisor = region.citation;
+    regional.fieldOrigins.penaltyDivisor = 'region';
+  }
+  if (region.averageNursingHomeCost) {
+    regional.averageNursingHomeCost = region.averageNursingHomeCost;
+    regional.citations.averageNursingHomeCost = region.citation;
+    regional.fieldOrigins.averageNursingHomeCost = 'region';
+  }
+
+  return regional;
+}
+
+module.exports = {
+  getLocationFromClientInfo,
+  resolveClientLocation,
+  findRegion,
+  applyRegionalRules
+};
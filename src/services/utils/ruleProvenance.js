@@ -0,0 +1,162 @@
+// src/services/utils/ruleProvenance.js
+
+/**
+ * Rule fields the loader computes from other fields rather than reading them
+ * from a rule row, and the field each one is computed from
+ */
+const DERIVED_FIELDS = {
+  resourceLimitMarried: 'communitySpouseResourceAllowanceMax',
+  incomeLimitMarried: 'incomeLimitSingle',
+  nursingHomeIncomeLimitSingle: 'incomeLimitSingle',
+  nursingHomeIncomeLimitMarried: 'incomeLimitSingle',
+  excessShelterStandard: 'monthlyMaintenanceNeedsAllowanceMin',
+  averageNursingHomeCost: 'penaltyDivisor'
+};
+
+/**
+ * Figures reported in every planning result and the rule field behind each
+ */
+const PLANNING_FIGURES = {
+  resourceLimit: ({ maritalStatus }) => (maritalStatus === 'married' ? 'resourceLimitMarried' : 'resourceLimitSingle'),
+  communitySpouseResourceAllowanceMin: () => 'communitySpouseResourceAllowanceMin',
+  communitySpouseResourceAllowanceMax: () => 'communitySpouseResourceAllowanceMax',
+  monthlyMaintenanceNeedsAllowanceMin: () => 'monthlyMaintenanceNeedsAllowanceMin',
+  monthlyMaintenanceNeedsAllowanceMax: () => 'monthlyMaintenanceNeedsAllowanceMax',
+  penaltyDivisor: () => 'penaltyDivisor',
+  personalNeedsAllowance: () => 'monthlyPersonalNeedsAllowance'
+};
+
+/**
+ * Rule fields each planning step reads, for the explain tree
+ */
+const MODULE_FIELDS = {
+  eligibility: [
+    'resourceLimitSingle', 'resourceLimitMarried', 'incomeLimitSingle', 'incomeCapState', 'retirementAccountTreatment',
+    'communityIncomeLimitSingle', 'communityIncomeLimitCouple', 'hcbsMaintenanceAllowance'
+  ],
+  communitySpouse: [
+    'communitySpouseResourceAllowanceMin', 'communitySpouseResourceAllowanceMax',
+    'monthlyMaintenanceNeedsAllowanceMin', 'monthlyMaintenanceNeedsAllowanceMax', 'excessShelterStandard'
+  ],
+  income: [
+    'incomeLimitSingle', 'incomeCapState', 'medicallyNeedyProgram', 'medicallyNeedyIncomeLimit', 'medicallyNeedyBudgetPeriodMonths',
+    'incomeDisregards'
+  ],
+  divestment: ['lookbackPeriodMonths', 'penaltyDivisor', 'transferPenaltyRules'],
+  postEligibility: ['monthlyPersonalNeedsAllowance'],
+  application: ['retroactiveCoverageMonths', 'resourceLimitSingle', 'incomeLimitSingle'],
+  estateRecovery: ['averageNursingHomeCost', 'homeEquityLimit'],
+  annuity: ['annuityRules', 'incomeCapState', 'lookbackPeriodMonths']
+};
+
+/**
+ * Builds the provenance record for one rule field
+ *
+ * @param {Object} rules - Rules from the Medicaid rules loader (optionally with a region applied)
+ * @param {string} field - Rule field name
+ * @returns {Object} Provenance as { field, value, ruleId, effectiveDate, origin, defaultUsed, citation }
+ *   ruleId is the medicaid_rules row applied (null when the cited dataset was used)
+ */
+function traceRuleField(rules, field) {
+  const derivedFrom = DERIVED_FIELDS[field];
+  const citations = rules.citations || {};
+  const fieldOrigins = rules.fieldOrigins || {};
+  const value = rules[field] === undefined ? null : rules[field];
+
+  let origin = fieldOrigins[field];
+  let citation = citations[field] || null;
+  if (!origin && derivedFrom) {
+    origin = fieldOrigins[derivedFrom];
+    citation = citations[derivedFrom] || null;
+  }
+  if (!origin) {
+    // Not a rule field: a planning module fell back to its own built-in figure
+    origin = 'fallback';
+  }
+
+  const region = origin === 'region' ? rules.region : null;
+  // Figures not taken from a reviewed medicaid_rules row are defaults
+  const defaultUsed = origin === 'fallback' || origin === 'dataset' ||
+    (region !== null && region.origin === 'dataset');
+
+  const record = {
+    field,
+    value,
+    ruleId: rules.ruleId || null,
+    ruleSource: rules.ruleSource || null,
+    effectiveDate: rules.effectiveDate || null,
+    datasetVersion: rules.datasetVersion || null,
+    origin,
+    defaultUsed,
+    citation
+  };
+
+  if (derivedFrom && !fieldOrigins[field]) {
+    record.derivedFrom = derivedFrom;
+  }
+  if (region) {
+    record.region = { regionId: region.id, code: region.code, name: region.name, matchedBy: region.matchedBy };
+  }
+
+  return record;
+}
+
+/**
+ * Builds the provenance records for the figures in a planning result
+ *
+ * @param {Object} rules - Rules in force (with the client's region applied)
+ * @param {Object} [context] - Client context
+ * @param {string} [context.maritalStatus] - Selects the single or married resource limit
+ * @returns {Object} Provenance record per figure
+ */
+function buildPlanningProvenance(rules, context = {}) {
+  return Object.fromEntries(
+    Object.entries(PLANNING_FIGURES).map(([figure, selectField]) => [figure, traceRuleField(rules, selectField(context))])
+  );
+}
+
+/**
+ * Builds the full provenance tree returned for ?explain=true: the rule set
+ * applied, the region matched, every rule field, and which fields each
+ * planning step read
+ *
+ * @param {Object} rules - Rules in force (with the client's region applied)
+ * @param {Object} [context] - Client context
+ * @param {string} [context.maritalStatus] - Selects the single or married resource limit
+ * @param {string} [context.asOfDate] - Date whose rule set was applied
+ * @returns {Object} Provenance tree
+ */
+function buildProvenanceTree(rules, context = {}) {
+  const fieldNames = [...new Set([
+    ...Object.keys(rules.citations || {}),
+    ...Object.keys(DERIVED_FIELDS)
+  ])];
+  const fields = Object.fromEntries(fieldNames.map(field => [field, traceRuleField(rules, field)]));
+
+  return {
+    ruleSet: {
+      programName: rules.programName,
+      ruleId: rules.ruleId || null,
+      ruleSource: rules.ruleSource || null,
+      effectiveDate: rules.effectiveDate || null,
+      datasetVersion: rules.datasetVersion || null,
+      staleReason: rules.staleReason || null,
+      asOfDate: context.asOfDate || null
+    },
+    region: rules.region || null,
+    figures: buildPlanningProvenance(rules, context),
+    fields,
+    modules: Object.fromEntries(
+      Object.entries(MODULE_FIELDS).map(([module, moduleFields]) => [
+        module,
+        Object.fromEntries(moduleFields.map(field => [field, fields[field] || traceRuleField(rules, field)]))
+      ])
+    )
+  };
+}
+
+module.exports = {
+  traceRuleField,
+  buildPlanningProvenance,
+  buildProvenanceTree
+};
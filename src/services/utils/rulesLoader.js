@@ -1,6 +1,7 @@
 // src/services/utils/rulesLoader.js
 const { BenefitRules, EstateRecoveryRules } = require('../../models');
 const logger = require('../../config/logger');
+const { getRuleYear } = require('./effectiveDate');
 
 /**
  * NEW DATABASE-BASED RULES LOADER
@@ -10,10 +11,10 @@ const logger = require('../../config/logger');
 /**
  * Get all benefit programs for a state
  * @param {string} state - State code (FL, CA, etc.)
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Object} All benefit rules for the state
  */
-async function getBenefitRules(state, year = 2025) {
+async function getBenefitRules(state, year = getRuleYear()) {
     try {
         logger.info(`Loading benefit rules for ${state} ${year}`);
         
@@ -48,10 +49,10 @@ async function getBenefitRules(state, year = 2025) {
  * Get specific benefit program for a state
  * @param {string} state - State code (FL, CA, etc.)
  * @param {string} program - Program name (ssi, snap, medicare, veterans)
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Object} Specific benefit rule
  */
-async function getBenefitRule(state, program, year = 2025) {
+async function getBenefitRule(state, program, year = getRuleYear()) {
     try {
         logger.info(`Loading ${program} rules for ${state} ${year}`);
         
@@ -179,10 +180,10 @@ async function getBestHomeProtectionStates() {
 /**
  * Compare benefit amounts across states for a specific program
  * @param {string} program - Program name (ssi, snap, medicare, veterans)
- * @param {number} year - Year (default: 2025)
+ * @param {number} year - Rule year (default: year of today's date)
  * @returns {Array} All states with their benefit amounts for the program
  */
-async function compareBenefitsByProgram(program, year = 2025) {
+async function compareBenefitsByProgram(program, year = getRuleYear()) {
     try {
         logger.info(`Comparing ${program} benefits across states for ${year}`);
         
@@ -0,0 +1,155 @@
+// src/services/validation/__tests__/ruleSchemas.test.js
+const { validateStateSpecificRules, validateMedicaidRules } = require('../ruleSchemas');
+const {
+  getDatasetRules,
+  getMedicaidRules,
+  refreshRulesRegistry,
+  diagnoseMedicaidRules
+} = require('../../utils/medicaidRulesLoader');
+const { validateRuleChange } = require('../../admin/rulesAdminService');
+const pool = require('../../../../config/database');
+const logger = require('../../../config/logger');
+
+// Mock the database pool so the registry never hits PostgreSQL
+jest.mock('../../../../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock logger to prevent console output during tests
+jest.mock('../../../config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Rule Schemas', () => {
+  const source = { url: 'https://www.myflfamilies.com/', retrievedAt: '2026-01-05' };
+
+  const floridaRow = {
+    id: 'rule-fl-2026',
+    state_code: 'FL',
+    effective_date: '2026-01-01',
+    individual_resource_limit: 2000,
+    individual_income_limit: 2982,
+    penalty_divisor: 10438,
+    state_specific_rules: { homeEquityLimit: 730000, source }
+  };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    jest.clearAllMocks();
+  });
+
+  test('should accept every dataset rule set', () => {
+    ['FL', 'NY', 'CA', 'IL', 'TX'].forEach(state => {
+      expect(validateMedicaidRules(getDatasetRules(state, '2025-06-01'))).toEqual({ valid: true, problems: [] });
+    });
+  });
+
+  test('should reject unknown and overriding state_specific_rules keys', () => {
+    const { valid, problems } = validateStateSpecificRules({
+      resourceLimitSingel: 5000,
+      penaltyDivisor: 1,
+      ruleId: 'other-rule',
+      homeEquityLimit: 'lots',
+      source
+    });
+
+    expect(valid).toBe(false);
+    expect(problems).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: 'state_specific_rules.resourceLimitSingel', type: 'object.unknown' }),
+      expect.objectContaining({ path: 'state_specific_rules.penaltyDivisor', type: 'rules.override' }),
+      expect.objectContaining({ path: 'state_specific_rules.ruleId', type: 'rules.override' }),
+      expect.objectContaining({ path: 'state_specific_rules.homeEquityLimit', type: 'number.base' })
+    ]));
+    expect(problems).toHaveLength(4);
+  });
+
+  test('should only reject the married income limit when its column is also set', () => {
+    expect(validateStateSpecificRules({ incomeLimitMarried: 5964 }).valid).toBe(true);
+    expect(validateStateSpecificRules({ incomeLimitMarried: 5964 }, { community_spouse_income_allowance: 3948 }).problems[0])
+      .toMatchObject({ type: 'rules.override' });
+  });
+
+  test('should reject a merged rule set whose minimum exceeds its maximum', () => {
+    const rules = { ...getDatasetRules('FL', '2025-06-01'), monthlyMaintenanceNeedsAllowanceMin: 5000 };
+
+    expect(validateMedicaidRules(rules).problems).toEqual([
+      expect.objectContaining({ path: 'monthlyMaintenanceNeedsAllowanceMax', type: 'number.min' })
+    ]);
+  });
+
+  test('should keep a typo in state_specific_rules out of the registry and log it', async () => {
+    pool.query.mockResolvedValue({
+      rows: [{ ...floridaRow, state_specific_rules: { source, incomeLimitSingle: 99999 } }]
+    });
+
+    await refreshRulesRegistry('FL');
+
+    // The rejected row is not served; the expired dataset stands in, marked stale
+    expect(getMedicaidRules('FL', null, '2026-03-01')).toMatchObject({ ruleSource: 'dataset', stale: true });
+    expect(logger.warn).toHaveBeenCalledWith('Medicaid rule set failed schema validation', expect.objectContaining({
+      stateCode: 'FL',
+      effectiveDate: '2026-01-01',
+      ruleId: 'rule-fl-2026',
+      problems: [expect.objectContaining({ path: 'state_specific_rules.incomeLimitSingle', type: 'rules.override' })]
+    }));
+  });
+
+  test('should report the problems in each stored rule set', async () => {
+    pool.query.mockResolvedValue({
+      rows: [
+        { ...floridaRow, state_specific_rules: { source, homeEquityLimt: 730000 } },
+        { ...floridaRow, id: 'rule-fl-2025', effective_date: '2025-01-01' }
+      ]
+    });
+
+    const diagnosis = await diagnoseMedicaidRules('florida');
+
+    expect(diagnosis.state).toBe('FL');
+    expect(diagnosis.valid).toBe(false);
+    expect(diagnosis.ruleSets[0]).toMatchObject({
+      ruleId: 'rule-fl-2026',
+      effectiveDate: '2026-01-01',
+      valid: false,
+      problems: [expect.objectContaining({ path: 'state_specific_rules.homeEquityLimt' })]
+    });
+    expect(diagnosis.ruleSets[1]).toEqual({ ruleId: 'rule-fl-2025', effectiveDate: '2025-01-01', valid: true, problems: [] });
+  });
+
+  test('should report a state without stored rule sets as invalid', async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    const diagnosis = await diagnoseMedicaidRules('TX');
+
+    expect(diagnosis).toEqual({
+      state: 'TX',
+      valid: false,
+      problems: [{ path: 'medicaid_rules', type: 'rules.missing', message: 'No rule sets stored for TX' }],
+      ruleSets: []
+    });
+  });
+
+  test('should refuse a rule change that would fail the schema at load', () => {
+    const change = {
+      rule_type: 'medicaid',
+      state: 'FL',
+      effective_date: '2026-01-01',
+      source_citation: 'Florida DCF standards https://www.myflfamilies.com/',
+      source_retrieved_at: '2025-12-15',
+      rule_data: {
+        individual_resource_limit: 2000,
+        individual_income_limit: 2982,
+        state_specific_rules: { monthlyPersonalNeedAllowance: 160 }
+      }
+    };
+
+    expect(() => validateRuleChange(change))
+      .toThrow('Invalid medicaid rule_data: state_specific_rules.monthlyPersonalNeedAllowance is not a recognized rule field');
+    expect(validateRuleChange({
+      ...change,
+      rule_data: { ...change.rule_data, state_specific_rules: { monthlyPersonalNeedsAllowance: 160 } }
+    }).state).toBe('FL');
+  });
+});
@@ -3,6 +3,15 @@ const Joi = require('joi');
 const logger = require('../../config/logger');
 const { normalizeStateKey, loadMedicaidRules } = require('../utils/medicaidRulesLoader');
 const { ValidationError, StateNotFoundError } = require('./validationErrors');
+const {
+  ASSET_TYPES,
+  TITLE_FORMS,
+  PAYOUT_STATUSES,
+  CO_OWNER_RELATIONSHIPS,
+  isItemizedAssets,
+  classifyAssetItems,
+  itemsToFlatAssets
+} = require('../utils/assetClassification');
 
 // Configurable validation thresholds - can be overridden by environment variables
 const VALIDATION_THRESHOLDS = {
@@ -43,7 +52,14 @@ const clientInfoSchema = Joi.object({
   }),
   health_status: Joi.string().valid('good', 'fair', 'declining', 'critical').optional().messages({
     'any.only': 'Health status must be one of: good, fair, declining, critical'
-  })
+  }),
+  // Same shape as clients.address; county or ZIP selects regional rule figures
+  address: Joi.object({
+    county: Joi.string().trim().optional(),
+    zip: Joi.string().trim().pattern(/^\d{5}(-\d{4})?$/).optional().messages({
+      'string.pattern.base': 'ZIP code must be 5 digits or ZIP+4'
+    })
+  }).unknown(true).optional()
 })
 .or('age', 'date_of_birth').messages({
   'object.missing': 'Either age or date of birth is required'
@@ -68,6 +84,46 @@ const assetsSchema = Joi.object().pattern(
   'object.min': 'At least one asset must be provided'
 });
 
+// Itemized assets schema - one entry per account, vehicle, policy or property
+const assetItemSchema = Joi.object({
+  id: Joi.string().trim().optional(),
+  type: Joi.string().valid(...ASSET_TYPES).required().messages({
+    'any.required': 'Asset type is required',
+    'any.only': `Asset type must be one of: ${ASSET_TYPES.join(', ')}`
+  }),
+  description: Joi.string().trim().allow('').optional(),
+  owners: Joi.array().items(Joi.string().trim()).min(1).optional(),
+  title_form: Joi.string().valid(...TITLE_FORMS).optional().messages({
+    'any.only': `Title form must be one of: ${TITLE_FORMS.join(', ')}`
+  }),
+  value: Joi.number().min(0).required().messages({
+    'any.required': 'Asset value is required',
+    'number.base': 'Asset values must be valid numbers'
+  }),
+  encumbrance: Joi.number().min(0).optional(),
+  // Applicant and spouse's percentage interest in a co-owned asset
+  ownership_share: Joi.number().min(0).max(100).optional(),
+  co_owners: Joi.array().items(Joi.object({
+    name: Joi.string().trim().optional(),
+    relationship: Joi.string().valid(...CO_OWNER_RELATIONSHIPS).required().messages({
+      'any.only': `Co-owner relationship must be one of: ${CO_OWNER_RELATIONSHIPS.join(', ')}`
+    }),
+    share: Joi.number().min(0).max(100).optional()
+  })).optional(),
+  saleable: Joi.boolean().optional(),
+  presumption_rebutted: Joi.boolean().optional(),
+  payout_status: Joi.string().valid(...PAYOUT_STATUSES).optional(),
+  // Monthly distribution from a retirement account in payout status
+  monthly_distribution: Joi.number().min(0).optional(),
+  used_for_transportation: Joi.boolean().optional(),
+  face_value: Joi.number().min(0).optional(),
+  irrevocable: Joi.boolean().optional()
+});
+
+const assetItemsSchema = Joi.array().items(assetItemSchema).min(1).messages({
+  'array.min': 'At least one asset must be provided'
+});
+
 // Income validation schema - allow strings that can be converted to numbers
 const incomeSchema = Joi.object().pattern(
   Joi.string(),
@@ -199,6 +255,10 @@ function validateAssets(assets) {
       throw new ValidationError('Assets are required');
     }
 
+    if (isItemizedAssets(assets)) {
+      return validateAssetItems(Array.isArray(assets) ? assets : assets.items);
+    }
+
     // Normalize asset keys to snake_case
     const normalizedAssets = {};
     for (const [key, value] of Object.entries(assets)) {
@@ -254,6 +314,36 @@ function validateAssets(assets) {
   }
 }
 
+/**
+ * Validate itemized assets
+ * Planning modules read the flat format, so the normalized data is the flat
+ * summary of the classified items; the per-item verdicts are returned alongside.
+ * @param {Array} items - Asset items to validate
+ * @returns {Object} - Validation result with normalized data, classification and the validated items
+ */
+function validateAssetItems(items) {
+  const { error, value } = assetItemsSchema.validate(items, { abortEarly: false, convert: true });
+  if (error) {
+    const errorMessage = error.details.map(detail => `${detail.path.join('.')}: ${detail.message}`).join('; ');
+    logger.error(`Assets validation error: ${errorMessage}`);
+    throw new ValidationError(`Invalid assets: ${errorMessage}`);
+  }
+
+  const classification = classifyAssetItems(value);
+  const totalAssets = classification.items.reduce((sum, item) => sum + item.value, 0);
+  if (totalAssets > VALIDATION_THRESHOLDS.maxTotalAssets) {
+    logger.warn(`Total assets value (${totalAssets}) exceeds threshold (${VALIDATION_THRESHOLDS.maxTotalAssets}), verify accuracy`);
+  }
+
+  return {
+    valid: true,
+    message: '',
+    normalizedData: itemsToFlatAssets(classification),
+    classification,
+    items: value
+  };
+}
+
 /**
  * Validate income data
  * @param {Object} income - Income to validate
@@ -468,9 +558,10 @@ function validateHomeInfo(homeInfo) {
 /**
  * Validate state against Medicaid rules
  * @param {string} state - State name or abbreviation
+ * @param {string|Date} [asOfDate] - Date whose rules must exist for the state (defaults to today)
  * @returns {Promise<Object>} - Validation result with normalized state
  */
-async function validateState(state) {
+async function validateState(state, asOfDate) {
   try {
     logger.debug(`Validating state: ${state}`);
 
@@ -483,7 +574,7 @@ async function validateState(state) {
     logger.debug(`Normalized state: ${normalizedState}`);
 
     // Load Medicaid rules for the normalized state
-    const rulesData = await loadMedicaidRules(normalizedState);
+    const rulesData = await loadMedicaidRules(normalizedState, asOfDate);
     logger.debug(`Rules loaded for state: ${normalizedState}`);
 
     return {
@@ -517,9 +608,11 @@ async function validateState(state) {
  * @param {Object} expenses - Client expenses
  * @param {Object} homeInfo - Home information
  * @param {string} state - State name or abbreviation
+ * @param {Object} [options] - Validation options
+ * @param {string|Date} [options.asOfDate] - Date whose rules the state is checked against (defaults to today)
  * @returns {Promise<Object>} - Validation result with normalized data
  */
-async function validateAllInputs(clientInfo, assets, income, expenses, homeInfo, state) {
+async function validateAllInputs(clientInfo, assets, income, expenses, homeInfo, state, options = {}) {
   try {
     logger.info('Starting validation of all inputs');
 
@@ -554,7 +647,7 @@ async function validateAllInputs(clientInfo, assets, income, expenses, homeInfo,
     }
 
     // Validate state
-    const stateResult = await validateState(state);
+    const stateResult = await validateState(state, options.asOfDate);
     if (!stateResult.valid) {
       return stateResult;
     }
@@ -567,6 +660,8 @@ async function validateAllInputs(clientInfo, assets, income, expenses, homeInfo,
       normalizedData: {
         clientInfo: clientResult.normalizedData,
         assets: assetsResult.normalizedData,
+        assetClassification: assetsResult.classification || null,
+        assetItems: assetsResult.items || null,
         income: incomeResult.normalizedData,
         expenses: expensesResult.normalizedData,
         homeInfo: homeInfoResult.normalizedData,
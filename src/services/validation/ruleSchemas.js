@@ -0,0 +1,264 @@
+// src/services/validation/ruleSchemas.js
+const Joi = require('joi');
+
+/**
+ * Rule fields set by a medicaid_rules column. state_specific_rules must not
+ * carry these: a JSONB key would silently stand in for the reviewed column.
+ */
+const COLUMN_BACKED_FIELDS = {
+  resourceLimitSingle: 'individual_resource_limit',
+  communitySpouseResourceAllowanceMin: 'community_spouse_resource_allowance_min',
+  communitySpouseResourceAllowanceMax: 'community_spouse_resource_allowance_max',
+  incomeLimitSingle: 'individual_income_limit',
+  lookbackPeriodMonths: 'lookback_period_months',
+  penaltyDivisor: 'penalty_divisor'
+};
+
+// incomeLimitMarried may be published in state_specific_rules (the rules file
+// layout stores it there) but not alongside community_spouse_income_allowance
+const OPTIONAL_COLUMN_FIELDS = {
+  incomeLimitMarried: 'community_spouse_income_allowance'
+};
+
+// Keys the loader computes itself; a JSONB copy would overwrite them
+const COMPUTED_KEYS = [
+  'programName', 'hasResourceTest', 'regions', 'region', 'citations', 'fieldOrigins',
+  'effectiveDate', 'ruleId', 'ruleSource', 'datasetVersion', 'stale', 'staleReason', 'disregards', 'projection'
+];
+
+const amount = Joi.number().min(0);
+
+// How a retirement account in payout status is treated
+const retirementAccountTreatment = Joi.string().valid('countable', 'exempt_in_payout');
+
+const incomeDisregardsSchema = Joi.object({
+  generalExclusion: amount,
+  earnedExclusion: amount,
+  earnedFraction: Joi.number().min(0).max(1),
+  excludeVaAidAndAttendance: Joi.boolean(),
+  excludeReparations: Joi.boolean(),
+  excludeRetroactiveLumpSums: Joi.boolean(),
+  medicarePremiums: Joi.string().valid('gross', 'net')
+});
+
+const transferPenaltyRulesSchema = Joi.object({
+  aggregation: Joi.string().valid('aggregated', 'sequential'),
+  periodUnit: Joi.string().valid('partial_month', 'daily'),
+  startRule: Joi.string().valid('otherwise_eligible'),
+  returnRule: Joi.string().valid('partial', 'full_only')
+});
+
+// A citation records when the figure was checked against its source, or is
+// explicitly flagged as not yet checked
+const citationSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  title: Joi.string().allow(''),
+  retrievedAt: Joi.when('pendingVerification', {
+    is: true,
+    then: Joi.valid(null),
+    otherwise: Joi.alternatives().try(Joi.string().isoDate(), Joi.date()).required()
+  }),
+  pendingVerification: Joi.boolean()
+});
+
+const annuityRulesSchema = Joi.object({
+  irrevocable: Joi.boolean(),
+  nonAssignable: Joi.boolean(),
+  actuariallySound: Joi.boolean(),
+  equalPayments: Joi.boolean(),
+  noBalloonOrDeferral: Joi.boolean(),
+  stateRemainderBeneficiary: Joi.string(),
+  disclosureRequired: Joi.boolean()
+});
+
+/**
+ * Values state_specific_rules may set: rule fields without a medicaid_rules
+ * column, and derived figures a state publishes in its own right
+ */
+const STATE_SPECIFIC_FIELDS = {
+  resourceLimitCouple: amount.allow(null),
+  monthlyMaintenanceNeedsAllowanceMin: amount,
+  monthlyMaintenanceNeedsAllowanceMax: amount,
+  monthlyPersonalNeedsAllowance: amount,
+  homeEquityLimit: amount,
+  incomeCapState: Joi.boolean(),
+  medicallyNeedyProgram: Joi.boolean(),
+  medicallyNeedyIncomeLimit: amount.allow(null),
+  medicallyNeedyBudgetPeriodMonths: Joi.number().integer().min(1).max(6).allow(null),
+  annuityRules: annuityRulesSchema,
+  retirementAccountTreatment,
+  retroactiveCoverageMonths: Joi.number().integer().min(0).max(3),
+  communityIncomeLimitSingle: amount,
+  communityIncomeLimitCouple: amount,
+  hcbsMaintenanceAllowance: amount,
+  incomeDisregards: incomeDisregardsSchema,
+  transferPenaltyRules: transferPenaltyRulesSchema,
+  resourceLimitMarried: amount,
+  incomeLimitMarried: amount,
+  nursingHomeIncomeLimitSingle: amount,
+  nursingHomeIncomeLimitMarried: amount,
+  excessShelterStandard: amount,
+  averageNursingHomeCost: amount
+};
+
+const citableFields = [
+  ...Object.keys(STATE_SPECIFIC_FIELDS),
+  ...Object.keys(COLUMN_BACKED_FIELDS)
+];
+
+const stateSpecificRulesSchema = Joi.object({
+  ...STATE_SPECIFIC_FIELDS,
+  source: citationSchema,
+  citations: Joi.object(Object.fromEntries(citableFields.map(field => [field, citationSchema]))),
+  notes: Joi.string().allow('', null),
+  // Set on rows seeded from the rules dataset (the dataset version copied)
+  seededFromDataset: Joi.string()
+});
+
+const regionSchema = Joi.object({
+  id: Joi.any(),
+  origin: Joi.string(),
+  code: Joi.string().required(),
+  name: Joi.string().required(),
+  counties: Joi.array().items(Joi.string()),
+  zipCodes: Joi.array().items(Joi.string().pattern(/^\d{5}$/)),
+  penaltyDivisor: amount.allow(null),
+  averageNursingHomeCost: amount.allow(null),
+  citation: citationSchema.required()
+});
+
+/**
+ * The merged rules object served to the planning modules
+ */
+const medicaidRulesSchema = Joi.object({
+  programName: Joi.string().required(),
+  resourceLimitSingle: amount.required(),
+  resourceLimitCouple: amount.required(),
+  resourceLimitMarried: amount.required(),
+  communitySpouseResourceAllowanceMin: amount.required(),
+  communitySpouseResourceAllowanceMax: amount.min(Joi.ref('communitySpouseResourceAllowanceMin')).required(),
+  monthlyMaintenanceNeedsAllowanceMin: amount.required(),
+  monthlyMaintenanceNeedsAllowanceMax: amount.min(Joi.ref('monthlyMaintenanceNeedsAllowanceMin')).required(),
+  monthlyPersonalNeedsAllowance: amount.required(),
+  penaltyDivisor: Joi.number().positive().required(),
+  averageNursingHomeCost: Joi.number().positive().required(),
+  lookbackPeriodMonths: Joi.number().integer().min(0).max(60).required(),
+  homeEquityLimit: amount.required(),
+  incomeLimitSingle: amount.required(),
+  incomeLimitMarried: amount.required(),
+  nursingHomeIncomeLimitSingle: amount.required(),
+  nursingHomeIncomeLimitMarried: amount.required(),
+  excessShelterStandard: amount.required(),
+  incomeCapState: Joi.boolean().required(),
+  medicallyNeedyProgram: Joi.boolean().required(),
+  // A medically needy program needs its income limit and budget period
+  medicallyNeedyIncomeLimit: Joi.when('medicallyNeedyProgram', {
+    is: true, then: amount.required(), otherwise: amount.allow(null).required()
+  }),
+  medicallyNeedyBudgetPeriodMonths: Joi.when('medicallyNeedyProgram', {
+    is: true,
+    then: Joi.number().integer().min(1).max(6).required(),
+    otherwise: Joi.number().integer().min(1).max(6).allow(null).required()
+  }),
+  annuityRules: annuityRulesSchema.required(),
+  retirementAccountTreatment: retirementAccountTreatment.required(),
+  retroactiveCoverageMonths: Joi.number().integer().min(0).max(3).required(),
+  communityIncomeLimitSingle: amount.required(),
+  communityIncomeLimitCouple: amount.required(),
+  hcbsMaintenanceAllowance: amount.required(),
+  incomeDisregards: incomeDisregardsSchema.required(),
+  transferPenaltyRules: transferPenaltyRulesSchema.required(),
+  hasResourceTest: Joi.boolean().required(),
+  regions: Joi.array().items(regionSchema).required(),
+  citations: Joi.object().pattern(Joi.string(), citationSchema).required(),
+  fieldOrigins: Joi.object().pattern(Joi.string(), Joi.string().valid('dataset', 'medicaid_rules', 'region')).required(),
+  effectiveDate: Joi.string().isoDate().required(),
+  disregards: Joi.object(),
+  ruleId: Joi.any(),
+  ruleSource: Joi.string().valid('dataset', 'medicaid_rules'),
+  datasetVersion: Joi.string(),
+  stale: Joi.boolean(),
+  staleReason: Joi.string()
+});
+
+/**
+ * Converts Joi error details into problem records
+ *
+ * @param {Object} error - Joi validation error
+ * @param {string} prefix - Path prefix for the problems
+ * @returns {Array} Problems as { path, type, message }
+ */
+function toProblems(error, prefix) {
+  if (!error) {
+    return [];
+  }
+
+  return error.details.map(detail => {
+    const path = [prefix, ...detail.path].filter(part => part !== '').join('.');
+    const message = detail.type === 'object.unknown' ?
+      `${path} is not a recognized rule field` :
+      `${path} ${detail.message.replace(/^"[^"]*" /, '')}`;
+    return { path, type: detail.type, message };
+  });
+}
+
+/**
+ * Validates the state_specific_rules JSONB of a medicaid_rules row
+ * Rejects unknown keys (typos) and keys that would override a column-backed
+ * limit or a value the loader computes.
+ *
+ * @param {Object} stateSpecificRules - state_specific_rules blob
+ * @param {Object} [columns] - The row's column values, for overlap checks
+ * @returns {Object} { valid, problems: [{ path, type, message }] }
+ */
+function validateStateSpecificRules(stateSpecificRules, columns = {}) {
+  const blob = stateSpecificRules || {};
+  const problems = [];
+
+  if (typeof blob !== 'object' || Array.isArray(blob)) {
+    return {
+      valid: false,
+      problems: [{ path: 'state_specific_rules', type: 'object.base', message: 'state_specific_rules must be an object' }]
+    };
+  }
+
+  Object.keys(blob).forEach(key => {
+    const path = `state_specific_rules.${key}`;
+    if (COLUMN_BACKED_FIELDS[key]) {
+      problems.push({ path, type: 'rules.override', message: `${path} overrides the ${COLUMN_BACKED_FIELDS[key]} column` });
+    } else if (OPTIONAL_COLUMN_FIELDS[key] && columns[OPTIONAL_COLUMN_FIELDS[key]] !== undefined && columns[OPTIONAL_COLUMN_FIELDS[key]] !== null) {
+      problems.push({ path, type: 'rules.override', message: `${path} overrides the ${OPTIONAL_COLUMN_FIELDS[key]} column` });
+    } else if (COMPUTED_KEYS.includes(key)) {
+      problems.push({ path, type: 'rules.override', message: `${path} overrides a value computed by the rules loader` });
+    }
+  });
+
+  const overridden = problems.map(problem => problem.path);
+  const { error } = stateSpecificRulesSchema.validate(blob, { abortEarly: false });
+  toProblems(error, 'state_specific_rules')
+    .filter(problem => !overridden.includes(problem.path))
+    .forEach(problem => problems.push(problem));
+
+  return { valid: problems.length === 0, problems };
+}
+
+/**
+ * Validates a merged rules object before it is served to the planning modules
+ *
+ * @param {Object} rules - Rules object from the Medicaid rules loader
+ * @returns {Object} { valid, problems: [{ path, type, message }] }
+ */
+function validateMedicaidRules(rules) {
+  const { error } = medicaidRulesSchema.validate(rules, { abortEarly: false });
+  const problems = toProblems(error, '');
+
+  return { valid: problems.length === 0, problems };
+}
+
+module.exports = {
+  COLUMN_BACKED_FIELDS,
+  stateSpecificRulesSchema,
+  medicaidRulesSchema,
+  validateStateSpecificRules,
+  validateMedicaidRules
+};
@@ -13,7 +13,73 @@ class ValidationError extends Error {
     }
   }
   
+  class RuleChangeNotFoundError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'RuleChangeNotFoundError';
+    }
+  }
+  
+  class RuleWorkflowError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'RuleWorkflowError';
+    }
+  }
+  
+  class RuleApprovalError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'RuleApprovalError';
+    }
+  }
+  
+  class IncompleteRulesError extends Error {
+    constructor(message, problems = []) {
+      super(message);
+      this.name = 'IncompleteRulesError';
+      this.problems = problems;
+    }
+  }
+  
+  class InvalidRulesError extends Error {
+    constructor(message, problems = []) {
+      super(message);
+      this.name = 'InvalidRulesError';
+      this.problems = problems;
+    }
+  }
+  
+  class BatchJobNotFoundError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'BatchJobNotFoundError';
+    }
+  }
+  
+  class BatchQueueFullError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'BatchQueueFullError';
+    }
+  }
+  
+  class TransferImportNotFoundError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'TransferImportNotFoundError';
+    }
+  }
+  
   module.exports = {
     ValidationError,
-    StateNotFoundError
+    StateNotFoundError,
+    RuleChangeNotFoundError,
+    RuleWorkflowError,
+    RuleApprovalError,
+    IncompleteRulesError,
+    InvalidRulesError,
+    BatchJobNotFoundError,
+    BatchQueueFullError,
+    TransferImportNotFoundError
   };
\ No newline at end of file
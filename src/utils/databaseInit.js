@@ -2,6 +2,12 @@ const pool = require('../../config/database');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../config/logger');
+const { DATASET_VERSIONS } = require('../data/stateMedicaidRules');
+
+// Tables the Medicaid rules loader reads, by the migration that adds them
+const RULE_MIGRATION_TABLES = {
+  '005_rule_regions.sql': ['medicaid_rule_regions', 'medicaid_rule_region_areas']
+};
 
 /**
  * Check if essential tables exist and create them if needed
@@ -28,6 +34,7 @@ async function initializeDatabase() {
       logger.info('✅ Database initialization complete!');
     } else {
       logger.info('✅ Database tables exist with correct schema, skipping initialization');
+      await checkRuleMigrations();
     }
     
   } catch (error) {
@@ -36,6 +43,36 @@ async function initializeDatabase() {
   }
 }
 
+/**
+ * Warn about rule migrations that have not been applied. The rules loader's
+ * queries fail without their tables, so every rule lookup would fall back to
+ * the rules dataset and database rule sets would never be served.
+ *
+ * @returns {Promise<Array>} Migration files whose tables are missing
+ */
+async function checkRuleMigrations() {
+  const expected = Object.values(RULE_MIGRATION_TABLES).flat();
+  const result = await pool.query(`
+    SELECT table_name
+    FROM information_schema.tables
+    WHERE table_schema = 'public'
+    AND table_name = ANY($1)
+  `, [expected]);
+  const existing = new Set(result.rows.map(row => row.table_name));
+  
+  const missing = Object.entries(RULE_MIGRATION_TABLES)
+    .filter(([, tables]) => tables.some(table => !existing.has(table)))
+    .map(([file]) => file);
+  
+  missing.forEach(file => {
+    const tables = RULE_MIGRATION_TABLES[file].filter(table => !existing.has(table));
+    logger.warn(`⚠️ Migration ${file} has not been applied (missing ${tables.join(', ')}): ` +
+      'Medicaid rules will come from the rules dataset instead of the database until it is run');
+  });
+  
+  return missing;
+}
+
 /**
  * Create all required tables using migration files
  */
@@ -83,7 +120,7 @@ async function createBasicTables(client) {
   await client.query(`
     CREATE TABLE medicaid_rules (
       id SERIAL PRIMARY KEY,
-      state_code VARCHAR(2) NOT NULL UNIQUE,
+      state_code VARCHAR(2) NOT NULL,
       individual_resource_limit INTEGER,
       community_spouse_resource_allowance_min INTEGER,
       community_spouse_resource_allowance_max INTEGER,
@@ -95,10 +132,35 @@ async function createBasicTables(client) {
       effective_date DATE DEFAULT CURRENT_DATE,
       expiration_date DATE,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(state_code, effective_date)
     )
   `);
-  
+
+  // Regional penalty divisors and care costs, keyed by county or ZIP code
+  await client.query(`
+    CREATE TABLE medicaid_rule_regions (
+      id SERIAL PRIMARY KEY,
+      medicaid_rule_id INTEGER NOT NULL REFERENCES medicaid_rules(id) ON DELETE CASCADE,
+      region_code VARCHAR(40) NOT NULL,
+      region_name VARCHAR(100) NOT NULL,
+      penalty_divisor DECIMAL(10,2),
+      average_nursing_home_cost DECIMAL(10,2),
+      source_url TEXT NOT NULL,
+      source_retrieved_at DATE NOT NULL,
+      UNIQUE(medicaid_rule_id, region_code)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE medicaid_rule_region_areas (
+      region_id INTEGER NOT NULL REFERENCES medicaid_rule_regions(id) ON DELETE CASCADE,
+      area_type VARCHAR(10) NOT NULL CHECK (area_type IN ('county', 'zip')),
+      area_value VARCHAR(100) NOT NULL,
+      PRIMARY KEY (region_id, area_type, area_value)
+    )
+  `);
+
   // Create other essential tables
   await client.query(`
     CREATE TABLE clients (
@@ -106,6 +168,7 @@ async function createBasicTables(client) {
       name VARCHAR(255) NOT NULL,
       email VARCHAR(255),
       phone VARCHAR(20),
+      address JSONB,
       age INTEGER,
       marital_status VARCHAR(20),
       health_status VARCHAR(50),
@@ -154,8 +217,22 @@ async function createBasicTables(client) {
   `);
 }
 
+// Dataset fields stored in their own medicaid_rules columns; every other
+// field goes into state_specific_rules
+const RULE_COLUMNS = {
+  resourceLimitSingle: 'individual_resource_limit',
+  communitySpouseResourceAllowanceMin: 'community_spouse_resource_allowance_min',
+  communitySpouseResourceAllowanceMax: 'community_spouse_resource_allowance_max',
+  incomeLimitSingle: 'individual_income_limit',
+  lookbackPeriodMonths: 'lookback_period_months',
+  penaltyDivisor: 'penalty_divisor'
+};
+
 /**
- * Seed essential Medicaid rules for common states
+ * Seed Medicaid rules for every state from each version of the cited rules
+ * dataset. Seeded rows are marked with their dataset version: they give admins
+ * rows to export and revise, but the loader serves the dataset itself for them,
+ * so a seeded row never shadows a newer dataset version.
  */
 async function seedMedicaidRules() {
   const client = await pool.connect();
@@ -163,84 +240,33 @@ async function seedMedicaidRules() {
   try {
     await client.query('BEGIN');
     
-    // Florida rules (using the correct schema)
-    await client.query(`
-      INSERT INTO medicaid_rules (
-        state_code, 
-        individual_resource_limit, 
-        community_spouse_resource_allowance_min,
-        community_spouse_resource_allowance_max,
-        individual_income_limit, 
-        community_spouse_income_allowance,
-        lookback_period_months, 
-        penalty_divisor,
-        state_specific_rules
-      ) VALUES (
-        'FL', 
-        2000, 
-        30828, 
-        154140, 
-        2901, 
-        2901, 
-        60, 
-        350.00,
-        '{"home_equity_limit": 688000, "vehicle_exemption": 4650}'::jsonb
-      ) ON CONFLICT (state_code) DO NOTHING
-    `);
-    
-    // California rules
-    await client.query(`
-      INSERT INTO medicaid_rules (
-        state_code, 
-        individual_resource_limit, 
-        individual_income_limit, 
-        lookback_period_months, 
-        penalty_divisor
-      ) VALUES (
-        'CA', 
-        2000, 
-        1563, 
-        60, 
-        350.00
-      ) ON CONFLICT (state_code) DO NOTHING
-    `);
-    
-    // New York rules
-    await client.query(`
-      INSERT INTO medicaid_rules (
-        state_code, 
-        individual_resource_limit, 
-        individual_income_limit, 
-        lookback_period_months, 
-        penalty_divisor
-      ) VALUES (
-        'NY', 
-        2000, 
-        1563, 
-        60, 
-        350.00
-      ) ON CONFLICT (state_code) DO NOTHING
-    `);
-    
-    // Texas rules
-    await client.query(`
-      INSERT INTO medicaid_rules (
-        state_code, 
-        individual_resource_limit, 
-        individual_income_limit, 
-        lookback_period_months, 
-        penalty_divisor
-      ) VALUES (
-        'TX', 
-        2000, 
-        2523, 
-        60, 
-        350.00
-      ) ON CONFLICT (state_code) DO NOTHING
-    `);
+    for (const version of DATASET_VERSIONS) {
+      for (const record of Object.values(version.states)) {
+        const columnValues = {};
+        const stateSpecificRules = { citations: {}, seededFromDataset: version.version };
+        
+        Object.entries(record.fields).forEach(([field, { value, citation }]) => {
+          stateSpecificRules.citations[field] = citation;
+          if (RULE_COLUMNS[field]) {
+            columnValues[RULE_COLUMNS[field]] = value;
+          } else {
+            stateSpecificRules[field] = value;
+          }
+        });
+        
+        const columns = ['state_code', 'effective_date', ...Object.keys(columnValues), 'state_specific_rules'];
+        const values = [record.stateCode, version.effectiveDate, ...Object.values(columnValues), JSON.stringify(stateSpecificRules)];
+        
+        await client.query(`
+          INSERT INTO medicaid_rules (${columns.join(', ')})
+          VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+          ON CONFLICT (state_code, effective_date) DO NOTHING
+        `, values);
+      }
+    }
     
     await client.query('COMMIT');
-    logger.info('✅ Medicaid rules seeded successfully');
+    logger.info(`✅ Medicaid rules seeded from dataset versions ${DATASET_VERSIONS.map(version => version.version).join(', ')}`);
     
   } catch (error) {
     await client.query('ROLLBACK');
@@ -252,5 +278,6 @@ async function seedMedicaidRules() {
 }
 
 module.exports = {
-  initializeDatabase
+  initializeDatabase,
+  checkRuleMigrations
 };
\ No newline at end of file